@@ -0,0 +1,98 @@
+// ============================================================================
+// ABSTRACTS.JS - Normalize abstracts from every source to clean text
+// ============================================================================
+// Sources ship abstracts in different shapes:
+//   CrossRef:  JATS XML fragments (<jats:sec><jats:title>Methods</jats:title><jats:p>...)
+//   OpenAlex:  an inverted index ({ word: [positions] })
+//   Others:    plain text, sometimes with HTML markup or escaped entities
+// Everything ends up as plain text, with JATS/HTML section headings kept as
+// "Label: text" paragraphs separated by blank lines.
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// Headings and paragraphs, in document order (JATS or HTML, with or without the jats: prefix)
+const BLOCK_PATTERN = /<(?:jats:)?(title|h[1-6]|p)\b[^>]*>([\s\S]*?)<\/(?:jats:)?\1>/gi;
+
+/**
+ * Decode HTML/XML character entities
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+    return text.replace(/&(?:#(\d+)|#x([0-9a-f]+)|(\w+));/gi, (entity, decimal, hex, name) => {
+        if (decimal) return String.fromCodePoint(parseInt(decimal, 10));
+        if (hex) return String.fromCodePoint(parseInt(hex, 16));
+        return ENTITIES[name.toLowerCase()] ?? entity;
+    });
+}
+
+/**
+ * Strip markup from a fragment and collapse whitespace
+ * Inline tags (<i>, <sub>) vanish; block tags become spaces so words don't run together
+ * @param {string} markup - Text with tags
+ * @returns {string} Clean text
+ */
+function cleanMarkup(markup) {
+    const text = markup
+        .replace(/<\/?(?:jats:)?(?:p|br|div|sec|title|h[1-6]|li|list-item)\b[^>]*>/gi, ' ')
+        .replace(/<[^>]*>/g, '');
+    return decodeEntities(text).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Convert a JATS (or HTML) abstract to text, keeping section headings as labels
+ * A lone "Abstract" heading is dropped
+ * @param {string} xml - JATS fragment
+ * @returns {string} Paragraphs separated by blank lines ("Methods: We ...")
+ */
+export function jatsToText(xml) {
+    const paragraphs = [];
+    let label = null;
+
+    for (const [, tag, content] of (xml || '').matchAll(BLOCK_PATTERN)) {
+        const text = cleanMarkup(content);
+        if (!text) continue;
+
+        if (tag.toLowerCase() !== 'p') {
+            label = /^abstract$/i.test(text) ? null : text.replace(/[:.]$/, '');
+            continue;
+        }
+        paragraphs.push(label ? `${label}: ${text}` : text);
+        label = null;
+    }
+
+    // Fragments without block markup are just text with inline tags
+    return paragraphs.length > 0 ? paragraphs.join('\n\n') : cleanMarkup(xml || '');
+}
+
+/**
+ * Rebuild an OpenAlex abstract from its inverted index
+ * @param {Object} invertedIndex - { word: [positions] }
+ * @returns {string|null} Abstract text, or null if the index is empty
+ */
+export function rebuildInvertedIndex(invertedIndex) {
+    if (!invertedIndex || typeof invertedIndex !== 'object') return null;
+
+    const words = [];
+    for (const [word, positions] of Object.entries(invertedIndex)) {
+        (positions || []).forEach(position => {
+            words[position] = word;
+        });
+    }
+    return words.filter(Boolean).join(' ') || null;
+}
+
+/**
+ * Normalize an abstract from any source to clean text
+ * @param {string|null} abstract - Abstract as the source returned it
+ * @returns {string|null} Clean text, or null if nothing is left
+ */
+export function normalizeAbstract(abstract) {
+    if (!abstract || typeof abstract !== 'string') return null;
+
+    const text = /<(?:jats:)?(?:title|h[1-6]|p)\b/i.test(abstract)
+        ? jatsToText(abstract)
+        : cleanMarkup(abstract).replace(/^abstract\b[:.]?\s*/i, '');
+
+    return text || null;
+}
@@ -4,43 +4,108 @@
 // API Docs: https://arxiv.org/help/api/index
 
 import BaseAPIClient from './base.js';
+import { getKeywordText, quoteValue } from '../query-parser.js';
+import { getArxivDoi, toVersionId } from '../versions.js';
+
+const ARXIV_NAMESPACE = 'http://arxiv.org/schemas/atom';
 
 export class ArxivClient extends BaseAPIClient {
     constructor() {
         super('arXiv');
         this.baseUrl = 'https://export.arxiv.org/api/query';
+        this.supportedFields = ['author', 'title', 'venue', 'year'];
+        this.booleanSyntax = 'arxiv';
     }
 
     /**
-     * Search arXiv papers
-     * @param {string} query - Search query
-     * @param {number} limit - Max results
-     * @returns {Promise<Array>} Array of papers
+     * Build arXiv search_query from a parsed query
+     * Uses arXiv field prefixes: all:, au:, ti:, jr: and submittedDate ranges
+     * @param {Object} parsed - Parsed query
+     * @returns {string} arXiv search_query value
      */
-    async search(query, limit = 10) {
-        try {
-            const params = new URLSearchParams({
-                search_query: `all:${query}`,
-                start: 0,
-                max_results: limit,
-                sortBy: 'relevance',
-                sortOrder: 'descending'
-            });
-
-            const url = `${this.baseUrl}?${params}`;
-            const response = await this.fetchWithTimeout(url, {}, 'high'); // High priority: fast source
-
-            if (!response.ok) {
-                console.warn(`[arXiv] HTTP ${response.status}`);
-                return [];
-            }
+    buildSearchQuery(parsed) {
+        const clauses = [];
+
+        const text = getKeywordText(parsed, this.supportedFields);
+        if (text) clauses.push(parsed.booleanSyntax ? text : `all:${text}`); // Compiled Boolean text is already prefixed
 
-            const xmlText = await response.text();
-            return this.parseArxivXML(xmlText);
-        } catch (error) {
-            console.error(`[arXiv] Search error:`, error);
-            return [];
+        parsed.fields.author.forEach(name => clauses.push(`au:${quoteValue(name)}`));
+        parsed.fields.title.forEach(term => clauses.push(`ti:${quoteValue(term)}`));
+        parsed.fields.venue.forEach(term => clauses.push(`jr:${quoteValue(term)}`));
+
+        if (parsed.fields.year) {
+            const { from, to } = parsed.fields.year;
+            const start = from ? `${from}01010000` : '199101010000'; // arXiv started in 1991
+            const end = to ? `${to}12312359` : `${new Date().getFullYear()}12312359`;
+            clauses.push(`submittedDate:[${start} TO ${end}]`);
         }
+
+        return clauses.join(' AND ');
+    }
+
+    /**
+     * Search arXiv papers
+     * @param {string|Object} query - Search query (raw string or parsed query)
+     * @param {number} limit - Max results per page
+     * @param {number|null} cursor - Result offset (start)
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Cancels in-flight requests
+     * @returns {Promise<Object>} { papers, nextCursor }
+     */
+    async searchPage(query, limit = 10, cursor = null, options = {}) {
+        const parsed = this.parseQuery(query);
+        const params = new URLSearchParams({
+            search_query: this.buildSearchQuery(parsed),
+            start: cursor || 0,
+            max_results: limit,
+            sortBy: 'relevance',
+            sortOrder: 'descending'
+        });
+
+        const url = `${this.baseUrl}?${params}`;
+        const response = await this.fetchWithRetry(url, options, 'high'); // High priority: fast source
+        this.assertOk(response);
+
+        const xmlText = await response.text();
+        const papers = this.parseArxivXML(xmlText);
+
+        const start = cursor || 0;
+        const total = xmlText.match(/<opensearch:totalResults[^>]*>(\d+)</)?.[1];
+        const hasMore = this.hasMoreResults(start + papers.length, papers.length, limit, total);
+
+        return { papers, nextCursor: hasMore ? start + papers.length : null };
+    }
+
+    /**
+     * Resolve an arXiv ID directly via id_list
+     * @param {Object} identifier - { type, value } (see identifiers.js)
+     * @param {Object} options - Request options (see searchPage)
+     * @returns {Promise<Array>} Matching papers (empty if not found)
+     */
+    async lookupIdentifier(identifier, options = {}) {
+        if (identifier.type !== 'arxiv') return [];
+
+        const params = new URLSearchParams({ id_list: identifier.value, max_results: 1 });
+        const response = await this.fetchWithRetry(`${this.baseUrl}?${params}`, options, 'high');
+        this.assertOk(response);
+
+        // Unknown IDs come back as an error entry without an /abs/ link
+        const papers = this.parseArxivXML(await response.text());
+        return papers.filter(paper => paper.url?.includes('/abs/'));
+    }
+
+    /**
+     * Read an arxiv:* extension element of an entry (arxiv:doi, arxiv:journal_ref)
+     * Matched by local name: namespaced selectors aren't supported everywhere
+     * @param {Element} entry - Atom entry
+     * @param {string} name - Local name
+     * @returns {string|null} Trimmed text, or null if absent
+     */
+    getArxivField(entry, name) {
+        const element = Array.from(entry.children).find(child =>
+            child.localName === name && child.namespaceURI === ARXIV_NAMESPACE
+        );
+        return element?.textContent?.trim() || null;
     }
 
     /**
@@ -49,8 +114,7 @@ export class ArxivClient extends BaseAPIClient {
      * @returns {Array} Normalized papers
      */
     parseArxivXML(xmlText) {
-        const parser = new DOMParser();
-        const xmlDoc = parser.parseFromString(xmlText, 'text/xml');
+        const xmlDoc = this.parseXMLDocument(xmlText);
         const entries = xmlDoc.querySelectorAll('entry');
         const papers = [];
 
@@ -72,22 +136,27 @@ export class ArxivClient extends BaseAPIClient {
                 // Parse year
                 const year = published ? new Date(published).getFullYear() : null;
 
-                // Get DOI if available
+                // The DOI arXiv lists is the published version's - the preprint has its own DataCite DOI
                 const doiElement = Array.from(entry.querySelectorAll('link')).find(
                     link => link.getAttribute('title') === 'doi'
                 );
-                const doi = doiElement?.getAttribute('href')?.replace('https://doi.org/', '');
+                const publishedDoi = this.getArxivField(entry, 'doi') ||
+                    doiElement?.getAttribute('href')?.replace('https://doi.org/', '');
+                const journalRef = this.getArxivField(entry, 'journal_ref');
 
                 papers.push({
                     title,
                     authors,
                     abstract: summary,
                     year,
-                    doi,
+                    doi: getArxivDoi(arxivId),
+                    related_ids: publishedDoi ? [toVersionId(publishedDoi)].filter(Boolean) : [],
+                    journal_ref: journalRef || null,
                     url: id,
                     pdf_url: pdfUrl,
                     open_access_pdf: pdfUrl,
                     source: 'arXiv',
+                    doc_type: 'preprint',
                     is_open_access: true,
                     citation_count: 0, // arXiv doesn't provide citations
                     journal: 'arXiv (preprint)'
@@ -2,45 +2,288 @@
 // BASE.JS - Base API client for academic databases
 // ============================================================================
 
+import { toParsedQuery, compileQuery, getActiveFields, matchesFieldFilters } from '../query-parser.js';
+import {
+    SourceError,
+    TimeoutError,
+    RateLimitError,
+    HttpError,
+    ParseError,
+    NetworkError,
+    parseRetryAfter
+} from './errors.js';
+import { sharedRateLimiter } from './rate-limiter.js';
+
+export { SourceError, TimeoutError, RateLimitError, HttpError, ParseError, NetworkError };
+
+/**
+ * Default retry policy for transient failures
+ * Backoff is capped at maxDelayMs; a Retry-After delay is honoured as long as it fits the search deadline
+ */
+export const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 3, // Total attempts, including the first
+    baseDelayMs: 500, // Backoff before the 2nd attempt; doubles per attempt
+    maxDelayMs: 8000,
+    retryStatuses: [429, 500, 502, 503, 504]
+};
+
+// Only methods that are safe to repeat are retried
+const IDEMPOTENT_METHODS = ['GET', 'HEAD'];
+
 /**
  * Base class for browser-side academic API clients
  * Provides common functionality for direct CORS-enabled API calls
+ *
+ * Failures are thrown as typed errors (see errors.js) rather than degraded to
+ * an empty result, so callers can report why a source returned nothing:
+ * TimeoutError, RateLimitError, HttpError, ParseError, NetworkError.
+ * Cancellation stays a plain AbortError.
  */
 export class BaseAPIClient {
     constructor(name) {
         this.name = name;
         this.timeout = 15000; // 15 second timeout (increased for reliability)
+        this.supportedFields = []; // Query fields this API can filter on natively
+        this.booleanSyntax = null; // Native Boolean syntax (see BOOLEAN_SYNTAXES), null = keyword only
+        this.retryPolicy = { ...DEFAULT_RETRY_POLICY }; // Override per client (e.g. maxAttempts: 1 disables retries)
+        this.rateLimit = null; // { requestsPerSecond, burst } per API host, null = unlimited
+        this.rateLimiter = sharedRateLimiter; // Shared across clients, searches and enrichment lookups
     }
 
     /**
-     * Make HTTP request with timeout and priority
+     * Normalize a search query argument to a parsed query
+     * Boolean text is compiled to this API's syntax unless the orchestrator already did
+     * @param {string|Object} query - Raw query string or parsed query
+     * @returns {Object} Parsed query (see query-parser.js)
+     */
+    parseQuery(query) {
+        const parsed = toParsedQuery(query);
+        return 'booleanSyntax' in parsed ? parsed : compileQuery(parsed, this.booleanSyntax);
+    }
+
+    /**
+     * Post-filter papers on query fields this API couldn't honour server-side
+     * @param {Array} papers - Normalized papers
+     * @param {string|Object} query - Raw query string or parsed query
+     * @returns {Array} Papers matching all unsupported field constraints
+     */
+    filterUnsupportedFields(papers, query) {
+        const parsed = toParsedQuery(query);
+        const unsupported = getActiveFields(parsed).filter(f => !this.supportedFields.includes(f));
+        if (unsupported.length === 0) return papers;
+
+        return papers.filter(paper => matchesFieldFilters(paper, parsed, unsupported));
+    }
+
+    /**
+     * Make a single HTTP request with timeout and priority
+     * Waits for a rate-limit token for the URL's host first (see rate-limiter.js);
+     * the timeout starts once the request is actually sent
      * @param {string} url - URL to fetch
-     * @param {Object} options - Fetch options
+     * @param {Object} options - Fetch options (options.signal cancels the request,
+     *   options.timeout overrides this.timeout for this attempt)
      * @param {string} priority - Request priority: 'high', 'low', 'auto' (default)
      * @returns {Promise<Response>} Response object
+     * @throws {TimeoutError} If no response arrives within the timeout
+     * @throws {NetworkError} If the request fails outright (offline, DNS, CORS)
      */
     async fetchWithTimeout(url, options = {}, priority = 'auto') {
+        const { signal, timeout = this.timeout, ...fetchOptions } = options;
+
+        // Queued behind other requests to the same host; rejects with an AbortError if cancelled
+        await this.rateLimiter.acquire(new URL(url).host, this.rateLimit, signal);
+
         const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+        const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+        // Forward cancellation from the caller (e.g. a newer search superseding this one)
+        const onAbort = () => controller.abort();
+        if (signal?.aborted) {
+            controller.abort();
+        } else if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
 
         try {
             const response = await fetch(url, {
-                ...options,
+                ...fetchOptions,
                 signal: controller.signal,
                 mode: 'cors',
                 priority // Priority Hints API for faster critical requests
             });
-            clearTimeout(timeoutId);
             return response;
         } catch (error) {
-            clearTimeout(timeoutId);
             if (error.name === 'AbortError') {
-                throw new Error(`${this.name} request timeout after ${this.timeout}ms`);
+                // Caller cancellation stays an AbortError; our own abort means timeout
+                if (signal?.aborted) throw error;
+                throw new TimeoutError(this.name, timeout);
+            }
+            // fetch() rejects with a TypeError for offline, DNS and CORS failures alike
+            if (error instanceof TypeError) {
+                throw new NetworkError(this.name, error);
             }
             throw error;
+        } finally {
+            clearTimeout(timeoutId);
+            signal?.removeEventListener('abort', onAbort);
+        }
+    }
+
+    /**
+     * Make an HTTP request, retrying transient failures per this.retryPolicy
+     * Retries 429/5xx responses and network errors with jittered exponential backoff,
+     * honouring Retry-After. Only idempotent methods are retried, and no retry is
+     * scheduled past options.deadline. The last response is returned as-is, so callers
+     * still run it through assertOk().
+     * @param {string} url - URL to fetch
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Cancels the request and any pending backoff
+     * @param {number} options.deadline - Epoch ms by which the whole search must finish (optional)
+     * @param {Function} options.onRetry - Called before each retry with
+     *   { attempt, maxAttempts, delayMs, reason } (attempt is the upcoming attempt number)
+     * @param {string} options.method - HTTP method (default GET)
+     * @param {string} priority - Request priority: 'high', 'low', 'auto' (default)
+     * @returns {Promise<Response>} Response object
+     */
+    async fetchWithRetry(url, options = {}, priority = 'auto') {
+        const { signal, deadline = null, onRetry = null, method = 'GET', headers, body } = options;
+        const { maxAttempts } = this.retryPolicy;
+        const retryable = IDEMPOTENT_METHODS.includes(method.toUpperCase());
+
+        for (let attempt = 1; ; attempt++) {
+            // Never let a single attempt outlive the search deadline
+            const remaining = deadline !== null ? deadline - Date.now() : Infinity;
+            const timeout = Math.max(0, Math.min(this.timeout, remaining));
+
+            let response = null;
+            let failure = null;
+            try {
+                response = await this.fetchWithTimeout(url, { signal, timeout, method, headers, body }, priority);
+            } catch (error) {
+                if (!(error instanceof NetworkError)) throw error; // Timeouts already used their budget
+                failure = error;
+            }
+
+            if (response && !this.retryPolicy.retryStatuses.includes(response.status)) {
+                return response;
+            }
+
+            const retryAfter = response ? parseRetryAfter(response.headers?.get('Retry-After') ?? null) : null;
+            const delayMs = retryAfter ?? this.getBackoffDelay(attempt);
+            const withinDeadline = deadline === null || Date.now() + delayMs < deadline;
+
+            if (!retryable || attempt >= maxAttempts || !withinDeadline) {
+                if (failure) throw failure;
+                return response;
+            }
+
+            if (onRetry) {
+                onRetry({
+                    attempt: attempt + 1,
+                    maxAttempts,
+                    delayMs,
+                    reason: response ? `HTTP ${response.status}` : 'network error'
+                });
+            }
+
+            await this.wait(delayMs, signal);
         }
     }
 
+    /**
+     * Jittered exponential backoff before the next attempt
+     * Equal jitter: half the exponential delay is fixed, half is random, so
+     * parallel clients hitting the same limit don't retry in lockstep
+     * @param {number} attempt - Attempt that just failed (1-based)
+     * @returns {number} Delay in ms
+     */
+    getBackoffDelay(attempt) {
+        const { baseDelayMs, maxDelayMs } = this.retryPolicy;
+        const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+        return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+    }
+
+    /**
+     * Wait for a delay, rejecting with an AbortError if the signal fires first
+     * @param {number} ms - Delay in ms
+     * @param {AbortSignal} signal - Cancels the wait (optional)
+     * @returns {Promise<void>}
+     */
+    wait(ms, signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new DOMException('Request cancelled', 'AbortError'));
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timeoutId);
+                reject(new DOMException('Request cancelled', 'AbortError'));
+            };
+            const timeoutId = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Throw a typed error for non-2xx responses
+     * 429 (and 503 with Retry-After) become RateLimitError carrying the requested delay
+     * @param {Response} response - Fetch response
+     * @returns {Response} The same response, if ok
+     * @throws {RateLimitError|HttpError}
+     */
+    assertOk(response) {
+        if (response.ok) return response;
+
+        const retryAfterHeader = response.headers?.get('Retry-After') ?? null;
+        if (response.status === 429 || (response.status === 503 && retryAfterHeader)) {
+            throw new RateLimitError(this.name, parseRetryAfter(retryAfterHeader), response.status);
+        }
+        throw new HttpError(this.name, response.status, response.statusText);
+    }
+
+    /**
+     * Read a JSON response body
+     * @param {Response} response - Fetch response
+     * @returns {Promise<Object>} Parsed JSON
+     * @throws {ParseError} If the body is not valid JSON
+     */
+    async readJSON(response) {
+        try {
+            return await response.json();
+        } catch (error) {
+            if (this.isAbortError(error)) throw error;
+            throw new ParseError(this.name, 'returned invalid JSON', error);
+        }
+    }
+
+    /**
+     * Parse an XML response body
+     * @param {string} xmlText - XML string
+     * @returns {Document} Parsed document
+     * @throws {ParseError} If the XML is malformed
+     */
+    parseXMLDocument(xmlText) {
+        const xmlDoc = new DOMParser().parseFromString(xmlText, 'text/xml');
+        if (xmlDoc.getElementsByTagName('parsererror').length > 0) {
+            throw new ParseError(this.name, 'returned malformed XML');
+        }
+        return xmlDoc;
+    }
+
+    /**
+     * Check whether an error comes from a cancelled request
+     * Clients rethrow these instead of degrading to an empty result
+     * @param {Error} error - Caught error
+     * @returns {boolean} True if the request was aborted by the caller
+     */
+    isAbortError(error) {
+        return error?.name === 'AbortError';
+    }
+
     /**
      * Normalize paper object to standard format
      * @param {Object} rawPaper - Raw paper from API
@@ -52,13 +295,50 @@ export class BaseAPIClient {
     }
 
     /**
-     * Search papers
-     * @param {string} query - Search query
+     * Search papers (first page only)
+     * @param {string|Object} query - Search query (raw string or parsed query)
      * @param {number} limit - Max results
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Cancels in-flight requests
      * @returns {Promise<Array>} Array of normalized papers
      */
-    async search(query, limit = 10) {
-        throw new Error('search() must be implemented by subclass');
+    async search(query, limit = 10, options = {}) {
+        const { papers } = await this.searchPage(query, limit, null, options);
+        return papers;
+    }
+
+    /**
+     * Fetch one page of results
+     * Cursors are opaque to callers: pass back the nextCursor from the previous
+     * page (null fetches the first page). A null nextCursor means no more results.
+     * @param {string|Object} query - Search query (raw string or parsed query)
+     * @param {number} limit - Max results per page
+     * @param {*} cursor - Cursor from the previous page, or null for the first page
+     * @param {Object} options - Request options (passed through to fetchWithRetry)
+     * @param {AbortSignal} options.signal - Cancels in-flight requests; rejects with an AbortError
+     * @param {number} options.deadline - Epoch ms after which no retries are scheduled
+     * @param {Function} options.onRetry - Notified before each retry
+     * @returns {Promise<Object>} { papers, nextCursor }
+     * @throws {SourceError} On timeout, rate limiting, HTTP, network or parse failures
+     */
+    async searchPage(query, limit = 10, cursor = null, options = {}) {
+        throw new Error('searchPage() must be implemented by subclass');
+    }
+
+    /**
+     * Decide whether another page exists
+     * Uses the API's total hit count when available, otherwise assumes more
+     * results while pages come back full
+     * @param {number} fetched - Results fetched so far, including this page
+     * @param {number} received - Results in this page
+     * @param {number} limit - Page size requested
+     * @param {number} total - Total hits reported by the API (optional)
+     * @returns {boolean} True if a next page should be requested
+     */
+    hasMoreResults(fetched, received, limit, total) {
+        if (received === 0) return false;
+        const count = parseInt(total);
+        return Number.isFinite(count) ? fetched < count : received >= limit;
     }
 
     /**
@@ -4,43 +4,195 @@
 // API Docs: https://www.crossref.org/documentation/retrieve-metadata/rest-api/
 
 import BaseAPIClient from './base.js';
+import { getKeywordText } from '../query-parser.js';
+import { normalizeAbstract } from '../abstracts.js';
+import { normalizeDocType } from '../doc-types.js';
+import { normalizeLanguage } from '../utils.js';
+import { toVersionId, normalizeArxivId } from '../versions.js';
+
+const CROSSREF_SELECT = 'DOI,title,author,published,abstract,container-title,is-referenced-by-count,URL,link,type,language,relation';
+const CROSSREF_MAILTO = 'sourcecrate@example.com'; // Polite pool for better performance
+const BOOK_TYPES = ['book', 'monograph', 'edited-book', 'reference-book'];
+// relation types that link a preprint and its published version (either direction)
+const VERSION_RELATIONS = ['is-preprint-of', 'has-preprint'];
 
 export class CrossRefClient extends BaseAPIClient {
     constructor() {
         super('CrossRef');
         this.baseUrl = 'https://api.crossref.org/works';
         this.timeout = 30000; // CrossRef can be slow, increase to 30s
+        this.supportedFields = ['author', 'title', 'venue', 'year', 'doi'];
+        this.rateLimit = { requestsPerSecond: 50 }; // Polite pool limit: 50 requests/second
+        this.doiBatchSize = 20; // DOIs per filter=doi:a,doi:b request
+    }
+
+    /**
+     * Build CrossRef query parameters from a parsed query
+     * Free text -> query, author -> query.author, title -> query.bibliographic,
+     * venue -> query.container-title, year/DOI -> filter
+     * @param {Object} parsed - Parsed query
+     * @returns {Object} Query parameters
+     */
+    buildQueryParams(parsed) {
+        const params = {};
+
+        const text = getKeywordText(parsed, this.supportedFields);
+        if (text) params.query = text;
+
+        if (parsed.fields.author.length > 0) {
+            params['query.author'] = parsed.fields.author.join(' ');
+        }
+        if (parsed.fields.title.length > 0) {
+            params['query.bibliographic'] = parsed.fields.title.join(' ');
+        }
+        if (parsed.fields.venue.length > 0) {
+            params['query.container-title'] = parsed.fields.venue.join(' ');
+        }
+
+        const filters = [];
+        if (parsed.fields.year?.from) filters.push(`from-pub-date:${parsed.fields.year.from}`);
+        if (parsed.fields.year?.to) filters.push(`until-pub-date:${parsed.fields.year.to}`);
+        if (parsed.fields.doi) filters.push(`doi:${parsed.fields.doi}`);
+        if (filters.length > 0) params.filter = filters.join(',');
+
+        return params;
     }
 
     /**
      * Search CrossRef papers
-     * @param {string} query - Search query
-     * @param {number} limit - Max results
-     * @returns {Promise<Array>} Array of papers
+     * @param {string|Object} query - Search query (raw string or parsed query)
+     * @param {number} limit - Max results per page
+     * @param {string|null} cursor - Deep-paging cursor (next-cursor from previous page)
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Cancels in-flight requests
+     * @returns {Promise<Object>} { papers, nextCursor }
      */
-    async search(query, limit = 10) {
-        try {
-            const params = new URLSearchParams({
-                query: query,
-                rows: limit,
-                select: 'DOI,title,author,published,abstract,container-title,is-referenced-by-count,URL,link',
-                mailto: 'sourcecrate@example.com' // Polite pool for better performance
-            });
+    async searchPage(query, limit = 10, cursor = null, options = {}) {
+        const parsed = this.parseQuery(query);
+        const params = new URLSearchParams({
+            ...this.buildQueryParams(parsed),
+            rows: limit,
+            cursor: cursor || '*', // Deep paging: '*' starts a new cursor
+            select: CROSSREF_SELECT,
+            mailto: CROSSREF_MAILTO
+        });
 
-            const url = `${this.baseUrl}?${params}`;
-            const response = await this.fetchWithTimeout(url, {}, 'high'); // High priority: fast, reliable source
+        const url = `${this.baseUrl}?${params}`;
+        const response = await this.fetchWithRetry(url, options, 'high'); // High priority: fast, reliable source
+        this.assertOk(response);
 
-            if (!response.ok) {
-                console.warn(`[CrossRef] HTTP ${response.status}`);
-                return [];
-            }
+        const data = await this.readJSON(response);
+        const papers = this.parseCrossRefResponse(data);
+
+        // CrossRef keeps returning a next-cursor after the last page, so stop on a short page
+        const received = data.message?.items?.length || 0;
+        const nextCursor = received >= limit ? data.message['next-cursor'] || null : null;
 
-            const data = await response.json();
-            return this.parseCrossRefResponse(data);
-        } catch (error) {
-            console.error(`[CrossRef] Search error:`, error);
+        return { papers, nextCursor };
+    }
+
+    /**
+     * Resolve an identifier directly: DOIs via works/{doi}, ISBNs via filter=isbn:
+     * @param {Object} identifier - { type, value } (see identifiers.js)
+     * @param {Object} options - Request options (see searchPage)
+     * @returns {Promise<Array>} Matching papers (empty if not found)
+     */
+    async lookupIdentifier(identifier, options = {}) {
+        let url;
+        if (identifier.type === 'doi') {
+            url = `${this.baseUrl}/${encodeURIComponent(identifier.value)}?mailto=${CROSSREF_MAILTO}`;
+        } else if (identifier.type === 'isbn') {
+            const params = new URLSearchParams({
+                filter: `isbn:${identifier.value}`,
+                rows: 20,
+                select: CROSSREF_SELECT,
+                mailto: CROSSREF_MAILTO
+            });
+            url = `${this.baseUrl}?${params}`;
+        } else {
             return [];
         }
+
+        const response = await this.fetchWithRetry(url, options, 'high');
+        if (response.status === 404) return [];
+        this.assertOk(response);
+
+        const data = await this.readJSON(response);
+        if (identifier.type === 'isbn') {
+            // Chapters share their book's ISBN - prefer the book record itself
+            const items = data.message?.items || [];
+            const book = items.find(item => BOOK_TYPES.includes(item.type)) || items[0];
+            return this.parseCrossRefResponse({ message: { items: book ? [book] : [] } });
+        }
+
+        // works/{doi} returns the work itself as the message rather than a list
+        return this.parseCrossRefResponse({ message: { items: data.message ? [data.message] : [] } });
+    }
+
+    /**
+     * Fetch abstracts for a batch of DOIs (doi filters are ORed)
+     * @param {Array<string>} dois - DOIs (at most doiBatchSize)
+     * @param {Object} options - Request options (see searchPage)
+     * @returns {Promise<Map>} Lowercased DOI -> abstract text, for the works that have one
+     */
+    async lookupAbstracts(dois, options = {}) {
+        // Commas separate filters, so such DOIs can't be batched
+        const batch = dois.filter(doi => !doi.includes(','));
+        const abstracts = new Map();
+        if (batch.length === 0) return abstracts;
+
+        const params = new URLSearchParams({
+            filter: batch.map(doi => `doi:${doi}`).join(','),
+            rows: batch.length,
+            select: 'DOI,abstract',
+            mailto: CROSSREF_MAILTO
+        });
+
+        const response = await this.fetchWithRetry(`${this.baseUrl}?${params}`, options, 'low');
+        this.assertOk(response);
+
+        const data = await this.readJSON(response);
+        (data.message?.items || []).forEach(item => {
+            const abstract = normalizeAbstract(item.abstract);
+            if (item.DOI && abstract) abstracts.set(item.DOI.toLowerCase(), abstract);
+        });
+        return abstracts;
+    }
+
+    /**
+     * Find the works a free-text citation most likely refers to via query.bibliographic
+     * @param {string} citation - Reference string, as pasted
+     * @param {number} limit - Max candidates
+     * @param {Object} options - Request options (see searchPage)
+     * @returns {Promise<Array>} Candidate papers, best match first
+     */
+    async searchBibliographic(citation, limit = 5, options = {}) {
+        const params = new URLSearchParams({
+            'query.bibliographic': citation,
+            rows: limit,
+            select: CROSSREF_SELECT,
+            mailto: CROSSREF_MAILTO
+        });
+
+        const response = await this.fetchWithRetry(`${this.baseUrl}?${params}`, options, 'high');
+        this.assertOk(response);
+
+        return this.parseCrossRefResponse(await this.readJSON(response));
+    }
+
+    /**
+     * Get the identifiers of the other versions a work's relations name
+     * @param {Object} item - CrossRef work
+     * @returns {Array<string>} Version identifiers (see versions.js)
+     */
+    getVersionRelations(item) {
+        return VERSION_RELATIONS
+            .flatMap(relation => item.relation?.[relation] || [])
+            .filter(related => ['doi', 'arxiv', 'uri'].includes(related['id-type']))
+            .map(related => related['id-type'] === 'arxiv'
+                ? `arxiv:${normalizeArxivId(related.id)}`
+                : toVersionId(related.id))
+            .filter(Boolean);
     }
 
     /**
@@ -84,12 +236,15 @@ export class CrossRefClient extends BaseAPIClient {
                 return {
                     title: item.title?.[0],
                     authors,
-                    abstract: item.abstract,
+                    abstract: normalizeAbstract(item.abstract), // JATS XML -> text
                     year,
                     doi: item.DOI,
+                    related_ids: this.getVersionRelations(item),
                     url: item.URL,
                     pdf_url: pdfUrl,
                     source: 'CrossRef',
+                    doc_type: normalizeDocType(item.type), // journal-article, posted-content, book-chapter...
+                    language: normalizeLanguage(item.language),
                     is_open_access: false, // CrossRef doesn't reliably indicate OA
                     citation_count: item['is-referenced-by-count'] || 0,
                     journal: item['container-title']?.[0]
@@ -5,41 +5,72 @@
 // Rate Limits: Unlimited with reasonable use
 
 import BaseAPIClient from './base.js';
+import { buildLuceneQuery } from '../query-parser.js';
+import { normalizeDocType } from '../doc-types.js';
+import { normalizeLanguage } from '../utils.js';
 
 export class DataCiteClient extends BaseAPIClient {
     constructor() {
         super('DataCite');
         this.baseUrl = 'https://api.datacite.org/dois';
+        this.fieldMap = {
+            author: 'creators.name',
+            title: 'titles.title',
+            venue: 'publisher',
+            year: 'publicationYear',
+            doi: 'doi'
+        };
+        this.supportedFields = Object.keys(this.fieldMap);
+        this.booleanSyntax = 'lucene';
     }
 
     /**
      * Search DataCite DOIs
-     * @param {string} query - Search query
-     * @param {number} limit - Max results
-     * @returns {Promise<Array>} Array of papers
+     * @param {string|Object} query - Search query (raw string or parsed query)
+     * @param {number} limit - Max results per page
+     * @param {number|null} cursor - Page number (1-based)
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Cancels in-flight requests
+     * @returns {Promise<Object>} { papers, nextCursor }
      */
-    async search(query, limit = 10) {
-        try {
-            const params = new URLSearchParams({
-                query: query,
-                'page[size]': limit,
-                'page[number]': 1
-            });
-
-            const url = `${this.baseUrl}?${params}`;
-            const response = await this.fetchWithTimeout(url);
-
-            if (!response.ok) {
-                console.warn(`[DataCite] HTTP ${response.status}`);
-                return [];
-            }
+    async searchPage(query, limit = 10, cursor = null, options = {}) {
+        const params = new URLSearchParams({
+            query: buildLuceneQuery(this.parseQuery(query), this.fieldMap),
+            'page[size]': limit,
+            'page[number]': cursor || 1
+        });
+
+        const url = `${this.baseUrl}?${params}`;
+        const response = await this.fetchWithRetry(url, options);
+        this.assertOk(response);
+
+        const data = await this.readJSON(response);
+        const papers = this.parseDataCiteResponse(data);
+
+        const page = cursor || 1;
+        const received = data.data?.length || 0;
+        const hasMore = this.hasMoreResults((page - 1) * limit + received, received, limit, data.meta?.total);
+
+        return { papers, nextCursor: hasMore ? page + 1 : null };
+    }
+
+    /**
+     * Resolve a DOI directly via dois/{doi}
+     * @param {Object} identifier - { type, value } (see identifiers.js)
+     * @param {Object} options - Request options (see searchPage)
+     * @returns {Promise<Array>} Matching papers (empty if not found)
+     */
+    async lookupIdentifier(identifier, options = {}) {
+        if (identifier.type !== 'doi') return [];
+
+        const url = `${this.baseUrl}/${encodeURIComponent(identifier.value)}`;
+        const response = await this.fetchWithRetry(url, options);
+        if (response.status === 404) return [];
+        this.assertOk(response);
 
-            const data = await response.json();
-            return this.parseDataCiteResponse(data);
-        } catch (error) {
-            console.error(`[DataCite] Search error:`, error);
-            return [];
-        }
+        // A single record comes back as data rather than a list
+        const data = await this.readJSON(response);
+        return this.parseDataCiteResponse({ data: data.data ? [data.data] : [] });
     }
 
     /**
@@ -77,6 +108,9 @@ export class DataCiteClient extends BaseAPIClient {
                     pdf_url: null, // DataCite focuses on metadata, not PDFs
                     open_access_pdf: null,
                     source: 'DataCite',
+                    // resourceTypeGeneral is controlled (Dataset, Software, Preprint); resourceType is free text
+                    doc_type: normalizeDocType([attributes.types?.resourceTypeGeneral, attributes.types?.resourceType]),
+                    language: normalizeLanguage(attributes.language),
                     is_open_access: false,
                     citation_count: parseInt(item.meta?.citationCount) || 0,
                     journal: attributes.publisher
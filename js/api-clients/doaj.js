@@ -4,40 +4,52 @@
 // API Docs: https://doaj.org/api/v4/docs
 
 import BaseAPIClient from './base.js';
+import { buildLuceneQuery } from '../query-parser.js';
+import { normalizeLicense } from '../open-access.js';
 
 export class DOAJClient extends BaseAPIClient {
     constructor() {
         super('DOAJ');
         this.baseUrl = 'https://doaj.org/api/v4/search/articles/_search';
+        this.fieldMap = {
+            author: 'bibjson.author.name',
+            title: 'bibjson.title',
+            venue: 'bibjson.journal.title',
+            year: 'bibjson.year',
+            doi: 'doi'
+        };
+        this.supportedFields = Object.keys(this.fieldMap);
+        this.booleanSyntax = 'lucene';
     }
 
     /**
      * Search DOAJ papers
-     * @param {string} query - Search query
-     * @param {number} limit - Max results
-     * @returns {Promise<Array>} Array of papers
+     * @param {string|Object} query - Search query (raw string or parsed query)
+     * @param {number} limit - Max results per page
+     * @param {number|null} cursor - Page number (1-based)
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Cancels in-flight requests
+     * @returns {Promise<Object>} { papers, nextCursor }
      */
-    async search(query, limit = 10) {
-        try {
-            const params = new URLSearchParams({
-                q: query,
-                pageSize: limit
-            });
+    async searchPage(query, limit = 10, cursor = null, options = {}) {
+        const params = new URLSearchParams({
+            q: buildLuceneQuery(this.parseQuery(query), this.fieldMap),
+            page: cursor || 1,
+            pageSize: limit
+        });
 
-            const url = `${this.baseUrl}?${params}`;
-            const response = await this.fetchWithTimeout(url);
+        const url = `${this.baseUrl}?${params}`;
+        const response = await this.fetchWithRetry(url, options);
+        this.assertOk(response);
 
-            if (!response.ok) {
-                console.warn(`[DOAJ] HTTP ${response.status}`);
-                return [];
-            }
+        const data = await this.readJSON(response);
+        const papers = this.parseDOAJResponse(data);
+
+        const page = cursor || 1;
+        const received = data.results?.length || 0;
+        const hasMore = this.hasMoreResults((page - 1) * limit + received, received, limit, data.total);
 
-            const data = await response.json();
-            return this.parseDOAJResponse(data);
-        } catch (error) {
-            console.error(`[DOAJ] Search error:`, error);
-            return [];
-        }
+        return { papers, nextCursor: hasMore ? page + 1 : null };
     }
 
     /**
@@ -74,7 +86,10 @@ export class DOAJClient extends BaseAPIClient {
                     pdf_url: pdfLink?.url || null,
                     open_access_pdf: pdfLink?.url || null,
                     source: 'DOAJ',
+                    doc_type: 'article', // DOAJ indexes journal articles only
                     is_open_access: true, // All DOAJ articles are open access
+                    oa_status: 'gold', // ...published in fully open-access journals
+                    license: normalizeLicense(bibjson.license?.[0]?.type || bibjson.license?.[0]?.url),
                     citation_count: 0,
                     journal: bibjson.journal?.title
                 };
@@ -0,0 +1,144 @@
+// ============================================================================
+// ERRORS.JS - Typed errors for API client failures
+// ============================================================================
+// Clients throw these instead of returning [] so the orchestrator can tell
+// "no hits" apart from a timeout, rate limit, HTTP error, CORS/network failure
+// or an unreadable response, and report it per source.
+
+/**
+ * Base class for all source failures
+ */
+export class SourceError extends Error {
+    /**
+     * @param {string} source - Source display name (e.g. 'PubMed')
+     * @param {string} message - Error message
+     * @param {Object} options - Options
+     * @param {Error} options.cause - Underlying error
+     */
+    constructor(source, message, options = {}) {
+        super(message, options.cause ? { cause: options.cause } : undefined);
+        this.name = 'SourceError';
+        this.type = 'unknown';
+        this.source = source;
+    }
+}
+
+/**
+ * Request exceeded the client timeout
+ */
+export class TimeoutError extends SourceError {
+    constructor(source, timeoutMs) {
+        super(source, `${source} request timeout after ${timeoutMs}ms`);
+        this.name = 'TimeoutError';
+        this.type = 'timeout';
+        this.timeoutMs = timeoutMs;
+    }
+}
+
+/**
+ * API rejected the request for exceeding its rate limit (HTTP 429)
+ */
+export class RateLimitError extends SourceError {
+    /**
+     * @param {string} source - Source display name
+     * @param {number|null} retryAfterMs - Delay requested by Retry-After, if any
+     * @param {number} status - HTTP status
+     */
+    constructor(source, retryAfterMs = null, status = 429) {
+        const wait = retryAfterMs !== null ? ` (retry after ${Math.ceil(retryAfterMs / 1000)}s)` : '';
+        super(source, `${source} rate limited${wait}`);
+        this.name = 'RateLimitError';
+        this.type = 'rate_limit';
+        this.status = status;
+        this.retryAfter = retryAfterMs;
+    }
+}
+
+/**
+ * API answered with a non-2xx status
+ */
+export class HttpError extends SourceError {
+    constructor(source, status, statusText = '') {
+        super(source, `${source} HTTP ${status}${statusText ? ` ${statusText}` : ''}`);
+        this.name = 'HttpError';
+        this.type = 'http';
+        this.status = status;
+    }
+}
+
+/**
+ * Response body could not be parsed (invalid JSON/XML)
+ */
+export class ParseError extends SourceError {
+    constructor(source, message = 'Invalid response', cause = null) {
+        super(source, `${source} ${message}`, { cause });
+        this.name = 'ParseError';
+        this.type = 'parse';
+    }
+}
+
+/**
+ * Request never got a response: offline, DNS failure or blocked by CORS
+ * (browsers report all of these as the same opaque TypeError)
+ */
+export class NetworkError extends SourceError {
+    constructor(source, cause = null) {
+        super(source, `${source} network error (offline or blocked by CORS)`, { cause });
+        this.name = 'NetworkError';
+        this.type = 'network';
+    }
+}
+
+/**
+ * Source skipped because its circuit breaker is open (see source-health.js)
+ */
+export class CircuitOpenError extends SourceError {
+    /**
+     * @param {string} source - Source display name
+     * @param {number} retryInMs - Remaining cool-down before the source is probed again
+     */
+    constructor(source, retryInMs) {
+        const wait = retryInMs > 0 ? ` (retry in ${Math.ceil(retryInMs / 1000)}s)` : '';
+        super(source, `${source} skipped after repeated failures${wait}`);
+        this.name = 'CircuitOpenError';
+        this.type = 'circuit_open';
+        this.retryAfter = retryInMs;
+    }
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @param {number} now - Current time in ms (for HTTP dates)
+ * @returns {number|null} Delay in ms, or null if missing/invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+    if (!value) return null;
+
+    const trimmed = value.trim();
+    if (/^\d+$/.test(trimmed)) {
+        return parseInt(trimmed, 10) * 1000;
+    }
+
+    const date = Date.parse(trimmed);
+    if (Number.isNaN(date)) return null;
+    return Math.max(0, date - now);
+}
+
+/**
+ * Describe a source failure as a plain object for callbacks and the UI
+ * @param {string} source - Source id (e.g. 'pubmed')
+ * @param {Error} error - Caught error
+ * @param {string} name - Source display name (defaults to the error's source or id)
+ * @returns {Object} { source, name, type, message, status, retryAfter }
+ */
+export function describeSourceError(source, error, name = null) {
+    return {
+        source,
+        name: name || error?.source || source,
+        type: error instanceof SourceError ? error.type : 'unknown',
+        message: error?.message || String(error),
+        status: error?.status ?? null,
+        retryAfter: error?.retryAfter ?? null
+    };
+}
@@ -7,46 +7,61 @@
 //       The client handles errors gracefully and won't block other sources.
 
 import BaseAPIClient from './base.js';
+import { buildLuceneQuery } from '../query-parser.js';
+import { normalizeDocType } from '../doc-types.js';
+import { normalizeLanguage } from '../utils.js';
+import { normalizeLicense } from '../open-access.js';
 
 export class EuropePMCClient extends BaseAPIClient {
     constructor() {
         super('Europe PMC');
         this.baseUrl = 'https://www.ebi.ac.uk/europepmc/webservices/rest/search';
+        this.fieldMap = {
+            author: 'AUTH',
+            title: 'TITLE',
+            venue: 'JOURNAL',
+            year: 'PUB_YEAR',
+            doi: 'DOI'
+        };
+        this.supportedFields = Object.keys(this.fieldMap);
+        this.booleanSyntax = 'boolean';
         // Alternative endpoint to try if main fails:
         // 'https://europepmc.org/webservices/rest/search'
     }
 
     /**
      * Search Europe PMC papers
-     * @param {string} query - Search query
-     * @param {number} limit - Max results
-     * @returns {Promise<Array>} Array of papers
+     * @param {string|Object} query - Search query (raw string or parsed query)
+     * @param {number} limit - Max results per page
+     * @param {string|null} cursor - cursorMark from the previous page
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Cancels in-flight requests
+     * @returns {Promise<Object>} { papers, nextCursor }
      */
-    async search(query, limit = 10) {
-        try {
-            const params = new URLSearchParams({
-                query: query,
-                format: 'json',
-                pageSize: limit,
-                resultType: 'core'
-            });
+    async searchPage(query, limit = 10, cursor = null, options = {}) {
+        const params = new URLSearchParams({
+            query: buildLuceneQuery(this.parseQuery(query), this.fieldMap, {
+                formatYear: (from, to) => `PUB_YEAR:[${from || 1800} TO ${to || 3000}]`
+            }),
+            format: 'json',
+            pageSize: limit,
+            cursorMark: cursor || '*', // Cursor paging: '*' starts a new cursor
+            resultType: 'core'
+        });
 
-            const url = `${this.baseUrl}?${params}`;
-            const response = await this.fetchWithTimeout(url);
+        const url = `${this.baseUrl}?${params}`;
+        const response = await this.fetchWithRetry(url, options);
+        this.assertOk(response);
 
-            if (!response.ok) {
-                // Log warning but don't fail - graceful degradation
-                console.warn(`[Europe PMC] HTTP ${response.status} - API may be temporarily unavailable`);
-                return [];
-            }
+        const data = await this.readJSON(response);
+        const papers = this.parseEuropePMCResponse(data);
+
+        // The cursor stops advancing once the last page has been served
+        const received = data.resultList?.result?.length || 0;
+        const next = data.nextCursorMark;
+        const nextCursor = received >= limit && next && next !== (cursor || '*') ? next : null;
 
-            const data = await response.json();
-            return this.parseEuropePMCResponse(data);
-        } catch (error) {
-            // Gracefully handle errors - don't block other sources
-            console.warn(`[Europe PMC] Skipping source due to error:`, error.message);
-            return [];
-        }
+        return { papers, nextCursor };
     }
 
     /**
@@ -83,7 +98,11 @@ export class EuropePMCClient extends BaseAPIClient {
                     pdf_url: pdfUrl || null,
                     open_access_pdf: pdfUrl || null,
                     source: 'Europe PMC',
+                    // PPR records come from preprint servers
+                    doc_type: item.source === 'PPR' ? 'preprint' : normalizeDocType(item.pubTypeList?.pubType),
+                    language: normalizeLanguage(item.language),
                     is_open_access: item.isOpenAccess === 'Y',
+                    license: normalizeLicense(item.license), // "cc by", "cc by-nc-nd"
                     citation_count: parseInt(item.citedByCount) || 0,
                     journal: item.journalTitle
                 };
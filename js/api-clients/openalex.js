@@ -4,41 +4,161 @@
 // API Docs: https://docs.openalex.org/
 
 import BaseAPIClient from './base.js';
+import { getKeywordText } from '../query-parser.js';
+import { rebuildInvertedIndex } from '../abstracts.js';
+import { normalizeDocType } from '../doc-types.js';
+import { normalizeLanguage } from '../utils.js';
+import { normalizeOaStatus, normalizeLicense } from '../open-access.js';
+import { toVersionId } from '../versions.js';
 
 export class OpenAlexClient extends BaseAPIClient {
     constructor() {
         super('OpenAlex');
         this.baseUrl = 'https://api.openalex.org/works';
+        this.supportedFields = ['author', 'title', 'year', 'doi'];
+        this.booleanSyntax = 'lucene';
+        this.rateLimit = { requestsPerSecond: 10 }; // Documented limit: 10 requests/second
+        this.doiBatchSize = 50; // OpenAlex ORs up to 100 filter values; keep URLs short
+    }
+
+    /**
+     * Build OpenAlex query parameters from a parsed query
+     * Free text -> search, fields -> filter (comma-separated, ANDed)
+     * @param {Object} parsed - Parsed query
+     * @returns {Object} Query parameters
+     */
+    buildQueryParams(parsed) {
+        const params = {};
+
+        const text = getKeywordText(parsed, this.supportedFields);
+        if (text) params.search = text;
+
+        // Commas separate filters in OpenAlex, so strip them from values
+        const clean = value => value.replace(/,/g, ' ');
+        const filters = [];
+        parsed.fields.author.forEach(name => filters.push(`raw_author_name.search:${clean(name)}`));
+        parsed.fields.title.forEach(term => filters.push(`title.search:${clean(term)}`));
+        if (parsed.fields.doi) filters.push(`doi:https://doi.org/${parsed.fields.doi}`);
+
+        if (parsed.fields.year) {
+            const { from, to } = parsed.fields.year;
+            if (from && to) {
+                filters.push(`publication_year:${from}-${to}`);
+            } else if (from) {
+                filters.push(`from_publication_date:${from}-01-01`);
+            } else {
+                filters.push(`to_publication_date:${to}-12-31`);
+            }
+        }
+
+        if (filters.length > 0) params.filter = filters.join(',');
+
+        return params;
     }
 
     /**
      * Search OpenAlex papers
-     * @param {string} query - Search query
-     * @param {number} limit - Max results
-     * @returns {Promise<Array>} Array of papers
+     * @param {string|Object} query - Search query (raw string or parsed query)
+     * @param {number} limit - Max results per page
+     * @param {string|null} cursor - Cursor from meta.next_cursor of the previous page
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Cancels in-flight requests
+     * @returns {Promise<Object>} { papers, nextCursor }
      */
-    async search(query, limit = 10) {
-        try {
-            const params = new URLSearchParams({
-                search: query,
-                'per-page': limit,
-                mailto: 'research@sourcecrate.org' // Polite pool requires email
-            });
-
-            const url = `${this.baseUrl}?${params}`;
-            const response = await this.fetchWithTimeout(url);
-
-            if (!response.ok) {
-                console.warn(`[OpenAlex] HTTP ${response.status}`);
-                return [];
+    async searchPage(query, limit = 10, cursor = null, options = {}) {
+        const params = new URLSearchParams({
+            ...this.buildQueryParams(this.parseQuery(query)),
+            'per-page': limit,
+            cursor: cursor || '*', // Cursor paging: '*' starts a new cursor
+            mailto: 'research@sourcecrate.org' // Polite pool requires email
+        });
+
+        const url = `${this.baseUrl}?${params}`;
+        const response = await this.fetchWithRetry(url, options);
+        this.assertOk(response);
+
+        const data = await this.readJSON(response);
+        const papers = this.parseOpenAlexResponse(data);
+        const received = data.results?.length || 0;
+
+        return { papers, nextCursor: received > 0 ? data.meta?.next_cursor || null : null };
+    }
+
+    /**
+     * Look up citation counts for a batch of DOIs with one filter=doi:a|b|c request
+     * @param {Array<string>} dois - DOIs (at most doiBatchSize)
+     * @param {Object} options - Request options (see searchPage)
+     * @returns {Promise<Map>} Lowercased DOI -> cited_by_count, for the DOIs OpenAlex knows
+     */
+    async lookupCitationCounts(dois, options = {}) {
+        // Commas and pipes separate filters and values, so such DOIs can't be batched
+        const batch = dois.filter(doi => !/[,|]/.test(doi));
+        const counts = new Map();
+        if (batch.length === 0) return counts;
+
+        const params = new URLSearchParams({
+            filter: `doi:${batch.join('|')}`,
+            select: 'doi,cited_by_count',
+            'per-page': batch.length,
+            mailto: 'research@sourcecrate.org'
+        });
+
+        const response = await this.fetchWithRetry(`${this.baseUrl}?${params}`, options, 'low');
+        this.assertOk(response);
+
+        const data = await this.readJSON(response);
+        (data.results || []).forEach(item => {
+            const doi = item.doi?.replace('https://doi.org/', '').toLowerCase();
+            if (doi && typeof item.cited_by_count === 'number') {
+                counts.set(doi, item.cited_by_count);
             }
+        });
+        return counts;
+    }
 
-            const data = await response.json();
-            return this.parseOpenAlexResponse(data);
-        } catch (error) {
-            console.error(`[OpenAlex] Search error:`, error);
-            return [];
-        }
+    /**
+     * Fetch abstracts for a batch of DOIs with one filter=doi:a|b|c request
+     * @param {Array<string>} dois - DOIs (at most doiBatchSize)
+     * @param {Object} options - Request options (see searchPage)
+     * @returns {Promise<Map>} Lowercased DOI -> abstract text, for the works that have one
+     */
+    async lookupAbstracts(dois, options = {}) {
+        const batch = dois.filter(doi => !/[,|]/.test(doi));
+        const abstracts = new Map();
+        if (batch.length === 0) return abstracts;
+
+        const params = new URLSearchParams({
+            filter: `doi:${batch.join('|')}`,
+            select: 'doi,abstract_inverted_index',
+            'per-page': batch.length,
+            mailto: 'research@sourcecrate.org'
+        });
+
+        const response = await this.fetchWithRetry(`${this.baseUrl}?${params}`, options, 'low');
+        this.assertOk(response);
+
+        const data = await this.readJSON(response);
+        (data.results || []).forEach(item => {
+            const doi = item.doi?.replace('https://doi.org/', '').toLowerCase();
+            const abstract = rebuildInvertedIndex(item.abstract_inverted_index);
+            if (doi && abstract) abstracts.set(doi, abstract);
+        });
+        return abstracts;
+    }
+
+    /**
+     * Get the identifiers of the other versions among a work's locations
+     * OpenAlex often files a preprint and its journal article as one work
+     * @param {Object} item - OpenAlex work
+     * @param {string|null} doi - The work's own DOI
+     * @returns {Array<string>} Version identifiers (see versions.js)
+     */
+    getLocationVersions(item, doi) {
+        const ownId = toVersionId(doi);
+        const ids = (item.locations || [])
+            .map(location => toVersionId(location.landing_page_url))
+            .filter(id => id && id !== ownId);
+        return [...new Set(ids)];
     }
 
     /**
@@ -69,14 +189,19 @@ export class OpenAlexClient extends BaseAPIClient {
                 return {
                     title: item.title,
                     authors,
-                    abstract: item.abstract_inverted_index ? this.reconstructAbstract(item.abstract_inverted_index) : null,
+                    abstract: rebuildInvertedIndex(item.abstract_inverted_index),
                     year,
                     doi,
+                    related_ids: this.getLocationVersions(item, doi),
                     url: item.id,
                     pdf_url: pdfUrl,
                     open_access_pdf: pdfUrl,
                     source: 'OpenAlex',
+                    doc_type: normalizeDocType(item.type),
+                    language: normalizeLanguage(item.language),
                     is_open_access: item.open_access?.is_oa || false,
+                    oa_status: normalizeOaStatus(item.open_access?.oa_status),
+                    license: normalizeLicense(item.best_oa_location?.license || item.primary_location?.license),
                     citation_count: item.cited_by_count || 0,
                     journal
                 };
@@ -86,25 +211,6 @@ export class OpenAlexClient extends BaseAPIClient {
             }
         }).filter(Boolean);
     }
-
-    /**
-     * Reconstruct abstract from inverted index
-     * @param {Object} invertedIndex - Inverted index
-     * @returns {string} Reconstructed abstract
-     */
-    reconstructAbstract(invertedIndex) {
-        try {
-            const words = [];
-            for (const [word, positions] of Object.entries(invertedIndex)) {
-                positions.forEach(pos => {
-                    words[pos] = word;
-                });
-            }
-            return words.filter(Boolean).join(' ').substring(0, 500); // Limit to 500 chars
-        } catch {
-            return null;
-        }
-    }
 }
 
 export default OpenAlexClient;
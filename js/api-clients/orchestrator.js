@@ -4,39 +4,37 @@
 // Coordinates parallel searches across multiple CORS-enabled academic APIs
 // Uses dynamic imports to load API clients only when needed (-40KB initial load)
 
+import { toParsedQuery, compileQuery } from '../query-parser.js';
+import { describeSourceError, CircuitOpenError } from './errors.js';
+import { SourceHealthTracker } from './source-health.js';
+import { getSource, getDefaultSourceIds, getIdentifierSourceIds, getAbstractSourceIds, loadSourceClient } from './registry.js';
+
 /**
- * Default sources list - SINGLE SOURCE OF TRUTH
- * All available academic sources configured for client-side search
- * Note: Some sources may need to be filtered out for CORS compatibility
+ * Overall time budget for a search (ms). Retries are only scheduled while they
+ * fit inside it, so a struggling source can't hold the results open indefinitely
  */
-export const defaultSources = [
-    'arxiv',
-    'crossref',
-    'pubmed',
-    'openalex',
-    'doaj',
-    'europepmc',
-    'semanticscholar',
-    'unpaywall',
-    'datacite',
-    'zenodo'
-];
+export const DEFAULT_SEARCH_DEADLINE_MS = 30000;
 
 /**
  * Client-side search orchestrator for CORS-enabled sources
  * Runs searches in parallel directly from the browser
  */
 export class ClientSearchOrchestrator {
-    constructor() {
+    /**
+     * @param {Object} options - Options
+     * @param {SourceHealthTracker} options.health - Health tracker / circuit breaker
+     *   (defaults to one persisted in IndexedDB)
+     */
+    constructor(options = {}) {
         // Lazy-loaded clients (loaded on first search via dynamic import -40KB initial)
         this.clients = {};
         this.clientPromises = {}; // Track loading promises to avoid duplicate imports
-        this.defaultSources = defaultSources;
+        this.health = options.health || new SourceHealthTracker();
     }
 
     /**
-     * Dynamically load and cache an API client
-     * @param {string} sourceName - Name of the source (e.g., 'arxiv')
+     * Dynamically load and cache an API client through the source registry
+     * @param {string} sourceName - Registered source id (e.g., 'arxiv')
      * @returns {Promise<Object>} Client instance
      */
     async getClient(sourceName) {
@@ -53,44 +51,16 @@ export class ClientSearchOrchestrator {
         // Start loading the client module
         this.clientPromises[sourceName] = (async () => {
             try {
-                let ClientClass;
-                switch (sourceName) {
-                    case 'arxiv':
-                        ClientClass = (await import('./arxiv.js')).default;
-                        break;
-                    case 'crossref':
-                        ClientClass = (await import('./crossref.js')).default;
-                        break;
-                    case 'pubmed':
-                        ClientClass = (await import('./pubmed.js')).default;
-                        break;
-                    case 'openalex':
-                        ClientClass = (await import('./openalex.js')).default;
-                        break;
-                    case 'doaj':
-                        ClientClass = (await import('./doaj.js')).default;
-                        break;
-                    case 'europepmc':
-                        ClientClass = (await import('./europepmc.js')).default;
-                        break;
-                    case 'semanticscholar':
-                        ClientClass = (await import('./semanticscholar.js')).default;
-                        break;
-                    case 'unpaywall':
-                        ClientClass = (await import('./unpaywall.js')).default;
-                        break;
-                    case 'datacite':
-                        ClientClass = (await import('./datacite.js')).default;
-                        break;
-                    case 'zenodo':
-                        ClientClass = (await import('./zenodo.js')).default;
-                        break;
-                    default:
-                        throw new Error(`Unknown source: ${sourceName}`);
-                }
+                const ClientClass = await loadSourceClient(sourceName);
+                const client = new ClientClass();
+
+                // The registry's declared capabilities drive query translation
+                const { capabilities, name } = getSource(sourceName);
+                client.name = client.name || name;
+                client.supportedFields = [...capabilities.fields];
+                client.booleanSyntax = capabilities.booleanSyntax;
 
-                // Instantiate and cache
-                this.clients[sourceName] = new ClientClass();
+                this.clients[sourceName] = client;
                 return this.clients[sourceName];
             } catch (error) {
                 console.error(`[ClientSearch] Failed to load ${sourceName}:`, error);
@@ -101,32 +71,118 @@ export class ClientSearchOrchestrator {
         return this.clientPromises[sourceName];
     }
 
+    /**
+     * Build the per-request options handed to a client's searchPage
+     * Wraps the client's retry notifications with the source they came from
+     * @param {string} sourceName - Source id
+     * @param {Object} client - Client instance
+     * @param {Object} options - { signal, deadline, onSourceRetry }
+     * @returns {Object} Request options for client.searchPage
+     */
+    getRequestOptions(sourceName, client, { signal, deadline, onSourceRetry }) {
+        return {
+            signal,
+            deadline,
+            onRetry: (retry) => {
+                if (!onSourceRetry || signal?.aborted) return;
+                onSourceRetry({
+                    source: sourceName,
+                    name: client.name || sourceName,
+                    attempt: retry.attempt,
+                    maxAttempts: retry.maxAttempts,
+                    delay_ms: retry.delayMs,
+                    reason: retry.reason
+                });
+            }
+        };
+    }
+
+    /**
+     * Fetch one page from a source through its circuit breaker
+     * Skips the source while its circuit is open, and records the outcome and
+     * latency of every request that is actually sent
+     * @param {string} sourceName - Source id
+     * @param {Object} client - Client instance
+     * @param {Object} parsedQuery - Parsed query (compiled here to the client's syntax)
+     * @param {number} limit - Max results per page
+     * @param {*} cursor - Page cursor, or null for the first page
+     * @param {Object} requestOptions - Options for client.searchPage (see getRequestOptions)
+     * @returns {Promise<Object>} { papers, nextCursor } as returned by the client
+     * @throws {CircuitOpenError} If the source is being skipped
+     */
+    async fetchSourcePage(sourceName, client, parsedQuery, limit, cursor, requestOptions) {
+        if (!this.health.canRequest(sourceName)) {
+            throw new CircuitOpenError(client.name || sourceName, this.health.getRetryIn(sourceName));
+        }
+
+        const startTime = performance.now();
+        try {
+            const page = await client.searchPage(
+                compileQuery(parsedQuery, client.booleanSyntax),
+                limit,
+                cursor,
+                requestOptions
+            );
+            this.health.recordSuccess(sourceName, performance.now() - startTime, client.name);
+            return page;
+        } catch (error) {
+            if (requestOptions.signal?.aborted) {
+                // Cancellation says nothing about the source's health
+                this.health.recordCancelled(sourceName);
+            } else {
+                const failure = describeSourceError(sourceName, error, client.name);
+                this.health.recordFailure(sourceName, performance.now() - startTime, failure, client.name);
+            }
+            throw error;
+        }
+    }
+
     /**
      * Search across multiple sources in parallel
-     * @param {string} query - Search query
+     * @param {string|Object} query - Search query (raw string or parsed query)
      * @param {Object} options - Search options
-     * @returns {Promise<Object>} Search results with metadata
+     * @param {Object} options.cursors - Per-source cursors (source -> cursor) to fetch later pages
+     * @param {AbortSignal} options.signal - Cancels all in-flight source requests
+     * @param {number} options.deadlineMs - Overall time budget; retries that won't fit are skipped
+     * @param {Function} options.onSourceRetry - Called before a source retries a request with
+     *   { source, name, attempt, maxAttempts, delay_ms, reason }
+     * @returns {Promise<Object>} Search results with metadata, including next_cursors and
+     *   failed_sources (see describeSourceError) (aborted: true and no papers if the signal fired)
      */
     async search(query, options = {}) {
         const {
             limit = 10,
-            sources = this.defaultSources,
+            sources = getDefaultSourceIds(),
+            cursors = {},
+            signal = null,
+            deadlineMs = DEFAULT_SEARCH_DEADLINE_MS,
             onSourceStart = null,
+            onSourceRetry = null,
             onSourceComplete = null,
             onProgress = null
         } = options;
 
+        // Parse fielded/Boolean syntax once; it is compiled per client to its native query
+        const parsedQuery = toParsedQuery(query);
+
+        // Persisted circuit states decide which sources are skipped
+        await this.health.ready;
+
         const startTime = performance.now();
+        const deadline = Date.now() + deadlineMs; // Shared by every source's retries
         const results = {
             papers: [],
             sources_searched: 0,
             sources_successful: 0,
             total_results: 0,
+            next_cursors: {},
+            failed_sources: [],
             elapsed_ms: 0
         };
 
         // Create search promises for all sources
         const searchPromises = sources.map(async (sourceName) => {
+            let client = null;
             try {
                 // Notify source started
                 if (onSourceStart) {
@@ -134,21 +190,42 @@ export class ClientSearchOrchestrator {
                 }
 
                 // Dynamically load client if not cached
-                const client = await this.getClient(sourceName);
-                const papers = await client.search(query, limit);
+                client = await this.getClient(sourceName);
+                const { papers: rawPapers, nextCursor } = await this.fetchSourcePage(
+                    sourceName,
+                    client,
+                    parsedQuery,
+                    limit,
+                    cursors[sourceName] ?? null,
+                    this.getRequestOptions(sourceName, client, { signal, deadline, onSourceRetry })
+                );
+
+                if (signal?.aborted) {
+                    return { source: sourceName, papers: [], nextCursor: null, error: null };
+                }
+
+                // Enforce query fields the source couldn't filter on server-side
+                const papers = client.filterUnsupportedFields(rawPapers, parsedQuery);
 
                 // Notify source completed
                 if (onSourceComplete) {
                     onSourceComplete({
                         source: sourceName,
                         count: papers.length,
-                        success: true
+                        success: true,
+                        has_more: nextCursor !== null
                     });
                 }
 
-                return { source: sourceName, papers, error: null };
+                return { source: sourceName, papers, nextCursor, error: null };
             } catch (error) {
+                // Cancelled searches end silently - no callbacks for a superseded query
+                if (signal?.aborted) {
+                    return { source: sourceName, papers: [], nextCursor: null, error: null };
+                }
+
                 console.error(`[ClientSearch] ${sourceName} failed:`, error);
+                const failure = describeSourceError(sourceName, error, client?.name);
 
                 // Notify source completed (with error)
                 if (onSourceComplete) {
@@ -156,11 +233,12 @@ export class ClientSearchOrchestrator {
                         source: sourceName,
                         count: 0,
                         success: false,
-                        error: error.message
+                        error: error.message,
+                        failure
                     });
                 }
 
-                return { source: sourceName, papers: [], error: error.message };
+                return { source: sourceName, papers: [], nextCursor: null, error: error.message, failure };
             }
         });
 
@@ -175,37 +253,68 @@ export class ClientSearchOrchestrator {
                 results.papers.push(...result.papers);
                 results.total_results += result.papers.length;
             }
+            if (result.nextCursor !== null) {
+                results.next_cursors[result.source] = result.nextCursor;
+            }
+            if (result.failure) {
+                results.failed_sources.push(result.failure);
+            }
         });
 
         results.elapsed_ms = performance.now() - startTime;
 
+        if (signal?.aborted) {
+            results.aborted = true;
+        }
+
         return results;
     }
 
     /**
      * Search with streaming-like callback support
      * Calls onResults callback as each source completes
-     * @param {string} query - Search query
+     * @param {string|Object} query - Search query (raw string or parsed query)
      * @param {Object} options - Search options
-     * @returns {Promise<Object>} Final aggregated results
+     * @param {Object} options.cursors - Per-source cursors (source -> cursor) to fetch later pages
+     * @param {AbortSignal} options.signal - Cancels all in-flight source requests; once it fires
+     *   no further callbacks are made (onComplete included)
+     * @param {number} options.deadlineMs - Overall time budget; retries that won't fit are skipped
+     * @param {Function} options.onSourceRetry - Called before a source retries a request with
+     *   { source, name, attempt, maxAttempts, delay_ms, reason }
+     * @returns {Promise<Object>} Final aggregated results, including next_cursors for sources with more pages
+     *   and failed_sources describing each source that errored (aborted: true if the signal fired)
      */
     async searchWithCallbacks(query, options = {}) {
         const {
             limit = 10,
-            sources = this.defaultSources,
+            sources = getDefaultSourceIds(),
+            cursors = {},
+            signal = null,
+            deadlineMs = DEFAULT_SEARCH_DEADLINE_MS,
             onSourceStart = null,
+            onSourceRetry = null,
             onResults = null,
             onSourceComplete = null,
             onComplete = null
         } = options;
 
+        // Parse fielded/Boolean syntax once; it is compiled per client to its native query
+        const parsedQuery = toParsedQuery(query);
+
+        // Persisted circuit states decide which sources are skipped
+        await this.health.ready;
+
         const startTime = performance.now();
+        const deadline = Date.now() + deadlineMs; // Shared by every source's retries
         let sourcesCompleted = 0;
         let sourcesSuccessful = 0;
         let totalResults = 0;
+        const nextCursors = {};
+        const failedSources = [];
 
         // Search each source and call callbacks as they complete
         const searchPromises = sources.map(async (sourceName) => {
+            let client = null;
             try {
                 // Notify source started
                 if (onSourceStart) {
@@ -213,8 +322,25 @@ export class ClientSearchOrchestrator {
                 }
 
                 // Dynamically load client if not cached
-                const client = await this.getClient(sourceName);
-                const papers = await client.search(query, limit);
+                client = await this.getClient(sourceName);
+                const { papers: rawPapers, nextCursor } = await this.fetchSourcePage(
+                    sourceName,
+                    client,
+                    parsedQuery,
+                    limit,
+                    cursors[sourceName] ?? null,
+                    this.getRequestOptions(sourceName, client, { signal, deadline, onSourceRetry })
+                );
+
+                // Drop late results from a cancelled search
+                if (signal?.aborted) return;
+
+                // Enforce query fields the source couldn't filter on server-side
+                const papers = client.filterUnsupportedFields(rawPapers, parsedQuery);
+
+                if (nextCursor !== null) {
+                    nextCursors[sourceName] = nextCursor;
+                }
 
                 // Notify results received (streaming-like)
                 if (onResults && papers.length > 0) {
@@ -237,13 +363,19 @@ export class ClientSearchOrchestrator {
                         source: sourceName,
                         count: papers.length,
                         completed: sourcesCompleted,
-                        total: sources.length
+                        total: sources.length,
+                        has_more: nextCursor !== null
                     });
                 }
             } catch (error) {
+                if (signal?.aborted) return;
+
                 console.error(`[ClientSearch] ${sourceName} failed:`, error);
                 sourcesCompleted++;
 
+                const failure = describeSourceError(sourceName, error, client?.name);
+                failedSources.push(failure);
+
                 // Notify source completed (with error)
                 if (onSourceComplete) {
                     onSourceComplete({
@@ -251,7 +383,8 @@ export class ClientSearchOrchestrator {
                         count: 0,
                         completed: sourcesCompleted,
                         total: sources.length,
-                        error: error.message
+                        error: error.message,
+                        failure
                     });
                 }
             }
@@ -262,12 +395,26 @@ export class ClientSearchOrchestrator {
 
         const elapsedMs = performance.now() - startTime;
 
+        if (signal?.aborted) {
+            return {
+                sources_searched: sources.length,
+                sources_successful: sourcesSuccessful,
+                total_results: totalResults,
+                next_cursors: {},
+                failed_sources: [],
+                elapsed_ms: elapsedMs,
+                aborted: true
+            };
+        }
+
         // Notify search complete
         if (onComplete) {
             onComplete({
                 sources_searched: sources.length,
                 sources_successful: sourcesSuccessful,
                 total_results: totalResults,
+                next_cursors: nextCursors,
+                failed_sources: failedSources,
                 elapsed_ms: elapsedMs
             });
         }
@@ -276,9 +423,218 @@ export class ClientSearchOrchestrator {
             sources_searched: sources.length,
             sources_successful: sourcesSuccessful,
             total_results: totalResults,
+            next_cursors: nextCursors,
+            failed_sources: failedSources,
             elapsed_ms: elapsedMs
         };
     }
+
+    /**
+     * Fetch the next page from every source that still has results
+     * Takes the next_cursors returned by a previous search and streams through
+     * the same callbacks as searchWithCallbacks
+     * @param {string|Object} query - Search query (raw string or parsed query)
+     * @param {Object} cursors - Per-source cursors from the previous page (next_cursors)
+     * @param {Object} options - Search options (same as searchWithCallbacks)
+     * @returns {Promise<Object>} Aggregated results, including next_cursors for the following page
+     */
+    async searchNextPage(query, cursors, options = {}) {
+        const sources = Object.keys(cursors || {}).filter(source => cursors[source] !== null);
+
+        return this.searchWithCallbacks(query, {
+            ...options,
+            sources,
+            cursors
+        });
+    }
+
+    /**
+     * Resolve an identifier directly through every source that can look it up
+     * (see the identifiers capability in registry.js)
+     * @param {Object} identifier - { type, value } (see identifiers.js)
+     * @param {Object} options - Lookup options
+     * @param {AbortSignal} options.signal - Cancels all in-flight lookups
+     * @param {number} options.deadlineMs - Overall time budget; retries that won't fit are skipped
+     * @returns {Promise<Object>} { papers, failed_sources } in registry order
+     *   (aborted: true and no papers if the signal fired)
+     */
+    async lookupIdentifier(identifier, options = {}) {
+        const { signal = null, deadlineMs = DEFAULT_SEARCH_DEADLINE_MS } = options;
+        const deadline = Date.now() + deadlineMs;
+        const failedSources = [];
+
+        const lookups = getIdentifierSourceIds(identifier.type).map(async (sourceName) => {
+            let client = null;
+            try {
+                client = await this.getClient(sourceName);
+                if (typeof client.lookupIdentifier !== 'function') return [];
+
+                return await client.lookupIdentifier(
+                    identifier,
+                    this.getRequestOptions(sourceName, client, { signal, deadline })
+                );
+            } catch (error) {
+                if (!signal?.aborted) {
+                    console.error(`[ClientSearch] ${sourceName} lookup failed:`, error);
+                    failedSources.push(describeSourceError(sourceName, error, client?.name));
+                }
+                return [];
+            }
+        });
+
+        const papers = (await Promise.all(lookups)).flat();
+
+        if (signal?.aborted) {
+            return { papers: [], failed_sources: [], aborted: true };
+        }
+
+        return { papers, failed_sources: failedSources };
+    }
+
+    /**
+     * Find candidate works for a free-text citation (CrossRef query.bibliographic)
+     * @param {string} citation - Reference string
+     * @param {Object} options - { signal, deadlineMs, limit }
+     * @returns {Promise<Object>} { papers, failed_sources } or { aborted: true }
+     */
+    async matchReference(citation, options = {}) {
+        const { signal = null, deadlineMs = DEFAULT_SEARCH_DEADLINE_MS, limit = 5 } = options;
+        const deadline = Date.now() + deadlineMs;
+        let client = null;
+
+        try {
+            client = await this.getClient('crossref');
+            const papers = await client.searchBibliographic(
+                citation,
+                limit,
+                this.getRequestOptions('crossref', client, { signal, deadline })
+            );
+            return { papers, failed_sources: [] };
+        } catch (error) {
+            if (signal?.aborted) {
+                return { papers: [], failed_sources: [], aborted: true };
+            }
+            console.error('[ClientSearch] crossref reference match failed:', error);
+            return { papers: [], failed_sources: [describeSourceError('crossref', error, client?.name)] };
+        }
+    }
+
+    /**
+     * Run a client's batched DOI lookup (e.g. lookupAbstracts) over a list of DOIs,
+     * one request per client.doiBatchSize DOIs
+     * A failed batch is recorded in failedSources and the remaining batches still run
+     * @param {string} sourceName - Source id
+     * @param {string} method - Client method: (dois, requestOptions) -> Promise<Map>
+     * @param {Array<string>} dois - DOIs
+     * @param {Object} options - { signal, deadline }
+     * @param {Array} failedSources - Failure descriptions are appended here
+     * @returns {Promise<Map>} Merged results of every batch
+     * @throws If the lookup is cancelled
+     */
+    async lookupDoiBatches(sourceName, method, dois, { signal, deadline }, failedSources) {
+        const results = new Map();
+        let client = null;
+
+        try {
+            client = await this.getClient(sourceName);
+            for (let i = 0; i < dois.length; i += client.doiBatchSize) {
+                try {
+                    const batch = await client[method](
+                        dois.slice(i, i + client.doiBatchSize),
+                        this.getRequestOptions(sourceName, client, { signal, deadline })
+                    );
+                    batch.forEach((value, doi) => results.set(doi, value));
+                } catch (error) {
+                    if (signal?.aborted) throw error;
+                    console.warn(`[ClientSearch] ${sourceName} ${method} failed:`, error);
+                    failedSources.push(describeSourceError(sourceName, error, client.name));
+                }
+            }
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            console.warn(`[ClientSearch] ${sourceName} ${method} failed:`, error);
+            failedSources.push(describeSourceError(sourceName, error, client?.name));
+        }
+
+        return results;
+    }
+
+    /**
+     * Look up citation counts for DOIs (OpenAlex filter=doi:a|b|c, batched)
+     * @param {Array<string>} dois - DOIs
+     * @param {Object} options - { signal, deadlineMs }
+     * @returns {Promise<Object>} { counts, failed_sources } (counts: lowercased DOI -> count)
+     *   or { aborted: true }
+     */
+    async lookupCitationCounts(dois, options = {}) {
+        const { signal = null, deadlineMs = DEFAULT_SEARCH_DEADLINE_MS } = options;
+        const deadline = Date.now() + deadlineMs;
+        const failedSources = [];
+
+        try {
+            const counts = await this.lookupDoiBatches('openalex', 'lookupCitationCounts', dois, { signal, deadline }, failedSources);
+            return { counts, failed_sources: failedSources };
+        } catch {
+            return { counts: new Map(), failed_sources: [], aborted: true };
+        }
+    }
+
+    /**
+     * Fetch missing abstracts for DOIs, asking each abstract source (see getAbstractSourceIds)
+     * in turn for the DOIs the earlier ones didn't have
+     * @param {Array<string>} dois - DOIs
+     * @param {Object} options - { signal, deadlineMs }
+     * @returns {Promise<Object>} { abstracts, failed_sources }
+     *   (abstracts: lowercased DOI -> { abstract, source }) or { aborted: true }
+     */
+    async lookupAbstracts(dois, options = {}) {
+        const { signal = null, deadlineMs = DEFAULT_SEARCH_DEADLINE_MS } = options;
+        const deadline = Date.now() + deadlineMs;
+        const failedSources = [];
+        const abstracts = new Map();
+
+        try {
+            for (const sourceName of getAbstractSourceIds()) {
+                const remaining = dois.filter(doi => !abstracts.has(doi.toLowerCase()));
+                if (remaining.length === 0) break;
+
+                const found = await this.lookupDoiBatches(sourceName, 'lookupAbstracts', remaining, { signal, deadline }, failedSources);
+                const name = getSource(sourceName)?.name || sourceName;
+                found.forEach((abstract, doi) => abstracts.set(doi, { abstract, source: name }));
+            }
+            return { abstracts, failed_sources: failedSources };
+        } catch {
+            return { abstracts: new Map(), failed_sources: [], aborted: true };
+        }
+    }
+
+    /**
+     * Find the best open-access copy of a DOI (Unpaywall v2/{doi})
+     * @param {string} doi - DOI
+     * @param {Object} options - { signal, deadlineMs }
+     * @returns {Promise<Object>} { location, failed_sources } (location is null if there is no OA copy)
+     *   or { aborted: true }
+     */
+    async lookupOpenAccess(doi, options = {}) {
+        const { signal = null, deadlineMs = DEFAULT_SEARCH_DEADLINE_MS } = options;
+        const deadline = Date.now() + deadlineMs;
+        let client = null;
+
+        try {
+            client = await this.getClient('unpaywall');
+            const location = await client.lookupDoi(
+                doi,
+                this.getRequestOptions('unpaywall', client, { signal, deadline })
+            );
+            return { location, failed_sources: [] };
+        } catch (error) {
+            if (signal?.aborted) {
+                return { location: null, failed_sources: [], aborted: true };
+            }
+            console.warn(`[ClientSearch] unpaywall lookup of ${doi} failed:`, error);
+            return { location: null, failed_sources: [describeSourceError('unpaywall', error, client?.name)] };
+        }
+    }
 }
 
 export default ClientSearchOrchestrator;
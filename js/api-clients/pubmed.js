@@ -4,65 +4,182 @@
 // API Docs: https://www.ncbi.nlm.nih.gov/books/NBK25500/
 
 import BaseAPIClient from './base.js';
+import { getKeywordText } from '../query-parser.js';
+import { normalizeDocType } from '../doc-types.js';
+import { normalizeLanguage } from '../utils.js';
+
+export const NCBI_API_KEY_STORAGE_KEY = 'sourcecrate_ncbi_api_key';
+
+// E-utilities limits: 3 requests/second per host, 10 with an API key
+const NCBI_RATE_LIMIT = { requestsPerSecond: 3 };
+const NCBI_KEYED_RATE_LIMIT = { requestsPerSecond: 10 };
+
+/**
+ * Read the user's NCBI API key from localStorage
+ * @returns {string|null} API key, or null if none is saved
+ */
+function loadApiKey() {
+    try {
+        return localStorage.getItem(NCBI_API_KEY_STORAGE_KEY) || null;
+    } catch {
+        return null; // Storage unavailable (private mode, workers)
+    }
+}
 
 export class PubMedClient extends BaseAPIClient {
     constructor() {
         super('PubMed');
         this.searchUrl = 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils/esearch.fcgi';
         this.fetchUrl = 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils/efetch.fcgi';
+        this.supportedFields = ['author', 'title', 'venue', 'year', 'doi'];
+        this.booleanSyntax = 'boolean';
+        this.setApiKey(loadApiKey());
     }
 
     /**
-     * Search PubMed papers (two-step: search then fetch)
-     * @param {string} query - Search query
-     * @param {number} limit - Max results
-     * @returns {Promise<Array>} Array of papers
+     * Use an NCBI API key for E-utilities requests
+     * A key raises the rate limit from 3 to 10 requests/second
+     * @param {string|null} apiKey - API key, or null to go back to keyless access
      */
-    async search(query, limit = 10) {
+    setApiKey(apiKey) {
+        this.apiKey = apiKey?.trim() || null;
+        this.rateLimit = this.apiKey ? NCBI_KEYED_RATE_LIMIT : NCBI_RATE_LIMIT;
+    }
+
+    /**
+     * Save an NCBI API key for later visits and use it from the next request on
+     * @param {string|null} apiKey - API key, or ''/null to forget it
+     */
+    saveApiKey(apiKey) {
+        this.setApiKey(apiKey);
         try {
-            // Step 1: Search for PMIDs
-            const searchParams = new URLSearchParams({
-                db: 'pubmed',
-                term: query,
-                retmax: limit,
-                retmode: 'json',
-                sort: 'relevance'
-            });
-
-            const searchUrl = `${this.searchUrl}?${searchParams}`;
-            const searchResponse = await this.fetchWithTimeout(searchUrl);
-
-            if (!searchResponse.ok) {
-                console.warn(`[PubMed] Search HTTP ${searchResponse.status}`);
-                return [];
+            if (this.apiKey) {
+                localStorage.setItem(NCBI_API_KEY_STORAGE_KEY, this.apiKey);
+            } else {
+                localStorage.removeItem(NCBI_API_KEY_STORAGE_KEY);
             }
+        } catch (e) {
+            console.error('Failed to save NCBI API key:', e);
+        }
+    }
 
-            const searchData = await searchResponse.json();
-            const pmids = searchData.esearchresult?.idlist || [];
+    /**
+     * Add the API key (if any) to E-utilities parameters
+     * @param {URLSearchParams} params - Request parameters
+     * @returns {URLSearchParams} The same parameters
+     */
+    withApiKey(params) {
+        if (this.apiKey) {
+            params.set('api_key', this.apiKey);
+        }
+        return params;
+    }
 
-            if (pmids.length === 0) return [];
+    /**
+     * Build an Entrez search term from a parsed query
+     * Uses PubMed field tags: [au], [ti], [ta], [aid], [dp]
+     * @param {Object} parsed - Parsed query
+     * @returns {string} Entrez term
+     */
+    buildSearchTerm(parsed) {
+        const clauses = [];
 
-            // Step 2: Fetch details for PMIDs
-            const fetchParams = new URLSearchParams({
-                db: 'pubmed',
-                id: pmids.join(','),
-                retmode: 'xml'
-            });
+        const text = getKeywordText(parsed, this.supportedFields);
+        if (text) clauses.push(text);
 
-            const fetchUrl = `${this.fetchUrl}?${fetchParams}`;
-            const fetchResponse = await this.fetchWithTimeout(fetchUrl);
+        parsed.fields.author.forEach(name => clauses.push(`"${name}"[au]`));
+        parsed.fields.title.forEach(term => clauses.push(`"${term}"[ti]`));
+        parsed.fields.venue.forEach(term => clauses.push(`"${term}"[ta]`));
+        if (parsed.fields.doi) clauses.push(`"${parsed.fields.doi}"[aid]`);
 
-            if (!fetchResponse.ok) {
-                console.warn(`[PubMed] Fetch HTTP ${fetchResponse.status}`);
-                return [];
-            }
+        if (parsed.fields.year) {
+            const { from, to } = parsed.fields.year;
+            clauses.push(`${from || 1800}:${to || 3000}[dp]`);
+        }
+
+        return clauses.join(' AND ');
+    }
+
+    /**
+     * Search PubMed papers (two-step: search then fetch)
+     * @param {string|Object} query - Search query (raw string or parsed query)
+     * @param {number} limit - Max results per page
+     * @param {number|null} cursor - Result offset (retstart)
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Cancels in-flight requests
+     * @returns {Promise<Object>} { papers, nextCursor }
+     */
+    async searchPage(query, limit = 10, cursor = null, options = {}) {
+        // Step 1: Search for PMIDs
+        const searchParams = new URLSearchParams({
+            db: 'pubmed',
+            term: this.buildSearchTerm(this.parseQuery(query)),
+            retmax: limit,
+            retstart: cursor || 0,
+            retmode: 'json',
+            sort: 'relevance'
+        });
+
+        const searchUrl = `${this.searchUrl}?${this.withApiKey(searchParams)}`;
+        const searchResponse = await this.fetchWithRetry(searchUrl, options);
+        this.assertOk(searchResponse);
+
+        const searchData = await this.readJSON(searchResponse);
+        const pmids = searchData.esearchresult?.idlist || [];
 
-            const xmlText = await fetchResponse.text();
-            return this.parsePubMedXML(xmlText);
-        } catch (error) {
-            console.error(`[PubMed] Search error:`, error);
-            return [];
+        if (pmids.length === 0) return { papers: [], nextCursor: null };
+
+        const start = cursor || 0;
+        const hasMore = this.hasMoreResults(start + pmids.length, pmids.length, limit, searchData.esearchresult?.count);
+        const nextCursor = hasMore ? start + pmids.length : null;
+
+        // Step 2: Fetch details for PMIDs
+        return { papers: await this.fetchArticles(pmids, options), nextCursor };
+    }
+
+    /**
+     * Fetch and parse article records for PMIDs (efetch)
+     * @param {Array<string>} pmids - PubMed IDs
+     * @param {Object} options - Request options (see searchPage)
+     * @returns {Promise<Array>} Normalized papers
+     */
+    async fetchArticles(pmids, options = {}) {
+        const fetchParams = new URLSearchParams({
+            db: 'pubmed',
+            id: pmids.join(','),
+            retmode: 'xml'
+        });
+
+        const fetchUrl = `${this.fetchUrl}?${this.withApiKey(fetchParams)}`;
+        const fetchResponse = await this.fetchWithRetry(fetchUrl, options);
+        this.assertOk(fetchResponse);
+
+        const xmlText = await fetchResponse.text();
+        return this.parsePubMedXML(xmlText);
+    }
+
+    /**
+     * Resolve a PMID (efetch) or PMCID (esearch [pmcid] -> PMID -> efetch) directly
+     * @param {Object} identifier - { type, value } (see identifiers.js)
+     * @param {Object} options - Request options (see searchPage)
+     * @returns {Promise<Array>} Matching papers (empty if not found)
+     */
+    async lookupIdentifier(identifier, options = {}) {
+        if (identifier.type === 'pmid') {
+            return this.fetchArticles([identifier.value], options);
         }
+        if (identifier.type !== 'pmcid') return [];
+
+        const searchParams = new URLSearchParams({
+            db: 'pubmed',
+            term: `${identifier.value}[pmcid]`,
+            retmode: 'json'
+        });
+        const response = await this.fetchWithRetry(`${this.searchUrl}?${this.withApiKey(searchParams)}`, options);
+        this.assertOk(response);
+
+        const pmids = (await this.readJSON(response)).esearchresult?.idlist || [];
+        return pmids.length > 0 ? this.fetchArticles(pmids.slice(0, 1), options) : [];
     }
 
     /**
@@ -71,8 +188,7 @@ export class PubMedClient extends BaseAPIClient {
      * @returns {Array} Normalized papers
      */
     parsePubMedXML(xmlText) {
-        const parser = new DOMParser();
-        const xmlDoc = parser.parseFromString(xmlText, 'text/xml');
+        const xmlDoc = this.parseXMLDocument(xmlText);
         const articles = xmlDoc.querySelectorAll('PubmedArticle');
         const papers = [];
 
@@ -118,6 +234,11 @@ export class PubMedClient extends BaseAPIClient {
                     : null;
                 const doi = doiNode?.textContent;
 
+                // Publication types ("Journal Article", "Review", "Preprint")
+                const publicationTypes = Array.from(
+                    medlineCitation?.querySelectorAll('PublicationType') || []
+                ).map(node => node.textContent);
+
                 // Build PubMed URL
                 const url = pmid ? `https://pubmed.ncbi.nlm.nih.gov/${pmid}/` : null;
 
@@ -140,6 +261,8 @@ export class PubMedClient extends BaseAPIClient {
                     pdf_url: pdfUrl,
                     open_access_pdf: pdfUrl,
                     source: 'PubMed',
+                    doc_type: normalizeDocType(publicationTypes),
+                    language: normalizeLanguage(medlineCitation?.querySelector('Article Language')?.textContent),
                     is_open_access: !!pdfUrl,
                     citation_count: 0, // PubMed doesn't provide citation counts in API
                     journal
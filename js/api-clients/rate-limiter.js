@@ -0,0 +1,218 @@
+// ============================================================================
+// RATE-LIMITER.JS - Client-side token-bucket rate limiting per API host
+// ============================================================================
+// Every BaseAPIClient request takes a token from its host's bucket before it is
+// sent, so back-to-back requests (PubMed esearch + efetch, rapid re-searches,
+// enrichment lookups) stay within each API's published limits. One limiter is
+// shared by all clients, so concurrent searches draw from the same buckets.
+
+/**
+ * Create the error used when a queued request is cancelled
+ * @returns {DOMException} AbortError
+ */
+function createAbortError() {
+    return new DOMException('Request cancelled', 'AbortError');
+}
+
+/**
+ * Bucket size for a set of limits: burst, else one second's worth (at least 1)
+ * @param {Object} limits - { requestsPerSecond, burst }
+ * @returns {number} Capacity in tokens
+ */
+function getCapacity({ requestsPerSecond, burst }) {
+    return Math.max(1, burst ?? Math.ceil(requestsPerSecond));
+}
+
+/**
+ * Token bucket: holds up to `burst` tokens, refilled at `requestsPerSecond`
+ * Waiters are served first-in, first-out
+ */
+export class TokenBucket {
+    /**
+     * @param {Object} limits - Rate limits
+     * @param {number} limits.requestsPerSecond - Sustained rate
+     * @param {number} limits.burst - Bucket size (see getCapacity)
+     */
+    constructor(limits) {
+        this.queue = [];
+        this.timer = null;
+        this.lastRefill = Date.now();
+        this.requestsPerSecond = limits.requestsPerSecond;
+        this.capacity = getCapacity(limits);
+        this.tokens = this.capacity; // Start full so the first requests go out immediately
+    }
+
+    /**
+     * Update the bucket's limits (e.g. after an API key is added)
+     * @param {Object} limits - { requestsPerSecond, burst }
+     */
+    configure(limits) {
+        this.refill();
+        this.requestsPerSecond = limits.requestsPerSecond;
+        this.capacity = getCapacity(limits);
+        this.tokens = Math.min(this.tokens, this.capacity);
+
+        // Waiters may be served sooner under the new rate
+        if (this.queue.length > 0) {
+            this.schedule();
+        }
+    }
+
+    /**
+     * Add the tokens accrued since the last refill
+     */
+    refill() {
+        const now = Date.now();
+        if (this.requestsPerSecond > 0) {
+            const accrued = ((now - this.lastRefill) / 1000) * this.requestsPerSecond;
+            this.tokens = Math.min(this.capacity, this.tokens + accrued);
+        }
+        this.lastRefill = now;
+    }
+
+    /**
+     * Take a token, waiting for one if the bucket is empty
+     * @param {AbortSignal} signal - Removes the request from the queue (optional)
+     * @returns {Promise<void>} Resolves when the request may be sent;
+     *   rejects with an AbortError if the signal fires first
+     */
+    acquire(signal = null) {
+        if (signal?.aborted) {
+            return Promise.reject(createAbortError());
+        }
+
+        this.refill();
+        if (this.queue.length === 0 && this.tokens >= 1) {
+            this.tokens -= 1;
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject, signal, onAbort: null };
+
+            if (signal) {
+                waiter.onAbort = () => {
+                    this.queue = this.queue.filter(w => w !== waiter);
+                    if (this.queue.length === 0) this.clearTimer();
+                    reject(createAbortError());
+                };
+                signal.addEventListener('abort', waiter.onAbort, { once: true });
+            }
+
+            this.queue.push(waiter);
+            this.schedule();
+        });
+    }
+
+    /**
+     * Release as many waiters as there are tokens, then wait for the next token
+     */
+    drain() {
+        this.timer = null;
+        this.refill();
+
+        while (this.queue.length > 0 && this.tokens >= 1) {
+            const waiter = this.queue.shift();
+            this.tokens -= 1;
+            waiter.signal?.removeEventListener('abort', waiter.onAbort);
+            waiter.resolve();
+        }
+
+        if (this.queue.length > 0) {
+            this.schedule();
+        }
+    }
+
+    /**
+     * Schedule the next drain for when a whole token will be available
+     */
+    schedule() {
+        this.clearTimer();
+        this.refill();
+        const wait = this.tokens >= 1 ? 0 : ((1 - this.tokens) / this.requestsPerSecond) * 1000;
+        this.timer = setTimeout(() => this.drain(), Math.ceil(wait));
+    }
+
+    /**
+     * Cancel the pending drain, if any
+     */
+    clearTimer() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Number of requests waiting for a token
+     * @returns {number}
+     */
+    get pending() {
+        return this.queue.length;
+    }
+
+    /**
+     * Reject every waiting request and stop the refill timer
+     */
+    close() {
+        this.clearTimer();
+        const waiters = this.queue;
+        this.queue = [];
+        waiters.forEach(waiter => {
+            waiter.signal?.removeEventListener('abort', waiter.onAbort);
+            waiter.reject(createAbortError());
+        });
+    }
+}
+
+/**
+ * Rate limiter holding one token bucket per host
+ */
+export class RateLimiter {
+    constructor() {
+        this.buckets = new Map(); // host → TokenBucket
+    }
+
+    /**
+     * Wait for permission to send a request to a host
+     * @param {string} host - API host (e.g. 'eutils.ncbi.nlm.nih.gov')
+     * @param {Object|null} limits - { requestsPerSecond, burst }, or null for no limit
+     * @param {AbortSignal} signal - Cancels the wait (optional)
+     * @returns {Promise<void>}
+     */
+    acquire(host, limits, signal = null) {
+        if (!limits || !limits.requestsPerSecond) {
+            return signal?.aborted ? Promise.reject(createAbortError()) : Promise.resolve();
+        }
+
+        let bucket = this.buckets.get(host);
+        if (!bucket) {
+            bucket = new TokenBucket(limits);
+            this.buckets.set(host, bucket);
+        } else if (bucket.requestsPerSecond !== limits.requestsPerSecond || bucket.capacity !== getCapacity(limits)) {
+            bucket.configure(limits);
+        }
+
+        return bucket.acquire(signal);
+    }
+
+    /**
+     * Number of requests queued for a host
+     * @param {string} host - API host
+     * @returns {number}
+     */
+    getPending(host) {
+        return this.buckets.get(host)?.pending ?? 0;
+    }
+
+    /**
+     * Drop all buckets, rejecting queued requests (used by tests)
+     */
+    reset() {
+        this.buckets.forEach(bucket => bucket.close());
+        this.buckets.clear();
+    }
+}
+
+// Shared by every client so concurrent searches and enrichment lookups share limits
+export const sharedRateLimiter = new RateLimiter();
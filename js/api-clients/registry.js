@@ -0,0 +1,252 @@
+// ============================================================================
+// REGISTRY.JS - Pluggable source registry
+// ============================================================================
+// Every search source is described once here: id, display name, a lazy loader
+// for its client class, its capabilities and the API hosts it talks to. The
+// orchestrator loads clients through it, the service worker decides which
+// responses to cache from it, and source pickers list from it.
+//
+// Extra sources can ship as separate ES modules that call registerSource():
+//
+//   registerSource({
+//       id: 'mysource',
+//       name: 'My Source',
+//       load: () => import('./my-source-client.js'),
+//       capabilities: { fields: ['title'], booleanSyntax: null, paging: 'page', cors: true },
+//       hosts: ['api.mysource.org']
+//   });
+
+/**
+ * Capabilities assumed for anything a source doesn't declare
+ * - fields: query fields the API filters on natively (others are post-filtered)
+ * - booleanSyntax: native Boolean syntax (see BOOLEAN_SYNTAXES), null = keyword only
+ * - paging: 'cursor' | 'offset' | 'page' | 'none'
+ * - cors: false if the API can't be called from a browser (skipped by default)
+ * - identifiers: identifier types the client resolves with lookupIdentifier()
+ *   (see identifiers.js)
+ * - abstracts: the client can fetch abstracts for a batch of DOIs with lookupAbstracts()
+ */
+const DEFAULT_CAPABILITIES = {
+    fields: [],
+    booleanSyntax: null,
+    paging: 'none',
+    cors: true,
+    identifiers: [],
+    abstracts: false
+};
+
+const sources = new Map(); // id → source definition
+
+/**
+ * Register a search source
+ * @param {Object} definition - Source definition
+ * @param {string} definition.id - Stable id used in settings, cache keys and results
+ * @param {string} definition.name - Display name
+ * @param {Function} definition.load - Resolves to the client class, or a module whose default export is it
+ * @param {Object} definition.capabilities - See DEFAULT_CAPABILITIES
+ * @param {Array<string>} definition.hosts - API hostnames ('*.example.org' matches subdomains)
+ * @param {boolean} definition.enabledByDefault - Include in searches that don't pick sources (default true)
+ * @param {Object} options - { replace: true } to override an existing registration
+ * @returns {Object} The stored definition
+ */
+export function registerSource(definition, options = {}) {
+    const { id, name, load } = definition || {};
+    if (!id || !name || typeof load !== 'function') {
+        throw new Error('Source definitions need an id, a name and a load() function');
+    }
+    if (sources.has(id) && !options.replace) {
+        throw new Error(`Source already registered: ${id}`);
+    }
+
+    const source = {
+        id,
+        name,
+        load,
+        capabilities: { ...DEFAULT_CAPABILITIES, ...definition.capabilities },
+        hosts: [...(definition.hosts || [])],
+        enabledByDefault: definition.enabledByDefault !== false
+    };
+    sources.set(id, source);
+    return source;
+}
+
+/**
+ * Remove a source
+ * @param {string} id - Source id
+ * @returns {boolean} True if it was registered
+ */
+export function unregisterSource(id) {
+    return sources.delete(id);
+}
+
+/**
+ * Look up a source
+ * @param {string} id - Source id
+ * @returns {Object|null} Source definition
+ */
+export function getSource(id) {
+    return sources.get(id) || null;
+}
+
+/**
+ * All registered sources, in registration order
+ * @returns {Array<Object>} Source definitions
+ */
+export function getSources() {
+    return Array.from(sources.values());
+}
+
+/**
+ * Sources searched when the caller doesn't pick any: enabled by default and
+ * callable from the browser
+ * @returns {Array<string>} Source ids
+ */
+export function getDefaultSourceIds() {
+    return getSources()
+        .filter(source => source.enabledByDefault && source.capabilities.cors)
+        .map(source => source.id);
+}
+
+/**
+ * Every registered API host pattern
+ * @returns {Array<string>} Host patterns
+ */
+export function getSourceHostPatterns() {
+    return getSources().flatMap(source => source.hosts);
+}
+
+/**
+ * Check a hostname against host patterns
+ * @param {string} hostname - URL hostname
+ * @param {Array<string>} patterns - Host patterns (defaults to every registered source)
+ * @returns {boolean} True if some pattern matches
+ */
+export function matchesSourceHost(hostname, patterns = getSourceHostPatterns()) {
+    return patterns.some(pattern => {
+        if (pattern.startsWith('*.')) {
+            const domain = pattern.slice(2);
+            return hostname === domain || hostname.endsWith(`.${domain}`);
+        }
+        return hostname === pattern;
+    });
+}
+
+/**
+ * Sources that can resolve an identifier type directly
+ * @param {string} type - Identifier type ('doi', 'arxiv', 'pmid', 'pmcid', 'isbn')
+ * @returns {Array<string>} Source ids (browser-capable only)
+ */
+export function getIdentifierSourceIds(type) {
+    return getSources()
+        .filter(source => source.capabilities.cors && source.capabilities.identifiers.includes(type))
+        .map(source => source.id);
+}
+
+/**
+ * Sources that can fill in missing abstracts, in the order they're asked
+ * @returns {Array<string>} Source ids (browser-capable only)
+ */
+export function getAbstractSourceIds() {
+    return getSources()
+        .filter(source => source.capabilities.cors && source.capabilities.abstracts)
+        .map(source => source.id);
+}
+
+/**
+ * Load a source's client class
+ * @param {string} id - Source id
+ * @returns {Promise<Function>} Client class
+ */
+export async function loadSourceClient(id) {
+    const source = getSource(id);
+    if (!source) {
+        throw new Error(`Unknown source: ${id}`);
+    }
+
+    const loaded = await source.load();
+    return loaded?.default || loaded;
+}
+
+// ============================================================================
+// BUILT-IN SOURCES
+// ============================================================================
+
+registerSource({
+    id: 'arxiv',
+    name: 'arXiv',
+    load: () => import('./arxiv.js'),
+    capabilities: { fields: ['author', 'title', 'venue', 'year'], booleanSyntax: 'arxiv', paging: 'offset', identifiers: ['arxiv'] },
+    hosts: ['export.arxiv.org']
+});
+
+registerSource({
+    id: 'crossref',
+    name: 'CrossRef',
+    load: () => import('./crossref.js'),
+    capabilities: { fields: ['author', 'title', 'venue', 'year', 'doi'], paging: 'cursor', identifiers: ['doi', 'isbn'], abstracts: true },
+    hosts: ['api.crossref.org']
+});
+
+registerSource({
+    id: 'pubmed',
+    name: 'PubMed',
+    load: () => import('./pubmed.js'),
+    capabilities: { fields: ['author', 'title', 'venue', 'year', 'doi'], booleanSyntax: 'boolean', paging: 'offset', identifiers: ['pmid', 'pmcid'] },
+    hosts: ['eutils.ncbi.nlm.nih.gov']
+});
+
+registerSource({
+    id: 'openalex',
+    name: 'OpenAlex',
+    load: () => import('./openalex.js'),
+    capabilities: { fields: ['author', 'title', 'year', 'doi'], booleanSyntax: 'lucene', paging: 'cursor', abstracts: true },
+    hosts: ['api.openalex.org']
+});
+
+registerSource({
+    id: 'doaj',
+    name: 'DOAJ',
+    load: () => import('./doaj.js'),
+    capabilities: { fields: ['author', 'title', 'venue', 'year', 'doi'], booleanSyntax: 'lucene', paging: 'page' },
+    hosts: ['doaj.org']
+});
+
+registerSource({
+    id: 'europepmc',
+    name: 'Europe PMC',
+    load: () => import('./europepmc.js'),
+    capabilities: { fields: ['author', 'title', 'venue', 'year', 'doi'], booleanSyntax: 'boolean', paging: 'cursor' },
+    hosts: ['www.ebi.ac.uk', '*.europepmc.org']
+});
+
+registerSource({
+    id: 'semanticscholar',
+    name: 'Semantic Scholar',
+    load: () => import('./semanticscholar.js'),
+    capabilities: { fields: ['venue', 'year'], paging: 'offset', cors: false }, // No CORS for browser access
+    hosts: ['api.semanticscholar.org']
+});
+
+registerSource({
+    id: 'unpaywall',
+    name: 'Unpaywall',
+    load: () => import('./unpaywall.js'),
+    capabilities: { fields: [], paging: 'page' },
+    hosts: ['api.unpaywall.org']
+});
+
+registerSource({
+    id: 'datacite',
+    name: 'DataCite',
+    load: () => import('./datacite.js'),
+    capabilities: { fields: ['author', 'title', 'venue', 'year', 'doi'], booleanSyntax: 'lucene', paging: 'page', identifiers: ['doi'] },
+    hosts: ['api.datacite.org']
+});
+
+registerSource({
+    id: 'zenodo',
+    name: 'Zenodo',
+    load: () => import('./zenodo.js'),
+    capabilities: { fields: ['author', 'title', 'venue', 'year', 'doi'], booleanSyntax: 'lucene', paging: 'page' },
+    hosts: ['zenodo.org']
+});
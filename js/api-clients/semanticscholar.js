@@ -5,61 +5,54 @@
 // Rate Limits: 1 request per second (recommended), 5000 requests per 5 minutes (shared pool)
 
 import BaseAPIClient from './base.js';
+import { getKeywordText } from '../query-parser.js';
+import { normalizeDocType } from '../doc-types.js';
 
 export class SemanticScholarClient extends BaseAPIClient {
     constructor() {
         super('Semantic Scholar');
         this.baseUrl = 'https://api.semanticscholar.org/graph/v1/paper/search';
-        this.lastRequestTime = 0;
-        this.minRequestInterval = 1100; // 1.1 seconds (conservative rate limiting)
-    }
-
-    /**
-     * Rate limit requests to respect 1 RPS limit
-     */
-    async rateLimit() {
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
-
-        if (timeSinceLastRequest < this.minRequestInterval) {
-            const delay = this.minRequestInterval - timeSinceLastRequest;
-            await new Promise(resolve => setTimeout(resolve, delay));
-        }
-
-        this.lastRequestTime = Date.now();
+        this.supportedFields = ['venue', 'year'];
+        this.rateLimit = { requestsPerSecond: 1 / 1.1, burst: 1 }; // 1 request per 1.1s (conservative)
     }
 
     /**
      * Search Semantic Scholar papers
-     * @param {string} query - Search query
-     * @param {number} limit - Max results
-     * @returns {Promise<Array>} Array of papers
+     * @param {string|Object} query - Search query (raw string or parsed query)
+     * @param {number} limit - Max results per page
+     * @param {number|null} cursor - Result offset
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Cancels in-flight requests
+     * @returns {Promise<Object>} { papers, nextCursor }
      */
-    async search(query, limit = 10) {
-        try {
-            // Respect rate limits
-            await this.rateLimit();
-
-            const params = new URLSearchParams({
-                query: query,
-                limit: Math.min(limit, 100), // API max is 100
-                fields: 'paperId,title,authors,year,abstract,venue,citationCount,url,openAccessPdf,externalIds'
-            });
+    async searchPage(query, limit = 10, cursor = null, options = {}) {
+        const parsed = this.parseQuery(query);
+        const params = new URLSearchParams({
+            query: getKeywordText(parsed, this.supportedFields),
+            offset: cursor || 0,
+            limit: Math.min(limit, 100), // API max is 100
+            fields: 'paperId,title,authors,year,abstract,venue,citationCount,url,openAccessPdf,externalIds,publicationTypes'
+        });
+
+        // Native venue/year filters
+        if (parsed.fields.venue.length > 0) {
+            params.set('venue', parsed.fields.venue.join(','));
+        }
+        if (parsed.fields.year) {
+            const { from, to } = parsed.fields.year;
+            params.set('year', from === to ? `${from}` : `${from || ''}-${to || ''}`);
+        }
 
-            const url = `${this.baseUrl}?${params}`;
-            const response = await this.fetchWithTimeout(url, 60000); // 60s timeout
+        const url = `${this.baseUrl}?${params}`;
+        const response = await this.fetchWithRetry(url, options);
+        this.assertOk(response);
 
-            if (!response.ok) {
-                console.warn(`[Semantic Scholar] HTTP ${response.status}`);
-                return [];
-            }
+        const data = await this.readJSON(response);
+        const papers = this.parseSemanticScholarResponse(data);
 
-            const data = await response.json();
-            return this.parseSemanticScholarResponse(data);
-        } catch (error) {
-            console.error(`[Semantic Scholar] Search error:`, error);
-            return [];
-        }
+        // API includes "next" (offset of the following page) only when more results exist
+        const received = data.data?.length || 0;
+        return { papers, nextCursor: received > 0 && data.next ? data.next : null };
     }
 
     /**
@@ -91,6 +84,7 @@ export class SemanticScholarClient extends BaseAPIClient {
                     pdf_url: pdfUrl || null,
                     open_access_pdf: pdfUrl || null,
                     source: 'Semantic Scholar',
+                    doc_type: normalizeDocType(item.publicationTypes),
                     is_open_access: !!pdfUrl,
                     citation_count: item.citationCount || 0,
                     journal: item.venue
@@ -0,0 +1,353 @@
+// ============================================================================
+// SOURCE-HEALTH.JS - Per-source health tracking and circuit breaker
+// ============================================================================
+// Keeps a rolling record of each source's recent requests (success rate,
+// p50/p95 latency, consecutive failures). After repeated failures the circuit
+// opens and the orchestrator skips the source for a cool-down period instead of
+// waiting out its timeout on every search; the first search after the cool-down
+// sends a single probe (half-open) that closes or re-opens the circuit.
+// Records are persisted in IndexedDB so a source that was down stays skipped
+// across page loads.
+
+export const CIRCUIT_CLOSED = 'closed';
+export const CIRCUIT_OPEN = 'open';
+export const CIRCUIT_HALF_OPEN = 'half-open';
+
+const DEFAULT_OPTIONS = {
+    windowSize: 50, // Requests kept per source for rates and percentiles
+    failureThreshold: 3, // Consecutive failures that open the circuit
+    cooldownMs: 60000 // How long an open circuit skips the source before probing
+};
+
+const DB_NAME = 'sourcecrate-health';
+const STORE_NAME = 'sources';
+
+/**
+ * Percentile of a list of numbers (nearest-rank)
+ * @param {Array<number>} values - Values
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null} Percentile value, or null for an empty list
+ */
+export function percentile(values, p) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+/**
+ * IndexedDB persistence for health records
+ * Every method degrades to a no-op where IndexedDB is unavailable (tests, private mode)
+ */
+export class HealthStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open (and create on first use) the health database
+     * @returns {Promise<IDBDatabase|null>} Database, or null if IndexedDB is unavailable
+     */
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        if (typeof indexedDB === 'undefined') {
+            this.dbPromise = Promise.resolve(null);
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise((resolve) => {
+            const request = indexedDB.open(DB_NAME, 1);
+
+            request.onerror = () => {
+                console.warn('[SourceHealth] IndexedDB unavailable:', request.error);
+                resolve(null);
+            };
+            request.onsuccess = () => resolve(request.result);
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    db.createObjectStore(STORE_NAME, { keyPath: 'source' });
+                }
+            };
+        });
+        return this.dbPromise;
+    }
+
+    /**
+     * Load every saved record
+     * @returns {Promise<Array>} Records (empty if none or unavailable)
+     */
+    async loadAll() {
+        const db = await this.open();
+        if (!db) return [];
+
+        return new Promise((resolve) => {
+            const request = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => resolve([]);
+        });
+    }
+
+    /**
+     * Save one source's record
+     * @param {Object} record - Serializable health record (keyed by record.source)
+     * @returns {Promise<void>}
+     */
+    async save(record) {
+        const db = await this.open();
+        if (!db) return;
+
+        try {
+            db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).put(record);
+        } catch (error) {
+            console.warn('[SourceHealth] Failed to save health record:', error);
+        }
+    }
+}
+
+/**
+ * Tracks source health and decides whether each source may be queried
+ */
+export class SourceHealthTracker {
+    /**
+     * @param {Object} options - Options (see DEFAULT_OPTIONS)
+     * @param {HealthStore} options.store - Persistence (defaults to IndexedDB)
+     */
+    constructor(options = {}) {
+        const { store = new HealthStore(), ...settings } = options;
+        this.options = { ...DEFAULT_OPTIONS, ...settings };
+        this.store = store;
+        this.records = new Map(); // source → record
+        this.listeners = new Set();
+        this.ready = this.load();
+    }
+
+    /**
+     * Restore persisted records (in-memory records recorded meanwhile win)
+     * @returns {Promise<void>}
+     */
+    async load() {
+        try {
+            const saved = await this.store.loadAll();
+            saved.forEach(record => {
+                if (!this.records.has(record.source)) {
+                    this.records.set(record.source, { ...this.createRecord(record.source), ...record, probeInFlight: false });
+                }
+            });
+            if (saved.length > 0) this.notify();
+        } catch (error) {
+            console.warn('[SourceHealth] Failed to load health records:', error);
+        }
+    }
+
+    /**
+     * Create an empty record
+     * @param {string} source - Source id
+     * @returns {Object} Record
+     */
+    createRecord(source) {
+        return {
+            source,
+            name: source,
+            samples: [], // { ok, latency, at } - most recent last
+            consecutiveFailures: 0,
+            state: CIRCUIT_CLOSED,
+            openedAt: null,
+            lastError: null,
+            probeInFlight: false
+        };
+    }
+
+    /**
+     * Get (creating if needed) a source's record
+     * @param {string} source - Source id
+     * @returns {Object} Record
+     */
+    getRecord(source) {
+        if (!this.records.has(source)) {
+            this.records.set(source, this.createRecord(source));
+        }
+        return this.records.get(source);
+    }
+
+    /**
+     * Decide whether a source may be queried now
+     * An open circuit turns half-open once its cool-down has passed and lets
+     * exactly one probe through; everything else is skipped until it returns
+     * @param {string} source - Source id
+     * @param {number} now - Current time in ms
+     * @returns {boolean} True if the request may go ahead
+     */
+    canRequest(source, now = Date.now()) {
+        const record = this.records.get(source);
+        if (!record || record.state === CIRCUIT_CLOSED) return true;
+
+        if (record.state === CIRCUIT_OPEN && now - record.openedAt >= this.options.cooldownMs) {
+            record.state = CIRCUIT_HALF_OPEN;
+            record.probeInFlight = false;
+            this.notify();
+        }
+
+        if (record.state === CIRCUIT_HALF_OPEN && !record.probeInFlight) {
+            record.probeInFlight = true;
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Time until an open circuit lets a probe through
+     * @param {string} source - Source id
+     * @param {number} now - Current time in ms
+     * @returns {number} Remaining cool-down in ms (0 if not open)
+     */
+    getRetryIn(source, now = Date.now()) {
+        const record = this.records.get(source);
+        if (!record || record.state !== CIRCUIT_OPEN) return 0;
+        return Math.max(0, record.openedAt + this.options.cooldownMs - now);
+    }
+
+    /**
+     * Record a successful request; closes the circuit
+     * @param {string} source - Source id
+     * @param {number} latency - Request duration in ms
+     * @param {string} name - Source display name
+     */
+    recordSuccess(source, latency, name = null) {
+        const record = this.getRecord(source);
+        this.addSample(record, true, latency, name);
+
+        record.consecutiveFailures = 0;
+        record.state = CIRCUIT_CLOSED;
+        record.openedAt = null;
+        record.lastError = null;
+        this.commit(record);
+    }
+
+    /**
+     * Record a failed request; opens the circuit after failureThreshold in a row,
+     * or immediately if the half-open probe failed
+     * @param {string} source - Source id
+     * @param {number} latency - Request duration in ms
+     * @param {Object} failure - Failure description (see describeSourceError)
+     * @param {string} name - Source display name
+     * @param {number} now - Current time in ms
+     */
+    recordFailure(source, latency, failure = null, name = null, now = Date.now()) {
+        const record = this.getRecord(source);
+        this.addSample(record, false, latency, name);
+
+        record.consecutiveFailures++;
+        record.lastError = failure ? { type: failure.type, message: failure.message } : null;
+
+        if (record.state === CIRCUIT_HALF_OPEN || record.consecutiveFailures >= this.options.failureThreshold) {
+            record.state = CIRCUIT_OPEN;
+            record.openedAt = now;
+        }
+        this.commit(record);
+    }
+
+    /**
+     * Release a half-open probe that was cancelled before it finished
+     * @param {string} source - Source id
+     */
+    recordCancelled(source) {
+        const record = this.records.get(source);
+        if (record) record.probeInFlight = false;
+    }
+
+    /**
+     * Append a sample, keeping the rolling window bounded
+     * @param {Object} record - Source record
+     * @param {boolean} ok - Whether the request succeeded
+     * @param {number} latency - Request duration in ms
+     * @param {string} name - Source display name (optional)
+     */
+    addSample(record, ok, latency, name) {
+        record.samples.push({ ok, latency: Math.round(latency), at: Date.now() });
+        if (record.samples.length > this.options.windowSize) {
+            record.samples.splice(0, record.samples.length - this.options.windowSize);
+        }
+        if (name) record.name = name;
+        record.probeInFlight = false;
+    }
+
+    /**
+     * Persist a record and notify listeners
+     * @param {Object} record - Source record
+     */
+    commit(record) {
+        const { probeInFlight, ...persisted } = record;
+        this.store.save(persisted);
+        this.notify();
+    }
+
+    /**
+     * Summarize a source's health
+     * @param {string} source - Source id
+     * @returns {Object} { source, name, state, successRate, p50, p95, consecutiveFailures,
+     *   requests, retryIn, lastError }
+     */
+    getHealth(source) {
+        const record = this.getRecord(source);
+        const latencies = record.samples.map(sample => sample.latency);
+        const successes = record.samples.filter(sample => sample.ok).length;
+
+        return {
+            source,
+            name: record.name,
+            state: record.state,
+            successRate: record.samples.length > 0 ? successes / record.samples.length : null,
+            p50: percentile(latencies, 50),
+            p95: percentile(latencies, 95),
+            consecutiveFailures: record.consecutiveFailures,
+            requests: record.samples.length,
+            retryIn: this.getRetryIn(source),
+            lastError: record.lastError
+        };
+    }
+
+    /**
+     * Summarize every tracked source
+     * @returns {Array<Object>} Health summaries (see getHealth)
+     */
+    getAllHealth() {
+        return Array.from(this.records.keys()).map(source => this.getHealth(source));
+    }
+
+    /**
+     * Forget every record in memory (used by tests; persisted records are kept)
+     */
+    reset() {
+        this.records.clear();
+        this.notify();
+    }
+
+    /**
+     * Subscribe to health changes
+     * @param {Function} listener - Called with no arguments after each change
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Call every listener, isolating failures
+     */
+    notify() {
+        this.listeners.forEach(listener => {
+            try {
+                listener();
+            } catch (error) {
+                console.error('[SourceHealth] Listener failed:', error);
+            }
+        });
+    }
+}
+
+export default SourceHealthTracker;
@@ -5,43 +5,85 @@
 // Rate Limits: 100,000 requests per day (free tier)
 
 import BaseAPIClient from './base.js';
+import { getKeywordText } from '../query-parser.js';
+import { normalizeDocType } from '../doc-types.js';
+import { normalizeOaStatus, normalizeLicense } from '../open-access.js';
+
+const UNPAYWALL_PAGE_SIZE = 50; // Fixed by the API
+const UNPAYWALL_EMAIL = 'research@sourcecrate.org'; // Required by Unpaywall (must be real email)
 
 export class UnpaywallClient extends BaseAPIClient {
     constructor() {
         super('Unpaywall');
         this.baseUrl = 'https://api.unpaywall.org/v2/search';
+        this.lookupUrl = 'https://api.unpaywall.org/v2';
+        this.supportedFields = []; // Keyword search only - query fields are post-filtered locally
     }
 
     /**
      * Search Unpaywall papers
-     * @param {string} query - Search query
-     * @param {number} limit - Max results
-     * @returns {Promise<Array>} Array of papers
+     * @param {string|Object} query - Search query (raw string or parsed query)
+     * @param {number} limit - Max results per page
+     * @param {Object|null} cursor - { page, offset } - Unpaywall pages are fixed at 50 results
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Cancels in-flight requests
+     * @returns {Promise<Object>} { papers, nextCursor }
      */
-    async search(query, limit = 10) {
-        try {
-            // Unpaywall requires page parameter and returns 50 results per page
-            const params = new URLSearchParams({
-                query: query,
-                is_oa: 'true', // Only return open access papers
-                page: '1',
-                email: 'research@sourcecrate.org' // Required by Unpaywall (must be real email)
-            });
-
-            const url = `${this.baseUrl}?${params}`;
-            const response = await this.fetchWithTimeout(url, 30000); // 30s timeout
-
-            if (!response.ok) {
-                console.warn(`[Unpaywall] HTTP ${response.status}`);
-                return [];
-            }
+    async searchPage(query, limit = 10, cursor = null, options = {}) {
+        // Unpaywall requires page parameter and returns 50 results per page,
+        // so the cursor also tracks how far into that page we've consumed
+        const { page = 1, offset = 0 } = cursor || {};
+        const params = new URLSearchParams({
+            query: getKeywordText(this.parseQuery(query)),
+            is_oa: 'true', // Only return open access papers
+            page: String(page),
+            email: UNPAYWALL_EMAIL
+        });
+
+        const url = `${this.baseUrl}?${params}`;
+        const response = await this.fetchWithRetry(url, options);
+        this.assertOk(response);
 
-            const data = await response.json();
-            return this.parseUnpaywallResponse(data, limit);
-        } catch (error) {
-            console.error(`[Unpaywall] Search error:`, error);
-            return [];
+        const data = await this.readJSON(response);
+        const results = data.results || [];
+        const papers = this.parseUnpaywallResponse({ ...data, results: results.slice(offset) }, limit);
+
+        let nextCursor = null;
+        if (offset + limit < results.length) {
+            nextCursor = { page, offset: offset + limit };
+        } else if (results.length >= UNPAYWALL_PAGE_SIZE) {
+            nextCursor = { page: page + 1, offset: 0 };
         }
+
+        return { papers, nextCursor };
+    }
+
+    /**
+     * Look up the best open-access copy of a DOI via v2/{doi}
+     * @param {string} doi - DOI
+     * @param {Object} options - Request options (see searchPage)
+     * @returns {Promise<Object|null>} { pdf_url, url, oa_status, license, host_type, version },
+     *   or null if the DOI is unknown or has no open-access copy
+     */
+    async lookupDoi(doi, options = {}) {
+        const url = `${this.lookupUrl}/${encodeURIComponent(doi)}?email=${UNPAYWALL_EMAIL}`;
+        // Enrichment runs behind the search - don't compete with result requests
+        const response = await this.fetchWithRetry(url, options, 'low');
+        if (response.status === 404) return null;
+        this.assertOk(response);
+
+        const data = await this.readJSON(response);
+        const location = data.best_oa_location;
+        if (!data.is_oa || !location) return null;
+
+        return {
+            pdf_url: location.url_for_pdf || null,
+            url: location.url_for_landing_page || location.url || null,
+            oa_status: normalizeOaStatus(data.oa_status), // gold, green, hybrid, bronze
+            license: normalizeLicense(location.license),
+            host_type: location.host_type || null, // publisher or repository
+            version: location.version || null
+        };
     }
 
     /**
@@ -77,7 +119,10 @@ export class UnpaywallClient extends BaseAPIClient {
                     pdf_url: pdfUrl || null,
                     open_access_pdf: pdfUrl || null,
                     source: 'Unpaywall',
+                    doc_type: normalizeDocType(response.genre), // CrossRef type names
                     is_open_access: response.is_oa === true,
+                    oa_status: normalizeOaStatus(response.oa_status),
+                    license: normalizeLicense(bestOA?.license),
                     citation_count: 0, // Unpaywall doesn't provide citation counts
                     journal: response.journal_name
                 };
@@ -5,42 +5,59 @@
 // Rate Limits: Guest users: 60 req/min, 2000 req/hour
 
 import BaseAPIClient from './base.js';
+import { buildLuceneQuery } from '../query-parser.js';
+import { normalizeDocType } from '../doc-types.js';
+import { normalizeLanguage } from '../utils.js';
+import { normalizeLicense } from '../open-access.js';
 
 export class ZenodoClient extends BaseAPIClient {
     constructor() {
         super('Zenodo');
         this.baseUrl = 'https://zenodo.org/api/records/';
+        this.fieldMap = {
+            author: 'creators.name',
+            title: 'title',
+            venue: 'journal.title',
+            year: 'publication_date',
+            doi: 'doi'
+        };
+        this.supportedFields = Object.keys(this.fieldMap);
+        this.booleanSyntax = 'lucene';
     }
 
     /**
      * Search Zenodo records
-     * @param {string} query - Search query
-     * @param {number} limit - Max results
-     * @returns {Promise<Array>} Array of papers
+     * @param {string|Object} query - Search query (raw string or parsed query)
+     * @param {number} limit - Max results per page
+     * @param {number|null} cursor - Page number (1-based)
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Cancels in-flight requests
+     * @returns {Promise<Object>} { papers, nextCursor }
      */
-    async search(query, limit = 10) {
-        try {
-            const params = new URLSearchParams({
-                q: query,
-                size: limit,
-                page: 1,
-                sort: 'bestmatch'
-            });
+    async searchPage(query, limit = 10, cursor = null, options = {}) {
+        const params = new URLSearchParams({
+            q: buildLuceneQuery(this.parseQuery(query), this.fieldMap, {
+                formatYear: (from, to) =>
+                    `publication_date:[${from ? `${from}-01-01` : '*'} TO ${to ? `${to}-12-31` : '*'}]`
+            }),
+            size: limit,
+            page: cursor || 1,
+            sort: 'bestmatch'
+        });
 
-            const url = `${this.baseUrl}?${params}`;
-            const response = await this.fetchWithTimeout(url);
+        const url = `${this.baseUrl}?${params}`;
+        const response = await this.fetchWithRetry(url, options);
+        this.assertOk(response);
 
-            if (!response.ok) {
-                console.warn(`[Zenodo] HTTP ${response.status}`);
-                return [];
-            }
+        const data = await this.readJSON(response);
+        const papers = this.parseZenodoResponse(data);
+
+        const page = cursor || 1;
+        const received = data.hits?.hits?.length || 0;
+        const total = data.hits?.total?.value ?? data.hits?.total;
+        const hasMore = this.hasMoreResults((page - 1) * limit + received, received, limit, total);
 
-            const data = await response.json();
-            return this.parseZenodoResponse(data);
-        } catch (error) {
-            console.error(`[Zenodo] Search error:`, error);
-            return [];
-        }
+        return { papers, nextCursor: hasMore ? page + 1 : null };
     }
 
     /**
@@ -81,7 +98,13 @@ export class ZenodoClient extends BaseAPIClient {
                     pdf_url: pdfUrl || null,
                     open_access_pdf: pdfUrl || null,
                     source: 'Zenodo',
+                    // "publication" records carry the real type in the subtype (article, thesis, section)
+                    doc_type: normalizeDocType([metadata.resource_type?.type, metadata.resource_type?.subtype]),
+                    language: normalizeLanguage(metadata.language),
                     is_open_access: true, // Zenodo is open access repository
+                    // Repository copies are green OA - unless the record is embargoed or restricted
+                    oa_status: !metadata.access_right || metadata.access_right === 'open' ? 'green' : null,
+                    license: normalizeLicense(metadata.license?.id || metadata.license),
                     citation_count: 0, // Zenodo doesn't provide citation counts in API
                     journal: metadata.journal?.title
                 };
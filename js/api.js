@@ -8,25 +8,41 @@ import {
     totalSources,
     pdfOnlyFilter,
     relevanceThreshold,
-    currentQuery,
     renderedPaperKeys,
     bm25ScoringComplete,
     setSourcesCompleted,
     setTotalSources,
     setPdfOnlyFilter,
+    setYearRangeFilter,
     setRelevanceThreshold,
     setCurrentQuery,
-    setBm25ScoringComplete
+    setBm25ScoringComplete,
+    loadingMoreResults,
+    setMoreResultsAvailable,
+    setLoadingMoreResults,
+    sourceFailures,
+    setSourceFailures,
+    sourceRetries,
+    setImportReport,
+    previousFilterQuery,
+    previousSortOrder
 } from './state.js';
 import PaperProcessor from './processing-poc.js';
-import ClientSearchOrchestrator, { defaultSources } from './api-clients/orchestrator.js';
-import { applyFilters } from './utils.js';
-import BloomFilter from './bloom-filter.js';
-import { updateCitationBadge } from './rendering.js';
+import ProcessingClient from './processing-client.js';
+import ClientSearchOrchestrator from './api-clients/orchestrator.js';
+import { getDefaultSourceIds } from './api-clients/registry.js';
+import { applyFilters, getPaperKey, hasDirectPdf, formatYearRange, passesRelevanceThreshold } from './utils.js';
+import { parseQuery, withYearRange, getScoringText } from './query-parser.js';
+import { updateCitationBadge, updateAccessLinks, removePaperCard, getViewOptions } from './rendering.js';
+import { detectIdentifier, formatIdentifier, parseIdentifierList } from './identifiers.js';
+import { parseReference, splitReferences, scoreReferenceMatch } from './references.js';
 
-// Initialize paper processor for deduplication and BM25 scoring
+// Paper helpers for lookups and enrichment (keys, source links, merging lookup records)
 const paperProcessor = new PaperProcessor();
 
+// Dedupe, BM25 scoring and filtering - in a worker where available (see processing-pipeline.js)
+const processing = new ProcessingClient();
+
 // Initialize search orchestrator
 const clientSearchOrchestrator = new ClientSearchOrchestrator();
 
@@ -36,6 +52,21 @@ const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 let lastSearchKey = null;
 let lastSearchTime = 0;
 const DEBOUNCE_MS = 300; // Debounce rapid searches within 300ms
+const BULK_LOOKUP_CONCURRENCY = 4; // Identifiers resolved in parallel (per-host rate limits still apply)
+const MIN_REFERENCE_CONFIDENCE = 0.3; // Below this a citation's best candidate counts as not found
+const OA_LOOKUP_CONCURRENCY = 4; // Unpaywall lookups in parallel during open-access enrichment
+const ABSTRACT_LOOKUP_LIMIT = 20; // Top-ranked papers without an abstract that get one fetched
+
+// Set on the read-model only (enrichment bookkeeping, the reader's cited version) -
+// kept when the pipeline sends a newer copy of a paper
+const READ_MODEL_FIELDS = ['_oa_checked', '_citations_checked', '_abstract_checked', 'cited_version'];
+
+// Current search session - kept so "Load more" can page the same sources
+// through the same dedupe/BM25 path (replaced on every new search)
+let activeSearch = null;
+
+// Incremented per search; callbacks from an older generation are stale and ignored
+let searchGeneration = 0;
 
 /**
  * Update live region for screen readers (accessibility)
@@ -50,9 +81,519 @@ function updateLiveRegion(message) {
 
 /**
  * Generate cache key from search parameters
+ * Sources are sorted so the same selection in any order shares an entry. The query
+ * keeps its case: operators only count in uppercase, so "cats NOT dogs" and
+ * "cats not dogs" are different searches
+ */
+function getSearchCacheKey(query, limit, pdfOnly, sources = null, yearRange = null) {
+    const sourcesKey = sources ? [...sources].sort().join(',') : 'default';
+    const yearKey = yearRange ? `${yearRange.from || ''}-${yearRange.to || ''}` : 'any';
+    return `${query.trim()}|${limit}|${pdfOnly}|${sourcesKey}|${yearKey}`;
+}
+
+/**
+ * Start a new search session, cancelling whatever the previous one still has in flight
+ * Holds paging cursors, the AbortController/generation used to drop stale callbacks,
+ * and resets the processing pipeline (dedupe indexes, BM25 corpus) for the new results
+ * @param {string} query - Search query
+ * @param {number} limit - Max results per source per page
+ * @param {string} cacheKey - Cache key for this search
+ * @param {Object|null} yearRange - Year range sent to every source with the query
+ * @param {Object|null} cached - Cached results to resume from ({ papers })
+ * @returns {Object} Search session (also stored as activeSearch)
+ */
+function startSearchSession(query, limit, cacheKey, yearRange = null, cached = null) {
+    if (activeSearch) {
+        activeSearch.controller.abort();
+    }
+
+    // Parse fielded syntax (author:, title:, year:, venue:, doi:) and Boolean text once for all sources
+    // BM25 scores against topical text only - field constraints are filters, not terms.
+    // The year-range control becomes a year: field, which each client sends as its native filter
+    const parsedQuery = withYearRange(parseQuery(query), yearRange);
+
+    activeSearch = {
+        generation: ++searchGeneration,
+        controller: new AbortController(),
+        query,
+        limit,
+        cacheKey,
+        parsedQuery,
+        scoringQuery: getScoringText(parsedQuery),
+        // Settles once every pipeline request made so far has been applied to papersByKey
+        processed: Promise.resolve(),
+        nextCursors: {} // source -> cursor for the next page
+    };
+
+    trackProcessing(activeSearch, processing.request('reset', {
+        scoringQuery: activeSearch.scoringQuery,
+        isBoolean: !!parsedQuery.isBoolean,
+        papers: cached?.papers || []
+    }).catch(error => console.error('Processing reset failed:', error)));
+
+    return activeSearch;
+}
+
+/**
+ * Add a pipeline request to what a session waits for before rendering or completing
+ * @param {Object} session - Search session
+ * @param {Promise} request - Request, with its result applied (must not reject)
+ * @returns {Promise} The request
+ */
+function trackProcessing(session, request) {
+    session.processed = Promise.all([session.processed, request]);
+    return request;
+}
+
+/**
+ * Check whether a session has been superseded by a newer search
+ * @param {Object} session - Search session
+ * @returns {boolean} True if callbacks for this session should be ignored
+ */
+function isStaleSession(session) {
+    return session.generation !== searchGeneration;
+}
+
+/**
+ * Store the current results for a session in the query cache
+ * The papers come from the read-model; the pipeline rebuilds its corpus stats from them
+ * @param {Object} session - Search session
+ * @returns {Promise<void>} Resolves once cached (or skipped, if the session went stale)
+ */
+async function cacheSearchResults(session) {
+    await session.processed;
+    if (isStaleSession(session)) return;
+
+    searchCache.set(session.cacheKey, {
+        papers: Array.from(papersByKey.values()),
+        sourcesCompleted: sourcesCompleted,
+        totalSources: totalSources,
+        nextCursors: session.nextCursors,
+        sourceFailures: sourceFailures,
+        timestamp: Date.now()
+    });
+
+    // Limit cache size to 10 queries
+    if (searchCache.size > 10) {
+        const oldestKey = searchCache.keys().next().value;
+        searchCache.delete(oldestKey);
+    }
+}
+
+/**
+ * Record a source failure for the results summary
+ * Replaces any earlier failure from the same source (e.g. a retried "Load more" page)
+ * @param {Object} failure - Failure description from the orchestrator (see describeSourceError)
+ */
+function recordSourceFailure(failure) {
+    setSourceFailures([
+        ...sourceFailures.filter(f => f.source !== failure.source),
+        failure
+    ]);
+}
+
+/**
+ * Show that a source is retrying a failed request ("PubMed: retrying (2/3)")
+ * @param {Object} retry - Retry notification from the orchestrator
  */
-function getSearchCacheKey(query, limit, pdfOnly) {
-    return `${query.toLowerCase().trim()}|${limit}|${pdfOnly}`;
+function recordSourceRetry(retry) {
+    sourceRetries.set(retry.source, {
+        name: retry.name,
+        attempt: retry.attempt,
+        maxAttempts: retry.maxAttempts
+    });
+    updateLiveRegion(`${retry.name}: retrying (${retry.attempt}/${retry.maxAttempts})`);
+}
+
+/**
+ * Apply papers the pipeline added or updated to the read-model (papersByKey)
+ * Keeps rendered cards in step: a paper regrouped with a new version is rebuilt,
+ * a changed citation count updates its badge
+ * @param {Array} changes - [{ key, paper, regroupedFrom? }] (see ProcessingPipeline.addBatch)
+ * @returns {Array} The papers, as stored in papersByKey
+ */
+function applyChanges(changes) {
+    return changes.map(({ key, paper, regroupedFrom }) => {
+        const existing = papersByKey.get(regroupedFrom || key);
+        if (!existing) {
+            papersByKey.set(key, paper);
+            return paper;
+        }
+
+        const previousRenderKey = getPaperKey(existing);
+        const previousCount = existing.citation_count || 0;
+
+        // Updated in place, so code holding the paper (e.g. enrichment) sees the new copy
+        Object.keys(existing).forEach(field => {
+            if (!(field in paper) && !READ_MODEL_FIELDS.includes(field)) delete existing[field];
+        });
+        Object.assign(existing, paper);
+
+        if (regroupedFrom && regroupedFrom !== key) {
+            papersByKey.delete(regroupedFrom);
+        }
+        papersByKey.set(key, existing);
+
+        if (regroupedFrom) {
+            // Rebuilt with its versions
+            removePaperCard(previousRenderKey);
+        } else if ((existing.citation_count || 0) !== previousCount) {
+            // If citation count changed and card is already rendered, update the badge
+            if (renderedPaperKeys.has(key)) {
+                updateCitationBadge(key, existing.citation_count || 0);
+            }
+        }
+
+        return existing;
+    });
+}
+
+/**
+ * Deduplicate, merge, and score a batch of papers into papersByKey
+ * Shared by the initial search, "Load more" and lookups so every page goes through
+ * the same dedupe/BM25 path; batches are applied in the order they were sent
+ * @param {Object} session - Active search session (see startSearchSession)
+ * @param {Array} papers - Papers from one source
+ * @param {Object|null} tag - Fields to set on every stored record (e.g. _exact_match)
+ * @returns {Promise<Array>} The added or updated papers, as stored in papersByKey
+ *   (none if the session went stale or processing failed)
+ */
+function ingestPapers(session, papers, tag = null) {
+    return trackProcessing(session, processing.request('addBatch', { papers, tag })
+        .then(({ changes }) => isStaleSession(session) ? [] : applyChanges(changes))
+        .catch(error => {
+            console.error('Processing failed:', error);
+            return [];
+        }));
+}
+
+/**
+ * Update papers in the read-model and the pipeline, and re-score them there
+ * The fields are set right away; the pipeline's copies (with any record merged in
+ * meanwhile, and the new score) are applied once it answers
+ * @param {Object} session - Search session
+ * @param {Array} updates - [{ key, fields }]
+ * @returns {Promise<Array>} The updated papers, as stored in papersByKey
+ */
+function updatePapers(session, updates) {
+    updates.forEach(({ key, fields }) => Object.assign(papersByKey.get(key), fields));
+
+    return trackProcessing(session, processing.request('rescore', { papers: updates })
+        .then(({ changes }) => isStaleSession(session) ? [] : applyChanges(changes))
+        .catch(error => {
+            console.error('Processing failed:', error);
+            return [];
+        }));
+}
+
+/**
+ * Score every paper again now the corpus is complete
+ * Papers from the first sources were scored against a handful of documents, so their
+ * IDF weights were off; the pipeline's token cache makes the pass cheap
+ * @param {Object} session - Search session
+ * @returns {Promise<void>} Resolves once the new scores are in papersByKey (never rejects)
+ */
+function rescoreAll(session) {
+    return trackProcessing(session, processing.request('rescoreAll')
+        .then(({ scores }) => {
+            if (isStaleSession(session)) return;
+            scores.forEach(({ key, relevance_score }) => {
+                const paper = papersByKey.get(key);
+                if (paper) paper.relevance_score = relevance_score;
+            });
+        })
+        .catch(error => console.error('Processing failed:', error)));
+}
+
+/**
+ * Render once the session's pending batches are applied
+ * Passes the pipeline's view (result keys in order, facet counts) for the filters
+ * the results were last rendered with; the render recomputes if they changed since
+ * @param {Object} session - Search session
+ * @param {Function} renderCallback - Callback to render results, called with the view
+ * @returns {Promise<void>} Never rejects - render errors are logged
+ */
+async function renderResults(session, renderCallback) {
+    try {
+        await session.processed;
+        if (isStaleSession(session)) return;
+
+        const view = await processing.request('filter', getViewOptions(previousFilterQuery, previousSortOrder));
+        if (isStaleSession(session)) return;
+
+        renderCallback(view);
+    } catch (error) {
+        console.error('Render failed:', error);
+    }
+}
+
+/**
+ * Get the fields that record an Unpaywall open-access copy as its own source link
+ * @param {Object} paper - Paper in papersByKey
+ * @param {Object} location - Best OA location (see UnpaywallClient.lookupDoi)
+ * @returns {Object} Fields to update (see updatePapers)
+ */
+function getOpenAccessFields(paper, location) {
+    const hasPdf = !!(location.pdf_url && paperProcessor.isValidPdfUrl(location.pdf_url));
+
+    // A single-source paper gets its own link first, or the card would only list Unpaywall
+    const sourceLinks = paper._source_links || [paperProcessor.toSourceLink(paper)];
+    const unpaywallLink = {
+        source: 'Unpaywall',
+        pdf_url: location.pdf_url,
+        url: location.url,
+        has_pdf: hasPdf,
+        is_open_access: true,
+        citation_count: 0,
+        oa_status: location.oa_status,
+        license: location.license
+    };
+    const fields = { _source_links: [...sourceLinks, unpaywallLink], is_open_access: true };
+    if (hasPdf && !paper.pdf_url) {
+        fields.pdf_url = location.pdf_url;
+    }
+    return fields;
+}
+
+/**
+ * Look up open-access copies for the session's DOI-bearing papers that have no direct PDF
+ * Runs in the background once a search (or "Load more" page) completes; found copies
+ * become Unpaywall source links, so the "Direct Download" filter keeps those papers.
+ * Each paper is checked once - merged and cached copies keep the _oa_checked mark
+ * unless the lookup failed
+ * @param {Object} session - Search session (see startSearchSession)
+ * @param {Function} renderCallback - Callback to render results
+ * @returns {Promise<number>} Number of papers that gained an open-access link
+ */
+async function enrichOpenAccess(session, renderCallback) {
+    const queue = Array.from(papersByKey.entries())
+        .filter(([, paper]) => paper.doi && !paper._oa_checked && !hasDirectPdf(paper));
+    // Marked up front so an overlapping pass ("Load more") doesn't queue them again
+    queue.forEach(([, paper]) => { paper._oa_checked = true; });
+    let found = 0;
+
+    const lookupNext = async () => {
+        while (queue.length > 0 && !isStaleSession(session)) {
+            const [key, paper] = queue.shift();
+            const { location, failed_sources, aborted } = await clientSearchOrchestrator.lookupOpenAccess(paper.doi, {
+                signal: session.controller.signal
+            });
+            if (aborted || isStaleSession(session)) {
+                paper._oa_checked = false;
+                return;
+            }
+
+            // A later page may have merged another record into this paper meanwhile
+            const stored = papersByKey.get(key);
+            if (!stored) continue;
+            if (failed_sources.length > 0) {
+                stored._oa_checked = false; // Retried on the next pass
+                continue;
+            }
+            if (!location) continue;
+
+            updatePapers(session, [{ key, fields: getOpenAccessFields(stored, location) }]);
+            found++;
+
+            const renderKey = getPaperKey(stored);
+            if (renderedPaperKeys.has(renderKey)) {
+                updateAccessLinks(renderKey, stored);
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: OA_LOOKUP_CONCURRENCY }, lookupNext));
+    if (isStaleSession(session)) {
+        // Cancelled - the cached copies of these papers still need checking
+        queue.forEach(([, paper]) => { paper._oa_checked = false; });
+        return found;
+    }
+    if (found === 0) return found;
+
+    updateLiveRegion(`Found open-access copies of ${found} paper${found !== 1 ? 's' : ''}`);
+    await cacheSearchResults(session);
+    // Papers the "Direct Download" filter hid may now pass it
+    await renderResults(session, renderCallback);
+
+    return found;
+}
+
+/**
+ * Fill in citation counts for the session's DOI-bearing papers whose sources gave none
+ * (PubMed, arXiv, DOAJ, Zenodo) from OpenAlex, in batched filter=doi:a|b|c requests.
+ * The count's provenance is kept in citation_source; each paper is checked once
+ * @param {Object} session - Search session (see startSearchSession)
+ * @param {Function} renderCallback - Callback to render results
+ * @returns {Promise<number>} Number of papers that gained a citation count
+ */
+async function enrichCitationCounts(session, renderCallback) {
+    const pending = Array.from(papersByKey.entries())
+        .filter(([, paper]) => paper.doi && !paper._citations_checked && !(parseInt(paper.citation_count) > 0));
+    if (pending.length === 0) return 0;
+
+    pending.forEach(([, paper]) => { paper._citations_checked = true; });
+    const { counts, failed_sources, aborted } = await clientSearchOrchestrator.lookupCitationCounts(
+        pending.map(([, paper]) => paper.doi.toLowerCase().trim()),
+        { signal: session.controller.signal }
+    );
+    if (aborted || isStaleSession(session)) {
+        pending.forEach(([, paper]) => { paper._citations_checked = false; });
+        return 0;
+    }
+
+    const updates = [];
+    pending.forEach(([key, paper]) => {
+        const doi = paper.doi.toLowerCase().trim();
+        // A later page may have merged another record (and its count) into this paper meanwhile
+        const stored = papersByKey.get(key);
+        if (!stored) return;
+        if (!counts.has(doi)) {
+            // Its batch may have failed - retried on the next pass
+            if (failed_sources.length > 0) stored._citations_checked = false;
+            return;
+        }
+
+        const count = counts.get(doi);
+        if ((parseInt(stored.citation_count) || 0) >= count) return;
+
+        updates.push({ key, fields: { citation_count: count, citation_source: 'OpenAlex' } });
+
+        const renderKey = getPaperKey(stored);
+        if (renderedPaperKeys.has(renderKey)) {
+            updateCitationBadge(renderKey, count, 'OpenAlex');
+        }
+    });
+
+    const found = updates.length;
+    if (found === 0) return 0;
+
+    updatePapers(session, updates);
+    updateLiveRegion(`Found citation counts for ${found} paper${found !== 1 ? 's' : ''}`);
+    await cacheSearchResults(session);
+    await renderResults(session, renderCallback);
+
+    return found;
+}
+
+/**
+ * Fetch abstracts for the top-ranked DOI-bearing papers that have none, from whichever
+ * abstract source has one (see ClientSearchOrchestrator.lookupAbstracts)
+ * The new text changes BM25 term statistics and scores, so those papers are re-scored
+ * and their cards re-rendered in their new position. Each paper is checked once
+ * @param {Object} session - Search session (see startSearchSession)
+ * @param {Function} renderCallback - Callback to render results
+ * @returns {Promise<number>} Number of papers that gained an abstract
+ */
+async function enrichAbstracts(session, renderCallback) {
+    const pending = Array.from(papersByKey.entries())
+        .filter(([, paper]) => paper.doi && !paper.abstract && !paper._abstract_checked)
+        .sort(([, a], [, b]) => (b.relevance_score || 0) - (a.relevance_score || 0))
+        .slice(0, ABSTRACT_LOOKUP_LIMIT);
+    if (pending.length === 0) return 0;
+
+    pending.forEach(([, paper]) => { paper._abstract_checked = true; });
+    const { abstracts, failed_sources, aborted } = await clientSearchOrchestrator.lookupAbstracts(
+        pending.map(([, paper]) => paper.doi.toLowerCase().trim()),
+        { signal: session.controller.signal }
+    );
+    if (aborted || isStaleSession(session)) {
+        pending.forEach(([, paper]) => { paper._abstract_checked = false; });
+        return 0;
+    }
+
+    const updates = [];
+    pending.forEach(([key, paper]) => {
+        const found = abstracts.get(paper.doi.toLowerCase().trim());
+        // A later page may have merged another record (and its abstract) into this paper meanwhile
+        const stored = papersByKey.get(key);
+        if (!stored) return;
+        if (!found) {
+            // Its batch may have failed - retried on the next pass
+            if (failed_sources.length > 0) stored._abstract_checked = false;
+            return;
+        }
+        if (stored.abstract) return;
+
+        updates.push({ key, fields: { abstract: found.abstract, abstract_source: found.source } });
+    });
+
+    if (updates.length === 0) return 0;
+
+    // The pipeline updates the term statistics and re-scores them
+    const changed = await updatePapers(session, updates);
+    if (isStaleSession(session)) return 0;
+
+    changed.forEach(paper => {
+        // Re-rendered with the abstract, at its new rank
+        const renderKey = getPaperKey(paper);
+        if (renderedPaperKeys.has(renderKey)) {
+            removePaperCard(renderKey);
+        }
+    });
+
+    updateLiveRegion(`Found abstracts for ${updates.length} paper${updates.length !== 1 ? 's' : ''}`);
+    await cacheSearchResults(session);
+    await renderResults(session, renderCallback);
+
+    return updates.length;
+}
+
+/**
+ * Merge the records several sources return for one identifier (e.g. CrossRef and DataCite for a DOI)
+ * Records that don't look like the same paper as the first are dropped
+ * @param {Array} papers - Lookup results, in registry order
+ * @returns {Object} Merged record
+ */
+function mergeLookupRecords(papers) {
+    const [first, ...others] = papers;
+    return others
+        .filter(paper => paperProcessor.areDuplicates(first, paper))
+        .reduce((merged, paper) => paperProcessor.mergePapers(merged, paper), first);
+}
+
+/**
+ * Resolve an identifier query directly and pin the record above the keyword results
+ * @param {Object} session - Active search session (see startSearchSession)
+ * @param {Object} identifier - { type, value } (see identifiers.js)
+ * @param {Function} renderCallback - Callback to render results
+ * @returns {Promise<void>} Never rejects - the keyword search still runs if the lookup fails
+ */
+async function resolveExactMatch(session, identifier, renderCallback) {
+    const label = formatIdentifier(identifier);
+
+    try {
+        const { papers, aborted } = await clientSearchOrchestrator.lookupIdentifier(identifier, {
+            signal: session.controller.signal
+        });
+        if (aborted || isStaleSession(session)) return;
+
+        if (papers.length === 0) {
+            updateLiveRegion(`No record found for ${label}`);
+            return;
+        }
+
+        const stored = await ingestPapers(session, [mergeLookupRecords(papers)], { _exact_match: identifier });
+        if (isStaleSession(session)) return;
+
+        stored.forEach(paper => {
+            // A keyword result may already show this paper - re-render it pinned
+            const key = getPaperKey(paper);
+            if (renderedPaperKeys.has(key)) {
+                removePaperCard(key);
+            }
+        });
+
+        updateLiveRegion(`Found exact match for ${label}`);
+        await renderResults(session, renderCallback);
+
+        // The keyword search may already have cached its results without the pin
+        if (bm25ScoringComplete) {
+            await cacheSearchResults(session);
+        }
+    } catch (error) {
+        if (isStaleSession(session)) return;
+        console.error(`Lookup of ${label} failed:`, error);
+    }
 }
 
 /**
@@ -62,15 +603,21 @@ function getSearchCacheKey(query, limit, pdfOnly) {
  * @param {boolean} pdfOnly - Filter for PDF availability
  * @param {number} minRelevance - Minimum relevance threshold
  * @param {Function} renderCallback - Callback to render results
+ * @param {Array<string>|null} sources - Source ids to search (null = the registry's default sources)
+ * @param {Object|null} yearRange - Publication year range { from, to } (either may be null), null = any year
  */
-export async function searchWithClient(query, limit, pdfOnly = false, minRelevance = 35, renderCallback) {
-    const cacheKey = getSearchCacheKey(query, limit, pdfOnly);
+export async function searchWithClient(query, limit, pdfOnly = false, minRelevance = 35, renderCallback, sources = null, yearRange = null) {
+    const cacheKey = getSearchCacheKey(query, limit, pdfOnly, sources, yearRange);
     const now = Date.now();
 
     // Check cache FIRST - instant O(1) lookup with no side effects
     const cached = searchCache.get(cacheKey);
     if (cached && (Date.now() - cached.timestamp < CACHE_TTL)) {
-        // Use cached results
+        // Cancel any search still streaming before replacing its results
+        const session = startSearchSession(query, limit, cacheKey, yearRange, cached);
+        session.nextCursors = { ...cached.nextCursors };
+
+        // Use cached results (the pipeline restores its copy and indexes from the same entry)
         papersByKey.clear();
         cached.papers.forEach(paper => {
             const key = paperProcessor.getPaperKey(paper);
@@ -81,14 +628,15 @@ export async function searchWithClient(query, limit, pdfOnly = false, minRelevan
         setSourcesCompleted(cached.sourcesCompleted);
         setTotalSources(cached.totalSources);
         setPdfOnlyFilter(pdfOnly);
+        setYearRangeFilter(yearRange);
         setRelevanceThreshold(0); // Disable relevance filter for cached results - already vetted
         setCurrentQuery(query);
         setBm25ScoringComplete(true);
-
-        // Copy corpus stats from cache
-        paperProcessor.bm25.documentFrequency = new Map(cached.corpusStats.documentFrequency);
-        paperProcessor.bm25.totalDocs = cached.corpusStats.totalDocs;
-        paperProcessor.bm25.processedDocIds = new Set(cached.corpusStats.processedDocIds);
+        setMoreResultsAvailable(Object.keys(session.nextCursors).length > 0);
+        setLoadingMoreResults(false);
+        setSourceFailures([...(cached.sourceFailures || [])]);
+        sourceRetries.clear();
+        setImportReport(null);
 
         lastSearchKey = cacheKey;
         lastSearchTime = now;
@@ -105,6 +653,11 @@ export async function searchWithClient(query, limit, pdfOnly = false, minRelevan
             summaryDiv.className = 'results-summary results-summary-complete';
         }
 
+        // Picks up papers whose enrichment was cut short (each paper is only checked once)
+        enrichOpenAccess(session, renderCallback);
+        enrichCitationCounts(session, renderCallback);
+        enrichAbstracts(session, renderCallback);
+
         return;
     }
 
@@ -116,24 +669,24 @@ export async function searchWithClient(query, limit, pdfOnly = false, minRelevan
     lastSearchKey = cacheKey;
     lastSearchTime = now;
 
+    // Cancel the previous run before clearing state so its late callbacks can't leak in
+    const session = startSearchSession(query, limit, cacheKey, yearRange);
+
     // Reset state (papersByKey is now the single source of truth)
     papersByKey.clear();
     renderedPaperKeys.clear();
+    sourceRetries.clear();
     setSourcesCompleted(0);
     setTotalSources(0);
     setPdfOnlyFilter(pdfOnly);
+    setYearRangeFilter(yearRange);
     setRelevanceThreshold(minRelevance);
     setCurrentQuery(query);
     setBm25ScoringComplete(false); // Reset BM25 scoring flag
-
-    // Reset BM25 corpus to prevent memory leak
-    paperProcessor.bm25.reset();
-
-    // DOI index for O(1) deduplication lookups (10x faster than fuzzy matching)
-    const doiIndex = new Map();
-
-    // Bloom filter for probabilistic O(1) duplicate detection (99.9% accurate, 1% false positives)
-    const doiBloom = new BloomFilter(10000);
+    setMoreResultsAvailable(false);
+    setLoadingMoreResults(false);
+    setSourceFailures([]);
+    setImportReport(null);
 
     const resultsDiv = document.getElementById('results');
     resultsDiv.innerHTML = '<p class="loading-message">🔍 Searching across academic databases...</p>';
@@ -141,177 +694,297 @@ export async function searchWithClient(query, limit, pdfOnly = false, minRelevan
     // Show results section
     document.querySelector('.results-section').classList.add('active');
 
-    const filterText = pdfOnly ? ' (Direct Download only)' : '';
+    const filterText = [pdfOnly ? 'Direct Download only' : '', formatYearRange(yearRange)]
+        .filter(Boolean).map(label => ` (${label})`).join('');
     updateLiveRegion(`Searching for "${query}"${filterText}...`);
 
+    // A pasted DOI/arXiv ID/PMID/PMCID/ISBN is also resolved directly, alongside the keyword search
+    const identifier = detectIdentifier(query);
+    const exactMatch = identifier ? resolveExactMatch(session, identifier, renderCallback) : null;
+
     try {
-        // Search with streaming-like callbacks across all sources
-        // Filter out semanticscholar: CORS not supported for browser access
-        await clientSearchOrchestrator.searchWithCallbacks(query, {
+        // Search with streaming-like callbacks across the selected sources, or the
+        // registry's defaults (those without browser CORS support are left out)
+        await clientSearchOrchestrator.searchWithCallbacks(session.parsedQuery, {
             limit,
-            sources: defaultSources.filter(s => s !== 'semanticscholar'),
+            sources: sources || getDefaultSourceIds(),
+            signal: session.controller.signal,
 
+            // Every callback checks the generation: a newer search may have cleared
+            // papersByKey while this one's requests were still in flight
             onSourceStart: (data) => {
+                if (isStaleSession(session)) return;
                 updateLiveRegion(`Searching ${data.source}...`);
             },
 
+            onSourceRetry: (data) => {
+                if (isStaleSession(session)) return;
+                recordSourceRetry(data);
+                renderCallback();
+            },
+
             onResults: (data) => {
-                // Deduplicate, merge, and score incrementally with current corpus stats
-                const newPapers = [];
-
-                data.papers.forEach(paper => {
-                    let foundDuplicate = false;
-                    let matchKey = null;
-
-                    // Ultra-fast path: Bloom filter check first (O(1) probabilistic)
-                    if (paper.doi) {
-                        const normalizedDoi = paper.doi.toLowerCase().trim();
-
-                        // If bloom filter says "definitely not seen before", skip hash lookup
-                        if (!doiBloom.mightContain(normalizedDoi)) {
-                            // Definitely new - add to bloom filter for future checks
-                            doiBloom.add(normalizedDoi);
-                        } else {
-                            // Might be duplicate - check hash index to confirm
-                            if (doiIndex.has(normalizedDoi)) {
-                                matchKey = doiIndex.get(normalizedDoi);
-                                foundDuplicate = true;
-                            }
-                        }
-                    }
-
-                    // Slow path: Only do fuzzy matching if no DOI match
-                    if (!foundDuplicate) {
-                        for (const [key, existing] of papersByKey.entries()) {
-                            if (paperProcessor.areDuplicates(existing, paper)) {
-                                matchKey = key;
-                                foundDuplicate = true;
-                                break;
-                            }
-                        }
-                    }
-
-                    if (foundDuplicate && matchKey) {
-                        // Merge with existing paper
-                        const existing = papersByKey.get(matchKey);
-
-                        // Defensive: ensure existing paper exists
-                        if (existing) {
-                            const merged = paperProcessor.mergePapers(existing, paper);
-                            papersByKey.set(matchKey, merged);
-                            newPapers.push(merged);
-
-                            // If citation count changed and card is already rendered, update the badge
-                            const existingCount = existing.citation_count || 0;
-                            const mergedCount = merged.citation_count || 0;
-                            if (mergedCount !== existingCount && renderedPaperKeys.has(matchKey)) {
-                                updateCitationBadge(matchKey, mergedCount);
-                            }
-                        } else {
-                            // Key was found but paper was removed - treat as new paper
-                            const key = paperProcessor.getPaperKey(paper);
-                            papersByKey.set(key, paper);
-                            newPapers.push(paper);
-                        }
-                    } else {
-                        // Add new paper
-                        const key = paperProcessor.getPaperKey(paper);
-
-                        // FIXED: Create _source_links for single-source papers too
-                        // This ensures consistent rendering and filtering behavior
-                        if (!paper._source_links) {
-                            const pdfUrl = paper.pdf_url || paper.open_access_pdf;
-                            paper._source_links = [{
-                                source: paper.source,
-                                pdf_url: pdfUrl || null,
-                                url: paper.url || null,
-                                // CRITICAL: has_pdf should ONLY be true if pdf_url is valid AND not null
-                                has_pdf: !!(pdfUrl && paperProcessor.isValidPdfUrl(pdfUrl)),
-                                is_open_access: paper.is_open_access || false,
-                                citation_count: parseInt(paper.citation_count) || 0
-                            }];
-                        }
-
-                        papersByKey.set(key, paper);
-                        newPapers.push(paper);
-
-                        // Index by DOI for fast future lookups (also add to bloom if not already)
-                        if (paper.doi) {
-                            const normalizedDoi = paper.doi.toLowerCase().trim();
-                            doiIndex.set(normalizedDoi, key);
-                            doiBloom.add(normalizedDoi);
-                        }
-                    }
-                });
-
-                // Incrementally update corpus stats with new papers
-                paperProcessor.bm25.updateCorpusStats(newPapers);
-
-                // Calculate average document length from current corpus
-                const allPapers = Array.from(papersByKey.values());
-                const avgLength = allPapers.reduce((sum, p) => {
-                    const text = paperProcessor.bm25.getPaperText(p);
-                    const tokens = text.toLowerCase().split(/\s+/).filter(t => t.length > 2);
-                    return sum + tokens.length;
-                }, 0) / Math.max(allPapers.length, 1);
-
-                // Score new papers with current corpus stats
-                newPapers.forEach(paper => {
-                    paper.relevance_score = paperProcessor.bm25.score(paper, currentQuery, avgLength);
-                });
-
-                // No need to update anything - papersByKey is the source of truth
-                // renderCallback will read directly from papersByKey
+                if (isStaleSession(session)) return;
+                ingestPapers(session, data.papers);
             },
 
             onSourceComplete: (data) => {
+                if (isStaleSession(session)) return;
+                sourceRetries.delete(data.source);
+                if (data.failure) {
+                    recordSourceFailure(data.failure);
+                }
                 setSourcesCompleted(data.completed);
                 if (data.total && totalSources === 0) {
                     setTotalSources(data.total);
                 }
-                renderCallback();
+                renderResults(session, renderCallback);
             },
 
-            onComplete: async (data) => {
-                // Papers already scored incrementally during streaming
-                // Just mark search as complete
-                setBm25ScoringComplete(true);
-
-                // Cache results for this query
-                searchCache.set(cacheKey, {
-                    papers: Array.from(papersByKey.values()),
-                    sourcesCompleted: sourcesCompleted,
-                    totalSources: totalSources,
-                    corpusStats: {
-                        documentFrequency: new Map(paperProcessor.bm25.documentFrequency),
-                        totalDocs: paperProcessor.bm25.totalDocs,
-                        processedDocIds: new Set(paperProcessor.bm25.processedDocIds)
-                    },
-                    timestamp: Date.now()
-                });
-
-                // Limit cache size to 10 queries
-                if (searchCache.size > 10) {
-                    const oldestKey = searchCache.keys().next().value;
-                    searchCache.delete(oldestKey);
-                }
+            onComplete: (data) => {
+                if (isStaleSession(session)) return;
+                session.finished = finishSearch(session, data, renderCallback);
+            }
+        });
 
-                // Mark search as complete in UI
-                const summaryDiv = document.getElementById('results-summary');
-                if (summaryDiv) {
-                    summaryDiv.className = 'results-summary results-summary-complete';
-                }
+        // Settles once the last batch is processed and the final render is done
+        await session.finished;
+    } catch (error) {
+        if (isStaleSession(session)) return;
+        console.error('Search error:', error);
+        updateLiveRegion(`Error: ${error.message}`);
+    }
+
+    await exactMatch;
+}
+
+/**
+ * Complete a search once every source has reported and its batches are processed
+ * @param {Object} session - Search session
+ * @param {Object} data - Orchestrator completion data (next_cursors)
+ * @param {Function} renderCallback - Callback to render results
+ * @returns {Promise<void>} Resolves after the final render
+ */
+async function finishSearch(session, data, renderCallback) {
+    // Papers are scored incrementally as their batches are processed - wait for
+    // the last ones, re-score the early ones with the final IDF, then mark search as complete
+    rescoreAll(session);
+    await session.processed;
+    if (isStaleSession(session)) return;
+    setBm25ScoringComplete(true);
+
+    // Remember which sources have another page for "Load more"
+    session.nextCursors = data.next_cursors || {};
+    setMoreResultsAvailable(Object.keys(session.nextCursors).length > 0);
+
+    // Cache results for this query
+    await cacheSearchResults(session);
+    if (isStaleSession(session)) return;
 
-                // Final render
+    // Mark search as complete in UI
+    const summaryDiv = document.getElementById('results-summary');
+    if (summaryDiv) {
+        summaryDiv.className = 'results-summary results-summary-complete';
+    }
+
+    // Final render
+    await renderResults(session, renderCallback);
+
+    // Fill in missing PDFs, citation counts and abstracts without holding up the results
+    enrichOpenAccess(session, renderCallback);
+    enrichCitationCounts(session, renderCallback);
+    enrichAbstracts(session, renderCallback);
+}
+
+/**
+ * Fetch the next page from every source that still has results
+ * New papers stream through the same dedupe/BM25 path as the initial search
+ * @param {Function} renderCallback - Callback to render results
+ */
+export async function loadMoreResults(renderCallback) {
+    const session = activeSearch;
+    if (!session || loadingMoreResults || Object.keys(session.nextCursors).length === 0) {
+        return;
+    }
+
+    setLoadingMoreResults(true);
+    updateLiveRegion(`Loading more results for "${session.query}"...`);
+    renderCallback();
+
+    try {
+        const result = await clientSearchOrchestrator.searchNextPage(session.parsedQuery, session.nextCursors, {
+            limit: session.limit,
+            signal: session.controller.signal,
+
+            onResults: (data) => {
+                // Ignore pages that arrive after a new search replaced this one
+                if (isStaleSession(session)) return;
+                ingestPapers(session, data.papers);
+            },
+
+            onSourceRetry: (data) => {
+                if (isStaleSession(session)) return;
+                recordSourceRetry(data);
                 renderCallback();
+            },
+
+            onSourceComplete: (data) => {
+                if (isStaleSession(session)) return;
+                sourceRetries.delete(data.source);
+                if (data.failure) {
+                    recordSourceFailure(data.failure);
+                }
+                renderResults(session, renderCallback);
             }
         });
+
+        // The new pages changed the corpus stats every earlier paper was scored with
+        rescoreAll(session);
+        await session.processed;
+        if (isStaleSession(session)) return;
+
+        session.nextCursors = result.next_cursors;
+        setMoreResultsAvailable(Object.keys(session.nextCursors).length > 0);
+        await cacheSearchResults(session);
+        updateLiveRegion(`Loaded ${result.total_results} more results`);
+        enrichOpenAccess(session, renderCallback);
+        enrichCitationCounts(session, renderCallback);
+        enrichAbstracts(session, renderCallback);
     } catch (error) {
-        console.error('Search error:', error);
+        if (isStaleSession(session)) return;
+        console.error('Load more error:', error);
         updateLiveRegion(`Error: ${error.message}`);
+    } finally {
+        if (!isStaleSession(session)) {
+            setLoadingMoreResults(false);
+            await renderResults(session, renderCallback);
+        }
     }
 }
 
+/**
+ * Resolve a list of pasted items into a fresh result set, a few at a time so the
+ * per-host rate limiters pace the requests; records stream in like normal search results
+ * and are pinned, so relevance filtering never hides them
+ * @param {string} kind - 'identifiers' or 'references' (labels the progress summary)
+ * @param {Array} items - Items to resolve
+ * @param {Array<string>} unrecognized - Input entries that couldn't be parsed (reported only)
+ * @param {Function} resolveItem - async (item, signal) => { paper, tag, failures, aborted }
+ *   paper: record to add (null if not found), tag: fields set on the stored record,
+ *   failures: source failures when nothing was found
+ * @param {Function} renderCallback - Callback to render results
+ * @returns {Promise<Object>} Import report: { kind, total, resolved, notFound, failed, unrecognized }
+ */
+async function runImport(kind, items, unrecognized, resolveItem, renderCallback) {
+    const session = startSearchSession('', 0, null);
+
+    // Reset state - the imported records replace the current results
+    papersByKey.clear();
+    renderedPaperKeys.clear();
+    sourceRetries.clear();
+    setSourcesCompleted(0);
+    setTotalSources(items.length);
+    setYearRangeFilter(null);
+    setRelevanceThreshold(0);
+    setCurrentQuery('');
+    setBm25ScoringComplete(false);
+    setMoreResultsAvailable(false);
+    setLoadingMoreResults(false);
+    setSourceFailures([]);
+    lastSearchKey = null; // A search right after an import is never a duplicate
+
+    const report = { kind, total: items.length, resolved: 0, notFound: [], failed: [], unrecognized };
+    setImportReport(report);
+
+    document.getElementById('results').innerHTML = `<p class="loading-message">🔍 Resolving ${kind}...</p>`;
+    document.querySelector('.results-section').classList.add('active');
+    updateLiveRegion(`Resolving ${items.length} ${kind}...`);
+
+    const queue = [...items];
+    const resolveNext = async () => {
+        while (queue.length > 0 && !isStaleSession(session)) {
+            const item = queue.shift();
+            const { paper, tag, failures = [], aborted } = await resolveItem(item, session.controller.signal);
+            if (aborted || isStaleSession(session)) return;
+
+            if (paper) {
+                ingestPapers(session, [paper], tag);
+                report.resolved++;
+            } else if (failures.length > 0) {
+                // Not found anywhere that answered - the item may still exist
+                report.failed.push({ item, failures });
+            } else {
+                report.notFound.push(item);
+            }
+
+            setSourcesCompleted(sourcesCompleted + 1);
+            renderResults(session, renderCallback);
+        }
+    };
+
+    await Promise.all(Array.from({ length: BULK_LOOKUP_CONCURRENCY }, resolveNext));
+    await session.processed;
+    if (isStaleSession(session)) return report;
+
+    setBm25ScoringComplete(true);
+    updateLiveRegion(`Resolved ${report.resolved} of ${report.total} ${kind}`);
+    await renderResults(session, renderCallback);
+
+    return report;
+}
+
+/**
+ * Resolve a pasted list of identifiers (DOIs, arXiv IDs, PMIDs, PMCIDs, ISBNs) into one result set
+ * Each identifier goes through the same clients as a single lookup
+ * @param {string} text - Newline- or comma-separated identifiers (CSV/TSV rows work too)
+ * @param {Function} renderCallback - Callback to render results
+ * @returns {Promise<Object>} Import report (see runImport)
+ */
+export async function resolveIdentifierList(text, renderCallback) {
+    const { identifiers, unrecognized } = parseIdentifierList(text);
+
+    return runImport('identifiers', identifiers, unrecognized, async (identifier, signal) => {
+        const { papers, failed_sources, aborted } = await clientSearchOrchestrator.lookupIdentifier(identifier, { signal });
+        return {
+            paper: papers.length > 0 ? mergeLookupRecords(papers) : null,
+            tag: { _exact_match: identifier },
+            failures: failed_sources,
+            aborted
+        };
+    }, renderCallback);
+}
+
+/**
+ * Resolve pasted free-text citations (one, or a whole bibliography) to papers
+ * Citations with a DOI are looked up directly; the rest go to CrossRef's query.bibliographic
+ * and the candidate that best matches the parsed title, year and first author wins
+ * @param {string} text - Reference strings (see splitReferences)
+ * @param {Function} renderCallback - Callback to render results
+ * @returns {Promise<Object>} Import report (see runImport); notFound holds citation strings
+ */
+export async function resolveReferenceList(text, renderCallback) {
+    const citations = splitReferences(text);
+
+    return runImport('references', citations, [], async (citation, signal) => {
+        const reference = parseReference(citation);
+        const { papers, failed_sources, aborted } = reference.doi
+            ? await clientSearchOrchestrator.lookupIdentifier({ type: 'doi', value: reference.doi }, { signal })
+            : await clientSearchOrchestrator.matchReference(reference.raw, { signal });
+
+        const best = papers
+            .map(paper => ({ paper, confidence: scoreReferenceMatch(reference, paper) }))
+            .sort((a, b) => b.confidence - a.confidence)[0];
+        const matched = best && best.confidence >= MIN_REFERENCE_CONFIDENCE;
+
+        return {
+            paper: matched ? best.paper : null,
+            tag: { _reference_match: { citation: reference.raw, confidence: best?.confidence } },
+            failures: failed_sources,
+            aborted
+        };
+    }, renderCallback);
+}
+
 /**
  * Clear search cache only (preserves debounce state for testing)
  * @private
@@ -320,13 +993,136 @@ export function clearSearchCache() {
     searchCache.clear();
 }
 
+/**
+ * Current health of every source queried so far (see SourceHealthTracker.getHealth)
+ * @returns {Array<Object>} Health summaries
+ */
+export function getSourceHealth() {
+    return clientSearchOrchestrator.health.getAllHealth();
+}
+
+/**
+ * Subscribe to source health changes (circuit state, success rate, latency)
+ * @param {Function} listener - Called with no arguments after each change
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeSourceHealth(listener) {
+    return clientSearchOrchestrator.health.subscribe(listener);
+}
+
+/**
+ * Forget in-memory source health (open circuits would otherwise leak between tests)
+ * @private
+ */
+export function resetSourceHealth() {
+    clientSearchOrchestrator.health.reset();
+}
+
+/**
+ * Get the NCBI API key PubMed requests use
+ * @returns {Promise<string|null>} API key, or null for keyless access
+ */
+export async function getNcbiApiKey() {
+    const client = await clientSearchOrchestrator.getClient('pubmed');
+    return client.apiKey;
+}
+
+/**
+ * Save the user's NCBI API key and apply it to the live PubMed client
+ * The next PubMed request uses the key and the 10 requests/second limit
+ * @param {string|null} apiKey - API key, or ''/null to remove it
+ * @returns {Promise<string|null>} The key now in use
+ */
+export async function setNcbiApiKey(apiKey) {
+    const client = await clientSearchOrchestrator.getClient('pubmed');
+    client.saveApiKey(apiKey);
+    return client.apiKey;
+}
+
+/**
+ * Get the processing pipeline's corpus size and timings for the current results
+ * @returns {Promise<Object|null>} { corpus, metrics } (see ProcessingPipeline.snapshot), null if unavailable
+ */
+export async function getProcessingMetrics() {
+    try {
+        return await processing.request('snapshot');
+    } catch (error) {
+        console.error('Processing metrics unavailable:', error);
+        return null;
+    }
+}
+
+/**
+ * Explain why a result scored what it did, and how the relevance threshold treats it
+ * @param {string} renderKey - The paper card's key (see utils getPaperKey)
+ * @returns {Promise<Object|null>} Score details (see BM25Scorer.explain) with threshold:
+ *   { value, applies, pinned, passes } - applies once scoring is complete; pinned exact
+ *   matches skip it. Null if the paper is no longer in the results or processing failed
+ */
+export async function explainScore(renderKey) {
+    const session = activeSearch;
+    const key = papersByKey.has(renderKey)
+        ? renderKey
+        : Array.from(papersByKey.keys()).find(paperKey => getPaperKey(papersByKey.get(paperKey)) === renderKey);
+    if (!session || !key) return null;
+
+    try {
+        await session.processed;
+        const { explanation } = await processing.request('explain', { key });
+        if (!explanation || isStaleSession(session)) return null;
+
+        const paper = papersByKey.get(key);
+        return {
+            ...explanation,
+            threshold: {
+                value: relevanceThreshold,
+                applies: bm25ScoringComplete,
+                pinned: !!(paper?._exact_match || paper?._reference_match),
+                passes: passesRelevanceThreshold({ relevance_score: explanation.score }, relevanceThreshold)
+            }
+        };
+    } catch (error) {
+        console.error('Score explanation unavailable:', error);
+        return null;
+    }
+}
+
+/**
+ * Re-sort the current results
+ * The processing pipeline sorts with the filters the results were last rendered with
+ * @param {string} sortOrder - Sort order (relevance-desc, citations-desc, etc.)
+ * @param {Function} renderCallback - Callback to render results, called with the view
+ * @returns {Promise<void>} Never rejects - without a view the render sorts in-thread
+ */
+export async function sortResults(sortOrder, renderCallback) {
+    const session = activeSearch;
+    if (!session) {
+        renderCallback(null);
+        return;
+    }
+
+    let view = null;
+    try {
+        await session.processed;
+        view = await processing.request('sort', { sortOrder });
+    } catch (error) {
+        console.error('Sort failed:', error);
+    }
+    if (isStaleSession(session)) return;
+
+    renderCallback(view);
+}
+
 /**
  * Search by paper title with one click
  * @param {string} title - Paper title to search for
  * @param {Function} renderCallback - Callback to render results
+ * @param {Array<string>|null} sources - Source ids to search (null = every default source)
+ * @param {Object|null} yearRange - Publication year range { from, to }
+ * @returns {Promise<void>} Resolves when the search completes
  */
-export function searchByTitle(title, renderCallback) {
-    if (!title) return;
+export function searchByTitle(title, renderCallback, sources = null, yearRange = null) {
+    if (!title) return Promise.resolve();
 
     // Remove special characters, keep only letters, numbers, and spaces
     const cleanedTitle = title.replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ').trim();
@@ -344,5 +1140,5 @@ export function searchByTitle(title, renderCallback) {
     window.scrollTo({ top: 0, behavior: 'smooth' });
 
     // Execute search
-    searchWithClient(cleanedTitle, limit, pdfOnly, minRelevance, renderCallback);
+    return searchWithClient(cleanedTitle, limit, pdfOnly, minRelevance, renderCallback, sources, yearRange);
 }
@@ -8,10 +8,27 @@ import {
     papersByKey,
     pdfOnlyFilter,
     renderedPaperKeys,
-    setPdfOnlyFilter
+    setPdfOnlyFilter,
+    facetSelections,
+    setFacetSelections
 } from './state.js';
-import { searchWithClient, searchByTitle as apiSearchByTitle } from './api.js';
-import { renderStreamingResults, buildPaperCard } from './rendering.js';
+import {
+    searchWithClient,
+    loadMoreResults,
+    sortResults,
+    searchByTitle as apiSearchByTitle,
+    getSourceHealth,
+    subscribeSourceHealth,
+    getProcessingMetrics,
+    explainScore,
+    getNcbiApiKey,
+    setNcbiApiKey,
+    resolveIdentifierList,
+    resolveReferenceList
+} from './api.js';
+import { getSourceHostPatterns } from './api-clients/registry.js';
+import { renderStreamingResults, buildPaperCard, buildScoreExplanation, getFilteredAndSortedResults } from './rendering.js';
+import { toggleFacetValue } from './facets.js';
 import {
     getBookmarks,
     isBookmarked,
@@ -24,7 +41,9 @@ import {
     deleteCollection,
     addToCollection,
     removeFromCollection,
-    setReadingStatus
+    setReadingStatus,
+    bookmarkPapers,
+    setCitedVersion
 } from './bookmarks.js';
 import {
     addToHistory,
@@ -51,17 +70,51 @@ import {
     renderBookmarksForCollection,
     renderCollectionsInline,
     showCreateCollectionModal,
-    hideCreateCollectionModal
+    hideCreateCollectionModal,
+    showBulkImportModal,
+    hideBulkImportModal,
+    showReferenceImportModal,
+    hideReferenceImportModal,
+    renderBookmarkAllMenu,
+    renderSourceStatusPanel,
+    renderProcessingMetrics,
+    renderSourcePicker,
+    updateSourcePickerPresets,
+    getPickedSources,
+    getYearRangeInput,
+    setYearRangeInput
 } from './ui.js';
+import {
+    getSourcePresets,
+    saveSourcePreset,
+    deleteSourcePreset,
+    getSelectedSources,
+    setSelectedSources
+} from './source-presets.js';
 
 // ============================================================================
 // Service Worker Registration - Cache API responses for instant repeat searches
 // ============================================================================
 
+/**
+ * Send the service worker the hosts of every registered source, add-on modules included
+ * The worker stores them; sent again when a new worker takes over and before each
+ * search, so sources registered since are cached too
+ */
+function postSourceHosts() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.ready.then(registration => {
+        registration.active?.postMessage({ type: 'SOURCE_HOSTS', patterns: getSourceHostPatterns() });
+    });
+}
+
 if ('serviceWorker' in navigator) {
     window.addEventListener('load', () => {
         navigator.serviceWorker.register('/sw.js')
             .catch(err => console.log('[SW] Registration failed:', err));
+
+        postSourceHosts();
+        navigator.serviceWorker.addEventListener('controllerchange', postSourceHosts);
     });
 }
 
@@ -76,6 +129,7 @@ let currentStatusFilter = 'all'; // Current status filter for bookmarks ('all',
 let currentSearchSortOrder = 'relevance-desc'; // Current sort order for search results
 let currentSearchFilterQuery = ''; // Current filter query for search results
 let searchHistoryBlurTimeout = null; // Track blur timeout to prevent race conditions
+let referenceTargetCollection = 'all'; // Collection that accepted reference matches are bookmarked into
 
 // ============================================================================
 // Global window functions (for onclick handlers in HTML)
@@ -126,6 +180,12 @@ function getPaperData(paperKey) {
  * @param {string} title - Paper title
  */
 window.searchByTitle = function(title) {
+    const sources = getPickedSources();
+    if (sources && sources.length === 0) {
+        alert('Select at least one source to search');
+        return;
+    }
+
     // Switch to search view if currently in bookmarks view
     if (currentView === 'bookmarks') {
         currentView = 'search';
@@ -135,14 +195,15 @@ window.searchByTitle = function(title) {
     // Reset filter/sort state for new search
     currentSearchFilterQuery = '';
     currentSearchSortOrder = 'relevance-desc';
+    setFacetSelections({});
     if (document.getElementById('resultsSearchInput')) {
         document.getElementById('resultsSearchInput').value = '';
     }
 
     // Use wrapper callback to pass current filter/sort state
-    apiSearchByTitle(title, () => {
-        renderStreamingResults(currentSearchFilterQuery, currentSearchSortOrder);
-    });
+    apiSearchByTitle(title, (view) => {
+        renderStreamingResults(currentSearchFilterQuery, currentSearchSortOrder, view);
+    }, sources, getYearRangeInput());
 };
 
 /**
@@ -259,6 +320,35 @@ window.handleRemoveFromCollection = function(buttonElement) {
     }
 };
 
+/**
+ * Choose which version of a paper (preprint or published) exports cite (exposed globally for onchange)
+ * @param {HTMLSelectElement} selectElement - Version select element
+ */
+window.selectCitedVersion = function(selectElement) {
+    const paperKey = selectElement.dataset.paperKey;
+    const paper = papersByKey.get(paperKey);
+    if (paper) {
+        paper.cited_version = selectElement.value;
+    }
+    setCitedVersion(paperKey, selectElement.value);
+};
+
+/**
+ * Accept a pasted citation's match: bookmark it into the chosen collection (exposed globally for onclick)
+ * @param {HTMLButtonElement} buttonElement - Accept button element
+ */
+window.acceptReferenceMatch = function(buttonElement) {
+    const paper = getPaperData(buttonElement.dataset.paperKey);
+    if (!paper) return;
+
+    bookmarkPapers([paper], referenceTargetCollection);
+
+    buttonElement.textContent = '✓ Accepted';
+    buttonElement.disabled = true;
+    updateBookmarkCount();
+    updateBookmarkButtonStates();
+};
+
 
 // ============================================================================
 // Event Handlers
@@ -274,26 +364,38 @@ document.getElementById('searchForm').addEventListener('submit', async (e) => {
     const limit = 25; // Default: 25 results per source
     const pdfOnly = document.getElementById('pdfOnly').checked;
     const minRelevance = 35;
+    const sources = getPickedSources();
+    const yearRange = getYearRangeInput();
+
+    if (sources && sources.length === 0) {
+        alert('Select at least one source to search');
+        return;
+    }
 
     // Hide search history dropdown
     hideSearchHistory();
 
+    // Sources registered since the page loaded get their responses cached too
+    postSourceHosts();
+
     // Reset search filter and sort state
     currentSearchFilterQuery = '';
     currentSearchSortOrder = 'relevance-desc';
+    setFacetSelections({});
     if (document.getElementById('resultsSearchInput')) {
         document.getElementById('resultsSearchInput').value = '';
     }
 
     // Execute search across multiple academic databases
     // Use wrapper callback to pass current filter/sort state
-    await searchWithClient(query, limit, pdfOnly, minRelevance, () => {
-        renderStreamingResults(currentSearchFilterQuery, currentSearchSortOrder);
-    });
+    await searchWithClient(query, limit, pdfOnly, minRelevance, (view) => {
+        renderStreamingResults(currentSearchFilterQuery, currentSearchSortOrder, view);
+    }, sources, yearRange);
+    getProcessingMetrics().then(renderProcessingMetrics);
 
     // Add to search history
     // Note: We'll update the result count after search completes
-    addToHistory(query, 0, { pdfOnly, relevanceThreshold: minRelevance });
+    addToHistory(query, 0, { pdfOnly, relevanceThreshold: minRelevance, sources, yearRange });
 
     // Show results controls row
     document.getElementById('resultsControlsRow').style.display = 'flex';
@@ -305,12 +407,36 @@ document.getElementById('searchForm').addEventListener('submit', async (e) => {
 
 // updateBookmarkCount, populateSearchHistory, showSearchHistory, hideSearchHistory moved to ui.js
 
+/**
+ * Switch to the search results view with filter and sort reset, ready for an import
+ */
+function showImportResultsView() {
+    if (currentView === 'bookmarks') {
+        currentView = 'search';
+        showSearchView(papersByKey);
+    }
+
+    currentSearchFilterQuery = '';
+    currentSearchSortOrder = 'relevance-desc';
+    setFacetSelections({});
+    document.getElementById('resultsSearchInput').value = '';
+    document.getElementById('resultsControlsRow').style.display = 'flex';
+}
+
 /**
  * Select a history item
  * @param {string} query - Search query
+ * @param {number} index - History item index (restores its year range)
  */
-window.selectHistoryItem = function(query) {
+window.selectHistoryItem = function(query, index) {
+    const filters = getRecentSearches(10)[index]?.filters;
     document.getElementById('searchQuery').value = query;
+    setYearRangeInput(filters?.yearRange || null);
+
+    // Rerun with the entry's sources (null = every default source), and keep them picked
+    const sources = filters?.sources || null;
+    setSelectedSources(sources);
+    renderSourcePicker(sources);
     hideSearchHistory();
     // Trigger search
     document.getElementById('searchForm').dispatchEvent(new Event('submit'));
@@ -383,6 +509,69 @@ document.addEventListener('DOMContentLoaded', () => {
     // Update bookmark count
     updateBookmarkCount();
 
+    // Source picker: restore the last selection; presets replace the checked sources
+    renderSourcePicker(getSelectedSources());
+
+    document.getElementById('sourceOptions').addEventListener('change', () => {
+        setSelectedSources(getPickedSources());
+        updateSourcePickerPresets();
+    });
+
+    document.getElementById('sourcePreset').addEventListener('change', (e) => {
+        const preset = getSourcePresets().find(p => p.name === e.target.value);
+        if (!preset) return;
+        setSelectedSources(preset.sources);
+        renderSourcePicker(preset.sources);
+    });
+
+    document.getElementById('saveSourcePresetBtn').addEventListener('click', () => {
+        const sources = getPickedSources();
+        if (sources && sources.length === 0) {
+            alert('Select at least one source to save a preset');
+            return;
+        }
+        const name = prompt('Preset name:');
+        if (saveSourcePreset(name, sources)) {
+            updateSourcePickerPresets();
+        }
+    });
+
+    document.getElementById('deleteSourcePresetBtn').addEventListener('click', () => {
+        const name = document.getElementById('sourcePreset').value;
+        if (name && confirm(`Delete preset "${name}"?`)) {
+            deleteSourcePreset(name);
+            updateSourcePickerPresets();
+        }
+    });
+
+    // NCBI API key: filled in the first time the picker opens (loads the PubMed client),
+    // applied to the live client on save
+    const ncbiKeyInput = document.getElementById('ncbiApiKey');
+    const saveNcbiKeyBtn = document.getElementById('saveNcbiApiKeyBtn');
+    const saveNcbiKey = async () => {
+        const apiKey = await setNcbiApiKey(ncbiKeyInput.value);
+        ncbiKeyInput.value = apiKey || '';
+        saveNcbiKeyBtn.textContent = apiKey ? '✓ Key saved' : 'Key removed';
+    };
+    ncbiKeyInput.addEventListener('input', () => {
+        saveNcbiKeyBtn.textContent = 'Save key';
+    });
+    document.getElementById('sourcePicker').addEventListener('toggle', async (e) => {
+        if (!e.target.open || ncbiKeyInput.dataset.loaded) return;
+        ncbiKeyInput.dataset.loaded = 'true';
+        ncbiKeyInput.value = (await getNcbiApiKey()) || '';
+    });
+    saveNcbiKeyBtn.addEventListener('click', saveNcbiKey);
+    ncbiKeyInput.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter') return;
+        e.preventDefault(); // Enter would submit the search form
+        saveNcbiKey();
+    });
+
+    // Source status panel follows circuit breaker / latency updates
+    renderSourceStatusPanel(getSourceHealth());
+    subscribeSourceHealth(() => renderSourceStatusPanel(getSourceHealth()));
+
     // Get filter UI elements
     const pdfOnlyCheckbox = document.getElementById('pdfOnly');
     const searchInput = document.getElementById('searchQuery');
@@ -463,6 +652,38 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    // Load the next page from every source that still has results
+    document.getElementById('loadMoreBtn').addEventListener('click', () => {
+        loadMoreResults((view) => {
+            renderStreamingResults(currentSearchFilterQuery, currentSearchSortOrder, view);
+        }).then(getProcessingMetrics).then(renderProcessingMetrics);
+    });
+
+    // "Explain score" on a result card - explained on each open, as scores change while sources stream in
+    // (toggle doesn't bubble, so the results container listens in the capture phase)
+    document.getElementById('results').addEventListener('toggle', async (e) => {
+        const details = e.target;
+        if (!details.classList?.contains('score-explanation') || !details.open) return;
+
+        const body = details.querySelector('.score-explanation-body');
+        body.textContent = 'Explaining…';
+        body.innerHTML = buildScoreExplanation(await explainScore(details.dataset.paperKey));
+    }, true);
+
+    // Facet panel: toggle a value, or clear every selection
+    document.getElementById('facetPanel').addEventListener('change', (e) => {
+        const input = e.target.closest('input[data-facet]');
+        if (!input) return;
+        setFacetSelections(toggleFacetValue(facetSelections, input.dataset.facet, input.value));
+        renderStreamingResults(currentSearchFilterQuery, currentSearchSortOrder);
+    });
+
+    document.getElementById('facetPanel').addEventListener('click', (e) => {
+        if (!e.target.closest('[data-facet-clear]')) return;
+        setFacetSelections({});
+        renderStreamingResults(currentSearchFilterQuery, currentSearchSortOrder);
+    });
+
     // Results sort dropdown toggle
     document.getElementById('resultsSortDropdownBtn').addEventListener('click', () => {
         const menu = document.getElementById('resultsSortDropdownMenu');
@@ -482,7 +703,9 @@ document.addEventListener('DOMContentLoaded', () => {
         btn.addEventListener('click', () => {
             const sortOrder = btn.dataset.sort;
             currentSearchSortOrder = sortOrder;
-            renderStreamingResults(currentSearchFilterQuery, currentSearchSortOrder);
+            sortResults(sortOrder, (view) => {
+                renderStreamingResults(currentSearchFilterQuery, currentSearchSortOrder, view);
+            });
             document.getElementById('resultsSortDropdownMenu').style.display = 'none';
         });
     });
@@ -526,6 +749,50 @@ document.addEventListener('DOMContentLoaded', () => {
         document.getElementById('resultsExportDropdownMenu').style.display = 'none';
     });
 
+    // "Bookmark all" dropdown toggle (collections are listed fresh each time it opens)
+    document.getElementById('bookmarkAllDropdownBtn').addEventListener('click', () => {
+        const menu = document.getElementById('bookmarkAllDropdownMenu');
+        if (menu.style.display === 'none') {
+            renderBookmarkAllMenu();
+            menu.style.display = 'block';
+        } else {
+            menu.style.display = 'none';
+        }
+    });
+
+    // Close "Bookmark all" dropdown when clicking outside
+    document.addEventListener('click', (e) => {
+        const bookmarkAllWrapper = document.querySelector('#resultsControlsRow .bookmark-all-dropdown-wrapper');
+        if (bookmarkAllWrapper && !bookmarkAllWrapper.contains(e.target)) {
+            document.getElementById('bookmarkAllDropdownMenu').style.display = 'none';
+        }
+    });
+
+    // Bookmark every displayed result into the chosen (or a new) collection
+    document.getElementById('bookmarkAllDropdownMenu').addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-collection-id]');
+        if (!button) return;
+        document.getElementById('bookmarkAllDropdownMenu').style.display = 'none';
+
+        const papers = getFilteredAndSortedResults(currentSearchFilterQuery, currentSearchSortOrder);
+        if (papers.length === 0) {
+            alert('No papers to bookmark');
+            return;
+        }
+
+        let collection = getCollections()[button.dataset.collectionId];
+        if (!collection) {
+            const name = prompt('Collection name:')?.trim();
+            if (!name) return;
+            collection = createCollection(name);
+        }
+
+        bookmarkPapers(papers, collection.id);
+        updateBookmarkCount();
+        updateBookmarkButtonStates();
+        alert(`✓ ${papers.length} paper${papers.length > 1 ? 's' : ''} bookmarked to "${collection.name}"`);
+    });
+
     // View bookmarks button
     document.getElementById('viewBookmarksBtn').addEventListener('click', () => {
         currentView = 'bookmarks';
@@ -764,6 +1031,83 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    // Bulk identifier import
+    document.getElementById('bulkImportBtn').addEventListener('click', () => {
+        showBulkImportModal();
+    });
+
+    document.getElementById('cancelBulkImportBtn').addEventListener('click', () => {
+        hideBulkImportModal();
+    });
+
+    document.querySelector('#bulkImportModal .modal-close').addEventListener('click', () => {
+        hideBulkImportModal();
+    });
+
+    // Close modal on background click
+    document.getElementById('bulkImportModal').addEventListener('click', (e) => {
+        if (e.target.id === 'bulkImportModal') {
+            hideBulkImportModal();
+        }
+    });
+
+    // Load a spreadsheet export or text file into the textarea
+    document.getElementById('bulkImportFile').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (file) {
+            document.getElementById('bulkImportInput').value = await file.text();
+        }
+    });
+
+    document.getElementById('bulkImportForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        const text = document.getElementById('bulkImportInput').value;
+        if (!text.trim()) return;
+
+        hideBulkImportModal();
+        showImportResultsView();
+
+        await resolveIdentifierList(text, (view) => {
+            renderStreamingResults(currentSearchFilterQuery, currentSearchSortOrder, view);
+        });
+    });
+
+    // Reference parsing
+    document.getElementById('referenceImportBtn').addEventListener('click', () => {
+        showReferenceImportModal(referenceTargetCollection);
+    });
+
+    document.getElementById('cancelReferenceImportBtn').addEventListener('click', () => {
+        hideReferenceImportModal();
+    });
+
+    document.querySelector('#referenceImportModal .modal-close').addEventListener('click', () => {
+        hideReferenceImportModal();
+    });
+
+    // Close modal on background click
+    document.getElementById('referenceImportModal').addEventListener('click', (e) => {
+        if (e.target.id === 'referenceImportModal') {
+            hideReferenceImportModal();
+        }
+    });
+
+    document.getElementById('referenceImportForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        const text = document.getElementById('referenceImportInput').value;
+        if (!text.trim()) return;
+
+        referenceTargetCollection = document.getElementById('referenceCollection').value || 'all';
+        hideReferenceImportModal();
+        showImportResultsView();
+
+        await resolveReferenceList(text, (view) => {
+            renderStreamingResults(currentSearchFilterQuery, currentSearchSortOrder, view);
+        });
+    });
+
     // Collections UI event handlers
     document.getElementById('newCollectionLink').addEventListener('click', (e) => {
         e.preventDefault();
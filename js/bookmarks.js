@@ -83,6 +83,17 @@ function saveCollections(collections) {
     }
 }
 
+/**
+ * Copy of a paper as stored in bookmarks
+ * Search-session annotations (pinned exact/reference matches) aren't saved
+ * @param {Object} paper - Paper object
+ * @returns {Object} Paper fields to store
+ */
+function toStoredPaper(paper) {
+    const { _exact_match, _reference_match, ...stored } = paper;
+    return stored;
+}
+
 /**
  * Check if a paper is bookmarked
  * @param {Object|string} paperOrKey - Paper object or paper key
@@ -106,7 +117,7 @@ export function addBookmark(paper, collectionId = 'all') {
 
     // Store paper with timestamp and default reading status
     bookmarks[key] = {
-        ...paper,
+        ...toStoredPaper(paper),
         _bookmarked_at: Date.now(),
         _reading_status: 'to_read' // Default: to_read, reading, read, important
     };
@@ -125,6 +136,45 @@ export function addBookmark(paper, collectionId = 'all') {
     return true;
 }
 
+/**
+ * Bookmark a set of papers into a collection in one write
+ * Papers already bookmarked keep their reading status and bookmark date
+ * @param {Array} papers - Paper objects
+ * @param {string} collectionId - Collection ID (defaults to 'all'; papers always join 'all')
+ * @returns {number} Number of papers newly added to the collection
+ */
+export function bookmarkPapers(papers, collectionId = 'all') {
+    const bookmarks = getBookmarks();
+    const collections = getCollections();
+    const target = collections[collectionId];
+    let added = 0;
+
+    papers.forEach(paper => {
+        const key = getPaperKey(paper);
+
+        if (!bookmarks[key]) {
+            bookmarks[key] = {
+                ...toStoredPaper(paper),
+                _bookmarked_at: Date.now(),
+                _reading_status: 'to_read'
+            };
+        }
+
+        if (target && !target.paperKeys.includes(key)) {
+            target.paperKeys.push(key);
+            added++;
+        }
+        if (!collections.all.paperKeys.includes(key)) {
+            collections.all.paperKeys.push(key);
+        }
+    });
+
+    saveBookmarks(bookmarks);
+    saveCollections(collections);
+
+    return added;
+}
+
 /**
  * Remove paper from bookmarks
  * @param {Object|string} paperOrKey - Paper object or paper key
@@ -433,6 +483,22 @@ export function setReadingStatus(paperKey, status) {
     return true;
 }
 
+/**
+ * Remember which version of a bookmarked paper to cite (see versions.js)
+ * @param {string} paperKey - Paper key
+ * @param {string} versionId - Version id from paper._versions
+ * @returns {boolean} True if the paper is bookmarked and was updated
+ */
+export function setCitedVersion(paperKey, versionId) {
+    const bookmarks = getBookmarks();
+    const paper = bookmarks[paperKey];
+    if (!paper) return false;
+
+    paper.cited_version = versionId;
+    saveBookmarks(bookmarks);
+    return true;
+}
+
 /**
  * Get bookmarks filtered by reading status
  * @param {string} status - Status to filter by ('to_read', 'reading', 'read', 'important', or 'all')
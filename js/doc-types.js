@@ -0,0 +1,111 @@
+// ============================================================================
+// DOC-TYPES.JS - Normalize document types from every source
+// ============================================================================
+// Each source has its own type vocabulary:
+//   CrossRef / Unpaywall:  journal-article, posted-content, book-chapter, proceedings-article
+//   OpenAlex:              article, preprint, review, book-chapter, dissertation
+//   DataCite:              JournalArticle, Preprint, Dataset, Software, Dissertation
+//   Zenodo:                publication/article, publication/thesis, poster, software
+//   PubMed / Europe PMC:   "Journal Article", "Review", "Preprint"
+//   Semantic Scholar:      JournalArticle, Review, Conference, Dataset, BookSection
+// Everything ends up as one of DOC_TYPES in paper.doc_type.
+
+export const DOC_TYPES = {
+    'article': 'Article',
+    'preprint': 'Preprint',
+    'review': 'Review',
+    'book': 'Book',
+    'chapter': 'Chapter',
+    'thesis': 'Thesis',
+    'dataset': 'Dataset',
+    'software': 'Software',
+    'conference-paper': 'Conference paper',
+    'other': 'Other'
+};
+
+// Source type names, lowercased with punctuation and spaces removed
+// ("journal-article", "JournalArticle" and "Journal Article" all become "journalarticle")
+const SOURCE_TYPES = {
+    article: 'article',
+    journalarticle: 'article',
+    text: 'article',
+    letter: 'article',
+    editorial: 'article',
+    casereport: 'article',
+    clinicaltrial: 'article',
+    preprint: 'preprint',
+    postedcontent: 'preprint',
+    workingpaper: 'preprint',
+    review: 'review',
+    reviewarticle: 'review',
+    systematicreview: 'review',
+    metaanalysis: 'review',
+    book: 'book',
+    monograph: 'book',
+    editedbook: 'book',
+    referencebook: 'book',
+    booksection: 'chapter',
+    bookchapter: 'chapter',
+    bookpart: 'chapter',
+    section: 'chapter',
+    referenceentry: 'chapter',
+    thesis: 'thesis',
+    dissertation: 'thesis',
+    dataset: 'dataset',
+    software: 'software',
+    conference: 'conference-paper',
+    conferencepaper: 'conference-paper',
+    proceedingsarticle: 'conference-paper'
+};
+
+// Least specific types first. Within one record any named type beats a generic article
+// (PubMed lists "Journal Article" next to "Review" or "Preprint"); across merged
+// records a published version beats its preprint.
+const RECORD_SPECIFICITY = ['other', 'article'];
+const MERGE_SPECIFICITY = ['other', 'preprint', 'article'];
+
+/**
+ * Rank a type by specificity (higher is more specific)
+ * @param {Array<string>} ranking - Least specific types, in order
+ * @param {string} docType - Normalized type
+ * @returns {number} Rank
+ */
+function specificity(ranking, docType) {
+    const index = ranking.indexOf(docType);
+    return index === -1 ? ranking.length : index;
+}
+
+/**
+ * Pick the more specific of two normalized types
+ * A published type beats a preprint, and anything beats "other"
+ * @param {string|null} a - Normalized type
+ * @param {string|null} b - Normalized type
+ * @returns {string|null} The more specific type (a on ties)
+ */
+export function mergeDocTypes(a, b) {
+    if (!a) return b || null;
+    if (!b) return a;
+    return specificity(MERGE_SPECIFICITY, b) > specificity(MERGE_SPECIFICITY, a) ? b : a;
+}
+
+/**
+ * Normalize one or more source type names
+ * @param {string|Array<string>} types - Source type name(s), most authoritative first
+ * @returns {string} One of DOC_TYPES ('other' if none is recognized)
+ */
+export function normalizeDocType(types) {
+    return [].concat(types || [])
+        .filter(type => typeof type === 'string')
+        .map(type => SOURCE_TYPES[type.toLowerCase().replace(/[^a-z]/g, '')] || 'other')
+        .reduce((best, docType) =>
+            specificity(RECORD_SPECIFICITY, docType) > specificity(RECORD_SPECIFICITY, best) ? docType : best, 'other');
+}
+
+/**
+ * Get the display label for a normalized type
+ * @param {string} docType - Normalized type
+ * @returns {string} Label
+ */
+export function getDocTypeLabel(docType) {
+    return DOC_TYPES[docType] || DOC_TYPES.other;
+}
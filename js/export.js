@@ -2,8 +2,45 @@
 // EXPORT.JS - Export results to various citation formats (BibTeX, RIS, CSV, JSON)
 // ============================================================================
 // All processing is client-side using native browser APIs
+// Papers grouped with their preprint are exported as the version the reader chose to cite
 
 import { formatAuthors, normalizeDoi } from './utils.js';
+import { withCitedVersion } from './versions.js';
+
+// Entry types per normalized doc_type (see doc-types.js)
+const BIBTEX_TYPES = {
+    'article': 'article',
+    'review': 'article',
+    'book': 'book',
+    'chapter': 'incollection',
+    'thesis': 'phdthesis',
+    'conference-paper': 'inproceedings'
+};
+const RIS_TYPES = {
+    'article': 'JOUR',
+    'review': 'JOUR',
+    'preprint': 'INPR', // INPR = in press/preprint
+    'book': 'BOOK',
+    'chapter': 'CHAP',
+    'thesis': 'THES',
+    'dataset': 'DATA',
+    'software': 'COMP',
+    'conference-paper': 'CPAPER',
+    'other': 'GEN'
+};
+
+/**
+ * Get a paper's normalized type
+ * Papers bookmarked before doc_type existed fall back to guessing from the source
+ * @param {Object} paper - Paper object
+ * @returns {string} Normalized type
+ */
+function getExportDocType(paper) {
+    if (paper.doc_type) return paper.doc_type;
+    const isPreprint = paper.source?.toLowerCase().includes('arxiv') ||
+                      paper.source?.toLowerCase().includes('preprint');
+    return isPreprint ? 'preprint' : 'article';
+}
 
 /**
  * Escape special characters for BibTeX
@@ -57,7 +94,7 @@ function generateBibTeXKey(paper) {
  * @returns {string} BibTeX formatted string
  */
 export function exportToBibTeX(papers) {
-    const entries = papers.map(paper => {
+    const entries = papers.map(withCitedVersion).map(paper => {
         const key = generateBibTeXKey(paper);
         const title = escapeBibTeX(paper.title || 'Untitled');
         const authors = paper.authors?.join(' and ') || 'Unknown';
@@ -67,17 +104,23 @@ export function exportToBibTeX(papers) {
         const abstract = escapeBibTeX(paper.abstract || '');
         const url = paper.url || '';
 
-        // Determine entry type
-        const isPreprint = paper.source?.toLowerCase().includes('arxiv') ||
-                          paper.source?.toLowerCase().includes('preprint');
+        // Determine entry type (articles without a journal can't be @article)
+        const docType = getExportDocType(paper);
         const hasJournal = journal && journal.trim() !== '';
-        const entryType = (isPreprint || !hasJournal) ? 'misc' : 'article';
+        let entryType = BIBTEX_TYPES[docType] || 'misc';
+        if (entryType === 'article' && !hasJournal) entryType = 'misc';
+
+        // Chapters and proceedings papers name their container booktitle
+        const venueField = ['incollection', 'inproceedings'].includes(entryType) ? 'booktitle'
+            : entryType === 'phdthesis' ? 'school'
+            : entryType === 'book' ? 'publisher'
+            : 'journal';
 
         let bibtex = `@${entryType}{${key},\n`;
         bibtex += `  title = {${title}},\n`;
         bibtex += `  author = {${authors}},\n`;
         if (year) bibtex += `  year = {${year}},\n`;
-        if (journal) bibtex += `  journal = {${journal}},\n`;
+        if (journal) bibtex += `  ${venueField} = {${journal}},\n`;
         if (doi) bibtex += `  doi = {${doi}},\n`;
         if (abstract) bibtex += `  abstract = {${abstract}},\n`;
         if (url) bibtex += `  url = {${url}},\n`;
@@ -96,10 +139,8 @@ export function exportToBibTeX(papers) {
  * @returns {string} RIS formatted string
  */
 export function exportToRIS(papers) {
-    const entries = papers.map(paper => {
-        const isPreprint = paper.source?.toLowerCase().includes('arxiv') ||
-                          paper.source?.toLowerCase().includes('preprint');
-        const type = isPreprint ? 'INPR' : 'JOUR'; // INPR = in press/preprint, JOUR = journal article
+    const entries = papers.map(withCitedVersion).map(paper => {
+        const type = RIS_TYPES[getExportDocType(paper)];
 
         let ris = `TY  - ${type}\n`;
         ris += `TI  - ${paper.title || 'Untitled'}\n`;
@@ -112,7 +153,8 @@ export function exportToRIS(papers) {
         }
 
         if (paper.year) ris += `PY  - ${paper.year}\n`;
-        if (paper.journal) ris += `JO  - ${paper.journal}\n`;
+        // Journals go in JO; book, proceedings and repository names in T2
+        if (paper.journal) ris += `${['JOUR', 'INPR'].includes(type) ? 'JO' : 'T2'}  - ${paper.journal}\n`;
         if (paper.abstract) ris += `AB  - ${paper.abstract}\n`;
         if (paper.doi) ris += `DO  - ${normalizeDoi(paper.doi)}\n`;
         if (paper.url) ris += `UR  - ${paper.url}\n`;
@@ -146,7 +188,7 @@ export function exportToCSV(papers) {
     };
 
     // Build CSV rows
-    const rows = papers.map(paper => {
+    const rows = papers.map(withCitedVersion).map(paper => {
         return [
             escapeCSV(paper.title || ''),
             escapeCSV(formatAuthors(paper.authors)),
@@ -172,7 +214,7 @@ export function exportToCSV(papers) {
  */
 export function exportToJSON(papers) {
     // Clean papers for export (remove internal fields)
-    const cleanedPapers = papers.map(paper => {
+    const cleanedPapers = papers.map(withCitedVersion).map(paper => {
         const cleaned = {
             title: paper.title,
             authors: paper.authors,
@@ -183,10 +225,24 @@ export function exportToJSON(papers) {
             url: paper.url,
             pdf_url: paper.pdf_url,
             source: paper.source,
+            doc_type: paper.doc_type,
             citation_count: paper.citation_count || 0,
             is_open_access: paper.is_open_access || false
         };
 
+        // Citation counts and abstracts filled in after the search say where they came from
+        if (paper.citation_source) {
+            cleaned.citation_source = paper.citation_source;
+        }
+        if (paper.abstract_source) {
+            cleaned.abstract_source = paper.abstract_source;
+        }
+
+        // Other versions of the paper (preprint / published)
+        if (paper._versions?.length > 1) {
+            cleaned.versions = paper._versions;
+        }
+
         // Include source links if available
         if (paper._source_links) {
             cleaned.source_links = paper._source_links;
@@ -222,7 +278,7 @@ export function downloadFile(content, filename, mimeType) {
  * @returns {string} Plain text formatted string
  */
 export function exportToPlainText(papers) {
-    const entries = papers.map((paper, index) => {
+    const entries = papers.map(withCitedVersion).map((paper, index) => {
         let text = `${index + 1}. ${paper.title || 'Untitled'}\n`;
 
         if (paper.authors && paper.authors.length > 0) {
@@ -0,0 +1,173 @@
+// ============================================================================
+// FACETS.JS - Facet counts and multi-select refinement for search results
+// ============================================================================
+// Selections are a plain object of facet id -> selected values, e.g.
+//   { year: ['2021', '2022'], doc_type: ['dataset'] }
+// Values within a facet are ORed, facets are ANDed. Selections are replaced,
+// never mutated, so a changed selection is a changed reference.
+
+import { DOC_TYPES, getDocTypeLabel } from './doc-types.js';
+import { OA_STATUSES, LICENSES, getOpenAccessInfo } from './open-access.js';
+
+// OA status types, plus a fallback for open papers no source typed
+const { closed: CLOSED_LABEL, ...OPEN_STATUSES } = OA_STATUSES;
+const ACCESS_LABELS = { ...OPEN_STATUSES, open: 'Open, type unknown', closed: CLOSED_LABEL };
+
+let languageNames = null;
+try {
+    languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+} catch {
+    // Older browsers show the code instead
+}
+
+/**
+ * Facet definitions, in sidebar order
+ * values(paper) lists the paper's values for the facet; order sorts options
+ * ('count' by default); limit caps the options shown (selected ones always are)
+ */
+export const FACETS = [
+    {
+        id: 'year',
+        label: 'Year',
+        values: paper => paper.year ? [String(paper.year)] : [],
+        order: (a, b) => b.value - a.value,
+        histogram: true
+    },
+    {
+        id: 'source',
+        label: 'Source',
+        values: paper => paper._sources || (paper.source ? [paper.source] : [])
+    },
+    {
+        id: 'venue',
+        label: 'Venue',
+        values: paper => paper.journal ? [paper.journal] : [],
+        limit: 10
+    },
+    {
+        id: 'access',
+        label: 'Open access',
+        values: paper => {
+            const { statuses } = getOpenAccessInfo(paper);
+            if (statuses.length > 0) return statuses;
+            return [paper.is_open_access ? 'open' : 'closed'];
+        },
+        format: value => ACCESS_LABELS[value],
+        order: (a, b) => Object.keys(ACCESS_LABELS).indexOf(a.value) - Object.keys(ACCESS_LABELS).indexOf(b.value)
+    },
+    {
+        id: 'license',
+        label: 'Licence',
+        values: paper => getOpenAccessInfo(paper).licenses,
+        format: value => LICENSES[value],
+        order: (a, b) => Object.keys(LICENSES).indexOf(a.value) - Object.keys(LICENSES).indexOf(b.value)
+    },
+    {
+        id: 'doc_type',
+        label: 'Type',
+        values: paper => [paper.doc_type || 'other'],
+        format: getDocTypeLabel,
+        order: (a, b) => Object.keys(DOC_TYPES).indexOf(a.value) - Object.keys(DOC_TYPES).indexOf(b.value)
+    },
+    {
+        id: 'language',
+        label: 'Language',
+        values: paper => paper.language ? [paper.language] : [],
+        format: code => languageNames?.of(code) || code.toUpperCase()
+    },
+    {
+        id: 'author',
+        label: 'Author',
+        values: paper => paper.authors || [],
+        limit: 10
+    }
+];
+
+const FACETS_BY_ID = new Map(FACETS.map(facet => [facet.id, facet]));
+
+/**
+ * Get a paper's distinct values for a facet
+ * @param {Object} facet - Facet definition
+ * @param {Object} paper - Paper object
+ * @returns {Array<string>} Values
+ */
+function getValues(facet, paper) {
+    return [...new Set(facet.values(paper))];
+}
+
+/**
+ * Check whether any facet value is selected
+ * @param {Object} selections - Facet id -> selected values
+ * @returns {boolean} True if something is selected
+ */
+export function hasFacetSelections(selections) {
+    return Object.values(selections || {}).some(values => values.length > 0);
+}
+
+/**
+ * Check a paper against the selected facet values
+ * @param {Object} paper - Paper object
+ * @param {Object} selections - Facet id -> selected values
+ * @param {string|null} exceptFacetId - Facet to ignore (when counting that facet's own options)
+ * @returns {boolean} True if the paper has a selected value in every facet with a selection
+ */
+export function matchesFacets(paper, selections, exceptFacetId = null) {
+    return Object.entries(selections || {}).every(([facetId, selected]) => {
+        const facet = FACETS_BY_ID.get(facetId);
+        if (!facet || facetId === exceptFacetId || selected.length === 0) return true;
+        return getValues(facet, paper).some(value => selected.includes(value));
+    });
+}
+
+/**
+ * Select or deselect one facet value
+ * @param {Object} selections - Facet id -> selected values
+ * @param {string} facetId - Facet id
+ * @param {string} value - Facet value
+ * @returns {Object} New selections
+ */
+export function toggleFacetValue(selections, facetId, value) {
+    const selected = selections[facetId] || [];
+    const next = selected.includes(value)
+        ? selected.filter(v => v !== value)
+        : [...selected, value];
+
+    const { [facetId]: _, ...rest } = selections;
+    return next.length > 0 ? { ...rest, [facetId]: next } : rest;
+}
+
+/**
+ * Count facet values over a set of papers
+ * Each facet is counted with the other facets' selections applied, so selecting
+ * "2021" still shows how many papers "2022" would add
+ * @param {Array} papers - Papers to count (already through the non-facet filters)
+ * @param {Object} selections - Facet id -> selected values
+ * @returns {Array} [{ id, label, histogram, options: [{ value, label, count, selected }] }]
+ */
+export function computeFacetCounts(papers, selections = {}) {
+    return FACETS.map(facet => {
+        const selected = selections[facet.id] || [];
+        const counts = new Map(selected.map(value => [value, 0])); // Selected values stay visible
+
+        papers.forEach(paper => {
+            if (!matchesFacets(paper, selections, facet.id)) return;
+            getValues(facet, paper).forEach(value => {
+                counts.set(value, (counts.get(value) || 0) + 1);
+            });
+        });
+
+        let options = [...counts].map(([value, count]) => ({
+            value,
+            label: facet.format ? facet.format(value) : value,
+            count,
+            selected: selected.includes(value)
+        }));
+
+        options.sort(facet.order || ((a, b) => b.count - a.count || a.label.localeCompare(b.label)));
+        if (facet.limit && options.length > facet.limit) {
+            options = options.filter((option, index) => index < facet.limit || option.selected);
+        }
+
+        return { id: facet.id, label: facet.label, histogram: !!facet.histogram, options };
+    }).filter(facet => facet.options.length > 0);
+}
@@ -35,7 +35,7 @@ function saveSearchHistory(history) {
  * Add search to history
  * @param {string} query - Search query
  * @param {number} resultCount - Number of results
- * @param {Object} filters - Applied filters (pdfOnly, relevanceThreshold)
+ * @param {Object} filters - Applied filters (pdfOnly, relevanceThreshold, sources, yearRange)
  */
 export function addToHistory(query, resultCount = 0, filters = {}) {
     if (!query || !query.trim()) {
@@ -55,7 +55,9 @@ export function addToHistory(query, resultCount = 0, filters = {}) {
         resultCount,
         filters: {
             pdfOnly: filters.pdfOnly || false,
-            relevanceThreshold: filters.relevanceThreshold || 35
+            relevanceThreshold: filters.relevanceThreshold || 35,
+            sources: filters.sources || null, // null = default sources
+            yearRange: filters.yearRange || null // null = any year
         }
     };
 
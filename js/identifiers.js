@@ -0,0 +1,139 @@
+// ============================================================================
+// IDENTIFIERS.JS - Detect paper identifiers pasted into the search box
+// ============================================================================
+// Recognizes a query that is just an identifier so it can be resolved directly
+// through the sources that index it instead of a keyword search:
+//   10.1038/nature14539, doi:10.1038/..., https://doi.org/10.1038/...
+//   2106.09685, arXiv:2106.09685v2, hep-th/9901001, https://arxiv.org/abs/...
+//   PMID:31452104, https://pubmed.ncbi.nlm.nih.gov/31452104/
+//   PMC6718443, PMCID: PMC6718443
+//   ISBN 978-0-262-03384-8, 0262033844
+
+/**
+ * Identifier types, in detection order, with display labels
+ */
+export const IDENTIFIER_TYPES = {
+    doi: 'DOI',
+    arxiv: 'arXiv',
+    pmid: 'PMID',
+    pmcid: 'PMCID',
+    isbn: 'ISBN'
+};
+
+const DOI_PATTERN = /^(?:doi:\s*|https?:\/\/(?:dx\.)?doi\.org\/)?(10\.\d{4,9}\/\S+)$/i;
+const ARXIV_PATTERN = /^(?:arxiv:\s*|https?:\/\/(?:www\.|export\.)?arxiv\.org\/(?:abs|pdf)\/)?(\d{4}\.\d{4,5}(?:v\d+)?|[a-z-]+(?:\.[a-z]{2})?\/\d{7}(?:v\d+)?)(?:\.pdf)?$/i;
+const PMID_PATTERN = /^(?:pmid:?\s*|https?:\/\/pubmed\.ncbi\.nlm\.nih\.gov\/)(\d{1,9})\/?$/i;
+const PMCID_PATTERN = /^(?:pmcid:?\s*)?(pmc\d+)$/i;
+const ISBN_PATTERN = /^(?:isbn(?:-1[03])?:?\s*)?([\d-\s]{9,17}[\dx])$/i;
+
+/**
+ * Check an ISBN-10 or ISBN-13 checksum
+ * @param {string} digits - ISBN without separators
+ * @returns {boolean} True if the check digit is valid
+ */
+export function isValidIsbn(digits) {
+    if (/^\d{9}[\dX]$/i.test(digits)) {
+        const sum = digits.split('').reduce((total, char, i) => {
+            const value = char.toUpperCase() === 'X' ? 10 : parseInt(char, 10);
+            return total + value * (10 - i);
+        }, 0);
+        return sum % 11 === 0;
+    }
+
+    if (/^97[89]\d{10}$/.test(digits)) {
+        const sum = digits.split('').reduce((total, char, i) => total + parseInt(char, 10) * (i % 2 === 0 ? 1 : 3), 0);
+        return sum % 10 === 0;
+    }
+
+    return false;
+}
+
+/**
+ * Detect a query that consists of a single identifier
+ * @param {string} query - Raw search query
+ * @returns {Object|null} { type, value } with a normalized value, or null for ordinary queries
+ */
+export function detectIdentifier(query) {
+    const text = (query || '').trim();
+    if (!text) return null;
+
+    const doi = text.match(DOI_PATTERN);
+    if (doi) {
+        // Trailing punctuation usually comes from copying a citation
+        return { type: 'doi', value: decodeURIComponent(doi[1]).replace(/[.,;]+$/, '') };
+    }
+
+    const arxiv = text.match(ARXIV_PATTERN);
+    if (arxiv) {
+        return { type: 'arxiv', value: arxiv[1] };
+    }
+
+    const pmid = text.match(PMID_PATTERN);
+    if (pmid) {
+        return { type: 'pmid', value: pmid[1] };
+    }
+
+    const pmcid = text.match(PMCID_PATTERN);
+    if (pmcid) {
+        return { type: 'pmcid', value: pmcid[1].toUpperCase() };
+    }
+
+    // ISBNs need a valid checksum: plain numbers are too common to guess at
+    const isbn = text.match(ISBN_PATTERN);
+    if (isbn) {
+        const digits = isbn[1].replace(/[-\s]/g, '').toUpperCase();
+        if (isValidIsbn(digits)) {
+            return { type: 'isbn', value: digits };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Format an identifier for display ("DOI 10.1038/nature14539")
+ * @param {Object} identifier - { type, value }
+ * @returns {string} Label
+ */
+export function formatIdentifier(identifier) {
+    return `${IDENTIFIER_TYPES[identifier.type] || identifier.type} ${identifier.value}`;
+}
+
+/**
+ * Parse a pasted list of identifiers (one per line, or CSV/TSV cells)
+ * Quoted CSV cells and header rows are handled; duplicates are dropped
+ * @param {string} text - Pasted text or file contents
+ * @returns {Object} { identifiers: [{ type, value }], unrecognized: [string] }
+ */
+export function parseIdentifierList(text) {
+    const identifiers = [];
+    const unrecognized = [];
+    const seen = new Set();
+    let headerRow = true; // The first row of a spreadsheet export names its columns
+
+    (text || '').split(/\r?\n/).forEach(line => {
+        const cells = line.split(/[,\t]/) // Not ";" - older (SICI) DOIs contain it
+            .map(cell => cell.trim().replace(/^"(.*)"$/, '$1').trim())
+            .filter(Boolean);
+
+        if (cells.length === 0) return;
+
+        const found = cells.map(detectIdentifier).filter(Boolean);
+        const isHeader = headerRow;
+        headerRow = false;
+        if (found.length === 0) {
+            // A single unknown cell is a typo worth reporting; other rows are headers or notes
+            if (cells.length === 1 && !isHeader) unrecognized.push(cells[0]);
+            return;
+        }
+
+        found.forEach(identifier => {
+            const key = `${identifier.type}:${identifier.value.toLowerCase()}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            identifiers.push(identifier);
+        });
+    });
+
+    return { identifiers, unrecognized };
+}
@@ -0,0 +1,91 @@
+// ============================================================================
+// OPEN-ACCESS.JS - Normalize open-access status types and licences
+// ============================================================================
+// Sources that say *how* a paper is open:
+//   Unpaywall / OpenAlex:  oa_status (gold, green, hybrid, bronze, diamond, closed) and
+//                          the best OA location's licence ("cc-by", "publisher-specific-oa")
+//   DOAJ:                  licence type ("CC BY-NC"); every DOAJ journal is fully OA (gold)
+//   Europe PMC:            licence ("cc by-nc-nd")
+//   Zenodo:                licence id ("cc-by-4.0") and access_right
+// Each source link (paper._source_links) carries the normalized oa_status and license
+// its source reported, so one paper can be green via a repository and hybrid at the publisher.
+
+export const OA_STATUSES = {
+    'diamond': 'Diamond',
+    'gold': 'Gold',
+    'hybrid': 'Hybrid',
+    'green': 'Green',
+    'bronze': 'Bronze',
+    'closed': 'Closed'
+};
+
+// Most permissive first
+export const LICENSES = {
+    'cc0': 'CC0',
+    'public-domain': 'Public domain',
+    'cc-by': 'CC BY',
+    'cc-by-sa': 'CC BY-SA',
+    'cc-by-nd': 'CC BY-ND',
+    'cc-by-nc': 'CC BY-NC',
+    'cc-by-nc-sa': 'CC BY-NC-SA',
+    'cc-by-nc-nd': 'CC BY-NC-ND',
+    'publisher-specific': 'Publisher licence',
+    'other': 'Other licence'
+};
+
+/**
+ * Normalize an OA status type
+ * @param {string} status - Status as the source reported it
+ * @returns {string|null} One of OA_STATUSES, or null if unknown
+ */
+export function normalizeOaStatus(status) {
+    if (!status || typeof status !== 'string') return null;
+    const key = status.trim().toLowerCase();
+    return key in OA_STATUSES ? key : null;
+}
+
+/**
+ * Normalize a licence name, id or URL
+ * "CC BY-NC", "cc-by-nc-4.0" and "https://creativecommons.org/licenses/by-nc/4.0/"
+ * all become "cc-by-nc"
+ * @param {string} license - Licence as the source reported it
+ * @returns {string|null} One of LICENSES, or null if none was stated
+ */
+export function normalizeLicense(license) {
+    if (!license || typeof license !== 'string') return null;
+    const text = license.trim().toLowerCase();
+    if (!text || text === 'implied-oa') return null; // Unpaywall: free to read, no licence stated
+
+    if (/publicdomain\/zero|\bcc0\b|cc-zero/.test(text)) return 'cc0';
+    if (/publicdomain|public domain/.test(text)) return 'public-domain';
+
+    // Creative Commons URL path (/licenses/by-nc-sa/4.0) or name ("cc by-nc-sa 4.0")
+    const creativeCommons = text.match(/creativecommons\.org\/licenses\/([a-z-]+)/) ||
+        text.match(/^cc[\s_-]*((?:by)(?:[\s_-]*(?:nc|nd|sa))*)/);
+    if (creativeCommons) {
+        const parts = creativeCommons[1].split(/[\s_-]+/).filter(Boolean);
+        // Canonical order is by, nc, then sa or nd
+        const ordered = ['by', 'nc', 'sa', 'nd'].filter(part => parts.includes(part));
+        const key = `cc-${ordered.join('-')}`;
+        return key in LICENSES ? key : 'other';
+    }
+
+    if (text.startsWith('publisher-specific') || text.includes('specific')) return 'publisher-specific';
+    return 'other';
+}
+
+/**
+ * Collect the OA status types and licences every source reported for a paper
+ * @param {Object} paper - Paper object (merged papers carry one entry per source in _source_links)
+ * @returns {Object} { statuses, licenses } - distinct normalized values, most open/permissive first
+ */
+export function getOpenAccessInfo(paper) {
+    const records = paper._source_links?.length > 0 ? paper._source_links : [paper];
+    const statuses = new Set(records.map(record => record.oa_status).filter(Boolean));
+    const licenses = new Set(records.map(record => record.license).filter(Boolean));
+
+    return {
+        statuses: Object.keys(OA_STATUSES).filter(status => statuses.has(status)),
+        licenses: Object.keys(LICENSES).filter(license => licenses.has(license))
+    };
+}
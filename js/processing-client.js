@@ -0,0 +1,120 @@
+// ============================================================================
+// PROCESSING-CLIENT.JS - Main-thread handle on the processing pipeline
+// ============================================================================
+// Sends pipeline messages (see processing-pipeline.js) to a module worker, so
+// dedupe, BM25 scoring and filtering don't block rendering while sources stream
+// in. Where workers aren't available (tests, older browsers) or the worker fails
+// to start, the same pipeline runs in-thread. Payloads and results are copied
+// either way, as postMessage does, so both modes behave the same.
+
+import { ProcessingPipeline } from './processing-pipeline.js';
+
+/**
+ * Request/response channel to the processing pipeline
+ * Requests are handled in the order they are made
+ */
+export class ProcessingClient {
+    /**
+     * @param {Object} options - Options
+     * @param {boolean} options.useWorker - Run the pipeline in a worker (default: if Worker exists)
+     */
+    constructor({ useWorker = typeof Worker !== 'undefined' } = {}) {
+        this.worker = null;
+        this.pipeline = null; // In-thread pipeline, created on first use
+        this.pending = new Map(); // Request id -> { type, payload, resolve, reject }
+        this.nextId = 0;
+
+        if (useWorker) {
+            try {
+                this.worker = new Worker(new URL('./processing-worker.js', import.meta.url), { type: 'module' });
+                this.worker.addEventListener('message', (event) => this.handleReply(event.data));
+                this.worker.addEventListener('error', (event) => this.fallBackToThread(event));
+            } catch (error) {
+                console.warn('Processing worker unavailable, processing in-thread:', error);
+                this.worker = null;
+            }
+        }
+    }
+
+    /**
+     * Whether requests are handled by a worker
+     * @returns {boolean} False when processing in-thread
+     */
+    get usesWorker() {
+        return this.worker !== null;
+    }
+
+    /**
+     * Send a message to the pipeline
+     * @param {string} type - Message type (reset, addBatch, rescore, rescoreAll, filter, sort, explain, snapshot)
+     * @param {Object} payload - Message payload
+     * @returns {Promise<Object>} The pipeline's result
+     */
+    request(type, payload = {}) {
+        if (!this.worker) {
+            return this.runInThread(type, payload);
+        }
+
+        const id = ++this.nextId;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { type, payload, resolve, reject });
+            this.worker.postMessage({ id, type, payload });
+        });
+    }
+
+    /**
+     * Handle a message in-thread
+     * @param {string} type - Message type
+     * @param {Object} payload - Message payload
+     * @returns {Promise<Object>} The pipeline's result
+     */
+    runInThread(type, payload) {
+        if (!this.pipeline) {
+            this.pipeline = new ProcessingPipeline();
+        }
+
+        try {
+            return Promise.resolve(structuredClone(this.pipeline.handle(type, structuredClone(payload))));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+     * Settle the request a worker reply answers
+     * @param {Object} reply - { id, result } or { id, error }
+     */
+    handleReply({ id, result, error }) {
+        const request = this.pending.get(id);
+        if (!request) return;
+
+        this.pending.delete(id);
+        if (error) {
+            request.reject(new Error(error));
+        } else {
+            request.resolve(result);
+        }
+    }
+
+    /**
+     * Switch to in-thread processing after the worker failed (e.g. no module worker support)
+     * A worker that fails to load never handled a request, so replaying the unanswered
+     * ones in order rebuilds its state
+     * @param {Event} event - Worker error event
+     */
+    fallBackToThread(event) {
+        console.warn('Processing worker failed, processing in-thread:', event.message || event);
+        event.preventDefault?.();
+
+        this.worker.terminate();
+        this.worker = null;
+
+        const unanswered = Array.from(this.pending.values());
+        this.pending.clear();
+        unanswered.forEach(({ type, payload, resolve, reject }) => {
+            this.runInThread(type, payload).then(resolve, reject);
+        });
+    }
+}
+
+export default ProcessingClient;
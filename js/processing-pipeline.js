@@ -0,0 +1,459 @@
+// ============================================================================
+// PROCESSING-PIPELINE.JS - Dedupe, BM25 scoring and filtering of one result set
+// ============================================================================
+// Everything a search does to each page of results, kept free of DOM and app
+// state so it can run in the processing worker (processing-worker.js), or
+// in-thread where workers aren't available (see ProcessingClient). The pipeline
+// holds the working copy of the results; the main thread's papersByKey is a
+// read-model kept up to date from the changes each message returns.
+//
+// Messages (type -> payload -> result):
+//   reset     { scoringQuery, isBoolean, papers? } -> { size }
+//             Start a result set (papers restore a cached one)
+//   addBatch  { papers, tag? } -> { changes: [{ key, paper, regroupedFrom? }] }
+//             Dedupe, merge and score one source's page; tag fields are set on every stored record
+//   rescore   { papers: [{ key, fields }] } -> { changes: [{ key, paper }] }
+//             Update papers the main thread enriched and score them again
+//   rescoreAll {} -> { scores: [{ key, relevance_score }] }
+//             Score every paper with the final corpus stats (papers scored early
+//             saw fewer documents); only changed scores are returned
+//   filter    { pdfOnly, relevanceThreshold, scoringComplete, yearRange, filterQuery, selections, sortOrder }
+//             -> view: { keys, facets, options } - the result keys to show, in order, and facet counts
+//   sort      { sortOrder } -> view, for the last filter options
+//   explain   { key } -> { explanation } - how the paper's score was computed, null if it's gone
+//             (see BM25Scorer.explain)
+//   snapshot  {} -> { corpus, metrics } - corpus size and per-message timings (see getMetrics)
+
+import PaperProcessor, { DedupeIndex } from './processing-poc.js';
+import BloomFilter from './bloom-filter.js';
+import { applyFilters, filterBookmarksByQuery, sortSearchResults } from './utils.js';
+import { computeFacetCounts, matchesFacets, hasFacetSelections } from './facets.js';
+import { normalizeAbstract } from './abstracts.js';
+
+/**
+ * Filter and sort results for display
+ * @param {Array} papers - Every paper in the result set
+ * @param {Object} options - View options
+ * @param {boolean} options.pdfOnly - Keep papers with a direct PDF only
+ * @param {number} options.relevanceThreshold - Minimum relevance percentage
+ * @param {boolean} options.scoringComplete - Whether BM25 scoring is done (relevance filter applies after)
+ * @param {Object|null} options.yearRange - Publication year range { from, to }
+ * @param {string} options.filterQuery - Text filter within the results
+ * @param {string} options.sortOrder - Sort order (relevance-desc, citations-desc, etc.)
+ * @param {Object} options.selections - Facet selections
+ * @returns {Array} Filtered and sorted papers
+ */
+export function filterAndSortPapers(papers, options) {
+    const {
+        pdfOnly = false,
+        relevanceThreshold = 0,
+        scoringComplete = false,
+        yearRange = null,
+        filterQuery = '',
+        sortOrder = 'relevance-desc',
+        selections = {}
+    } = options;
+
+    if (papers.length === 0) {
+        return [];
+    }
+
+    // Use scoringComplete for relevance filter to avoid filtering on heuristic scores
+    let filteredResults = applyFilters(papers, pdfOnly, relevanceThreshold, scoringComplete, yearRange);
+
+    // Dynamic threshold lowering: If BM25 complete and no results, progressively lower threshold
+    if (scoringComplete && filteredResults.length === 0) {
+        const fallbackThresholds = [25, 15, 5, 0];
+        for (const threshold of fallbackThresholds) {
+            filteredResults = applyFilters(papers, pdfOnly, threshold, true, yearRange);
+            if (filteredResults.length > 0) {
+                break;
+            }
+        }
+    }
+
+    // Apply text filter if provided
+    if (filterQuery && filterQuery.trim() !== '') {
+        filteredResults = filterBookmarksByQuery(filteredResults, filterQuery);
+    }
+
+    // Apply sort order
+    filteredResults = sortSearchResults([...filteredResults], sortOrder);
+
+    // Exact identifier and reference matches are pinned first and skip the relevance/PDF filters
+    const isPinned = paper => paper._exact_match || paper._reference_match;
+    let pinned = papers.filter(isPinned);
+    if (pinned.length > 0 && filterQuery && filterQuery.trim() !== '') {
+        pinned = filterBookmarksByQuery(pinned, filterQuery);
+    }
+    if (pinned.length > 1) {
+        pinned = sortSearchResults(pinned, sortOrder); // Imports pin every record
+    }
+    if (pinned.length > 0) {
+        filteredResults = [...pinned, ...filteredResults.filter(paper => !isPinned(paper))];
+    }
+
+    // Facets apply to pinned matches too - ticking "Dataset" shows datasets only
+    if (hasFacetSelections(selections)) {
+        filteredResults = filteredResults.filter(paper => matchesFacets(paper, selections));
+    }
+
+    return filteredResults;
+}
+
+/**
+ * Count facet values over the results the other filters leave
+ * @param {Array} papers - Every paper in the result set
+ * @param {Object} options - View options (see filterAndSortPapers)
+ * @returns {Array} Facets with option counts (see computeFacetCounts)
+ */
+export function countResultFacets(papers, options) {
+    const unfaceted = filterAndSortPapers(papers, { ...options, sortOrder: 'relevance-desc', selections: {} });
+    return computeFacetCounts(unfaceted, options.selections || {});
+}
+
+/**
+ * Processing state for one result set
+ */
+export class ProcessingPipeline {
+    constructor() {
+        this.processor = new PaperProcessor();
+        this.reset();
+    }
+
+    /**
+     * Handle a message (see the list at the top of this file)
+     * @param {string} type - Message type
+     * @param {Object} payload - Message payload
+     * @returns {Object} Result
+     */
+    handle(type, payload = {}) {
+        const startTime = performance.now();
+        const result = this.dispatch(type, payload);
+        this.recordTiming(type, performance.now() - startTime);
+        return result;
+    }
+
+    /**
+     * Run the handler for a message type
+     * @param {string} type - Message type
+     * @param {Object} payload - Message payload
+     * @returns {Object} Result
+     */
+    dispatch(type, payload) {
+        switch (type) {
+            case 'reset': return this.reset(payload);
+            case 'addBatch': return this.addBatch(payload);
+            case 'rescore': return this.rescore(payload);
+            case 'rescoreAll': return this.rescoreAll();
+            case 'filter': return this.filter(payload);
+            case 'sort': return this.sort(payload);
+            case 'explain': return this.explain(payload);
+            case 'snapshot': return this.snapshot();
+            default: throw new Error(`Unknown processing message: ${type}`);
+        }
+    }
+
+    /**
+     * Add a handled message to the timings of its type (reset with each result set)
+     * @param {string} type - Message type
+     * @param {number} ms - Time spent handling it
+     */
+    recordTiming(type, ms) {
+        const timing = this.timings[type] || { count: 0, totalMs: 0, maxMs: 0, lastMs: 0 };
+        timing.count++;
+        timing.totalMs += ms;
+        timing.maxMs = Math.max(timing.maxMs, ms);
+        timing.lastMs = ms;
+        this.timings[type] = timing;
+    }
+
+    /**
+     * Start a new result set
+     * @param {Object} options - Options
+     * @param {string} options.scoringQuery - Topical query text BM25 scores against
+     * @param {boolean} options.isBoolean - Drop papers that violate the Boolean expression
+     * @param {Array} options.papers - Papers of a cached result set to restore
+     * @returns {Object} { size } - number of papers restored
+     */
+    reset({ scoringQuery = '', isBoolean = false, papers = [] } = {}) {
+        this.scoringQuery = scoringQuery;
+        this.isBoolean = isBoolean;
+        this.papersByKey = new Map();
+        // DOI index for O(1) deduplication lookups (10x faster than fuzzy matching)
+        this.doiIndex = new Map();
+        // Bloom filter for probabilistic O(1) duplicate detection (99.9% accurate, 1% false positives)
+        this.doiBloom = new BloomFilter(10000);
+        // Candidate index for fuzzy duplicate/version matching (MinHash/LSH + blocking)
+        this.dedupeIndex = new DedupeIndex({ maxYearGap: this.processor.maxVersionGap });
+        this.viewOptions = {};
+        this.timings = {};
+
+        // Reset BM25 corpus to prevent memory leak
+        this.processor.bm25.reset();
+
+        // Rebuild the indexes so "Load more" continues where the cached search stopped
+        papers.forEach(paper => {
+            const key = this.processor.getPaperKey(paper);
+            this.papersByKey.set(key, paper);
+            this.dedupeIndex.add(key, paper);
+            this.indexDoi(paper.doi, key);
+        });
+        // Tokenizes each cached paper once, so later pages and rescoring hit the token cache
+        this.processor.bm25.updateCorpusStats(papers);
+
+        return { size: this.papersByKey.size };
+    }
+
+    /**
+     * Point a DOI at the paper stored under a key
+     * @param {string|null} doi - DOI
+     * @param {string} key - Paper key
+     */
+    indexDoi(doi, key) {
+        if (!doi) return;
+        const normalizedDoi = doi.toLowerCase().trim();
+        this.doiIndex.set(normalizedDoi, key);
+        this.doiBloom.add(normalizedDoi);
+    }
+
+    /**
+     * Find the stored paper a new paper duplicates, or is another version of
+     * @param {Object} paper - Incoming paper
+     * @returns {Object|null} { key, isVersion }
+     */
+    findStoredMatch(paper) {
+        // Ultra-fast path: Bloom filter check first (O(1) probabilistic)
+        if (paper.doi) {
+            const normalizedDoi = paper.doi.toLowerCase().trim();
+
+            // If bloom filter says "definitely not seen before", skip hash lookup
+            if (!this.doiBloom.mightContain(normalizedDoi)) {
+                // Definitely new - add to bloom filter for future checks
+                this.doiBloom.add(normalizedDoi);
+            } else if (this.doiIndex.has(normalizedDoi)) {
+                // Might be duplicate - the hash index confirms
+                return { key: this.doiIndex.get(normalizedDoi), isVersion: false };
+            }
+        }
+
+        // Slow path: Only do fuzzy matching if no DOI match, and only against the
+        // index's candidates - a duplicate, or else the preprint/published version of a paper we have
+        return this.processor.findMatch(this.dedupeIndex, paper);
+    }
+
+    /**
+     * Deduplicate, merge, and score a batch of papers
+     * @param {Object} payload - Payload
+     * @param {Array} payload.papers - Papers from one source
+     * @param {Object|null} payload.tag - Fields to set on every stored record (e.g. _exact_match)
+     * @returns {Object} { changes } - the added or updated papers as stored, each with its key;
+     *   regroupedFrom is the key a paper was stored under before it gained a version
+     */
+    addBatch({ papers, tag = null }) {
+        const changes = [];
+
+        // Sources without native Boolean support only received the positive terms -
+        // drop papers that violate the expression (excluded terms, non-adjacent phrases)
+        const incomingPapers = this.isBoolean
+            ? papers.filter(paper => this.processor.bm25.matchesQuery(paper, this.scoringQuery))
+            : papers;
+
+        incomingPapers.forEach(paper => {
+            // JATS, HTML and stray entities -> plain text, before the abstract is merged or scored
+            paper.abstract = normalizeAbstract(paper.abstract);
+
+            const match = this.findStoredMatch(paper);
+            const existing = match && this.papersByKey.get(match.key);
+
+            if (existing) {
+                const merged = match.isVersion
+                    ? this.processor.mergeVersions(existing, paper)
+                    : this.processor.mergePapers(existing, paper);
+
+                // The count now comes from one of the paper's own sources, not enrichment
+                if ((merged.citation_count || 0) !== (existing.citation_count || 0)) {
+                    delete merged.citation_source;
+                }
+
+                // Filed under a new DOI (e.g. a published version now leads) - its old
+                // document would count twice in the corpus stats
+                if (this.processor.bm25.getDocId(merged) !== this.processor.bm25.getDocId(existing)) {
+                    this.processor.bm25.removeDocument(existing);
+                }
+
+                const key = match.isVersion ? this.regroupVersions(match.key, merged) : match.key;
+                this.papersByKey.set(key, merged);
+                this.dedupeIndex.add(key, merged);
+                changes.push(match.isVersion ? { key, paper: merged, regroupedFrom: match.key } : { key, paper: merged });
+            } else {
+                // New paper (or the match was removed - treat as new)
+                const key = this.processor.getPaperKey(paper);
+
+                // Single-source papers get _source_links too, for consistent rendering and filtering
+                if (!paper._source_links) {
+                    paper._source_links = [this.processor.toSourceLink(paper)];
+                }
+
+                this.papersByKey.set(key, paper);
+                this.dedupeIndex.add(key, paper);
+                changes.push({ key, paper });
+
+                // Index by DOI for fast future lookups
+                if (!match) this.indexDoi(paper.doi, key);
+            }
+        });
+
+        if (tag) {
+            changes.forEach(({ paper }) => Object.assign(paper, tag));
+        }
+
+        // Incrementally update corpus stats with new and merged papers, then score them with the current stats
+        const newPapers = changes.map(change => change.paper);
+        this.processor.bm25.updateCorpusStats(newPapers);
+        this.scorePapers(newPapers);
+
+        return { changes };
+    }
+
+    /**
+     * File a paper that just gained a version under its new key
+     * The published version's DOI now leads, so the paper moves to that key and
+     * every version's DOI points at it
+     * @param {string} matchKey - Key the paper was stored under
+     * @param {Object} merged - Paper with the new version
+     * @returns {string} Key to store the merged paper under
+     */
+    regroupVersions(matchKey, merged) {
+        const key = this.processor.getPaperKey(merged);
+        if (key !== matchKey) {
+            this.papersByKey.delete(matchKey);
+            this.dedupeIndex.remove(matchKey);
+        }
+
+        merged._versions.forEach(version => this.indexDoi(version.doi, key));
+        return key;
+    }
+
+    /**
+     * Update papers changed outside the pipeline (enrichment) and score them again
+     * Term statistics follow the text that changed (e.g. a fetched abstract)
+     * @param {Object} payload - Payload
+     * @param {Array} payload.papers - [{ key, fields }] - fields to set on the paper stored under key
+     * @returns {Object} { changes: [{ key, paper }] } for the papers still in the result set
+     */
+    rescore({ papers }) {
+        const changes = [];
+        papers.forEach(({ key, fields }) => {
+            const stored = this.papersByKey.get(key);
+            if (!stored) return;
+
+            const paper = { ...stored, ...fields };
+            this.papersByKey.set(key, paper);
+            this.dedupeIndex.add(key, paper);
+            this.processor.bm25.updateDocument(paper);
+            changes.push({ key, paper });
+        });
+
+        this.scorePapers(changes.map(change => change.paper));
+        return { changes };
+    }
+
+    /**
+     * Score every paper again with the current corpus stats
+     * Cheap once the corpus is built: every paper's tokens are cached
+     * @returns {Object} { scores: [{ key, relevance_score }] } for the scores that changed
+     */
+    rescoreAll() {
+        const scores = [];
+        const avgLength = this.processor.bm25.getAverageDocLength();
+        this.papersByKey.forEach((paper, key) => {
+            const score = this.processor.bm25.score(paper, this.scoringQuery, avgLength);
+            if (score === paper.relevance_score) return;
+
+            paper.relevance_score = score;
+            scores.push({ key, relevance_score: score });
+        });
+        return { scores };
+    }
+
+    /**
+     * Score papers against the current corpus stats
+     * @param {Array} papers - Papers in the result set
+     */
+    scorePapers(papers) {
+        if (papers.length === 0) return;
+
+        const avgLength = this.processor.bm25.getAverageDocLength();
+        papers.forEach(paper => {
+            paper.relevance_score = this.processor.bm25.score(paper, this.scoringQuery, avgLength);
+        });
+    }
+
+    /**
+     * Filter and sort the result set for display
+     * @param {Object} options - View options (see filterAndSortPapers)
+     * @returns {Object} View: { keys, facets, options }
+     */
+    filter(options) {
+        this.viewOptions = { ...options };
+
+        const keyOf = new Map(Array.from(this.papersByKey, ([key, paper]) => [paper, key]));
+        const papers = Array.from(this.papersByKey.values());
+        return {
+            keys: filterAndSortPapers(papers, this.viewOptions).map(paper => keyOf.get(paper)),
+            facets: countResultFacets(papers, this.viewOptions),
+            options: this.viewOptions
+        };
+    }
+
+    /**
+     * Sort the result set in a new order, with the last filter options
+     * @param {Object} payload - Payload
+     * @param {string} payload.sortOrder - Sort order
+     * @returns {Object} View (see filter)
+     */
+    sort({ sortOrder }) {
+        return this.filter({ ...this.viewOptions, sortOrder });
+    }
+
+    /**
+     * Explain a paper's relevance score with the current corpus stats
+     * @param {Object} payload - Payload
+     * @param {string} payload.key - Paper key
+     * @returns {Object} { explanation } - score details (see BM25Scorer.explain), null for an unknown key
+     */
+    explain({ key }) {
+        const paper = this.papersByKey.get(key);
+        return { explanation: paper ? this.processor.bm25.explain(paper, this.scoringQuery) : null };
+    }
+
+    /**
+     * Describe the result set's corpus and how long processing it took
+     * @returns {Object} { corpus, metrics } (see getMetrics)
+     */
+    snapshot() {
+        const { bm25 } = this.processor;
+        return {
+            corpus: {
+                papers: this.papersByKey.size,
+                documents: bm25.totalDocs,
+                terms: bm25.documentFrequency.size,
+                averageDocLength: bm25.getAverageDocLength()
+            },
+            metrics: this.getMetrics()
+        };
+    }
+
+    /**
+     * Processing metrics for the current result set
+     * @returns {Object} { timings, tokenized, cacheHits } - timings: message type ->
+     *   { count, totalMs, maxMs, lastMs }; tokenized/cacheHits: documents BM25 had to
+     *   tokenize vs. found in its token cache
+     */
+    getMetrics() {
+        const { tokenized, cacheHits } = this.processor.bm25.metrics;
+        const timings = Object.fromEntries(Object.entries(this.timings).map(([type, timing]) => [type, { ...timing }]));
+        return { timings, tokenized, cacheHits };
+    }
+}
@@ -2,7 +2,7 @@
 // PROCESSING-POC.JS - Client-Side Result Processing (Enhanced with IDF)
 // ============================================================================
 // This demonstrates moving server-side processing to the browser:
-// - Paper deduplication with fuzzy matching
+// - Paper deduplication with fuzzy matching (candidates from a MinHash/LSH + blocking index)
 // - BM25 relevance scoring with proper IDF calculation
 // - Stemming and stopword filtering
 // - Field-weighted scoring (title 3x > abstract > authors > journal)
@@ -25,6 +25,10 @@
 // Benefits: Reduces server CPU by ~30%, memory by ~15%, improves relevance accuracy
 // Cost: ~15KB JavaScript (gzipped: ~5KB)
 
+import { parseBooleanQuery, evaluateExpression, getPositiveTerms } from './query-parser.js';
+import { mergeDocTypes } from './doc-types.js';
+import { areLinkedVersions, isPreprintVersion, toVersion, getVersionIds } from './versions.js';
+
 /**
  * Simple fuzzy string matching for paper deduplication
  * Replaces Python's rapidfuzz library
@@ -45,9 +49,14 @@ export class FuzzyMatcher {
         if (str1.length < 2 || str2.length < 2) return 0;
 
         // Generate 2-grams (bigrams)
-        const bigrams1 = this.getBigrams(str1);
-        const bigrams2 = this.getBigrams(str2);
+        return this.diceCoefficient(this.getBigrams(str1), this.getBigrams(str2));
+    }
 
+    /**
+     * Dice coefficient of two bigram sets (see similarity)
+     * Lets callers that compare one string with many reuse its bigrams
+     */
+    static diceCoefficient(bigrams1, bigrams2) {
         if (bigrams1.size === 0 && bigrams2.size === 0) return 1.0;
         if (bigrams1.size === 0 || bigrams2.size === 0) return 0;
 
@@ -85,6 +94,255 @@ export class FuzzyMatcher {
             .replace(/\s+/g, ' ')       // Collapse whitespace
             .trim();
     }
+
+    /**
+     * Get an author's family name for comparison ("Jane Doe" and "Doe, Jane" both give "doe")
+     * @param {string} author - Author name
+     * @returns {string} Lowercased family name without accents or punctuation
+     */
+    static familyName(author) {
+        if (!author || typeof author !== 'string') return '';
+        const name = author.includes(',') ? author.split(',')[0] : author.trim().split(/\s+/).pop();
+        return name.normalize('NFD').replace(/[^a-zA-Z]/g, '').toLowerCase();
+    }
+}
+
+// Normalized titles and their bigrams, keyed by raw title: a paper is compared with
+// many candidates, and merging copies the title onto a new paper object
+const comparableTitles = new Map();
+const MAX_CACHED_TITLES = 10000;
+
+/**
+ * Get a paper's title prepared for fuzzy comparison
+ * @param {Object} paper - Paper object
+ * @returns {Object} { title, bigrams } - normalized title and its bigrams
+ */
+function getComparableTitle(paper) {
+    const source = paper.title || '';
+    let comparable = comparableTitles.get(source);
+    if (!comparable) {
+        const title = FuzzyMatcher.normalizeTitle(source);
+        comparable = { title, bigrams: FuzzyMatcher.getBigrams(title) };
+        if (comparableTitles.size >= MAX_CACHED_TITLES) comparableTitles.clear();
+        comparableTitles.set(source, comparable);
+    }
+    return comparable;
+}
+
+/**
+ * Dice similarity of two papers' normalized titles (FuzzyMatcher.similarity, memoized)
+ * @param {Object} paper1 - Paper object
+ * @param {Object} paper2 - Paper object
+ * @returns {number} Similarity (0-1), 0 if either has no title
+ */
+function titleSimilarity(paper1, paper2) {
+    const title1 = getComparableTitle(paper1);
+    const title2 = getComparableTitle(paper2);
+
+    if (!title1.title || !title2.title) return 0;
+    if (title1.title === title2.title) return 1.0;
+    if (title1.title.length < 2 || title2.title.length < 2) return 0;
+    return FuzzyMatcher.diceCoefficient(title1.bigrams, title2.bigrams);
+}
+
+/**
+ * Mix a 32-bit value with a seed (MurmurHash3 finalizer)
+ * @param {number} value - 32-bit integer
+ * @param {number} seed - 32-bit seed
+ * @returns {number} Unsigned 32-bit hash
+ */
+function mixHash(value, seed) {
+    let h = Math.imul(value ^ seed, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+/**
+ * Candidate index for deduplication and version matching
+ * Proposes the few stored papers worth checking with areDuplicates/areVersions, so a new
+ * paper isn't compared with every paper we have:
+ * - MinHash/LSH over title trigrams: titles agreeing on every row of any band collide
+ *   (16 bands x 4 rows; titles past the 0.85 dedupe threshold share ~5 bands on average)
+ * - Identical normalized titles (short titles have too few trigrams for LSH)
+ * - First-author family name + year, within maxYearGap (reworded titles, versions)
+ * - Version identifiers: own DOIs/arXiv IDs and the ones a record links to
+ * The caller's similarity check still decides, so thresholds mean what they did
+ * with the linear scan - the index only changes how many papers get compared.
+ */
+export class DedupeIndex {
+    constructor({ bands = 16, rows = 4, maxYearGap = 3, maxBucketSize = 32 } = {}) {
+        this.bands = bands;
+        this.rows = rows;
+        this.maxYearGap = maxYearGap;
+        this.maxBucketSize = maxBucketSize;
+
+        // One seed per MinHash function, fixed so signatures are comparable across sessions
+        this.seeds = new Uint32Array(bands * rows);
+        let seed = 0x9e3779b9;
+        for (let i = 0; i < this.seeds.length; i++) {
+            seed = (Math.imul(seed, 1664525) + 1013904223) >>> 0;
+            this.seeds[i] = seed;
+        }
+
+        this.buckets = new Map(); // bucket key -> Set of paper keys
+        this.entries = new Map(); // paper key -> { paper, bucketKeys, order }
+        this.bandKeyCache = new Map(); // normalized title -> band keys (a lookup is followed by an add)
+        this.nextOrder = 0;
+    }
+
+    /**
+     * Number of indexed papers
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Hash a title's character trigrams
+     * @param {string} title - Normalized title
+     * @returns {Set<number>} Trigram hashes
+     */
+    static shingles(title) {
+        const shingles = new Set();
+        for (let i = 0; i + 3 <= title.length; i++) {
+            shingles.add((title.charCodeAt(i) << 16) ^ (title.charCodeAt(i + 1) << 8) ^ title.charCodeAt(i + 2));
+        }
+        return shingles;
+    }
+
+    /**
+     * Get the LSH band keys of a title
+     * @param {string} title - Normalized title
+     * @returns {Array<string>} One key per band (empty for titles without trigrams)
+     */
+    getBandKeys(title) {
+        const cached = this.bandKeyCache.get(title);
+        if (cached) return cached;
+
+        const shingles = [...DedupeIndex.shingles(title)];
+        const keys = [];
+        if (shingles.length > 0) {
+            const signature = new Uint32Array(this.seeds.length).fill(0xffffffff);
+            for (let i = 0; i < signature.length; i++) {
+                const seed = this.seeds[i];
+                for (let j = 0; j < shingles.length; j++) {
+                    const hash = mixHash(shingles[j], seed);
+                    if (hash < signature[i]) signature[i] = hash;
+                }
+            }
+
+            for (let band = 0; band < this.bands; band++) {
+                const rows = signature.subarray(band * this.rows, (band + 1) * this.rows);
+                keys.push(`lsh:${band}:${rows.join(',')}`);
+            }
+        }
+
+        if (this.bandKeyCache.size >= MAX_CACHED_TITLES) this.bandKeyCache.clear();
+        this.bandKeyCache.set(title, keys);
+        return keys;
+    }
+
+    /**
+     * Get the keys a paper is filed under
+     * @param {Object} paper - Paper object
+     * @returns {Array<string>} Bucket keys
+     */
+    getBucketKeys(paper) {
+        const title = getComparableTitle(paper).title;
+        const keys = title ? [...this.getBandKeys(title), `title:${title}`] : [];
+
+        const author = FuzzyMatcher.familyName(paper.authors?.[0]);
+        if (author) keys.push(`author:${author}:${paper.year || ''}`);
+
+        getVersionIds(paper).forEach(id => keys.push(`id:${id}`));
+        (paper.related_ids || []).forEach(id => keys.push(`related:${id}`));
+        return keys;
+    }
+
+    /**
+     * Get the keys to look a paper's candidates up under
+     * The same title, author and identifier keys, plus neighbouring years for the
+     * author block and the identifier keys crossed over (a link finds what it names)
+     * @param {Object} paper - Paper object
+     * @returns {Array<string>} Bucket keys
+     */
+    getQueryKeys(paper) {
+        const title = getComparableTitle(paper).title;
+        const keys = title ? [...this.getBandKeys(title), `title:${title}`] : [];
+
+        const author = FuzzyMatcher.familyName(paper.authors?.[0]);
+        if (author && paper.year) {
+            for (let year = paper.year - this.maxYearGap; year <= paper.year + this.maxYearGap; year++) {
+                keys.push(`author:${author}:${year}`);
+            }
+        } else if (author) {
+            keys.push(`author:${author}:`);
+        }
+
+        getVersionIds(paper).forEach(id => keys.push(`id:${id}`, `related:${id}`));
+        (paper.related_ids || []).forEach(id => keys.push(`id:${id}`));
+        return keys;
+    }
+
+    /**
+     * Index a paper (replaces any paper stored under the same key)
+     * @param {string} key - Paper key
+     * @param {Object} paper - Paper object
+     */
+    add(key, paper) {
+        const order = this.entries.get(key)?.order ?? this.nextOrder++;
+        this.remove(key);
+
+        const bucketKeys = this.getBucketKeys(paper);
+        bucketKeys.forEach(bucketKey => {
+            let bucket = this.buckets.get(bucketKey);
+            if (!bucket) {
+                bucket = new Set();
+                this.buckets.set(bucketKey, bucket);
+            }
+            bucket.add(key);
+        });
+        this.entries.set(key, { paper, bucketKeys, order });
+    }
+
+    /**
+     * Remove a paper from the index
+     * @param {string} key - Paper key
+     */
+    remove(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return;
+
+        entry.bucketKeys.forEach(bucketKey => {
+            const bucket = this.buckets.get(bucketKey);
+            bucket?.delete(key);
+            if (bucket?.size === 0) this.buckets.delete(bucketKey);
+        });
+        this.entries.delete(key);
+    }
+
+    /**
+     * Get the indexed papers that might be duplicates or versions of a paper
+     * @param {Object} paper - Paper object
+     * @returns {Array<Object>} [{ key, paper }], in the order they were first indexed
+     */
+    getCandidates(paper) {
+        const keys = new Set();
+        this.getQueryKeys(paper).forEach(bucketKey => {
+            const bucket = this.buckets.get(bucketKey);
+            // Titles sharing little but the query's words crowd a few bands; a real
+            // duplicate collides in several bands, so crowded ones can be skipped
+            if (!bucket || (bucket.size > this.maxBucketSize && bucketKey.startsWith('lsh:'))) return;
+            bucket.forEach(key => keys.add(key));
+        });
+
+        return [...keys]
+            .map(key => ({ key, ...this.entries.get(key) }))
+            .sort((a, b) => a.order - b.order)
+            .map(({ key, paper: candidate }) => ({ key, paper: candidate }));
+    }
 }
 
 /**
@@ -196,9 +454,43 @@ function tokenize(text, useStemming = true, filterStopwords = true) {
     return processed;
 }
 
+/**
+ * Tokenizer for Boolean matching: keeps every word (no stopword/length filter)
+ * so phrase adjacency is checked against the text as written
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Stemmed tokens in order
+ */
+function matchTokenize(text) {
+    if (!text) return [];
+
+    return text
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean)
+        .map(enhancedStem);
+}
+
+/**
+ * Tokenize a document once for scoring and corpus statistics
+ * @param {string} text - Weighted paper text (see BM25Scorer.getPaperText)
+ * @returns {Object} { text, termCounts, length } - term -> occurrences, length in tokens
+ */
+function analyzeText(text) {
+    const tokens = tokenize(text);
+    const termCounts = new Map();
+    for (const token of tokens) {
+        termCounts.set(token, (termCounts.get(token) || 0) + 1);
+    }
+    return { text, termCounts, length: tokens.length };
+}
+
 /**
  * Improved BM25 relevance scoring with IDF calculation
  * Fixes false positives by penalizing common terms
+ *
+ * Each corpus document is tokenized once: its term counts and length are cached
+ * (documents) and reused by every score() call until its text changes, and the
+ * running length total keeps the average document length O(1).
  */
 export class BM25Scorer {
     constructor(k1 = 1.7, b = 0.85) {
@@ -208,7 +500,11 @@ export class BM25Scorer {
         // IDF tracking for corpus
         this.documentFrequency = new Map();  // term -> number of documents containing it
         this.totalDocs = 0;
-        this.processedDocIds = new Set();  // Track which docs we've seen
+        this.documents = new Map();  // docId -> analyzed text (see analyzeText)
+        this.totalLength = 0;  // Sum of document lengths, for the average
+
+        this.parsedQuery = null;  // Query terms of the last score() call
+        this.metrics = { tokenized: 0, cacheHits: 0 };
     }
 
     /**
@@ -217,35 +513,141 @@ export class BM25Scorer {
     reset() {
         this.documentFrequency.clear();
         this.totalDocs = 0;
-        this.processedDocIds.clear();
+        this.documents.clear();
+        this.totalLength = 0;
+        this.metrics = { tokenized: 0, cacheHits: 0 };
+    }
+
+    /**
+     * Get the id a paper's document is tracked under
+     * @param {Object} paper - Paper object
+     * @returns {string} DOI, or title for papers without one
+     */
+    getDocId(paper) {
+        return paper.doi || paper.title;
     }
 
     /**
      * Update corpus statistics for IDF calculation
-     * Call this whenever new papers are added to the corpus
+     * Call this whenever new papers are added to the corpus, or their text changed
+     * (e.g. a merged record or enrichment filled in the abstract) - terms a paper
+     * lost or gained move its contribution to document frequency
      * @param {Array} papers - Array of paper objects
      */
     updateCorpusStats(papers) {
         for (const paper of papers) {
-            // Skip if we've already processed this paper
-            const docId = paper.doi || paper.title;
-            if (this.processedDocIds.has(docId)) continue;
-
-            this.processedDocIds.add(docId);
-            this.totalDocs++;
-
-            // Get unique terms from this paper
-            const paperText = this.getPaperText(paper);
-            const terms = tokenize(paperText);
-            const uniqueTerms = new Set(terms);
+            const docId = this.getDocId(paper);
+            const previous = this.documents.get(docId);
+            const text = this.getPaperText(paper);
+
+            // Skip if we've already processed this paper as it is
+            if (previous && previous.text === text) continue;
+
+            const doc = analyzeText(text);
+            this.metrics.tokenized++;
+            if (previous) {
+                this.removeTerms(previous);
+            } else {
+                this.totalDocs++;
+            }
 
+            this.documents.set(docId, doc);
+            this.totalLength += doc.length;
             // Update document frequency for each unique term
-            for (const term of uniqueTerms) {
+            for (const term of doc.termCounts.keys()) {
                 this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
             }
         }
     }
 
+    /**
+     * Update corpus statistics for a paper whose text changed (e.g. its abstract was filled in)
+     * @param {Object} paper - Paper with its new text
+     */
+    updateDocument(paper) {
+        this.updateCorpusStats([paper]);
+    }
+
+    /**
+     * Remove a paper from the corpus (e.g. it was merged into a paper with another DOI)
+     * @param {Object} paper - Paper object
+     */
+    removeDocument(paper) {
+        const docId = this.getDocId(paper);
+        const doc = this.documents.get(docId);
+        if (!doc) return;
+
+        this.removeTerms(doc);
+        this.documents.delete(docId);
+        this.totalDocs--;
+    }
+
+    /**
+     * Take a document's terms and length out of the corpus totals
+     * @param {Object} doc - Analyzed text (see analyzeText)
+     */
+    removeTerms(doc) {
+        this.totalLength -= doc.length;
+        for (const term of doc.termCounts.keys()) {
+            const df = (this.documentFrequency.get(term) || 0) - 1;
+            if (df > 0) {
+                this.documentFrequency.set(term, df);
+            } else {
+                this.documentFrequency.delete(term);
+            }
+        }
+    }
+
+    /**
+     * Average document length (in tokens) of the corpus, for length normalization
+     * @returns {number} Average length (100 for an empty corpus)
+     */
+    getAverageDocLength() {
+        return this.totalDocs > 0 ? this.totalLength / this.totalDocs : 100;
+    }
+
+    /**
+     * Get a paper's analyzed text - from the cache unless the paper is new or changed
+     * @param {Object} paper - Paper object
+     * @returns {Object} Analyzed text (see analyzeText)
+     */
+    getDocument(paper) {
+        const text = this.getPaperText(paper);
+        const cached = this.documents.get(this.getDocId(paper));
+        if (cached && cached.text === text) {
+            this.metrics.cacheHits++;
+            return cached;
+        }
+
+        this.metrics.tokenized++;
+        return analyzeText(text);
+    }
+
+    /**
+     * Parse a query once for all the papers it scores
+     * @param {string} query - Search query
+     * @returns {Object} { expression, isBoolean, text, terms, capitalizedTerms } - text is
+     *   the query scored (a Boolean query's positive terms)
+     */
+    getQueryTerms(query) {
+        if (this.parsedQuery?.query === query) return this.parsedQuery;
+
+        const { expression, isBoolean } = parseBooleanQuery(query);
+        const text = isBoolean ? getPositiveTerms(expression).map(leaf => leaf.value).join(' ') : query;
+
+        // UNIVERSAL: Detect capitalized words in query for term weighting
+        // Capitalized words (proper nouns/entities) are typically more specific across ALL domains
+        // Works for: "Titanic", "Einstein", "Candy", "Climate", any capitalized term
+        const capitalizedTerms = new Set(
+            text.split(/\s+/).filter(word => word.length > 2 && /^[A-Z]/.test(word))
+                .map(word => enhancedStem(word.toLowerCase()))
+        );
+
+        // Tokenize query with same processing as documents
+        this.parsedQuery = { query, expression, isBoolean, text, terms: tokenize(text), capitalizedTerms };
+        return this.parsedQuery;
+    }
+
     /**
      * Calculate IDF (Inverse Document Frequency) for a term
      * Higher IDF = rarer term = more important
@@ -285,40 +687,92 @@ export class BM25Scorer {
      *
      * Can be called incrementally during streaming as corpus grows
      *
+     * BOOLEAN QUERIES: ("a b" OR c) AND d NOT e is evaluated first - papers that
+     * don't satisfy it (excluded term present, phrase not adjacent) score 0 - and
+     * the remaining positive terms are scored as a plain query.
+     *
      * @param {Object} paper - Paper object
      * @param {string} query - Search query
-     * @param {number} avgLength - Average document length in corpus (optional, defaults to 100)
+     * @param {number} avgLength - Average document length in corpus (default: the corpus's own)
      * @returns {number} Normalized score in 0-100 range
      */
-    score(paper, query, avgLength = 100) {
-        // Tokenize query with same processing as documents
-        const queryTerms = tokenize(query);
+    score(paper, query, avgLength = this.getAverageDocLength()) {
+        return this.getScoreDetails(paper, query, avgLength).score;
+    }
 
-        if (queryTerms.length === 0) return 50; // Default score for empty query
+    /**
+     * Explain a paper's score: each step of score(), plus the fields each query term was found in
+     * @param {Object} paper - Paper object
+     * @param {string} query - Search query
+     * @param {number} avgLength - Average document length in corpus (default: the corpus's own)
+     * @returns {Object} Score details (see getScoreDetails); each term also has
+     *   fields - the fields it appears in (title, abstract, journal)
+     */
+    explain(paper, query, avgLength = this.getAverageDocLength()) {
+        const details = this.getScoreDetails(paper, query, avgLength);
+        const fieldTerms = {
+            title: new Set(tokenize(paper.title)),
+            abstract: new Set(tokenize(paper.abstract)),
+            journal: new Set(tokenize(paper.journal))
+        };
 
-        // Get paper text with field weighting and tokenize
-        const paperText = this.getPaperText(paper);
-        const paperTokens = tokenize(paperText);
-        const docLength = paperTokens.length;
+        details.terms.forEach(term => {
+            term.fields = Object.keys(fieldTerms).filter(field => fieldTerms[field].has(term.term));
+        });
+        return details;
+    }
 
-        // UNIVERSAL: Detect capitalized words in query for term weighting
-        // Capitalized words (proper nouns/entities) are typically more specific across ALL domains
-        // Works for: "Titanic", "Einstein", "Candy", "Climate", any capitalized term
-        const queryWords = query.split(/\s+/);
-        const capitalizedTerms = new Set(
-            queryWords.filter(word => word.length > 2 && /^[A-Z]/.test(word))
-                .map(word => enhancedStem(word.toLowerCase()))
-        );
+    /**
+     * Score a paper, keeping the parts the score is made of (see score())
+     * @param {Object} paper - Paper object
+     * @param {string} query - Search query
+     * @param {number} avgLength - Average document length in corpus
+     * @returns {Object} { query, booleanMatch, terms, docLength, avgLength, bm25, maxBm25,
+     *   baseScore, boosts, score } - query is the text scored; booleanMatch is null for plain
+     *   queries; terms: [{ term, frequency, tf, idf, weight, contribution }] for every query
+     *   term; bm25/maxBm25: raw sum and the fixed maximum baseScore (0-100) is scaled by;
+     *   boosts: [{ type, points, applied, coverage? }] - applied is what was added under the
+     *   100 cap
+     */
+    getScoreDetails(paper, query, avgLength) {
+        const { expression, isBoolean, text, terms: queryTerms, capitalizedTerms } = this.getQueryTerms(query);
+        const details = {
+            query: text,
+            booleanMatch: isBoolean ? this.matchesExpression(paper, expression) : null,
+            terms: [],
+            docLength: 0,
+            avgLength,
+            bm25: 0,
+            maxBm25: 0,
+            baseScore: 0,
+            boosts: [],
+            score: 0
+        };
+
+        if (isBoolean) {
+            if (!details.booleanMatch) return details;
+            query = text;
+        }
+
+        if (queryTerms.length === 0) {
+            // Default score for empty query
+            details.baseScore = details.score = 50;
+            return details;
+        }
+
+        // Paper text with field weighting, tokenized once per text (see getDocument)
+        const { termCounts, length: docLength } = this.getDocument(paper);
+        details.docLength = docLength;
 
         let score = 0;
-        let matchedTerms = 0;
 
         for (const term of queryTerms) {
-            const termFreq = this.countTerm(paperTokens, term);
-
-            if (termFreq === 0) continue;
+            const termFreq = termCounts.get(term) || 0;
 
-            matchedTerms++;
+            if (termFreq === 0) {
+                details.terms.push({ term, frequency: 0, tf: 0, idf: 0, weight: 0, contribution: 0 });
+                continue;
+            }
 
             // TF component (same as before)
             const tfComponent = (termFreq * (this.k1 + 1)) /
@@ -332,7 +786,9 @@ export class BM25Scorer {
             const termWeight = capitalizedTerms.has(term) ? 2.0 : 1.0;
 
             // BM25 score = TF * IDF * term weight
-            score += tfComponent * idf * termWeight;
+            const contribution = tfComponent * idf * termWeight;
+            score += contribution;
+            details.terms.push({ term, frequency: termFreq, tf: tfComponent, idf, weight: termWeight, contribution });
         }
 
         // Normalize to 0-100 range with FIXED scale for consistent scoring during streaming
@@ -347,6 +803,16 @@ export class BM25Scorer {
         let normalizedScore = theoreticalMax > 0
             ? Math.max(0, Math.min(100, (score / theoreticalMax) * 100))
             : 50;
+        details.bm25 = score;
+        details.maxBm25 = theoreticalMax;
+        details.baseScore = normalizedScore;
+
+        // Add boost points, capped at 100
+        const boost = (type, points, extra = {}) => {
+            const before = normalizedScore;
+            normalizedScore = Math.min(100, normalizedScore + points);
+            details.boosts.push({ type, points, applied: normalizedScore - before, ...extra });
+        };
 
         // Apply boosts AFTER normalization (additive, not multiplicative)
         // This prevents negative score issues and provides consistent boost behavior
@@ -364,7 +830,7 @@ export class BM25Scorer {
         // Works for: "candy corn", "climate change", "rms titanic", "neural networks", anything
         if (titleLower.includes(queryLower)) {
             // Complete query match in title: +100 boost (guarantee top rank)
-            normalizedScore = Math.min(100, normalizedScore + 100);
+            boost('title-phrase', 100);
         } else {
             // UNIVERSAL PRINCIPLE #3: Partial Query Coverage in Title
             // Check what percentage of query words appear in title
@@ -376,16 +842,16 @@ export class BM25Scorer {
 
             if (titleCoverage >= 1.0) {
                 // ALL query words in title (but not as exact phrase): +80 boost
-                normalizedScore = Math.min(100, normalizedScore + 80);
+                boost('title-coverage', 80, { coverage: titleCoverage });
             } else if (titleCoverage >= 0.75) {
                 // 75%+ of query words in title: +50 boost
-                normalizedScore = Math.min(100, normalizedScore + 50);
+                boost('title-coverage', 50, { coverage: titleCoverage });
             } else if (titleCoverage >= 0.5) {
                 // 50%+ of query words in title: +30 boost
-                normalizedScore = Math.min(100, normalizedScore + 30);
+                boost('title-coverage', 30, { coverage: titleCoverage });
             } else if (titleCoverage > 0) {
                 // At least some query words in title: +15 boost
-                normalizedScore = Math.min(100, normalizedScore + 15);
+                boost('title-coverage', 15, { coverage: titleCoverage });
             }
         }
 
@@ -394,7 +860,7 @@ export class BM25Scorer {
         // This ensures papers with abstract matches rank lower than title matches
         if (!titleLower.includes(queryLower) && abstractLower.includes(queryLower)) {
             // Complete query in abstract only: +40 boost (good, but less than title)
-            normalizedScore = Math.min(100, normalizedScore + 40);
+            boost('abstract-phrase', 40);
         }
 
         // LEGACY SUPPORT: Handle explicit quoted phrases (e.g., "machine learning")
@@ -422,11 +888,56 @@ export class BM25Scorer {
             // Linear decay: 0 years = +20 points, 1 year = 0 points
             if (yearsOld <= 1 && yearsOld >= 0) {
                 const recencyBoostPoints = 20 * (1 - yearsOld); // 20 points at year 0, 0 points at year 1
-                normalizedScore = Math.min(100, normalizedScore + recencyBoostPoints);
+                boost('recency', recencyBoostPoints);
             }
         }
 
-        return normalizedScore;
+        details.score = normalizedScore;
+        return details;
+    }
+
+    /**
+     * Check whether a paper satisfies a query's Boolean expression
+     * Plain keyword queries always match (BM25 handles partial matches)
+     * @param {Object} paper - Paper object
+     * @param {string} query - Search query
+     * @returns {boolean} True if paper matches
+     */
+    matchesQuery(paper, query) {
+        const { expression, isBoolean } = parseBooleanQuery(query);
+        return !isBoolean || this.matchesExpression(paper, expression);
+    }
+
+    /**
+     * Evaluate a parsed Boolean expression against a paper's title, abstract and journal
+     * Terms and phrases must appear as adjacent tokens within a single field
+     * @param {Object} paper - Paper object
+     * @param {Object|null} expression - Expression tree from parseBooleanQuery
+     * @returns {boolean} True if paper matches
+     */
+    matchesExpression(paper, expression) {
+        const fields = [paper.title, paper.abstract, paper.journal].map(matchTokenize);
+
+        return evaluateExpression(expression, leaf => {
+            const sequence = matchTokenize(leaf.value);
+            if (sequence.length === 0) return true;
+            return fields.some(tokens => this.containsSequence(tokens, sequence));
+        });
+    }
+
+    /**
+     * Check whether tokens contain a sequence of adjacent tokens
+     * @param {Array<string>} tokens - Field tokens
+     * @param {Array<string>} sequence - Tokens that must appear consecutively
+     * @returns {boolean} True if found
+     */
+    containsSequence(tokens, sequence) {
+        for (let i = 0; i <= tokens.length - sequence.length; i++) {
+            let j = 0;
+            while (j < sequence.length && tokens[i + j] === sequence[j]) j++;
+            if (j === sequence.length) return true;
+        }
+        return false;
     }
 
     /**
@@ -507,16 +1018,6 @@ export class BM25Scorer {
 
         return parts.join(' ');
     }
-
-    /**
-     * Count occurrences of a term in token array
-     * @param {Array<string>} tokens - Tokenized text
-     * @param {string} term - Term to count
-     * @returns {number} Count of term occurrences
-     */
-    countTerm(tokens, term) {
-        return tokens.filter(t => t === term).length;
-    }
 }
 
 /**
@@ -527,6 +1028,8 @@ export class PaperProcessor {
     constructor() {
         this.bm25 = new BM25Scorer();
         this.dedupeThreshold = 0.85;  // 85% similarity = duplicate
+        this.versionThreshold = 0.7;  // Reworded titles of a preprint and its published version
+        this.maxVersionGap = 3;       // Years between a preprint and its publication
     }
 
     /**
@@ -550,13 +1053,100 @@ export class PaperProcessor {
         }
 
         // Fuzzy title matching
-        const title1 = FuzzyMatcher.normalizeTitle(paper1.title);
-        const title2 = FuzzyMatcher.normalizeTitle(paper2.title);
+        return titleSimilarity(paper1, paper2) >= this.dedupeThreshold;
+    }
+
+    /**
+     * Check if two papers are versions of one work (a preprint and its published version)
+     * A source linking them is enough; otherwise the titles must be close, the first
+     * author the same, and the published version at most maxVersionGap years younger
+     * @param {Object} paper1 - Paper object (may already group several versions)
+     * @param {Object} paper2 - Paper object
+     * @returns {boolean} True if they should be grouped as versions
+     */
+    areVersions(paper1, paper2) {
+        if (areLinkedVersions(paper1, paper2)) return true;
+
+        const preprint = [paper1, paper2].find(isPreprintVersion);
+        const published = [paper1, paper2].find(paper => !isPreprintVersion(paper));
+        if (!preprint || !published) return false;
+
+        const yearGap = (published.year || 0) - (preprint.year || 0);
+        if (!preprint.year || !published.year || yearGap < 0 || yearGap > this.maxVersionGap) return false;
 
-        if (!title1 || !title2) return false;
+        const author1 = FuzzyMatcher.familyName(preprint.authors?.[0]);
+        if (!author1 || author1 !== FuzzyMatcher.familyName(published.authors?.[0])) return false;
 
-        const similarity = FuzzyMatcher.similarity(title1, title2);
-        return similarity >= this.dedupeThreshold;
+        return titleSimilarity(preprint, published) >= this.versionThreshold;
+    }
+
+    /**
+     * Find the stored paper a new paper duplicates, or failing that is a version of
+     * Only the index's candidates are compared (see DedupeIndex)
+     * @param {DedupeIndex} index - Index of the stored papers
+     * @param {Object} paper - New paper
+     * @returns {Object|null} { key, isVersion }, or null if the paper is new
+     */
+    findMatch(index, paper) {
+        const candidates = index.getCandidates(paper);
+
+        const duplicate = candidates.find(candidate => this.areDuplicates(candidate.paper, paper));
+        if (duplicate) return { key: duplicate.key, isVersion: false };
+
+        const version = candidates.find(candidate => this.areVersions(candidate.paper, paper));
+        return version ? { key: version.key, isVersion: true } : null;
+    }
+
+    /**
+     * Group a preprint and its published version under one paper
+     * Sources, links and citations merge as for duplicates, the published version's
+     * metadata leads, and every version is kept in _versions for citing
+     * @param {Object} existing - Paper (or version group) already in the results
+     * @param {Object} newPaper - The other version
+     * @returns {Object} Grouped paper
+     */
+    mergeVersions(existing, newPaper) {
+        const versions = existing._versions || [toVersion(existing)];
+        const version = toVersion(newPaper);
+        const isNewVersion = !versions.some(v => v.id === version.id);
+        const leads = version.kind === 'published' && !versions.some(v => v.kind === 'published');
+
+        const merged = this.mergePapers(existing, newPaper);
+        if (leads) {
+            Object.assign(merged, {
+                title: newPaper.title || merged.title,
+                authors: newPaper.authors?.length > 0 ? newPaper.authors : merged.authors,
+                year: newPaper.year || merged.year,
+                doi: newPaper.doi || merged.doi,
+                journal: newPaper.journal || merged.journal,
+                url: newPaper.url || merged.url
+            });
+        }
+
+        merged.related_ids = [...new Set([...(existing.related_ids || []), ...(newPaper.related_ids || [])])];
+        merged._versions = isNewVersion ? [...versions, version] : versions;
+        return merged;
+    }
+
+    /**
+     * Build the source link for a single-source paper (one entry of _source_links)
+     * @param {Object} paper - Paper as one source returned it
+     * @returns {Object} Source link
+     */
+    toSourceLink(paper) {
+        const pdf = paper.pdf_url || paper.open_access_pdf;
+        return {
+            source: paper.source,
+            pdf_url: pdf || null,
+            url: paper.url || null,
+            // CRITICAL: has_pdf should ONLY be true if pdf_url is valid AND not null
+            has_pdf: !!(pdf && this.isValidPdfUrl(pdf)),
+            is_open_access: paper.is_open_access || false,
+            citation_count: parseInt(paper.citation_count) || 0,
+            // How this source says the paper is open (see open-access.js)
+            oa_status: paper.oa_status || null,
+            license: paper.license || null
+        };
     }
 
     /**
@@ -575,29 +1165,11 @@ export class PaperProcessor {
 
         // Add existing paper's link if not already tracked
         if (!existing._source_links) {
-            const existingPdf = existing.pdf_url || existing.open_access_pdf;
-            sourceLinks.push({
-                source: existing.source,
-                pdf_url: existingPdf || null,
-                url: existing.url || null,
-                // CRITICAL: has_pdf should ONLY be true if pdf_url is valid AND not null
-                has_pdf: !!(existingPdf && this.isValidPdfUrl(existingPdf)),
-                is_open_access: existing.is_open_access || false,
-                citation_count: parseInt(existing.citation_count) || 0
-            });
+            sourceLinks.push(this.toSourceLink(existing));
         }
 
         // Add new paper's link
-        const newPdf = newPaper.pdf_url || newPaper.open_access_pdf;
-        sourceLinks.push({
-            source: newPaper.source,
-            pdf_url: newPdf || null,
-            url: newPaper.url || null,
-            // CRITICAL: has_pdf should ONLY be true if pdf_url is valid AND not null
-            has_pdf: !!(newPdf && this.isValidPdfUrl(newPdf)),
-            is_open_access: newPaper.is_open_access || false,
-            citation_count: parseInt(newPaper.citation_count) || 0
-        });
+        sourceLinks.push(this.toSourceLink(newPaper));
 
         return {
             ...existing,
@@ -610,6 +1182,10 @@ export class PaperProcessor {
             journal: existing.journal || newPaper.journal,
             url: existing.url || newPaper.url,
 
+            // The more specific type wins (a published article over its preprint record)
+            doc_type: mergeDocTypes(existing.doc_type, newPaper.doc_type),
+            language: existing.language || newPaper.language,
+
             // Combine PDF URLs (prefer direct PDFs)
             pdf_url: this.selectBestPDF(
                 existing.pdf_url || existing.open_access_pdf,
@@ -666,30 +1242,30 @@ export class PaperProcessor {
      */
     deduplicatePapers(papers) {
         const uniquePapers = new Map();
-        let duplicatesFound = 0;
+        const index = new DedupeIndex({ maxYearGap: this.maxVersionGap });
 
         for (const paper of papers) {
-            let foundDuplicate = false;
-
-            // Check against existing papers for fuzzy matches
-            for (const [key, existing] of uniquePapers.entries()) {
-                if (this.areDuplicates(existing, paper)) {
-                    // Merge with existing
-                    uniquePapers.set(key, this.mergePapers(existing, paper));
-                    duplicatesFound++;
-                    foundDuplicate = true;
-                    break;
-                }
-            }
-
-            if (!foundDuplicate) {
+            // Merge duplicates; a preprint and its published version share one entry too
+            const match = this.findMatch(index, paper);
+
+            if (match) {
+                const existing = uniquePapers.get(match.key);
+                const merged = match.isVersion
+                    ? this.mergeVersions(existing, paper)
+                    : this.mergePapers(existing, paper);
+                uniquePapers.set(match.key, merged);
+                index.add(match.key, merged);
+            } else {
                 // Add as new unique paper
                 const key = this.getPaperKey(paper);
-                uniquePapers.set(key, {
+
+                const stored = {
                     ...paper,
                     _sources: [paper.source],
                     _merged_count: 1
-                });
+                };
+                uniquePapers.set(key, stored);
+                index.add(key, stored);
             }
         }
 
@@ -708,12 +1284,8 @@ export class PaperProcessor {
         // Update corpus statistics for IDF calculation
         this.bm25.updateCorpusStats(papers);
 
-        // Calculate average paper length for BM25
-        const avgLength = papers.reduce((sum, p) => {
-            const text = this.bm25.getPaperText(p);
-            const tokens = tokenize(text);
-            return sum + tokens.length;
-        }, 0) / papers.length;
+        // Average paper length for BM25 (running total over the corpus)
+        const avgLength = this.bm25.getAverageDocLength();
 
         // Score each paper
         return papers.map(paper => ({
@@ -0,0 +1,19 @@
+// ============================================================================
+// PROCESSING-WORKER.JS - Runs the processing pipeline off the main thread
+// ============================================================================
+// Module worker started by ProcessingClient. Requests are { id, type, payload }
+// (see processing-pipeline.js for the message types); each is answered, in
+// order, with { id, result } or { id, error }.
+
+import { ProcessingPipeline } from './processing-pipeline.js';
+
+const pipeline = new ProcessingPipeline();
+
+self.addEventListener('message', (event) => {
+    const { id, type, payload } = event.data;
+    try {
+        self.postMessage({ id, result: pipeline.handle(type, payload) });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+});
@@ -0,0 +1,584 @@
+// ============================================================================
+// QUERY-PARSER.JS - Fielded search query parsing
+// ============================================================================
+// Parses queries like: author:"Hinton" title:capsule year:2017..2020 venue:NeurIPS
+// into a structured object that each API client translates into its native syntax.
+// Fields a source can't express are folded into its keyword text and then
+// post-filtered locally (see matchesFieldFilters).
+//
+// The remaining free text may use Boolean syntax:
+//   ("sleep deprivation" OR insomnia) AND cognition NOT mice
+// which is parsed into an expression tree and compiled per source
+// (see compileQuery) and evaluated locally by BM25Scorer.
+
+/**
+ * Supported query fields
+ */
+export const QUERY_FIELDS = ['author', 'title', 'year', 'venue', 'doi'];
+
+/**
+ * Field name aliases (lowercase) -> canonical field
+ */
+const FIELD_ALIASES = {
+    author: 'author',
+    au: 'author',
+    title: 'title',
+    ti: 'title',
+    year: 'year',
+    venue: 'venue',
+    journal: 'venue',
+    doi: 'doi'
+};
+
+// field:"quoted value" or field:value
+const FIELD_PATTERN = /(?:^|\s)([a-z]+):(?:"([^"]*)"|(\S+))/gi;
+
+/**
+ * Parse a year expression into an inclusive range
+ * Accepts: 2017, 2017..2020, 2017-2020, 2017.., ..2020, >=2017, <=2020
+ * @param {string} value - Year expression
+ * @returns {Object|null} { from, to } (either may be null) or null if invalid
+ */
+export function parseYearRange(value) {
+    if (!value) return null;
+    const v = value.trim();
+
+    let match = v.match(/^(\d{4})?\s*(?:\.\.|-|–)\s*(\d{4})?$/);
+    if (match && (match[1] || match[2])) {
+        const from = match[1] ? parseInt(match[1]) : null;
+        const to = match[2] ? parseInt(match[2]) : null;
+        if (from && to && from > to) return { from: to, to: from };
+        return { from, to };
+    }
+
+    match = v.match(/^(>=?|<=?)(\d{4})$/);
+    if (match) {
+        const year = parseInt(match[2]);
+        switch (match[1]) {
+            case '>': return { from: year + 1, to: null };
+            case '>=': return { from: year, to: null };
+            case '<': return { from: null, to: year - 1 };
+            default: return { from: null, to: year };
+        }
+    }
+
+    if (/^\d{4}$/.test(v)) {
+        const year = parseInt(v);
+        return { from: year, to: year };
+    }
+
+    return null;
+}
+
+/**
+ * Restrict a parsed query to a year range (e.g. from the year-range control)
+ * A year: field in the query text is narrowed to the overlap of both ranges
+ * @param {Object} parsed - Parsed query
+ * @param {Object|null} range - { from, to } (either may be null), null = no restriction
+ * @returns {Object} Parsed query with fields.year set (a new object; parsed is not modified)
+ */
+export function withYearRange(parsed, range) {
+    if (!range || (!range.from && !range.to)) return parsed;
+
+    const current = parsed.fields.year || { from: null, to: null };
+    const year = {
+        from: Math.max(current.from || 0, range.from || 0) || null,
+        to: Math.min(current.to || Infinity, range.to || Infinity)
+    };
+    if (year.to === Infinity) year.to = null;
+
+    return { ...parsed, fields: { ...parsed.fields, year }, hasFields: true };
+}
+
+/**
+ * Parse a search query with optional field prefixes
+ * Unknown prefixes (e.g. "covid:") are kept as free text.
+ * @param {string} query - Raw query string
+ * @returns {Object} Parsed query: { raw, text, fields: { author, title, venue, doi, year }, hasFields }
+ */
+export function parseQuery(query) {
+    const raw = (query || '').trim();
+    const fields = {
+        author: [],
+        title: [],
+        venue: [],
+        doi: null,
+        year: null
+    };
+
+    const text = raw.replace(FIELD_PATTERN, (whole, name, quoted, bare) => {
+        const field = FIELD_ALIASES[name.toLowerCase()];
+        const value = (quoted !== undefined ? quoted : bare).trim();
+
+        if (!field || !value) return whole;
+
+        if (field === 'year') {
+            const range = parseYearRange(value);
+            if (!range) return whole;
+            fields.year = range;
+        } else if (field === 'doi') {
+            fields.doi = value.replace(/^https?:\/\/(dx\.)?doi\.org\//i, '');
+        } else {
+            fields[field].push(value);
+        }
+
+        // Keep a separator so neighbouring words don't get glued together
+        return ' ';
+    }).replace(/\s+/g, ' ').trim();
+
+    const hasFields = fields.author.length > 0 ||
+        fields.title.length > 0 ||
+        fields.venue.length > 0 ||
+        !!fields.doi ||
+        !!fields.year;
+
+    const { expression, isBoolean } = parseBooleanQuery(text);
+
+    return { raw, text, fields, hasFields, expression, isBoolean };
+}
+
+/**
+ * Split free text into Boolean tokens
+ * Operators must be uppercase (AND, OR, NOT) so lowercase words stay terms;
+ * a leading "-" is shorthand for NOT
+ * @param {string} text - Free text
+ * @returns {Array<Object>} Tokens: { type, value? }
+ */
+function lexBooleanQuery(text) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+        const ch = text[i];
+
+        if (/\s/.test(ch)) {
+            i++;
+        } else if (ch === '(' || ch === ')') {
+            tokens.push({ type: ch });
+            i++;
+        } else if (ch === '"') {
+            // Unterminated quotes run to the end of the query
+            const end = text.indexOf('"', i + 1);
+            const stop = end === -1 ? text.length : end;
+            const value = text.slice(i + 1, stop).replace(/\s+/g, ' ').trim();
+            if (value) tokens.push({ type: 'phrase', value });
+            i = stop + 1;
+        } else {
+            let j = i;
+            while (j < text.length && !/[\s()"]/.test(text[j])) j++;
+            const word = text.slice(i, j);
+            i = j;
+
+            if (word === 'AND' || word === 'OR' || word === 'NOT') {
+                tokens.push({ type: word });
+            } else if (word === '-') {
+                tokens.push({ type: 'NOT' });
+            } else if (word.startsWith('-')) {
+                tokens.push({ type: 'NOT' }, { type: 'term', value: word.slice(1) });
+            } else {
+                tokens.push({ type: 'term', value: word });
+            }
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Combine child nodes, flattening same-type children and single-child groups
+ * @param {string} type - 'and' or 'or'
+ * @param {Array<Object|null>} nodes - Child nodes
+ * @returns {Object|null} Combined node
+ */
+function combineNodes(type, nodes) {
+    const children = [];
+    for (const node of nodes) {
+        if (!node) continue;
+        if (node.type === type) {
+            children.push(...node.children);
+        } else {
+            children.push(node);
+        }
+    }
+
+    if (children.length === 0) return null;
+    if (children.length === 1) return children[0];
+    return { type, children };
+}
+
+/**
+ * Parse free text into a Boolean expression tree
+ * Grammar (NOT binds tightest, then AND - explicit or implicit - then OR):
+ *   or      := and ("OR" and)*
+ *   and     := unary (["AND"] unary)*
+ *   unary   := ("NOT" | "-") unary | primary
+ *   primary := "(" or ")" | "phrase" | term
+ * Malformed input (stray parentheses, dangling operators) is tolerated.
+ * @param {string} text - Free text
+ * @returns {Object} { expression, isBoolean } - expression nodes are
+ *   { type: 'term'|'phrase', value }, { type: 'and'|'or', children }, { type: 'not', child }
+ */
+export function parseBooleanQuery(text) {
+    const tokens = lexBooleanQuery(text || '');
+    let pos = 0;
+    const peek = () => tokens[pos];
+
+    const parsePrimary = () => {
+        const token = tokens[pos++];
+        if (!token) return null;
+        if (token.type === 'term' || token.type === 'phrase') {
+            return { type: token.type, value: token.value };
+        }
+        if (token.type === '(') {
+            const inner = parseOr();
+            if (peek()?.type === ')') pos++;
+            return inner;
+        }
+        return null;
+    };
+
+    const parseUnary = () => {
+        if (peek()?.type === 'NOT') {
+            pos++;
+            const child = parseUnary();
+            return child ? { type: 'not', child } : null;
+        }
+        return parsePrimary();
+    };
+
+    const parseAnd = () => {
+        const nodes = [];
+        while (pos < tokens.length) {
+            const type = peek().type;
+            if (type === ')' || type === 'OR') break;
+            if (type === 'AND') {
+                pos++;
+                continue;
+            }
+            nodes.push(parseUnary());
+        }
+        return combineNodes('and', nodes);
+    };
+
+    const parseOr = () => {
+        const nodes = [parseAnd()];
+        while (peek()?.type === 'OR') {
+            pos++;
+            nodes.push(parseAnd());
+        }
+        return combineNodes('or', nodes);
+    };
+
+    // Top level: skip stray closing parentheses and keep going
+    const nodes = [];
+    while (pos < tokens.length) {
+        nodes.push(parseOr());
+        if (peek()?.type === ')') pos++;
+    }
+
+    return {
+        expression: combineNodes('and', nodes),
+        isBoolean: tokens.some(token => token.type !== 'term')
+    };
+}
+
+/**
+ * Evaluate a Boolean expression tree
+ * @param {Object|null} node - Expression node
+ * @param {Function} matchLeaf - (leafNode) -> boolean for term/phrase nodes
+ * @returns {boolean} True if the expression matches (empty expressions match)
+ */
+export function evaluateExpression(node, matchLeaf) {
+    if (!node) return true;
+
+    switch (node.type) {
+        case 'and':
+            return node.children.every(child => evaluateExpression(child, matchLeaf));
+        case 'or':
+            return node.children.some(child => evaluateExpression(child, matchLeaf));
+        case 'not':
+            return !evaluateExpression(node.child, matchLeaf);
+        default:
+            return matchLeaf(node);
+    }
+}
+
+/**
+ * Collect the term/phrase leaves that are not negated
+ * @param {Object|null} node - Expression node
+ * @returns {Array<Object>} Positive leaf nodes
+ */
+export function getPositiveTerms(node) {
+    if (!node || node.type === 'not') return [];
+    if (node.type === 'and' || node.type === 'or') {
+        return node.children.flatMap(getPositiveTerms);
+    }
+    return [node];
+}
+
+/**
+ * Native Boolean syntaxes, keyed by the name clients declare in booleanSyntax
+ * - boolean: PubMed / Europe PMC (binary NOT)
+ * - lucene:  Elasticsearch/Solr query_string (OpenAlex, DOAJ, DataCite, Zenodo)
+ * - arxiv:   arXiv search_query (field prefix on every term, ANDNOT)
+ */
+export const BOOLEAN_SYNTAXES = {
+    boolean: {
+        and: ' AND ',
+        or: ' OR ',
+        not: ' NOT ',
+        term: value => value,
+        phrase: value => `"${value}"`
+    },
+    lucene: {
+        and: ' AND ',
+        or: ' OR ',
+        not: ' AND NOT ',
+        term: value => value,
+        phrase: value => `"${value}"`
+    },
+    arxiv: {
+        and: ' AND ',
+        or: ' OR ',
+        not: ' ANDNOT ',
+        term: value => `all:${value}`,
+        phrase: value => `all:"${value}"`
+    }
+};
+
+/**
+ * Compile an expression tree into a native Boolean query string
+ * Negations need a positive clause to hang off, so pure-negative groups are
+ * dropped server-side and enforced by local scoring instead.
+ * @param {Object|null} node - Expression node
+ * @param {string} syntaxName - Key of BOOLEAN_SYNTAXES
+ * @param {boolean} nested - Wrap groups in parentheses
+ * @returns {string} Native query ('' if nothing expressible)
+ */
+export function compileExpression(node, syntaxName, nested = false) {
+    const syntax = BOOLEAN_SYNTAXES[syntaxName];
+    if (!node || !syntax) return '';
+
+    const wrap = (str, count) => nested && count > 1 ? `(${str})` : str;
+
+    switch (node.type) {
+        case 'term':
+            return syntax.term(node.value);
+        case 'phrase':
+            return syntax.phrase(node.value);
+        case 'not':
+            return '';
+        case 'or': {
+            const parts = node.children
+                .map(child => compileExpression(child, syntaxName, true))
+                .filter(Boolean);
+            return wrap(parts.join(syntax.or), parts.length);
+        }
+        case 'and': {
+            const positives = node.children
+                .filter(child => child.type !== 'not')
+                .map(child => compileExpression(child, syntaxName, true))
+                .filter(Boolean);
+            if (positives.length === 0) return '';
+
+            const negatives = node.children
+                .filter(child => child.type === 'not')
+                .map(child => compileExpression(child.child, syntaxName, true))
+                .filter(Boolean);
+
+            const str = positives.join(syntax.and) + negatives.map(neg => syntax.not + neg).join('');
+            return wrap(str, positives.length + negatives.length);
+        }
+        default:
+            return '';
+    }
+}
+
+/**
+ * Specialize a parsed query for one source
+ * Boolean free text is compiled into the source's native syntax, or reduced
+ * to its positive terms for keyword-only sources. Plain queries pass through.
+ * @param {Object} parsed - Parsed query
+ * @param {string|null} syntaxName - Source's Boolean syntax (null = keyword only)
+ * @returns {Object} Parsed query with source-ready text
+ */
+export function compileQuery(parsed, syntaxName = null) {
+    if (!parsed.isBoolean) return parsed;
+
+    if (!BOOLEAN_SYNTAXES[syntaxName]) {
+        const text = getPositiveTerms(parsed.expression).map(leaf => leaf.value).join(' ');
+        return { ...parsed, text, booleanSyntax: null };
+    }
+
+    // Top-level OR is parenthesized so it survives being ANDed with field clauses
+    let text = compileExpression(parsed.expression, syntaxName);
+    if (parsed.expression?.type === 'or' && text) {
+        text = `(${text})`;
+    }
+
+    return { ...parsed, text, booleanSyntax: syntaxName };
+}
+
+/**
+ * Normalize a query argument to a parsed query
+ * Clients accept either a raw string or an already-parsed query
+ * @param {string|Object} query - Raw or parsed query
+ * @returns {Object} Parsed query
+ */
+export function toParsedQuery(query) {
+    if (query && typeof query === 'object' && query.fields) {
+        return query;
+    }
+    return parseQuery(typeof query === 'string' ? query : '');
+}
+
+/**
+ * Get the fields present in a parsed query
+ * @param {Object} parsed - Parsed query
+ * @returns {Array<string>} Field names with values
+ */
+export function getActiveFields(parsed) {
+    return QUERY_FIELDS.filter(field => {
+        const value = parsed.fields[field];
+        return Array.isArray(value) ? value.length > 0 : !!value;
+    });
+}
+
+/**
+ * Build keyword text for a source, folding in fields it can't express natively
+ * so the server still narrows results before local post-filtering
+ * @param {Object} parsed - Parsed query
+ * @param {Array<string>} supportedFields - Fields the source handles natively
+ * @returns {string} Keyword text
+ */
+export function getKeywordText(parsed, supportedFields = []) {
+    const parts = parsed.text ? [parsed.text] : [];
+    const extras = [];
+
+    for (const field of ['title', 'author', 'venue']) {
+        if (!supportedFields.includes(field)) {
+            extras.push(...parsed.fields[field]);
+        }
+    }
+
+    if (parsed.fields.doi && !supportedFields.includes('doi')) {
+        extras.push(parsed.fields.doi);
+    }
+
+    // Compiled Boolean text needs explicit AND so extras don't bind into the last group
+    if (parsed.booleanSyntax && parts.length > 0) {
+        return [...parts, ...extras.map(quoteValue)].join(' AND ');
+    }
+
+    return [...parts, ...extras].join(' ').trim();
+}
+
+/**
+ * Build the text used for local relevance scoring
+ * Author/venue/year constraints are filters, not topical terms, so only
+ * free text and title terms contribute to BM25. Boolean text is passed
+ * through unchanged so the scorer can evaluate it; title terms are left out
+ * there because they would otherwise become required terms.
+ * @param {Object} parsed - Parsed query
+ * @returns {string} Scoring text
+ */
+export function getScoringText(parsed) {
+    if (parsed.isBoolean) return parsed.text;
+    return [parsed.text, ...parsed.fields.title].filter(Boolean).join(' ').trim();
+}
+
+/**
+ * Quote a value if it contains whitespace
+ * @param {string} value - Field value
+ * @returns {string} Value, quoted if needed
+ */
+export function quoteValue(value) {
+    return /\s/.test(value) ? `"${value.replace(/"/g, '')}"` : value;
+}
+
+/**
+ * Build a Lucene-style fielded query (Elasticsearch/Solr sources)
+ * @param {Object} parsed - Parsed query
+ * @param {Object} fieldMap - Canonical field -> native field name
+ * @param {Object} options - Options
+ * @param {Function} options.formatYear - (from, to) -> native year clause
+ * @returns {string} Native query string
+ */
+export function buildLuceneQuery(parsed, fieldMap, options = {}) {
+    const supported = Object.keys(fieldMap);
+    const clauses = [];
+
+    const text = getKeywordText(parsed, supported);
+    if (text) clauses.push(text);
+
+    for (const field of ['author', 'title', 'venue']) {
+        if (!fieldMap[field]) continue;
+        parsed.fields[field].forEach(value => {
+            clauses.push(`${fieldMap[field]}:${quoteValue(value)}`);
+        });
+    }
+
+    if (parsed.fields.doi && fieldMap.doi) {
+        clauses.push(`${fieldMap.doi}:"${parsed.fields.doi}"`);
+    }
+
+    if (parsed.fields.year && fieldMap.year) {
+        const { from, to } = parsed.fields.year;
+        const clause = options.formatYear
+            ? options.formatYear(from, to)
+            : `${fieldMap.year}:[${from || '*'} TO ${to || '*'}]`;
+        clauses.push(clause);
+    }
+
+    return clauses.join(' AND ');
+}
+
+/**
+ * Check whether a paper satisfies the fielded constraints of a query
+ * Used as a local fallback for sources that can't honour a field server-side
+ * @param {Object} paper - Normalized paper
+ * @param {Object} parsed - Parsed query
+ * @param {Array<string>} fields - Fields to check (defaults to all)
+ * @returns {boolean} True if paper matches
+ */
+export function matchesFieldFilters(paper, parsed, fields = QUERY_FIELDS) {
+    const contains = (haystack, needle) =>
+        (haystack || '').toLowerCase().includes(needle.toLowerCase());
+
+    for (const field of fields) {
+        switch (field) {
+            case 'author': {
+                const authors = (paper.authors || [])
+                    .map(a => typeof a === 'string' ? a : a.name || '')
+                    .join('; ');
+                if (!parsed.fields.author.every(name => contains(authors, name))) return false;
+                break;
+            }
+            case 'title':
+                if (!parsed.fields.title.every(term => contains(paper.title, term))) return false;
+                break;
+            case 'venue':
+                if (!parsed.fields.venue.every(term => contains(paper.journal, term))) return false;
+                break;
+            case 'doi':
+                if (parsed.fields.doi) {
+                    const doi = (paper.doi || '').toLowerCase().replace(/^https?:\/\/(dx\.)?doi\.org\//, '');
+                    if (doi !== parsed.fields.doi.toLowerCase()) return false;
+                }
+                break;
+            case 'year':
+                if (parsed.fields.year) {
+                    const { from, to } = parsed.fields.year;
+                    const year = parseInt(paper.year);
+                    if (!year) return false;
+                    if (from && year < from) return false;
+                    if (to && year > to) return false;
+                }
+                break;
+        }
+    }
+
+    return true;
+}
+
+export default parseQuery;
@@ -0,0 +1,196 @@
+// ============================================================================
+// REFERENCES.JS - Parse free-text citations and score candidate matches
+// ============================================================================
+// Pulls authors, year, title, venue, volume/issue, pages and DOI out of a pasted
+// reference string in the common styles:
+//   Vancouver: Smith J, Doe A, et al. Deep learning for X. Nature. 2019;12(3):34-56.
+//   APA:       Smith, J., & Doe, A. (2019). Deep learning for X. Nature, 12(3), 34–56.
+//   IEEE:      J. Smith and A. Doe, "Deep learning for X," Nature, vol. 12, pp. 34–56, 2019.
+// Parsing is best-effort: the raw string is still what CrossRef's query.bibliographic
+// matches against, the parsed fields decide how confident we are in its answer.
+
+import { FuzzyMatcher } from './processing-poc.js';
+
+const NAME = "[\\p{Lu}][\\p{L}'’]+(?:[\\s-][\\p{Lu}][\\p{L}'’]+)*";
+const PARTICLES = "(?:(?:van|von|der|den|de|da|di|du|le|la)\\s)*";
+
+// Author blocks at the start of a citation, one pattern per style
+const AUTHOR_BLOCK_PATTERNS = [
+    // Vancouver: "Smith J, van der Berg JA, et al."
+    new RegExp(`^(${PARTICLES}${NAME}\\s\\p{Lu}{1,3}(?:,\\s*${PARTICLES}${NAME}\\s\\p{Lu}{1,3})*(?:,?\\s*et al)?)\\.\\s*`, 'u'),
+    // APA: "Smith, J., & Doe, A. B."
+    new RegExp(`^((?:${PARTICLES}${NAME},\\s(?:\\p{Lu}\\.[\\s-]?)+,?\\s*(?:&\\s*|and\\s+)?)+(?:et al\\.?\\s*)?)`, 'u'),
+    // Initials first: "J. Smith, A. B. Doe and C. Lee,"
+    new RegExp(`^((?:(?:\\p{Lu}\\.\\s?)+${PARTICLES}${NAME}(?:,\\s*|\\s+and\\s+|\\s*&\\s*)*)+(?:et al\\.?,?\\s*)?)`, 'u')
+];
+
+const DOI_PATTERN = /(?:https?:\/\/(?:dx\.)?doi\.org\/|doi:\s*)?(10\.\d{4,9}\/[^\s,;]+)/i;
+const YEAR_PATTERN = /\b(1[89]\d{2}|20\d{2})[a-z]?\b/g;
+const PAGES_PATTERN = /(?:pp?\.\s*|:\s*|,\s*)(\d+)\s*[-–—]\s*(\d+)/;
+const VOLUME_PATTERN = /(?:vol\.\s*(\d+)(?:,\s*no\.\s*(\d+))?)|(?:[;,]\s*(\d+)\s*(?:\((\d+)\))?\s*[:,])/i;
+
+/**
+ * Surname from an author name in any order ("Smith JA", "J. A. Smith", "Smith, J.")
+ * @param {string} name - Author name
+ * @returns {string} Surname, or '' if none found
+ */
+export function getSurname(name) {
+    const text = (name || '').trim();
+    if (text.includes(',')) return text.split(',')[0].trim();
+
+    // The surname is the last word that isn't an initial
+    const words = text.split(/\s+/).filter(word => /\p{Ll}/u.test(word) && word.replace(/\./g, '').length > 1);
+    return words[words.length - 1] || '';
+}
+
+/**
+ * Split an author block into names
+ * @param {string} block - Author text ("Smith J, Doe A, et al")
+ * @returns {Array<string>} Author names
+ */
+function splitAuthors(block) {
+    const text = block.replace(/\bet al\.?/g, '').replace(/[,&\s]+$/, '').trim();
+    if (!text) return [];
+
+    // APA pairs "Smith, J., Doe, A." - the comma separates surname and initials
+    const apa = [...text.matchAll(new RegExp(`(${PARTICLES}${NAME}),\\s((?:\\p{Lu}\\.[\\s-]?)+)`, 'gu'))];
+    if (apa.length > 0) {
+        return apa.map(match => `${match[1]}, ${match[2].trim()}`);
+    }
+
+    return text.replace(/\.$/, '')
+        .split(/\s*(?:,|;|&|\band\b)\s*/)
+        .map(name => name.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Parse a free-text citation
+ * @param {string} citation - Reference string
+ * @returns {Object} { raw, authors, year, title, venue, volume, issue, pages, doi } (missing fields are null/[])
+ */
+export function parseReference(citation) {
+    // Drop list numbering ("[12]", "12.", "12)")
+    const raw = (citation || '').replace(/\s+/g, ' ').trim().replace(/^(?:\[\d+\]|\d+[.)])\s*/, '');
+    const reference = { raw, authors: [], year: null, title: null, venue: null, volume: null, issue: null, pages: null, doi: null };
+    if (!raw) return reference;
+
+    let rest = raw;
+
+    const doi = rest.match(DOI_PATTERN);
+    if (doi) {
+        reference.doi = doi[1].replace(/[.)\]]+$/, '');
+        rest = rest.replace(doi[0], '').trim();
+    }
+
+    const pages = rest.match(PAGES_PATTERN);
+    if (pages) reference.pages = `${pages[1]}-${pages[2]}`;
+
+    const volume = rest.match(VOLUME_PATTERN);
+    if (volume) {
+        reference.volume = volume[1] || volume[3] || null;
+        reference.issue = volume[2] || volume[4] || null;
+    }
+
+    // APA puts the year in brackets right after the authors; elsewhere take the last plausible year
+    const bracketYear = rest.match(/\((1[89]\d{2}|20\d{2})[a-z]?\)\.?/);
+    const years = [...rest.matchAll(YEAR_PATTERN)].map(match => parseInt(match[1], 10));
+    reference.year = bracketYear ? parseInt(bracketYear[1], 10) : (years[years.length - 1] || null);
+    if (bracketYear) rest = rest.replace(bracketYear[0], '. ');
+
+    // Quoted titles (IEEE, MLA) settle title, authors and venue at once
+    const quoted = rest.match(/["“](.+?)[,.]?["”]/);
+    if (quoted) {
+        reference.title = quoted[1].trim();
+        reference.authors = splitAuthors(rest.slice(0, quoted.index).replace(/,\s*$/, ''));
+        reference.venue = rest.slice(quoted.index + quoted[0].length)
+            .replace(/^[\s,.]*(?:in:?\s+)?/i, '')
+            .split(/[,;(]|\bvol\./i)[0].replace(/\.$/, '').trim() || null;
+        return reference;
+    }
+
+    const authorBlock = AUTHOR_BLOCK_PATTERNS.map(pattern => rest.match(pattern)).find(Boolean);
+    if (authorBlock) {
+        reference.authors = splitAuthors(authorBlock[1]);
+        rest = rest.slice(authorBlock[0].length);
+    } else {
+        // Unknown style: the authors are everything up to the first sentence break
+        const firstBreak = rest.search(/\.\s+/);
+        if (firstBreak > 0) {
+            reference.authors = splitAuthors(rest.slice(0, firstBreak));
+            rest = rest.slice(firstBreak + 1);
+        }
+    }
+
+    // Title runs to the next sentence break (keeping a closing ? or !), the venue follows
+    const segments = rest.replace(/^[\s.]+/, '').split(/(?<=[.?!])\s+/);
+    const title = segments.shift()?.replace(/\.$/, '').trim();
+    if (title) reference.title = title;
+
+    const venue = segments.join(' ').split(/[.,;(]|\s\d/)[0].trim();
+    if (venue && !/^\d/.test(venue)) reference.venue = venue;
+
+    return reference;
+}
+
+/**
+ * Split a pasted bibliography into reference strings
+ * Numbered entries ("[1]", "1.") may wrap over several lines and lose their numbers;
+ * otherwise blank lines separate entries, or each line is one
+ * @param {string} text - Pasted references
+ * @returns {Array<string>} Reference strings
+ */
+export function splitReferences(text) {
+    const lines = (text || '').split(/\r?\n/);
+    const numbered = /^\s*(?:\[\d+\]|\d+[.)])\s+/;
+
+    if (lines.filter(line => numbered.test(line)).length > 1) {
+        const entries = [];
+        lines.forEach(line => {
+            if (numbered.test(line) || entries.length === 0) {
+                entries.push(line.replace(numbered, '').trim());
+            } else if (line.trim()) {
+                entries[entries.length - 1] += ` ${line.trim()}`;
+            }
+        });
+        return entries.filter(Boolean);
+    }
+
+    if (/\n\s*\n/.test(text)) {
+        return text.split(/\n\s*\n/).map(entry => entry.replace(/\s+/g, ' ').trim()).filter(Boolean);
+    }
+
+    return lines.map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Confidence that a candidate paper is the one a citation refers to (0-1)
+ * Title similarity dominates; year and first-author agreement make up the rest
+ * @param {Object} reference - Parsed reference (see parseReference)
+ * @param {Object} paper - Candidate paper
+ * @returns {number} Confidence, rounded to two decimals
+ */
+export function scoreReferenceMatch(reference, paper) {
+    if (reference.doi && paper.doi && reference.doi.toLowerCase() === paper.doi.toLowerCase()) {
+        return 1;
+    }
+
+    const titleScore = reference.title
+        ? FuzzyMatcher.similarity(FuzzyMatcher.normalizeTitle(reference.title), FuzzyMatcher.normalizeTitle(paper.title))
+        : 0;
+
+    let yearScore = 0;
+    if (reference.year && paper.year) {
+        const gap = Math.abs(reference.year - paper.year);
+        yearScore = gap === 0 ? 1 : gap === 1 ? 0.5 : 0; // Online-first vs print year
+    }
+
+    let authorScore = 0;
+    const surname = getSurname(reference.authors[0]).toLowerCase();
+    if (surname && paper.authors?.length > 0) {
+        authorScore = paper.authors.some(author => getSurname(author).toLowerCase() === surname) ? 1 : 0;
+    }
+
+    const confidence = titleScore * 0.6 + yearScore * 0.2 + authorScore * 0.2;
+    return Math.round(confidence * 100) / 100;
+}
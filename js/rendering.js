@@ -15,29 +15,41 @@ import {
     formatJournal,
     deduplicateSourceLinks,
     getPaperKey,
-    applyFilters,
-    sortByRelevance,
-    filterBookmarksByQuery,
-    sortSearchResults
+    sortByRelevance
 } from './utils.js';
 import {
     papersByKey,
     sourcesCompleted,
     totalSources,
     pdfOnlyFilter,
+    yearRangeFilter,
+    facetSelections,
     relevanceThreshold,
     renderedPaperKeys,
     bm25ScoringComplete,
+    moreResultsAvailable,
+    loadingMoreResults,
+    sourceFailures,
+    sourceRetries,
+    importReport,
     previousSortOrder,
     previousFilterQuery,
+    previousFacetSelections,
     setPreviousSortOrder,
     setPreviousFilterQuery,
+    setPreviousFacetSelections,
     DownloadReliability
 } from './state.js';
 import {
     getPaperCollections,
     getReadingStatus
 } from './bookmarks.js';
+import { formatIdentifier } from './identifiers.js';
+import { getDocTypeLabel } from './doc-types.js';
+import { OA_STATUSES, LICENSES, getOpenAccessInfo } from './open-access.js';
+import { getCitedVersion, isPreprintVersion } from './versions.js';
+import { hasFacetSelections } from './facets.js';
+import { filterAndSortPapers, countResultFacets } from './processing-pipeline.js';
 
 /**
  * Get best access URL for a source link
@@ -324,6 +336,7 @@ function buildSourceLinks(paper) {
  * @param {boolean} options.showCollectionSelector - Show collection dropdown
  * @param {string} options.currentCollectionId - Current collection ID
  * @param {Array} options.collections - Array of collection objects
+ * @param {boolean} options.showScoreExplanation - Add the "Explain score" section (search results)
  * @returns {string} HTML for paper card
  */
 export function buildPaperCard(paper, index, showBadge = true, options = {}) {
@@ -346,6 +359,33 @@ export function buildPaperCard(paper, index, showBadge = true, options = {}) {
     // Build research metadata badges
     let metadataBadges = '';
 
+    // Exact Match Badge (identifier pasted into the search box)
+    if (paper._exact_match) {
+        const label = formatIdentifier(paper._exact_match).replace(/"/g, '&quot;');
+        metadataBadges += `<span class="metadata-badge badge-exact-match" title="Resolved directly from ${label}">
+                             Exact match · ${label}
+                           </span>`;
+    }
+
+    // Reference Match Badge (confidence that a pasted citation resolved to this paper)
+    let referenceMatch = '';
+    if (paper._reference_match) {
+        const { citation, confidence } = paper._reference_match;
+        const level = confidence >= 0.8 ? 'high' : confidence >= 0.5 ? 'medium' : 'low';
+        const escapeCitation = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+        metadataBadges += `<span class="metadata-badge badge-confidence badge-confidence-${level}" title="Match confidence for the pasted citation">
+                             Match ${Math.round(confidence * 100)}%
+                           </span>`;
+        referenceMatch = `
+            <div class="reference-match">
+                <span class="reference-match-citation" title="${escapeCitation(citation)}">Cited as: ${escapeCitation(truncateText(citation, 200))}</span>
+                <button type="button"
+                        class="btn btn-secondary reference-accept-btn"
+                        data-paper-key="${getPaperKey(paper)}"
+                        onclick="window.acceptReferenceMatch(this)">✓ Accept</button>
+            </div>`;
+    }
+
     // DOI Badge with copy icon
     if (paper.doi) {
         const fullDoiUrl = getFullDoiUrl(paper.doi);
@@ -365,21 +405,14 @@ export function buildPaperCard(paper, index, showBadge = true, options = {}) {
                            </span>`;
     }
 
-    // Open Access Badge
-    const isOpenAccess = paper.is_open_access || paper.isOpenAccess || paper.open_access;
-    if (isOpenAccess) {
-        metadataBadges += `<span class="metadata-badge badge-open-access" title="Open Access - Free to read and reuse">
-                             <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" style="margin-right: 0.25rem;">
-                                <rect x="3" y="11" width="18" height="11" rx="2" ry="2"></rect>
-                                <path d="M7 11V7a5 5 0 0 1 9.9-1"></path>
-                             </svg>
-                             Open Access
-                           </span>`;
-    }
+    // Open Access and Licence Badges
+    metadataBadges += buildOpenAccessBadges(paper);
 
-    // Preprint Badge
+    // Preprint Badge (bookmarks saved before doc_type existed fall back to the source name)
     const preprintSources = ['arxiv', 'biorxiv', 'medrxiv', 'socarxiv', 'osf preprints', 'preprint'];
-    const isPreprint = paper.source && preprintSources.some(ps => paper.source.toLowerCase().includes(ps));
+    const isPreprint = paper.doc_type
+        ? paper.doc_type === 'preprint'
+        : paper.source && preprintSources.some(ps => paper.source.toLowerCase().includes(ps));
     if (isPreprint) {
         metadataBadges += `<span class="metadata-badge badge-preprint" title="Preprint - Not peer-reviewed">
                              <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" style="margin-right: 0.25rem;">
@@ -391,15 +424,14 @@ export function buildPaperCard(paper, index, showBadge = true, options = {}) {
                            </span>`;
     }
 
-    // Citation Count Badge (simplified)
-    const citationCount = parseInt(paper.citation_count) || 0;
-    if (citationCount > 0) {
-        const citationLabel = citationCount >= 1000 ? `${(citationCount/1000).toFixed(1)}k` : citationCount.toLocaleString();
-        metadataBadges += `<span class="metadata-badge badge-citations" title="${citationCount.toLocaleString()} citation${citationCount !== 1 ? 's' : ''}">
-                             ${citationLabel}
-                           </span>`;
+    // Document Type Badge (datasets, software, books... - articles and preprints need none)
+    if (paper.doc_type && !['article', 'preprint', 'other'].includes(paper.doc_type)) {
+        metadataBadges += `<span class="metadata-badge badge-doc-type" title="Document type">${getDocTypeLabel(paper.doc_type)}</span>`;
     }
 
+    // Citation Count Badge (simplified)
+    metadataBadges += buildCitationBadge(paper.citation_count, paper.citation_source);
+
     // Get paper key for bookmark functionality
     const paperKey = getPaperKey(paper);
 
@@ -517,7 +549,7 @@ export function buildPaperCard(paper, index, showBadge = true, options = {}) {
     }
 
     return `
-        <div class="paper-card ${showBadge ? 'paper-card-streaming' : ''}" data-paper-key="${paperKey}">
+        <div class="paper-card ${showBadge ? 'paper-card-streaming' : ''} ${paper._exact_match ? 'paper-card-exact-match' : ''}" data-paper-key="${paperKey}">
             <div class="paper-header">
                 <div class="paper-title-actions">
                     <h3>
@@ -550,31 +582,222 @@ export function buildPaperCard(paper, index, showBadge = true, options = {}) {
             ${collectionBadges}
             ${(statusSelector || collectionSelector) ? `<div class="paper-actions">${statusSelector}${collectionSelector}</div>` : ''}
             ${metadataBadges ? `<div class="research-metadata-badges">${metadataBadges}</div>` : ''}
+            ${referenceMatch}
             <div class="paper-meta">
                 <span class="paper-authors">${authors}</span>
                 ${paper.year ? `<span class="paper-year">${paper.year}</span>` : ''}
                 ${journal ? `<span class="paper-journal">${journal}</span>` : ''}
             </div>
+            ${buildVersionLinks(paper, paperKey)}
             ${abstract ? `<p class="paper-abstract">${abstract}</p>` : ''}
             ${accessLinks}
+            ${options.showScoreExplanation ? `
+            <details class="score-explanation" data-paper-key="${paperKey}">
+                <summary>Explain score</summary>
+                <div class="score-explanation-body" aria-live="polite"></div>
+            </details>` : ''}
         </div>
     `;
 }
 
+const SCORE_BOOST_LABELS = {
+    'title-phrase': () => 'Whole query in the title',
+    'title-coverage': boost => `${Math.round(boost.coverage * 100)}% of the query words in the title`,
+    'abstract-phrase': () => 'Whole query in the abstract',
+    'recency': () => 'Published in the last year (time-sensitive query)'
+};
+
 /**
- * Update citation badge for an existing paper card in the DOM
- * @param {string} paperKey - The unique key for the paper
- * @param {number} citationCount - The new citation count
+ * Format a score component for the explanation table
+ * @param {number} value - Number to format
+ * @returns {string} Two decimals, or "–" for zero
  */
-export function updateCitationBadge(paperKey, citationCount) {
-    // Find the paper card element
-    const cardElement = document.querySelector(`.paper-card[data-paper-key="${paperKey}"]`);
-    if (!cardElement) return;
+function formatScorePart(value) {
+    return value ? value.toFixed(2) : '–';
+}
+
+/**
+ * Build the body of a card's "Explain score" section
+ * @param {Object|null} explanation - Score details with threshold (see api explainScore)
+ * @returns {string} HTML string
+ */
+export function buildScoreExplanation(explanation) {
+    if (!explanation) {
+        return '<p class="score-explanation-note">No explanation available - the result set has changed since this card was shown.</p>';
+    }
 
-    // Find or create the metadata badges container
+    const { query, booleanMatch, terms, bm25, maxBm25, baseScore, boosts, score, threshold } = explanation;
+    let html = `<p class="score-explanation-total">Relevance <strong>${Math.round(score)}/100</strong> for “${escapeHtml(query)}”</p>`;
+
+    if (booleanMatch === false) {
+        html += '<p class="score-explanation-note">Doesn\'t satisfy the Boolean query (an excluded term is present, or a phrase isn\'t), so it scores 0.</p>';
+    } else if (terms.length === 0) {
+        html += '<p class="score-explanation-note">No query terms to score - every paper gets 50.</p>';
+    } else {
+        const rows = terms.map(term => `
+                <tr${term.frequency === 0 ? ' class="score-term-missing"' : ''}>
+                    <td>${escapeHtml(term.term)}</td>
+                    <td>${term.frequency === 0 ? 'not found' : escapeHtml((term.fields || []).join(', '))}</td>
+                    <td>${term.frequency}</td>
+                    <td>${formatScorePart(term.tf)}</td>
+                    <td>${formatScorePart(term.idf)}</td>
+                    <td>${term.weight ? `×${term.weight}` : '–'}</td>
+                    <td>${formatScorePart(term.contribution)}</td>
+                </tr>`).join('');
+
+        html += `
+            <table class="score-explanation-terms">
+                <thead>
+                    <tr><th>Term</th><th>Found in</th><th>Count</th><th>TF</th><th>IDF</th><th>Weight</th><th>Points</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <p>BM25 ${bm25.toFixed(2)} of a possible ${maxBm25.toFixed(2)} → base score ${baseScore.toFixed(1)}/100</p>`;
+
+        const applied = boosts.filter(boost => boost.points > 0);
+        if (applied.length > 0) {
+            html += `<ul class="score-explanation-boosts">${applied.map(boost => `
+                <li>${escapeHtml(SCORE_BOOST_LABELS[boost.type](boost))}: +${Math.round(boost.applied)}${boost.applied < boost.points ? ` (of ${Math.round(boost.points)}, capped at 100)` : ''}</li>`).join('')}
+            </ul>`;
+        }
+    }
+
+    let thresholdNote;
+    if (threshold.pinned) {
+        thresholdNote = 'Exact match - shown whatever its relevance.';
+    } else if (!threshold.applies) {
+        thresholdNote = `The ${threshold.value}% relevance filter applies once every source has been scored.`;
+    } else if (threshold.passes) {
+        thresholdNote = `Passes the ${threshold.value}% relevance filter.`;
+    } else {
+        thresholdNote = `Below the ${threshold.value}% relevance filter - shown only because no result passes it.`;
+    }
+    html += `<p class="score-explanation-threshold">${thresholdNote}</p>`;
+
+    // The citation/recency/quality blend (utils calculateOptimalRelevance) isn't applied to results
+    html += '<p class="score-explanation-note">Citation counts and source quality don\'t count towards this percentage: it measures how well the text matches the query. Sort by citations to rank by impact instead.</p>';
+
+    return html;
+}
+
+/**
+ * Describe one version of a paper for its link
+ * @param {Object} version - Version record (see versions.js toVersion)
+ * @returns {string} e.g. "Published in Nature (2022)" or "Preprint on arXiv (2021)"
+ */
+function formatVersionLabel(version) {
+    const year = version.year ? ` (${version.year})` : '';
+    if (version.kind === 'preprint') {
+        return `Preprint${version.source ? ` on ${version.source}` : ''}${year}`;
+    }
+    return `Published${version.journal ? ` in ${version.journal}` : ''}${year}`;
+}
+
+/**
+ * Build the versions line of a paper card
+ * Grouped papers link every version and let the reader pick the one exports cite;
+ * a lone preprint links the published version its source named
+ * @param {Object} paper - Paper object
+ * @param {string} paperKey - Paper key (see getPaperKey)
+ * @returns {string} HTML string ('' when there is nothing to link)
+ */
+function buildVersionLinks(paper, paperKey) {
+    const cited = getCitedVersion(paper);
+
+    if (cited) {
+        const links = paper._versions.map(version => {
+            const href = version.doi ? getFullDoiUrl(version.doi) : version.url;
+            const label = escapeHtml(formatVersionLabel(version));
+            return href
+                ? `<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer" class="paper-version-link">${label}</a>`
+                : `<span class="paper-version-link">${label}</span>`;
+        }).join('');
+
+        const options = paper._versions.map(version =>
+            `<option value="${escapeHtml(version.id)}" ${version.id === cited.id ? 'selected' : ''}>${version.kind === 'preprint' ? 'Preprint' : 'Published version'}</option>`
+        ).join('');
+
+        return `
+            <div class="paper-versions">
+                ${links}
+                <label class="paper-version-cite">
+                    Cite
+                    <select class="paper-version-select" data-paper-key="${paperKey}" onchange="window.selectCitedVersion(this)">${options}</select>
+                </label>
+            </div>`;
+    }
+
+    const publishedDoi = isPreprintVersion(paper) &&
+        paper.related_ids?.find(id => id.startsWith('doi:'))?.slice('doi:'.length);
+    if (!publishedDoi && !(isPreprintVersion(paper) && paper.journal_ref)) return '';
+
+    const label = escapeHtml(paper.journal_ref ? `Published in ${paper.journal_ref}` : 'Published version');
+    return `
+            <div class="paper-versions">
+                ${publishedDoi
+                    ? `<a href="${escapeHtml(getFullDoiUrl(publishedDoi))}" target="_blank" rel="noopener noreferrer" class="paper-version-link">${label}</a>`
+                    : `<span class="paper-version-link">${label}</span>`}
+            </div>`;
+}
+
+/**
+ * List the sources that reported a given OA status or licence
+ * @param {Object} paper - Paper object
+ * @param {string} field - 'oa_status' or 'license'
+ * @param {string} value - Normalized value
+ * @returns {string} Comma-separated source names ('' when only the paper itself reported it)
+ */
+function getReportingSources(paper, field, value) {
+    const links = paper._source_links || [];
+    return [...new Set(links.filter(link => link[field] === value).map(link => link.source))].join(', ');
+}
+
+/**
+ * Build the open access and licence badges
+ * The OA badge names the most open status type any source reported (Gold, Green...)
+ * @param {Object} paper - Paper object
+ * @returns {string} Badge HTML, or '' for closed papers with no licence
+ */
+function buildOpenAccessBadges(paper) {
+    const { statuses, licenses } = getOpenAccessInfo(paper);
+    const openStatuses = statuses.filter(status => status !== 'closed');
+    const isOpenAccess = paper.is_open_access || paper.isOpenAccess || paper.open_access || openStatuses.length > 0;
+    let badges = '';
+
+    if (isOpenAccess) {
+        const typeLabel = openStatuses.length > 0 ? ` · ${OA_STATUSES[openStatuses[0]]}` : '';
+        const typeDetail = openStatuses.map(status => {
+            const sources = getReportingSources(paper, 'oa_status', status);
+            return `${OA_STATUSES[status]}${sources ? ` (${sources})` : ''}`;
+        }).join('; ');
+        badges += `<span class="metadata-badge badge-open-access" title="Open Access - Free to read${typeDetail ? `: ${typeDetail}` : ''}">
+                             <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" style="margin-right: 0.25rem;">
+                                <rect x="3" y="11" width="18" height="11" rx="2" ry="2"></rect>
+                                <path d="M7 11V7a5 5 0 0 1 9.9-1"></path>
+                             </svg>
+                             Open Access${typeLabel}
+                           </span>`;
+    }
+
+    if (licenses.length > 0) {
+        const licenseDetail = licenses.map(license => {
+            const sources = getReportingSources(paper, 'license', license);
+            return `${LICENSES[license]}${sources ? ` (${sources})` : ''}`;
+        }).join('; ');
+        badges += `<span class="metadata-badge badge-license" title="Licence: ${licenseDetail}">${licenses.map(license => LICENSES[license]).join(' / ')}</span>`;
+    }
+
+    return badges;
+}
+
+/**
+ * Find a paper card's metadata badges container, creating it if the card has none yet
+ * @param {Element} cardElement - Paper card element
+ * @returns {Element} Badges container
+ */
+function getBadgesContainer(cardElement) {
     let badgesContainer = cardElement.querySelector('.research-metadata-badges');
     if (!badgesContainer) {
-        // Create badges container if it doesn't exist
         badgesContainer = document.createElement('div');
         badgesContainer.className = 'research-metadata-badges';
         const header = cardElement.querySelector('.paper-header');
@@ -582,18 +805,82 @@ export function updateCitationBadge(paperKey, citationCount) {
             header.insertAdjacentElement('afterend', badgesContainer);
         }
     }
+    return badgesContainer;
+}
 
-    // Find existing citation badge
-    let citationBadge = badgesContainer.querySelector('.badge-citations');
+/**
+ * Update the access links (PDF button and source chips) and the open access and
+ * licence badges of an existing paper card in the DOM
+ * @param {string} paperKey - The unique key for the paper
+ * @param {Object} paper - Paper object with its updated _source_links
+ */
+export function updateAccessLinks(paperKey, paper) {
+    const cardElement = document.querySelector(`.paper-card[data-paper-key="${paperKey}"]`);
+    if (!cardElement) return;
+
+    const tempDiv = document.createElement('div');
+    tempDiv.innerHTML = buildSourceLinks(paper);
+
+    const container = cardElement.querySelector('.source-access-container');
+    if (container) {
+        container.replaceWith(tempDiv.firstElementChild);
+    } else {
+        cardElement.appendChild(tempDiv.firstElementChild);
+    }
+
+    // Replace the access badges in place (after the DOI badge if there is no old one)
+    const badgesHtml = buildOpenAccessBadges(paper);
+    const existingBadges = cardElement.querySelectorAll('.badge-open-access, .badge-license');
+    if (!badgesHtml && existingBadges.length === 0) return;
+
+    const badgesContainer = getBadgesContainer(cardElement);
+    const anchor = existingBadges[0] || badgesContainer.querySelector('.badge-doi');
+    if (existingBadges[0]) {
+        anchor.insertAdjacentHTML('beforebegin', badgesHtml);
+    } else if (anchor) {
+        anchor.insertAdjacentHTML('afterend', badgesHtml);
+    } else {
+        badgesContainer.insertAdjacentHTML('afterbegin', badgesHtml);
+    }
+    existingBadges.forEach(badge => badge.remove());
+}
 
+/**
+ * Build the citation count badge
+ * @param {number} citationCount - Citation count
+ * @param {string|null} citationSource - Where the count came from, if not the paper's own sources
+ * @returns {string} Badge HTML, or '' when there are no citations
+ */
+function buildCitationBadge(citationCount, citationSource = null) {
     const count = parseInt(citationCount) || 0;
+    if (count <= 0) return '';
 
-    if (count > 0) {
-        const citationLabel = count >= 1000 ? `${(count/1000).toFixed(1)}k` : count.toLocaleString();
-        const badgeHtml = `<span class="metadata-badge badge-citations" title="${count.toLocaleString()} citation${count !== 1 ? 's' : ''}">
+    const citationLabel = count >= 1000 ? `${(count/1000).toFixed(1)}k` : count.toLocaleString();
+    const provenance = citationSource ? ` (via ${citationSource})` : '';
+    return `<span class="metadata-badge badge-citations" title="${count.toLocaleString()} citation${count !== 1 ? 's' : ''}${provenance}">
                              ${citationLabel}
                            </span>`;
+}
+
+/**
+ * Update citation badge for an existing paper card in the DOM
+ * @param {string} paperKey - The unique key for the paper
+ * @param {number} citationCount - The new citation count
+ * @param {string|null} citationSource - Where the count came from (see buildCitationBadge)
+ */
+export function updateCitationBadge(paperKey, citationCount, citationSource = null) {
+    // Find the paper card element
+    const cardElement = document.querySelector(`.paper-card[data-paper-key="${paperKey}"]`);
+    if (!cardElement) return;
+
+    const badgesContainer = getBadgesContainer(cardElement);
 
+    // Find existing citation badge
+    let citationBadge = badgesContainer.querySelector('.badge-citations');
+
+    const badgeHtml = buildCitationBadge(citationCount, citationSource);
+
+    if (badgeHtml) {
         if (citationBadge) {
             // Update existing badge
             const tempDiv = document.createElement('div');
@@ -609,6 +896,101 @@ export function updateCitationBadge(paperKey, citationCount) {
     }
 }
 
+/**
+ * Short, user-facing reason for a source failure
+ * @param {Object} failure - Failure description (see describeSourceError)
+ * @returns {string} Reason text
+ */
+function formatFailureReason(failure) {
+    switch (failure.type) {
+        case 'timeout':
+            return 'timed out';
+        case 'rate_limit':
+            return failure.retryAfter !== null
+                ? `rate limited (retry in ${Math.ceil(failure.retryAfter / 1000)}s)`
+                : 'rate limited';
+        case 'http':
+            return `HTTP ${failure.status} error`;
+        case 'parse':
+            return 'unreadable response';
+        case 'network':
+            return 'network error or blocked by CORS';
+        case 'circuit_open':
+            return failure.retryAfter > 0
+                ? `skipped after repeated failures (retry in ${Math.ceil(failure.retryAfter / 1000)}s)`
+                : 'skipped after repeated failures';
+        default:
+            return 'unexpected error';
+    }
+}
+
+/**
+ * Build the "failed sources" line for the results summary
+ * @returns {string} HTML (empty if every source succeeded)
+ */
+function buildSourceFailuresHtml() {
+    if (sourceFailures.length === 0) return '';
+
+    const items = sourceFailures
+        .map(failure => `<strong>${failure.name}</strong> — ${formatFailureReason(failure)}`)
+        .join('; ');
+    const label = sourceFailures.length === 1 ? 'source' : 'sources';
+
+    return `<p class="results-summary-failures">⚠️ ${sourceFailures.length} ${label} failed: ${items}</p>`;
+}
+
+/**
+ * Build the "retrying" line for sources currently backing off
+ * @returns {string} HTML (empty if no source is retrying)
+ */
+function buildSourceRetriesHtml() {
+    if (sourceRetries.size === 0) return '';
+
+    const items = Array.from(sourceRetries.values())
+        .map(retry => `${retry.name}: retrying (${retry.attempt}/${retry.maxAttempts})`)
+        .join(' · ');
+
+    return `<p class="results-summary-retries">🔁 ${items}</p>`;
+}
+
+/**
+ * Label an import item: identifiers are formatted, citations are shown as pasted
+ * @param {Object|string} item - Identifier ({ type, value }) or citation string
+ * @returns {string} Label
+ */
+function formatImportItem(item) {
+    return typeof item === 'string' ? item : formatIdentifier(item);
+}
+
+/**
+ * Build the import lines: items not found, failed lookups and unrecognized entries
+ * @returns {string} HTML (empty outside an import, or if everything resolved)
+ */
+function buildImportReportHtml() {
+    if (!importReport) return '';
+
+    const { notFound, failed, unrecognized } = importReport;
+    const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const list = (label, items) => `<details class="results-summary-failures">
+            <summary>⚠️ ${items.length} ${label}</summary>
+            <ul>${items.map(item => `<li>${escape(item)}</li>`).join('')}</ul>
+        </details>`;
+
+    let html = '';
+    if (notFound.length > 0) {
+        html += list('not found', notFound.map(formatImportItem));
+    }
+    if (failed.length > 0) {
+        html += list('could not be checked', failed.map(({ item, failures }) =>
+            `${formatImportItem(item)} — ${failures.map(f => `${f.name}: ${formatFailureReason(f)}`).join('; ')}`
+        ));
+    }
+    if (unrecognized.length > 0) {
+        html += list('not recognized as identifiers', unrecognized);
+    }
+    return html;
+}
+
 /**
  * Update results summary
  * @param {number} count - Number of results
@@ -624,7 +1006,13 @@ export function updateResultsSummary(count, searchComplete, effectiveThreshold =
 
     let summaryHtml;
 
-    if (!searchComplete) {
+    if (importReport) {
+        // Imports count progress in identifiers/references rather than sources
+        const progress = `(${importReport.resolved}/${importReport.total} ${importReport.kind} resolved)`;
+        summaryHtml = searchComplete
+            ? `<p>✅ Import complete! Found <strong>${count}</strong> papers${pdfInfo} ${progress}</p>`
+            : `${spinner}<p>Resolving ${importReport.kind}... ${progress}</p>`;
+    } else if (!searchComplete) {
         // Still processing - don't show count to avoid confusing fluctuation
         summaryHtml = `${spinner}<p>Searching... (${sourcesCompleted}/${totalSources || '?'} sources completed)</p>`;
     } else {
@@ -635,6 +1023,9 @@ export function updateResultsSummary(count, searchComplete, effectiveThreshold =
         summaryHtml = `${spinner}<p>${statusIcon}${statusText} <strong>${count}</strong> papers${pdfInfo} (${sourcesCompleted}/${totalSources || '?'} sources completed)</p>`;
     }
 
+    // Explain slow or missing sources instead of silently showing fewer results
+    summaryHtml += buildSourceRetriesHtml() + buildSourceFailuresHtml() + buildImportReportHtml();
+
     let summaryDiv = document.getElementById('results-summary');
 
     if (!summaryDiv) {
@@ -652,56 +1043,194 @@ export function updateResultsSummary(count, searchComplete, effectiveThreshold =
     summaryDiv.innerHTML = summaryHtml;
 }
 
+/**
+ * Show or hide the "Load more" button
+ * Visible once the initial search has finished and a source still has another page
+ */
+export function updateLoadMoreButton() {
+    const loadMoreRow = document.getElementById('loadMoreRow');
+    const loadMoreBtn = document.getElementById('loadMoreBtn');
+    if (!loadMoreRow || !loadMoreBtn) return;
+
+    const searchFinished = totalSources > 0 && sourcesCompleted >= totalSources && bm25ScoringComplete;
+    const visible = papersByKey.size > 0 && searchFinished && (moreResultsAvailable || loadingMoreResults);
+
+    loadMoreRow.style.display = visible ? 'flex' : 'none';
+    loadMoreBtn.disabled = loadingMoreResults;
+    loadMoreBtn.textContent = loadingMoreResults ? 'Loading more...' : 'Load more results';
+}
+
+/**
+ * Remove a rendered search result card so the next render rebuilds it
+ * @param {string} paperKey - Paper key (see getPaperKey)
+ */
+export function removePaperCard(paperKey) {
+    document.querySelector(`.paper-card[data-paper-key="${paperKey}"]`)?.remove();
+    renderedPaperKeys.delete(paperKey);
+}
+
+/**
+ * Get the options results are filtered and sorted with (see filterAndSortPapers)
+ * @param {string} filterQuery - Text filter query
+ * @param {string} sortOrder - Sort order (relevance-desc, citations-desc, etc.)
+ * @param {Object} selections - Facet selections (defaults to the facet panel's)
+ * @returns {Object} View options
+ */
+export function getViewOptions(filterQuery = '', sortOrder = 'relevance-desc', selections = facetSelections) {
+    return {
+        pdfOnly: pdfOnlyFilter,
+        relevanceThreshold,
+        // Relevance filter applies once BM25 is done, to avoid filtering on heuristic scores
+        scoringComplete: bm25ScoringComplete,
+        yearRange: yearRangeFilter,
+        filterQuery,
+        sortOrder,
+        selections
+    };
+}
+
 /**
  * Get filtered and sorted results based on current filters and sort order
  * @param {string} filterQuery - Optional filter query to search within results
  * @param {string} sortOrder - Optional sort order (relevance-desc, citations-desc, etc.)
+ * @param {Object} selections - Facet selections (defaults to the facet panel's)
  * @returns {Array} Filtered and sorted array of papers
  */
-export function getFilteredAndSortedResults(filterQuery = '', sortOrder = 'relevance-desc') {
-    // Get all papers from source of truth
-    let allPapers = Array.from(papersByKey.values());
+export function getFilteredAndSortedResults(filterQuery = '', sortOrder = 'relevance-desc', selections = facetSelections) {
+    return filterAndSortPapers(Array.from(papersByKey.values()), getViewOptions(filterQuery, sortOrder, selections));
+}
 
-    if (allPapers.length === 0) {
-        return [];
+/**
+ * Count facet values over the results the other filters leave
+ * @param {string} filterQuery - Text filter query
+ * @returns {Array} Facets with option counts (see computeFacetCounts)
+ */
+export function getFacetCounts(filterQuery = '') {
+    return countResultFacets(Array.from(papersByKey.values()), getViewOptions(filterQuery));
+}
+
+/**
+ * Get the results and facet counts to render
+ * Uses the processing pipeline's view when it was computed for the current
+ * options - otherwise (filters changed since, or no view) computes them in-thread
+ * @param {string} filterQuery - Text filter query
+ * @param {string} sortOrder - Sort order
+ * @param {Object|null} view - Pipeline view { keys, facets, options }
+ * @returns {Object} { results, facets }
+ */
+function getResultsToRender(filterQuery, sortOrder, view) {
+    if (view && JSON.stringify(view.options) === JSON.stringify(getViewOptions(filterQuery, sortOrder))) {
+        return {
+            results: view.keys.map(key => papersByKey.get(key)).filter(Boolean),
+            facets: view.facets
+        };
     }
 
-    // Apply filters and sort
-    // Use bm25ScoringComplete for relevance filter to avoid filtering on heuristic scores
-    let filteredResults = applyFilters(allPapers, pdfOnlyFilter, relevanceThreshold, bm25ScoringComplete);
+    return {
+        results: getFilteredAndSortedResults(filterQuery, sortOrder),
+        facets: getFacetCounts(filterQuery)
+    };
+}
 
-    // Dynamic threshold lowering: If BM25 complete and no results, progressively lower threshold
-    if (bm25ScoringComplete && filteredResults.length === 0 && allPapers.length > 0) {
-        const fallbackThresholds = [25, 15, 5, 0];
-        for (const threshold of fallbackThresholds) {
-            filteredResults = applyFilters(allPapers, pdfOnlyFilter, threshold, true);
-            if (filteredResults.length > 0) {
-                break;
-            }
-        }
-    }
+/**
+ * Escape text for HTML content and attribute values
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
 
-    // Apply text filter if provided
-    if (filterQuery && filterQuery.trim() !== '') {
-        filteredResults = filterBookmarksByQuery(filteredResults, filterQuery);
-    }
+/**
+ * Build the HTML for one facet group: a checkbox per value with its count
+ * Year options get a bar scaled to the busiest year (histogram)
+ * @param {Object} facet - Facet with options (see computeFacetCounts)
+ * @returns {string} HTML string
+ */
+function buildFacetGroup(facet) {
+    const maxCount = Math.max(...facet.options.map(option => option.count), 1);
+
+    const options = facet.options.map(option => {
+        const bar = facet.histogram
+            ? `<span class="facet-bar" style="width: ${Math.round(option.count / maxCount * 100)}%"></span>`
+            : '';
+        return `<li>
+                    <label class="facet-option${option.count === 0 ? ' facet-option-empty' : ''}">
+                        <input type="checkbox" data-facet="${facet.id}" value="${escapeHtml(option.value)}"${option.selected ? ' checked' : ''}>
+                        <span class="facet-label">${escapeHtml(option.label)}</span>
+                        <span class="facet-count">${option.count}</span>
+                        ${bar}
+                    </label>
+                </li>`;
+    }).join('');
 
-    // Apply sort order
-    filteredResults = sortSearchResults([...filteredResults], sortOrder);
+    return `<details class="facet-group" data-facet="${facet.id}" open>
+                <summary>${facet.label}</summary>
+                <ul class="facet-options${facet.histogram ? ' facet-histogram' : ''}">${options}</ul>
+            </details>`;
+}
+
+// Facet panel element -> HTML it last rendered
+const renderedFacetHtml = new WeakMap();
 
-    return filteredResults;
+/**
+ * Update the facet sidebar
+ * Skips the DOM when nothing changed; keeps collapsed groups collapsed and
+ * focus on the checkbox that was just toggled
+ * @param {Array} facets - Facets with option counts (see getFacetCounts)
+ */
+export function updateFacetPanel(facets) {
+    const panel = document.getElementById('facetPanel');
+    if (!panel) return;
+
+    const clearButton = hasFacetSelections(facetSelections)
+        ? '<button type="button" class="facet-clear" data-facet-clear>Clear filters</button>'
+        : '';
+    const html = facets.length > 0
+        ? `<div class="facet-panel-header"><h2>Refine</h2>${clearButton}</div>${facets.map(buildFacetGroup).join('')}`
+        : '';
+    if (renderedFacetHtml.get(panel) === html) return;
+
+    const collapsed = new Set(Array.from(panel.querySelectorAll('details:not([open])'), group => group.dataset.facet));
+    const focused = panel.contains(document.activeElement) && document.activeElement.matches('input[data-facet]')
+        ? { facet: document.activeElement.dataset.facet, value: document.activeElement.value }
+        : null;
+
+    panel.innerHTML = html;
+    renderedFacetHtml.set(panel, html);
+    panel.style.display = html ? '' : 'none';
+
+    panel.querySelectorAll('details').forEach(group => {
+        if (collapsed.has(group.dataset.facet)) group.removeAttribute('open');
+    });
+    if (focused) {
+        Array.from(panel.querySelectorAll(`input[data-facet="${focused.facet}"]`))
+            .find(input => input.value === focused.value)
+            ?.focus();
+    }
 }
 
 /**
  * Render streaming results incrementally
  * @param {string} filterQuery - Optional filter query to search within results
  * @param {string} sortOrder - Optional sort order (relevance-desc, citations-desc, etc.)
+ * @param {Object|null} view - Results and facet counts from the processing pipeline, if any
  */
-export function renderStreamingResults(filterQuery = '', sortOrder = 'relevance-desc') {
+export function renderStreamingResults(filterQuery = '', sortOrder = 'relevance-desc', view = null) {
     const resultsDiv = document.getElementById('results');
 
+    updateLoadMoreButton();
+
     // Check if we have any papers
     if (papersByKey.size === 0) {
+        updateFacetPanel([]);
+
+        // A finished bulk import can come up empty - show what wasn't found instead
+        if (importReport && bm25ScoringComplete) {
+            resultsDiv.innerHTML = '';
+            updateResultsSummary(0, true);
+            return;
+        }
         resultsDiv.innerHTML = '<p class="no-results">Searching...</p>';
         return;
     }
@@ -734,11 +1263,22 @@ export function renderStreamingResults(filterQuery = '', sortOrder = 'relevance-
         }
     }
 
+    // Detect facet selection change and force full re-render
+    if (facetSelections !== previousFacetSelections) {
+        setPreviousFacetSelections(facetSelections);
+        renderedPaperKeys.clear();
+
+        const resultsContainer = document.getElementById('results-container');
+        if (resultsContainer) {
+            resultsContainer.innerHTML = '';
+        }
+    }
+
     // Check if search is complete (all sources have reported results AND BM25 scoring done)
     const searchComplete = totalSources > 0 && sourcesCompleted >= totalSources && bm25ScoringComplete;
 
-    // Get filtered and sorted results using shared function
-    const filteredResults = getFilteredAndSortedResults(filterQuery, sortOrder);
+    // Get filtered and sorted results (and facet counts) - the pipeline's, if it sent them
+    const { results: filteredResults, facets } = getResultsToRender(filterQuery, sortOrder, view);
 
     // Note: effectiveThreshold tracking removed since it's handled inside getFilteredAndSortedResults
     const effectiveThreshold = relevanceThreshold;
@@ -746,6 +1286,9 @@ export function renderStreamingResults(filterQuery = '', sortOrder = 'relevance-
     // Update summary (pass searchComplete to conditionally show count)
     updateResultsSummary(filteredResults.length, searchComplete, effectiveThreshold);
 
+    // Facet counts follow the results as each source completes
+    updateFacetPanel(facets);
+
     // Get existing results container or create it
     let resultsContainer = document.getElementById('results-container');
     if (!resultsContainer) {
@@ -773,7 +1316,7 @@ export function renderStreamingResults(filterQuery = '', sortOrder = 'relevance-
         filteredResults.forEach((paper, index) => {
             const key = getPaperKey(paper);
             const tempDiv = document.createElement('div');
-            tempDiv.innerHTML = buildPaperCard(paper, index, !searchComplete);
+            tempDiv.innerHTML = buildPaperCard(paper, index, !searchComplete, { showScoreExplanation: true });
             const cardElement = tempDiv.firstElementChild;
 
             if (cardElement) {
@@ -796,7 +1339,7 @@ export function renderStreamingResults(filterQuery = '', sortOrder = 'relevance-
         if (!renderedPaperKeys.has(key)) {
             // Create new card
             const tempDiv = document.createElement('div');
-            tempDiv.innerHTML = buildPaperCard(paper, targetIndex, !searchComplete);
+            tempDiv.innerHTML = buildPaperCard(paper, targetIndex, !searchComplete, { showScoreExplanation: true });
             const cardElement = tempDiv.firstElementChild;
 
             if (!cardElement) return;
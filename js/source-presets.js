@@ -0,0 +1,139 @@
+// ============================================================================
+// SOURCE-PRESETS.JS - Source selection and named presets (client-side localStorage)
+// ============================================================================
+// Lets a search run against a subset of the registered sources. Presets are
+// named source lists ("Biomedical", "Preprints", ...); the built-in ones are
+// seeded on first use and can be replaced or deleted like user presets.
+
+import { getDefaultSourceIds } from './api-clients/registry.js';
+
+const PRESETS_KEY = 'sourcecrate_source_presets';
+const SELECTION_KEY = 'sourcecrate_source_selection';
+
+/**
+ * Built-in presets (sources: null = every default source)
+ */
+export const DEFAULT_PRESETS = [
+    { name: 'Everything', sources: null },
+    { name: 'Biomedical', sources: ['pubmed', 'europepmc', 'openalex'] },
+    { name: 'Preprints', sources: ['arxiv', 'europepmc', 'zenodo'] },
+    { name: 'Datasets', sources: ['datacite', 'zenodo'] }
+];
+
+/**
+ * Get saved presets (seeded with DEFAULT_PRESETS the first time)
+ * @returns {Array<Object>} Presets: { name, sources }
+ */
+export function getSourcePresets() {
+    try {
+        const stored = localStorage.getItem(PRESETS_KEY);
+        return stored ? JSON.parse(stored) : DEFAULT_PRESETS.map(preset => ({ ...preset }));
+    } catch (e) {
+        console.warn('Failed to load source presets:', e);
+        return DEFAULT_PRESETS.map(preset => ({ ...preset }));
+    }
+}
+
+/**
+ * Save presets to localStorage
+ * @param {Array<Object>} presets - Presets
+ */
+function saveSourcePresets(presets) {
+    try {
+        localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+    } catch (e) {
+        console.error('Failed to save source presets:', e);
+    }
+}
+
+/**
+ * Create or replace a preset
+ * @param {string} name - Preset name
+ * @param {Array<string>|null} sources - Source ids (null = every default source)
+ * @returns {Object|null} Saved preset, or null if the name is empty
+ */
+export function saveSourcePreset(name, sources) {
+    const trimmed = name?.trim();
+    if (!trimmed) return null;
+
+    const preset = { name: trimmed, sources: sources ? [...sources] : null };
+    const presets = getSourcePresets().filter(p => p.name !== trimmed);
+    presets.push(preset);
+    saveSourcePresets(presets);
+    return preset;
+}
+
+/**
+ * Delete a preset
+ * @param {string} name - Preset name
+ * @returns {boolean} True if it existed
+ */
+export function deleteSourcePreset(name) {
+    const presets = getSourcePresets();
+    const remaining = presets.filter(p => p.name !== name);
+    if (remaining.length === presets.length) return false;
+
+    saveSourcePresets(remaining);
+    return true;
+}
+
+/**
+ * Resolve a preset or selection to concrete source ids
+ * @param {Array<string>|null} sources - Source ids (null = every default source)
+ * @returns {Array<string>} Source ids
+ */
+export function resolveSources(sources) {
+    return sources ? [...sources] : getDefaultSourceIds();
+}
+
+/**
+ * Normalize a selection: the full default set is stored as null so it tracks
+ * sources registered later and shares cache entries with unfiltered searches
+ * @param {Array<string>} sources - Selected source ids
+ * @returns {Array<string>|null} Source ids, or null for every default source
+ */
+export function normalizeSelection(sources) {
+    const defaults = getDefaultSourceIds();
+    const isDefault = sources.length === defaults.length && defaults.every(id => sources.includes(id));
+    return isDefault ? null : [...sources];
+}
+
+/**
+ * Find the preset whose sources match a selection
+ * @param {Array<string>} sources - Selected source ids
+ * @returns {Object|null} Matching preset
+ */
+export function findMatchingPreset(sources) {
+    const key = [...sources].sort().join(',');
+    return getSourcePresets().find(preset => resolveSources(preset.sources).sort().join(',') === key) || null;
+}
+
+/**
+ * Get the last-used source selection
+ * @returns {Array<string>|null} Source ids (null = every default source)
+ */
+export function getSelectedSources() {
+    try {
+        const stored = localStorage.getItem(SELECTION_KEY);
+        return stored ? JSON.parse(stored) : null;
+    } catch (e) {
+        console.warn('Failed to load source selection:', e);
+        return null;
+    }
+}
+
+/**
+ * Remember the source selection for the next visit
+ * @param {Array<string>|null} sources - Source ids (null = every default source)
+ */
+export function setSelectedSources(sources) {
+    try {
+        if (sources) {
+            localStorage.setItem(SELECTION_KEY, JSON.stringify(sources));
+        } else {
+            localStorage.removeItem(SELECTION_KEY);
+        }
+    } catch (e) {
+        console.error('Failed to save source selection:', e);
+    }
+}
@@ -155,12 +155,20 @@ export let papersByKey = new Map(); // Deduplication map: key → merged paper (
 export let sourcesCompleted = 0;
 export let totalSources = 0;
 export let pdfOnlyFilter = false;
+export let yearRangeFilter = null; // Publication year range { from, to } (either may be null), null = any year
+export let facetSelections = {}; // Facet id → selected values, e.g. { year: ['2021'] } (see facets.js)
 export let relevanceThreshold = 35; // Default 35%
 export let currentQuery = ''; // Store current search query for title matching
 export let renderedPaperKeys = new Set(); // Track which papers are already rendered
 export let bm25ScoringComplete = false; // Track whether BM25 scoring has finished
+export let moreResultsAvailable = false; // At least one source has another page ("Load more")
+export let loadingMoreResults = false; // A "Load more" request is in flight
+export let sourceFailures = []; // Per-source failures for the current search (see describeSourceError)
+export let sourceRetries = new Map(); // Source → { name, attempt, maxAttempts } while a source is retrying
+export let importReport = null; // Identifier/reference import progress: { kind, total, resolved, notFound, failed, unrecognized }
 export let previousSortOrder = 'relevance-desc'; // Track previous sort order to detect changes
 export let previousFilterQuery = ''; // Track previous filter query to detect changes
+export let previousFacetSelections = {}; // Track previous facet selections to detect changes
 
 // State setters (for modules to update state)
 
@@ -182,6 +190,14 @@ export function setPdfOnlyFilter(value) {
     pdfOnlyFilter = value;
 }
 
+export function setYearRangeFilter(value) {
+    yearRangeFilter = value;
+}
+
+export function setFacetSelections(value) {
+    facetSelections = value;
+}
+
 export function setRelevanceThreshold(value) {
     relevanceThreshold = value;
 }
@@ -194,6 +210,22 @@ export function setBm25ScoringComplete(value) {
     bm25ScoringComplete = value;
 }
 
+export function setMoreResultsAvailable(value) {
+    moreResultsAvailable = value;
+}
+
+export function setLoadingMoreResults(value) {
+    loadingMoreResults = value;
+}
+
+export function setSourceFailures(value) {
+    sourceFailures = value;
+}
+
+export function setImportReport(value) {
+    importReport = value;
+}
+
 export function setRenderedPaperKeys(value) {
     renderedPaperKeys = value;
 }
@@ -205,3 +237,7 @@ export function setPreviousSortOrder(value) {
 export function setPreviousFilterQuery(value) {
     previousFilterQuery = value;
 }
+
+export function setPreviousFacetSelections(value) {
+    previousFacetSelections = value;
+}
@@ -20,10 +20,18 @@ import {
 import {
     buildPaperCard
 } from './rendering.js';
+import { getSources } from './api-clients/registry.js';
+import {
+    getSourcePresets,
+    resolveSources,
+    normalizeSelection,
+    findMatchingPreset
+} from './source-presets.js';
 import {
     getTimeAgo,
     filterBookmarksByQuery,
-    sortBookmarks
+    sortBookmarks,
+    formatYearRange
 } from './utils.js';
 
 // ============================================================================
@@ -47,13 +55,14 @@ export function populateSearchHistory(selectCallback, deleteCallback) {
     historyList.innerHTML = recentSearches.map((item, index) => {
         const date = new Date(item.timestamp);
         const timeAgo = getTimeAgo(date);
+        const yearRange = formatYearRange(item.filters?.yearRange);
 
         return `
             <li role="option"
-                onclick="selectHistoryItem('${item.query.replace(/'/g, "\\'")}')"
-                onkeypress="if(event.key==='Enter'||event.key===' '){event.preventDefault();selectHistoryItem('${item.query.replace(/'/g, "\\'")}')}">
+                onclick="selectHistoryItem('${item.query.replace(/'/g, "\\'")}', ${index})"
+                onkeypress="if(event.key==='Enter'||event.key===' '){event.preventDefault();selectHistoryItem('${item.query.replace(/'/g, "\\'")}', ${index})}">
                 <span class="history-query">${item.query}</span>
-                <span class="history-meta">${timeAgo}</span>
+                <span class="history-meta">${yearRange ? `${yearRange} · ` : ''}${timeAgo}</span>
                 <button class="history-delete-btn" onclick="event.stopPropagation(); deleteHistoryItem(${index})" title="Delete" tabindex="-1">×</button>
             </li>
         `;
@@ -77,6 +86,177 @@ export function hideSearchHistory() {
     document.getElementById('searchQuery').setAttribute('aria-expanded', 'false');
 }
 
+// ============================================================================
+// Source Picker
+// ============================================================================
+
+/**
+ * Render the source checkboxes and preset dropdown for a selection
+ * Sources that can't be called from a browser are not offered
+ * @param {Array<string>|null} selectedSources - Selected source ids (null = every default source)
+ */
+export function renderSourcePicker(selectedSources) {
+    const options = document.getElementById('sourceOptions');
+    const presetSelect = document.getElementById('sourcePreset');
+    if (!options || !presetSelect) return;
+
+    const selected = resolveSources(selectedSources);
+    options.innerHTML = getSources()
+        .filter(source => source.capabilities.cors)
+        .map(source => `
+            <label>
+                <input type="checkbox" name="source" value="${source.id}"${selected.includes(source.id) ? ' checked' : ''}>
+                ${source.name}
+            </label>
+        `).join('');
+
+    updateSourcePickerPresets(selected);
+}
+
+/**
+ * Sync the preset dropdown and summary with the checked sources
+ * @param {Array<string>} selected - Checked source ids
+ */
+export function updateSourcePickerPresets(selected = getPickedSources() || resolveSources(null)) {
+    const presetSelect = document.getElementById('sourcePreset');
+    const summary = document.getElementById('sourcePickerSummary');
+    const match = findMatchingPreset(selected);
+
+    // Preset names are user input - set as text rather than HTML
+    const choices = getSourcePresets().map(preset => [preset.name, preset.name]);
+    if (!match) choices.push(['Custom', '']);
+    presetSelect.replaceChildren(...choices.map(([label, value]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        return option;
+    }));
+    presetSelect.value = match ? match.name : '';
+
+    if (summary) {
+        const label = selected.length === 1 ? 'source' : 'sources';
+        summary.textContent = match ? match.name : `Custom (${selected.length} ${label})`;
+    }
+}
+
+/**
+ * Read the checked sources
+ * @returns {Array<string>|null} Source ids, or null if every default source is checked
+ */
+export function getPickedSources() {
+    const checked = Array.from(document.querySelectorAll('#sourceOptions input[name="source"]:checked'))
+        .map(input => input.value);
+    return normalizeSelection(checked);
+}
+
+/**
+ * Read the year-range control
+ * A reversed range is swapped rather than rejected
+ * @returns {Object|null} { from, to } (either may be null), or null if both are empty
+ */
+export function getYearRangeInput() {
+    let from = parseInt(document.getElementById('yearFrom').value) || null;
+    let to = parseInt(document.getElementById('yearTo').value) || null;
+    if (!from && !to) return null;
+    if (from && to && from > to) [from, to] = [to, from];
+    return { from, to };
+}
+
+/**
+ * Fill in the year-range control (e.g. from a search history entry)
+ * @param {Object|null} range - { from, to }, null clears it
+ */
+export function setYearRangeInput(range) {
+    document.getElementById('yearFrom').value = range?.from || '';
+    document.getElementById('yearTo').value = range?.to || '';
+}
+
+// ============================================================================
+// Source Status Panel
+// ============================================================================
+
+const CIRCUIT_LABELS = {
+    closed: 'OK',
+    open: 'Paused',
+    'half-open': 'Probing'
+};
+
+/**
+ * Render the source status panel (circuit state, success rate, latency)
+ * @param {Array<Object>} healthList - Source health summaries (see SourceHealthTracker.getHealth)
+ */
+export function renderSourceStatusPanel(healthList) {
+    const list = document.getElementById('sourceStatusList');
+    if (!list) return;
+
+    if (healthList.length === 0) {
+        list.innerHTML = '<li class="source-status-empty">No requests yet</li>';
+        return;
+    }
+
+    list.innerHTML = [...healthList]
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(health => {
+            const rate = health.successRate !== null ? `${Math.round(health.successRate * 100)}% ok` : '–';
+            const latency = health.p50 !== null ? `p50 ${health.p50}ms · p95 ${health.p95}ms` : '';
+            const failures = health.consecutiveFailures > 0
+                ? ` · ${health.consecutiveFailures} failed in a row`
+                : '';
+            const retry = health.state === 'open' && health.retryIn > 0
+                ? ` · retry in ${Math.ceil(health.retryIn / 1000)}s`
+                : '';
+            const title = health.lastError ? ` title="${health.lastError.message.replace(/"/g, '&quot;')}"` : '';
+
+            return `
+                <li class="source-status-item source-status-${health.state}"${title}>
+                    <span class="source-status-name">${health.name}</span>
+                    <span class="source-status-state">${CIRCUIT_LABELS[health.state] || health.state}</span>
+                    <span class="source-status-meta">${rate}${latency ? ` · ${latency}` : ''}${failures}${retry}</span>
+                </li>
+            `;
+        }).join('');
+}
+
+/**
+ * Format a duration for the status panel
+ * @param {number} ms - Milliseconds
+ * @returns {string} e.g. "3.2ms"
+ */
+function formatMs(ms) {
+    return `${ms < 10 ? ms.toFixed(1) : Math.round(ms)}ms`;
+}
+
+/**
+ * Show how long processing the current results took, under the source status list
+ * @param {Object|null} snapshot - { corpus, metrics } (see ProcessingPipeline.snapshot)
+ */
+export function renderProcessingMetrics(snapshot) {
+    const line = document.getElementById('processingMetrics');
+    if (!line) return;
+
+    const batches = snapshot?.metrics.timings.addBatch;
+    if (!batches) {
+        line.textContent = '';
+        return;
+    }
+
+    const { corpus, metrics } = snapshot;
+    const parts = [
+        `${corpus.papers} paper${corpus.papers !== 1 ? 's' : ''}`,
+        `${batches.count} batch${batches.count !== 1 ? 'es' : ''}, avg ${formatMs(batches.totalMs / batches.count)} · max ${formatMs(batches.maxMs)}`
+    ];
+    const rescoreAll = metrics.timings.rescoreAll;
+    if (rescoreAll) {
+        parts.push(`rescore all ${formatMs(rescoreAll.lastMs)}`);
+    }
+    const lookups = metrics.tokenized + metrics.cacheHits;
+    if (lookups > 0) {
+        parts.push(`token cache ${Math.round(metrics.cacheHits / lookups * 100)}% hits`);
+    }
+
+    line.textContent = `Processing: ${parts.join(' · ')}`;
+}
+
 // ============================================================================
 // View Management
 // ============================================================================
@@ -350,3 +530,71 @@ export function hideCreateCollectionModal() {
     // Clear form
     document.getElementById('createCollectionForm').reset();
 }
+
+/**
+ * Show bulk identifier import modal
+ */
+export function showBulkImportModal() {
+    const modal = document.getElementById('bulkImportModal');
+    modal.style.display = 'flex';
+
+    document.getElementById('bulkImportInput').focus();
+}
+
+/**
+ * Hide bulk identifier import modal
+ */
+export function hideBulkImportModal() {
+    const modal = document.getElementById('bulkImportModal');
+    modal.style.display = 'none';
+
+    // Clear form
+    document.getElementById('bulkImportForm').reset();
+}
+
+/**
+ * Render the "Bookmark all" menu: one entry per collection plus "New collection"
+ */
+export function renderBookmarkAllMenu() {
+    const menu = document.getElementById('bookmarkAllDropdownMenu');
+    if (!menu) return;
+
+    const collections = Object.values(getCollections());
+    menu.innerHTML = collections.map(c => {
+        const name = c.name.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+        return `<button type="button" data-collection-id="${c.id}">${name}</button>`;
+    }).join('') + `
+        <div class="export-dropdown-separator"></div>
+        <button type="button" data-collection-id="">+ New collection...</button>`;
+}
+
+/**
+ * Show reference parsing modal, listing collections for accepted matches
+ * @param {string} selectedCollection - Collection to preselect
+ */
+export function showReferenceImportModal(selectedCollection = 'all') {
+    const select = document.getElementById('referenceCollection');
+    select.innerHTML = '';
+    Object.values(getCollections()).forEach(c => {
+        const option = document.createElement('option');
+        option.value = c.id;
+        option.textContent = c.name;
+        select.appendChild(option);
+    });
+    select.value = selectedCollection;
+    if (!select.value) select.value = 'all'; // The collection was deleted
+
+    document.getElementById('referenceImportModal').style.display = 'flex';
+    document.getElementById('referenceImportInput').focus();
+}
+
+/**
+ * Hide reference parsing modal
+ */
+export function hideReferenceImportModal() {
+    const modal = document.getElementById('referenceImportModal');
+    modal.style.display = 'none';
+
+    // Clear the citations but keep the chosen collection for the next batch
+    document.getElementById('referenceImportInput').value = '';
+}
@@ -206,6 +206,36 @@ export function formatJournal(journal) {
     return cleaned;
 }
 
+// ISO 639-2 codes (PubMed, Europe PMC, Zenodo) and English names (DataCite) -> ISO 639-1
+const LANGUAGE_CODES = {
+    eng: 'en', english: 'en',
+    fre: 'fr', fra: 'fr', french: 'fr',
+    ger: 'de', deu: 'de', german: 'de',
+    spa: 'es', spanish: 'es',
+    por: 'pt', portuguese: 'pt',
+    ita: 'it', italian: 'it',
+    dut: 'nl', nld: 'nl', dutch: 'nl',
+    rus: 'ru', russian: 'ru',
+    chi: 'zh', zho: 'zh', chinese: 'zh',
+    jpn: 'ja', japanese: 'ja',
+    kor: 'ko', korean: 'ko',
+    pol: 'pl', polish: 'pl',
+    tur: 'tr', turkish: 'tr'
+};
+
+/**
+ * Normalize a language code to ISO 639-1 ("eng", "English", "en-US" -> "en")
+ * @param {string} language - Language code or name as the source returned it
+ * @returns {string|null} Two-letter code, or null if unknown
+ */
+export function normalizeLanguage(language) {
+    if (!language || typeof language !== 'string') return null;
+
+    const code = language.trim().toLowerCase().split(/[-_]/)[0];
+    if (/^[a-z]{2}$/.test(code)) return code;
+    return LANGUAGE_CODES[code] || null;
+}
+
 /**
  * Calculate citation impact using logarithmic scaling
  * @param {number} citations - Citation count
@@ -293,12 +323,10 @@ export function calculateOptimalRelevance(paper, currentQuery) {
     // Get base text relevance from backend
     const baseScore = paper.relevance_score !== undefined ? paper.relevance_score : 0.5;
 
-    // Find highest citation count among all sources
-    let maxCitations = 0;
+    // Find highest citation count among all sources (and any enriched count on the paper itself)
+    let maxCitations = parseInt(paper.citation_count) || 0;
     if (paper._source_links && paper._source_links.length > 0) {
-        maxCitations = Math.max(...paper._source_links.map(link => parseInt(link.citation_count) || 0));
-    } else {
-        maxCitations = parseInt(paper.citation_count) || 0;
+        maxCitations = Math.max(maxCitations, ...paper._source_links.map(link => parseInt(link.citation_count) || 0));
     }
 
     // Calculate individual signal scores
@@ -453,46 +481,89 @@ export function deduplicateSourceLinks(sourceLinks) {
     return Array.from(sourceMap.values());
 }
 
+/**
+ * Check whether a paper has a direct PDF download (what the "Direct Download" filter keeps)
+ * @param {Object} paper - Paper object
+ * @returns {boolean} True if any source offers a valid PDF URL
+ */
+export function hasDirectPdf(paper) {
+    // Check _source_links for actual PDF entries
+    if (paper._source_links && paper._source_links.length > 0) {
+        return paper._source_links.some(link =>
+            link.has_pdf && isValidPdfUrl(link.pdf_url)
+        );
+    }
+    // Fallback to legacy fields
+    return isValidPdfUrl(paper.pdf_url) || isValidPdfUrl(paper.open_access_pdf);
+}
+
+/**
+ * Format a year range for display ("2020–2025", "2020 onwards", "up to 2025")
+ * @param {Object|null} range - { from, to } (either may be null)
+ * @returns {string} Label, or '' for no range
+ */
+export function formatYearRange(range) {
+    if (!range || (!range.from && !range.to)) return '';
+    if (range.from && range.to) {
+        return range.from === range.to ? String(range.from) : `${range.from}–${range.to}`;
+    }
+    return range.from ? `${range.from} onwards` : `up to ${range.to}`;
+}
+
 /**
  * Apply filters to results
  * @param {Array} results - Paper results
  * @param {boolean} pdfOnlyFilter - Filter for PDF availability
  * @param {number} relevanceThreshold - Minimum relevance percentage
  * @param {boolean} searchComplete - Whether search is complete (only filter by relevance after scoring)
+ * @param {Object|null} yearRange - Publication year range { from, to } (either may be null)
  * @returns {Array} Filtered results
  */
-export function applyFilters(results, pdfOnlyFilter, relevanceThreshold, searchComplete = true) {
+export function applyFilters(results, pdfOnlyFilter, relevanceThreshold, searchComplete = true, yearRange = null) {
     let filtered = results;
 
-    // Filter by PDF availability
-    if (pdfOnlyFilter) {
+    // Filter by publication year - sources filter natively where they can, this catches
+    // the rest (no server-side support, online-first vs print years). Papers without a
+    // year are kept: a source that filters natively already vouched for them
+    if (yearRange && (yearRange.from || yearRange.to)) {
         filtered = filtered.filter(paper => {
-            // Check _source_links for actual PDF entries
-            if (paper._source_links && paper._source_links.length > 0) {
-                return paper._source_links.some(link =>
-                    link.has_pdf && isValidPdfUrl(link.pdf_url)
-                );
-            }
-            // Fallback to legacy fields
-            return isValidPdfUrl(paper.pdf_url) || isValidPdfUrl(paper.open_access_pdf);
+            const year = parseInt(paper.year);
+            if (!year) return true;
+            if (yearRange.from && year < yearRange.from) return false;
+            if (yearRange.to && year > yearRange.to) return false;
+            return true;
         });
     }
 
+    // Filter by PDF availability
+    if (pdfOnlyFilter) {
+        filtered = filtered.filter(hasDirectPdf);
+    }
+
     // Filter by relevance threshold - ONLY if search is complete
     // This prevents count fluctuation during streaming (papers without scores would pass, then fail after scoring)
     if (searchComplete) {
-        filtered = filtered.filter(paper => {
-            if (paper.relevance_score === undefined || paper.relevance_score === null) {
-                return true;
-            }
-            const percentage = Math.round(paper.relevance_score * 100);
-            return percentage >= relevanceThreshold;
-        });
+        filtered = filtered.filter(paper => passesRelevanceThreshold(paper, relevanceThreshold));
     }
 
     return filtered;
 }
 
+/**
+ * Check a paper against the relevance threshold (see applyFilters)
+ * Papers not scored yet pass
+ * @param {Object} paper - Paper object
+ * @param {number} relevanceThreshold - Minimum relevance percentage
+ * @returns {boolean} True if the paper is kept
+ */
+export function passesRelevanceThreshold(paper, relevanceThreshold) {
+    if (paper.relevance_score === undefined || paper.relevance_score === null) {
+        return true;
+    }
+    const percentage = Math.round(paper.relevance_score * 100);
+    return percentage >= relevanceThreshold;
+}
+
 /**
  * Sort results by relevance score (descending), then by title (ascending)
  * @param {Array} results - Paper results
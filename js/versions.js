@@ -0,0 +1,154 @@
+// ============================================================================
+// VERSIONS.JS - Link preprints to their published versions
+// ============================================================================
+// A preprint and its journal version have different DOIs (arXiv's DataCite DOI
+// vs the publisher's) and often reworded titles, so they don't dedupe. Sources
+// that link them:
+//   arXiv:     arxiv:doi (the publisher DOI) and arxiv:journal_ref on the preprint
+//   CrossRef:  relation.is-preprint-of / relation.has-preprint
+//   OpenAlex:  locations - one work lists its arXiv copy next to the publisher's
+// Each record lists its own identifiers (getVersionIds) and the ones it links to
+// (paper.related_ids), both as "doi:..." / "arxiv:..." strings. Papers without
+// links are matched on title, first author and year (PaperProcessor.areVersions).
+// Grouped papers keep one entry per version in paper._versions; the card shows
+// the published version and paper.cited_version picks the one exports cite.
+
+import { getPaperKey, normalizeDoi } from './utils.js';
+
+const ARXIV_DOI_PREFIX = '10.48550/arxiv.';
+
+/**
+ * Normalize an arXiv ID (drops the "arXiv:" prefix and version suffix)
+ * @param {string} id - arXiv ID, e.g. "arXiv:2101.00001v2" or "hep-th/9901001"
+ * @returns {string|null} Normalized ID
+ */
+export function normalizeArxivId(id) {
+    if (!id || typeof id !== 'string') return null;
+    const value = id.trim().toLowerCase().replace(/^arxiv:/, '').replace(/v\d+$/, '');
+    return value || null;
+}
+
+/**
+ * Get the arXiv DataCite DOI for an arXiv ID
+ * @param {string} arxivId - arXiv ID
+ * @returns {string|null} DOI, e.g. "10.48550/arXiv.2101.00001"
+ */
+export function getArxivDoi(arxivId) {
+    const id = normalizeArxivId(arxivId);
+    return id ? `10.48550/arXiv.${id}` : null;
+}
+
+/**
+ * Turn a DOI or landing page URL into a version identifier
+ * @param {string} value - DOI, doi.org URL or arxiv.org/abs URL
+ * @returns {string|null} "doi:..." or "arxiv:...", or null if unrecognized
+ */
+export function toVersionId(value) {
+    if (!value || typeof value !== 'string') return null;
+
+    const arxivUrl = value.match(/arxiv\.org\/(?:abs|pdf)\/([^?#]+?)(?:\.pdf)?$/i);
+    if (arxivUrl) return `arxiv:${normalizeArxivId(arxivUrl[1])}`;
+
+    const doi = normalizeDoi(value);
+    if (!doi || !doi.startsWith('10.')) return null;
+    if (doi.startsWith(ARXIV_DOI_PREFIX)) return `arxiv:${normalizeArxivId(doi.slice(ARXIV_DOI_PREFIX.length))}`;
+    return `doi:${doi}`;
+}
+
+/**
+ * Get the identifiers of a paper and every version grouped with it
+ * @param {Object} paper - Paper object
+ * @returns {Set<string>} Version identifiers
+ */
+export function getVersionIds(paper) {
+    const records = paper._versions?.length > 0 ? paper._versions : [paper];
+    const ids = new Set();
+    records.forEach(record => {
+        [record.doi, record.url].forEach(value => {
+            const id = toVersionId(value);
+            if (id) ids.add(id);
+        });
+    });
+    return ids;
+}
+
+/**
+ * Check whether either paper links to one of the other's identifiers
+ * @param {Object} paper1 - Paper object
+ * @param {Object} paper2 - Paper object
+ * @returns {boolean} True if a source says they are versions of each other
+ */
+export function areLinkedVersions(paper1, paper2) {
+    const links = (from, to) => {
+        if (!from.related_ids?.length) return false;
+        const ids = getVersionIds(to);
+        return from.related_ids.some(id => ids.has(id));
+    };
+    return links(paper1, paper2) || links(paper2, paper1);
+}
+
+/**
+ * Check whether a paper is a preprint version
+ * @param {Object} paper - Paper or version record
+ * @returns {boolean} True for preprints
+ */
+export function isPreprintVersion(paper) {
+    return paper.doc_type === 'preprint';
+}
+
+/**
+ * Build the version record kept in paper._versions
+ * @param {Object} paper - Paper as one source returned it
+ * @returns {Object} { id, kind, title, authors, year, doi, journal, url, source, doc_type }
+ */
+export function toVersion(paper) {
+    return {
+        id: getPaperKey(paper),
+        kind: isPreprintVersion(paper) ? 'preprint' : 'published',
+        title: paper.title || null,
+        authors: paper.authors || [],
+        year: paper.year || null,
+        doi: paper.doi || null,
+        journal: paper.journal || null,
+        url: paper.url || null,
+        source: paper.source || null,
+        doc_type: paper.doc_type || null
+    };
+}
+
+/**
+ * Get the version a paper's citation should use
+ * The reader's choice (paper.cited_version) if any, else the published version
+ * @param {Object} paper - Paper object
+ * @returns {Object|null} Version record, or null for papers with a single version
+ */
+export function getCitedVersion(paper) {
+    const versions = paper._versions || [];
+    if (versions.length < 2) return null;
+
+    return versions.find(version => version.id === paper.cited_version) ||
+        versions.find(version => version.kind === 'published') ||
+        versions[0];
+}
+
+/**
+ * Get a paper with the citation fields of the version it should be cited as
+ * @param {Object} paper - Paper object
+ * @returns {Object} The paper itself, or a copy carrying the cited version's metadata
+ */
+export function withCitedVersion(paper) {
+    const version = getCitedVersion(paper);
+    if (!version) return paper;
+
+    return {
+        ...paper,
+        title: version.title || paper.title,
+        authors: version.authors.length > 0 ? version.authors : paper.authors,
+        year: version.year || paper.year,
+        // Identifiers and venue belong to one version only - never borrow the other's
+        doi: version.doi,
+        journal: version.journal,
+        url: version.url || paper.url,
+        doc_type: version.doc_type || paper.doc_type
+    };
+}
@@ -1,11 +1,20 @@
 // ============================================================================
 // SERVICE WORKER - Cache API responses for instant repeat searches
 // ============================================================================
+// A classic worker, so browsers without module service workers still cache. API
+// hosts come from the page's source registry (SOURCE_HOSTS message) and are kept
+// in IndexedDB: browsers stop idle workers, and a restarted one reloads them.
 
-const CACHE_NAME = 'sourcecrate-v1';
+// Bump when cached modules change in ways old copies can't run against (e.g. the
+// API client contract - js/api-clients/ is served cache-first and only partly listed
+// in STATIC_ASSETS); activate deletes every other version's cache
+const CACHE_NAME = 'sourcecrate-v2';
 const SEARCH_CACHE = 'sourcecrate-searches-v1';
 const CACHE_DURATION = 7 * 24 * 60 * 60 * 1000; // 7 days
 
+// Host patterns of every registered source, built-in and add-on (see registry.js getSourceHostPatterns)
+let hostPatterns = loadHostPatterns();
+
 // Assets to cache on install
 const STATIC_ASSETS = [
     '/',
@@ -17,7 +26,21 @@ const STATIC_ASSETS = [
     '/js/utils.js',
     '/js/rendering.js',
     '/js/processing-poc.js',
+    '/js/processing-pipeline.js',
+    '/js/processing-client.js',
+    '/js/processing-worker.js',
+    '/js/query-parser.js',
+    '/js/identifiers.js',
+    '/js/references.js',
+    '/js/abstracts.js',
+    '/js/doc-types.js',
+    '/js/facets.js',
+    '/js/open-access.js',
+    '/js/versions.js',
     '/js/api-clients/orchestrator.js',
+    '/js/api-clients/errors.js',
+    '/js/api-clients/source-health.js',
+    '/js/api-clients/registry.js',
     '/favicon.svg'
 ];
 
@@ -60,28 +83,10 @@ self.addEventListener('fetch', (event) => {
         return;
     }
 
-    // Cache API requests (academic databases)
-    const isAPIRequest = url.hostname.includes('api.crossref.org') ||
-                         url.hostname.includes('export.arxiv.org') ||
-                         url.hostname.includes('api.openalex.org') ||
-                         url.hostname.includes('eutils.ncbi.nlm.nih.gov') ||
-                         url.hostname.includes('doaj.org') ||
-                         url.hostname.includes('europepmc.org') ||
-                         url.hostname.includes('api.unpaywall.org') ||
-                         url.hostname.includes('api.datacite.org') ||
-                         url.hostname.includes('zenodo.org');
-
-    if (isAPIRequest) {
-        event.respondWith(
-            cacheAPIRequest(event.request)
-        );
-        return;
-    }
-
-    // For static assets and dynamic imports: cache-first strategy
-    if (STATIC_ASSETS.some(asset => url.pathname === asset) ||
+    // For static assets and dynamic imports: cache-first strategy (API hosts are never our origin)
+    if (url.origin === self.location.origin && (STATIC_ASSETS.some(asset => url.pathname === asset) ||
         url.pathname.startsWith('/js/api-clients/') ||
-        url.pathname.includes('/js/bloom-filter.js')) {
+        url.pathname.includes('/js/bloom-filter.js'))) {
         event.respondWith(
             caches.match(event.request).then((response) => {
                 return response || fetch(event.request).then((fetchResponse) => {
@@ -95,12 +100,69 @@ self.addEventListener('fetch', (event) => {
         return;
     }
 
-    // For everything else: network-first
+    // API requests (academic databases) are cached; everything else is network-first
     event.respondWith(
-        fetch(event.request).catch(() => caches.match(event.request))
+        handleRequest(event.request, url)
     );
 });
 
+/**
+ * Cache API requests once the host patterns are loaded, fetch anything else network-first
+ */
+async function handleRequest(request, url) {
+    if (matchesSourceHost(url.hostname, await hostPatterns)) {
+        return cacheAPIRequest(request);
+    }
+    return fetch(request).catch(() => caches.match(request));
+}
+
+/**
+ * Check a hostname against host patterns - a copy of registry.js matchesSourceHost
+ * (tests/unit/source-registry.test.js checks the two agree)
+ */
+function matchesSourceHost(hostname, patterns) {
+    return patterns.some(pattern => {
+        if (pattern.startsWith('*.')) {
+            const domain = pattern.slice(2);
+            return hostname === domain || hostname.endsWith(`.${domain}`);
+        }
+        return hostname === pattern;
+    });
+}
+
+/**
+ * Load the host patterns the page last sent from IndexedDB
+ */
+async function loadHostPatterns() {
+    try {
+        const db = await openDB();
+        const tx = db.transaction('source-hosts', 'readonly');
+        const record = await requestResult(tx.objectStore('source-hosts').get('patterns'));
+        return record?.patterns || [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Store the host patterns the page sent, for when the worker restarts
+ */
+async function saveHostPatterns(patterns) {
+    const db = await openDB();
+    const tx = db.transaction('source-hosts', 'readwrite');
+    return requestResult(tx.objectStore('source-hosts').put({ id: 'patterns', patterns }));
+}
+
+/**
+ * Wait for an IndexedDB request
+ */
+function requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
 /**
  * Cache API requests with timestamp for TTL
  */
@@ -169,7 +231,7 @@ async function getCacheTime(url) {
  */
 function openDB() {
     return new Promise((resolve, reject) => {
-        const request = indexedDB.open('sourcecrate-cache', 1);
+        const request = indexedDB.open('sourcecrate-cache', 2);
 
         request.onerror = () => reject(request.error);
         request.onsuccess = () => resolve(request.result);
@@ -179,12 +241,22 @@ function openDB() {
             if (!db.objectStoreNames.contains('cache-times')) {
                 db.createObjectStore('cache-times', { keyPath: 'url' });
             }
+            if (!db.objectStoreNames.contains('source-hosts')) {
+                db.createObjectStore('source-hosts', { keyPath: 'id' });
+            }
         };
     });
 }
 
-// Message handler for cache clearing
+// Message handler for cache clearing and the registry's source hosts
 self.addEventListener('message', (event) => {
+    if (event.data.type === 'SOURCE_HOSTS') {
+        hostPatterns = Promise.resolve(event.data.patterns);
+        event.waitUntil(
+            saveHostPatterns(event.data.patterns).catch(err => console.log('[SW] Could not store source hosts:', err))
+        );
+    }
+
     if (event.data.type === 'CLEAR_CACHE') {
         event.waitUntil(
             caches.delete(SEARCH_CACHE).then(() => {
@@ -0,0 +1,78 @@
+// ============================================================================
+// BM25 BENCHMARK - Token cache and running totals vs. re-tokenizing
+// ============================================================================
+// Run with: npm run bench
+// Before the token cache, every score() call tokenized the paper's text again,
+// and every page recomputed the average document length by tokenizing every
+// paper so far. The "before" cases reproduce that cost with the same scorer.
+
+import { bench, describe } from 'vitest';
+import { BM25Scorer, PaperProcessor } from '../../js/processing-poc.js';
+import { ProcessingPipeline } from '../../js/processing-pipeline.js';
+import { createCorpus } from '../helpers/fixtures.js';
+
+const QUERY = 'sleep memory consolidation';
+const PAGE_SIZE = 100;
+
+// Abstracts of about 150 words, like most sources return
+const FILLER = 'Participants completed a memory task before and after a night of recorded sleep, ' +
+    'and consolidation was measured as the change in recall between sessions. ';
+const corpus = createCorpus(2000).map(paper => ({
+    ...paper,
+    abstract: `${paper.title}. ${FILLER.repeat(5)}`
+}));
+// What the pipeline scores: one merged paper per work
+const papers = new PaperProcessor().deduplicatePapers(corpus);
+
+const cached = new BM25Scorer();
+cached.updateCorpusStats(papers);
+
+// Same corpus stats, empty token cache - every score() tokenizes, as before
+const uncached = new BM25Scorer();
+uncached.documentFrequency = cached.documentFrequency;
+uncached.totalDocs = cached.totalDocs;
+
+describe(`Score the ${papers.length.toLocaleString('en')} unique papers of 2,000`, () => {
+    const avgLength = cached.getAverageDocLength();
+
+    bench('tokenizing each paper (before)', () => {
+        papers.forEach(paper => uncached.score(paper, QUERY, avgLength));
+    });
+
+    bench('token cache', () => {
+        papers.forEach(paper => cached.score(paper, QUERY, avgLength));
+    });
+});
+
+describe(`Average document length after the last ${PAGE_SIZE}-paper page`, () => {
+    bench('re-tokenizing every paper (before)', () => {
+        papers.reduce((sum, paper) => {
+            const tokens = cached.getPaperText(paper).toLowerCase().split(/\s+/).filter(t => t.length > 2);
+            return sum + tokens.length;
+        }, 0) / papers.length;
+    });
+
+    bench('running total', () => {
+        cached.getAverageDocLength();
+    });
+});
+
+describe('Pipeline, 2,000 papers', () => {
+    const pipeline = new ProcessingPipeline();
+
+    bench(`${PAGE_SIZE}-paper pages, then rescore all`, () => {
+        pipeline.handle('reset', { scoringQuery: QUERY });
+        for (let start = 0; start < corpus.length; start += PAGE_SIZE) {
+            pipeline.handle('addBatch', { papers: corpus.slice(start, start + PAGE_SIZE).map(paper => ({ ...paper })) });
+        }
+        pipeline.handle('rescoreAll');
+    }, { iterations: 3, time: 0 });
+
+    bench('rescore all', () => {
+        pipeline.handle('rescoreAll');
+    }, {
+        setup: () => {
+            pipeline.handle('reset', { scoringQuery: QUERY, papers: corpus.map(paper => ({ ...paper })) });
+        }
+    });
+});
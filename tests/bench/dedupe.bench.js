@@ -0,0 +1,78 @@
+// ============================================================================
+// DEDUPE BENCHMARK - Candidate index vs. the linear fuzzy scan
+// ============================================================================
+// Run with: npm run bench
+// The linear scan compares each paper with every unique paper so far (what
+// ingestPapers did before DedupeIndex). A frame is ~16ms; one source's page
+// arrives per onResults call, so that is what has to fit in one.
+
+import { bench, describe } from 'vitest';
+import { PaperProcessor, DedupeIndex } from '../../js/processing-poc.js';
+import { createCorpus } from '../helpers/fixtures.js';
+
+const processor = new PaperProcessor();
+const corpus = createCorpus(2000);
+const PAGE_SIZE = 100; // One source's page, with the per-source limit raised from the default 25
+
+function linearScan(papers) {
+    const unique = [];
+    papers.forEach(paper => {
+        const index = unique.findIndex(existing => processor.areDuplicates(existing, paper));
+        if (index >= 0) unique[index] = processor.mergePapers(unique[index], paper);
+        else unique.push({ ...paper, _sources: [paper.source], _merged_count: 1 });
+    });
+    return unique;
+}
+
+/**
+ * Ingest papers the way api.js does: look up a match, merge or add, re-index
+ */
+function ingest(index, papersByKey, papers) {
+    papers.forEach(paper => {
+        const match = processor.findMatch(index, paper);
+        if (match) {
+            const merged = match.isVersion
+                ? processor.mergeVersions(papersByKey.get(match.key), paper)
+                : processor.mergePapers(papersByKey.get(match.key), paper);
+            papersByKey.set(match.key, merged);
+            index.add(match.key, merged);
+        } else {
+            const key = processor.getPaperKey(paper);
+            papersByKey.set(key, paper);
+            index.add(key, paper);
+        }
+    });
+}
+
+describe('2,000 papers', () => {
+    bench('linear scan', () => {
+        linearScan(corpus);
+    }, { iterations: 2, time: 0 });
+
+    bench('candidate index, one batch', () => {
+        processor.deduplicatePapers(corpus);
+    });
+
+    bench(`candidate index, ${PAGE_SIZE}-paper pages`, () => {
+        const index = new DedupeIndex({ maxYearGap: processor.maxVersionGap });
+        const papersByKey = new Map();
+        for (let start = 0; start < corpus.length; start += PAGE_SIZE) {
+            ingest(index, papersByKey, corpus.slice(start, start + PAGE_SIZE));
+        }
+    });
+});
+
+describe(`Last ${PAGE_SIZE}-paper page into 1,900 papers`, () => {
+    let index;
+    let papersByKey;
+
+    bench('candidate index', () => {
+        ingest(index, papersByKey, corpus.slice(-PAGE_SIZE));
+    }, {
+        setup: () => {
+            index = new DedupeIndex({ maxYearGap: processor.maxVersionGap });
+            papersByKey = new Map();
+            ingest(index, papersByKey, corpus.slice(0, -PAGE_SIZE));
+        }
+    });
+});
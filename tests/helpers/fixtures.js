@@ -165,3 +165,76 @@ export function createPapersWithCitations(citationCounts) {
         doi: `10.1234/citations.${String(index + 1).padStart(3, '0')}`
     }));
 }
+
+// Syllables for made-up title words and surnames: a realistic vocabulary without a word list
+const CORPUS_SYLLABLES = [
+    'ba', 'cor', 'den', 'el', 'fra', 'gen', 'hal', 'in', 'jo', 'kar', 'lum', 'mer', 'neu', 'or', 'pro',
+    'qua', 'ri', 'sta', 'tor', 'ul', 'ven', 'wes', 'xi', 'yor', 'zen', 'an', 'bri', 'cal', 'dor', 'est'
+];
+const CORPUS_SOURCES = ['CrossRef', 'OpenAlex', 'Semantic Scholar', 'PubMed', 'Europe PMC', 'DataCite'];
+
+/**
+ * Create a synthetic result set the size of a paged multi-source search
+ * Every title shares the query's words, as one search's results do; about a third
+ * of the records are copies of another from a second source (case, punctuation,
+ * a typo, a missing DOI), which is what dedupe has to find
+ * @param {number} size - Number of records
+ * @param {Object} options - { seed, duplicateRate, query }
+ * @returns {Array} Papers, in arrival order
+ *
+ * @example
+ * const papers = createCorpus(2000); // Benchmark-sized result set
+ */
+export function createCorpus(size = 2000, { seed = 42, duplicateRate = 0.35, query = 'sleep memory' } = {}) {
+    // Deterministic PRNG (mulberry32) so every run sees the same corpus
+    let state = seed >>> 0;
+    const random = () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t ^= t + Math.imul(t ^ (t >>> 7), 61 | t);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    const pick = list => list[Math.floor(random() * list.length)];
+    const makeWord = () => Array.from({ length: 2 + Math.floor(random() * 2) }, () => pick(CORPUS_SYLLABLES)).join('');
+
+    const originals = [];
+    const papers = [];
+
+    while (papers.length < size) {
+        if (originals.length > 0 && random() < duplicateRate) {
+            // Another source's copy of a paper we already have
+            const original = pick(originals);
+            let title = original.title;
+            const variant = random();
+            if (variant < 0.25) title = title.toUpperCase();
+            else if (variant < 0.5) title = `${title}.`;
+            else if (variant < 0.75) title = title.replace(/ (\w)/, (_, c) => `: ${c}`);
+            else {
+                const at = 5 + Math.floor(random() * (title.length - 10));
+                title = title.slice(0, at) + title[at + 1] + title[at] + title.slice(at + 2); // Transposed letters
+            }
+
+            papers.push({
+                ...original,
+                title,
+                doi: random() < 0.5 ? original.doi : null,
+                source: pick(CORPUS_SOURCES)
+            });
+        } else {
+            const index = originals.length;
+            const words = Array.from({ length: 4 + Math.floor(random() * 6) }, makeWord);
+            const paper = createPaper({
+                title: `${query} ${words.join(' ')}`.replace(/^\w/, c => c.toUpperCase()),
+                authors: [`${makeWord()} ${makeWord()}`.replace(/\b\w/g, c => c.toUpperCase())],
+                year: 2000 + Math.floor(random() * 25),
+                doi: `10.5555/corpus.${index}`,
+                source: pick(CORPUS_SOURCES),
+                relevance_score: undefined
+            });
+            originals.push(paper);
+            papers.push(paper);
+        }
+    }
+
+    return papers;
+}
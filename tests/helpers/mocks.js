@@ -57,18 +57,20 @@ export function createMockBM25Scorer(options = {}) {
     const {
         score = vi.fn((paper, query) => 0.5),
         updateCorpusStats = vi.fn(),
+        getAverageDocLength = vi.fn(() => 100),
         reset = vi.fn()
     } = options;
 
     return {
         score,
         updateCorpusStats,
+        getAverageDocLength,
         reset,
         k1: 1.5,
         b: 0.75,
         documentFrequency: new Map(),
         totalDocs: 0,
-        processedDocIds: new Set()
+        documents: new Map()
     };
 }
 
@@ -7,18 +7,27 @@
 import {
     papersByKey,
     renderedPaperKeys,
+    sourceRetries,
     setPapersByKey,
     setRenderedPaperKeys,
     setSourcesCompleted,
     setTotalSources,
     setPdfOnlyFilter,
+    setYearRangeFilter,
+    setFacetSelections,
     setRelevanceThreshold,
     setCurrentQuery,
     setBm25ScoringComplete,
+    setMoreResultsAvailable,
+    setLoadingMoreResults,
+    setSourceFailures,
+    setImportReport,
     setPreviousSortOrder,
-    setPreviousFilterQuery
+    setPreviousFilterQuery,
+    setPreviousFacetSelections
 } from '../../js/state.js';
-import { clearSearchCache } from '../../js/api.js';
+import { clearSearchCache, resetSourceHealth } from '../../js/api.js';
+import { sharedRateLimiter } from '../../js/api-clients/rate-limiter.js';
 
 /**
  * Reset all search-related state to initial values
@@ -33,6 +42,7 @@ export function resetSearchState() {
     // Clear maps and sets
     papersByKey.clear();
     renderedPaperKeys.clear();
+    sourceRetries.clear();
 
     // Reset counters
     setSourcesCompleted(0);
@@ -40,18 +50,31 @@ export function resetSearchState() {
 
     // Reset flags
     setBm25ScoringComplete(false);
+    setMoreResultsAvailable(false);
+    setLoadingMoreResults(false);
+    setImportReport(null);
+    setSourceFailures([]);
 
     // Reset filters
     setPdfOnlyFilter(false);
+    setYearRangeFilter(null);
+    setFacetSelections({});
     setRelevanceThreshold(35);
     setCurrentQuery('');
 
     // Reset sort/filter tracking
     setPreviousSortOrder('relevance-desc');
     setPreviousFilterQuery('');
+    setPreviousFacetSelections({});
 
     // Clear search cache and debounce state (allows cache tests to work)
     clearSearchCache();
+
+    // Refill rate-limit buckets so one test's requests don't throttle the next
+    sharedRateLimiter.reset();
+
+    // Close circuits opened by failure tests
+    resetSourceHealth();
 }
 
 /**
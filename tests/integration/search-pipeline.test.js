@@ -7,17 +7,22 @@
 // This prevents spamming real academic APIs during tests.
 
 import { describe, it, expect, beforeEach, vi } from 'vitest';
-import { searchWithClient, clearSearchCache } from '../../js/api.js';
+import { http, HttpResponse, delay } from 'msw';
+import { server } from '../mocks/server.js';
+import { searchWithClient, searchByTitle, clearSearchCache, resolveIdentifierList, resolveReferenceList, explainScore } from '../../js/api.js';
+import { getFilteredAndSortedResults, getFacetCounts, renderStreamingResults, buildPaperCard, buildScoreExplanation, updateAccessLinks, updateCitationBadge } from '../../js/rendering.js';
 import {
     papersByKey,
     renderedPaperKeys,
     sourcesCompleted,
+    totalSources,
     bm25ScoringComplete,
     setSourcesCompleted,
     setTotalSources,
-    setBm25ScoringComplete
+    setBm25ScoringComplete,
+    setFacetSelections
 } from '../../js/state.js';
-import { setupSearchDOM } from '../helpers/dom.js';
+import { setupSearchDOM, setupFullSearchDOM } from '../helpers/dom.js';
 import { resetSearchState } from '../helpers/state.js';
 import { createMockCallback } from '../helpers/mocks.js';
 import { MOCK_PAPERS, DUPLICATE_PAPER } from '../helpers/fixtures.js';
@@ -88,6 +93,15 @@ describe('Search Pipeline Integration', () => {
             // Should not have triggered additional calls (debounced, not cached)
             expect(mockCallback.mock.calls.length).toBe(firstCallCount);
         });
+
+        it('should not share a cache entry between a Boolean query and the same words as keywords', async () => {
+            const mockCallback = createMockCallback();
+
+            await searchWithClient('cats NOT dogs', 10, false, 35, mockCallback);
+            await searchWithClient('cats not dogs', 10, false, 35, mockCallback);
+
+            expect(document.getElementById('searchStatusLive').textContent).not.toContain('cached');
+        });
     });
 
     describe('State management', () => {
@@ -305,4 +319,588 @@ describe('Regression tests for fixed bugs', () => {
         // mockCallback should only be called when papers are available
         expect(mockCallback).toHaveBeenCalled();
     });
+
+    it('should not let a superseded search write into the new result set', async () => {
+        // Regression test: late onResults from the old query corrupted papersByKey
+        server.use(
+            http.get('https://api.openalex.org/works*', async ({ request }) => {
+                const search = new URL(request.url).searchParams.get('search') || '';
+                if (!search.includes('slowquery')) {
+                    return HttpResponse.json({ results: [] });
+                }
+                await delay(100);
+                return HttpResponse.json({
+                    results: [{
+                        id: 'https://openalex.org/W1',
+                        title: 'Stale Slowquery Paper',
+                        publication_year: 2020,
+                        authorships: []
+                    }]
+                });
+            })
+        );
+        const mockCallback = createMockCallback();
+
+        const staleSearch = searchWithClient('slowquery', 10, false, 0, mockCallback);
+        await searchWithClient('fresh query', 10, false, 0, mockCallback);
+        await staleSearch;
+
+        const titles = Array.from(papersByKey.values()).map(paper => paper.title);
+        expect(titles).not.toContain('Stale Slowquery Paper');
+    });
+});
+
+describe('Source selection', () => {
+    beforeEach(() => {
+        resetSearchState();
+        setupSearchDOM();
+    });
+
+    it('should only query the selected sources', async () => {
+        const hosts = new Set();
+        server.events.on('request:start', ({ request }) => {
+            const url = new URL(request.url);
+            // Open-access enrichment looks DOIs up on Unpaywall whatever the selection
+            if (url.host === 'api.unpaywall.org' && url.pathname !== '/v2/search') return;
+            hosts.add(url.host);
+        });
+
+        await searchWithClient('selected sources', 10, false, 0, createMockCallback(), ['openalex', 'crossref']);
+        server.events.removeAllListeners('request:start');
+
+        expect([...hosts].sort()).toEqual(['api.crossref.org', 'api.openalex.org']);
+        expect(totalSources).toBe(2);
+    });
+
+    it('should search a paper\'s title with the picked sources and year range', async () => {
+        setupFullSearchDOM();
+        const hosts = new Set();
+        let filter = null;
+        server.events.on('request:start', ({ request }) => {
+            const url = new URL(request.url);
+            if (url.host === 'api.unpaywall.org' && url.pathname !== '/v2/search') return;
+            hosts.add(url.host);
+            if (url.host === 'api.crossref.org') filter = url.searchParams.get('filter');
+        });
+
+        await searchByTitle('Sleep: a "review"', createMockCallback(), ['crossref'], { from: 2020, to: null });
+        server.events.removeAllListeners('request:start');
+
+        expect(document.getElementById('searchQuery').value).toBe('Sleep a review');
+        expect([...hosts]).toEqual(['api.crossref.org']);
+        expect(filter).toContain('from-pub-date:2020');
+    });
+
+    it('should cache each source selection separately', async () => {
+        const mockCallback = createMockCallback();
+
+        await searchWithClient('cached sources', 10, false, 0, mockCallback, ['openalex']);
+        await searchWithClient('cached sources', 10, false, 0, mockCallback, ['crossref']);
+        expect(document.getElementById('searchStatusLive').textContent).not.toContain('cached');
+
+        await searchWithClient('cached sources', 10, false, 0, mockCallback, ['openalex']);
+        expect(document.getElementById('searchStatusLive').textContent).toContain('cached');
+    });
+});
+
+describe('Year range filter', () => {
+    beforeEach(() => {
+        resetSearchState();
+        setupSearchDOM();
+    });
+
+    it('should push the range down to sources and drop out-of-range papers locally', async () => {
+        let filter = null;
+        server.use(
+            http.get('https://api.crossref.org/works', ({ request }) => {
+                filter = new URL(request.url).searchParams.get('filter');
+                return HttpResponse.json({
+                    message: {
+                        items: [
+                            { DOI: '10.5555/recent', title: ['Recent sleep study'], published: { 'date-parts': [[2021]] } },
+                            { DOI: '10.5555/older', title: ['Older sleep study'], published: { 'date-parts': [[2009]] } }
+                        ]
+                    }
+                });
+            })
+        );
+
+        await searchWithClient('sleep', 10, false, 0, createMockCallback(), ['crossref'], { from: 2020, to: 2024 });
+
+        expect(filter).toContain('from-pub-date:2020');
+        expect(filter).toContain('until-pub-date:2024');
+        expect(getFilteredAndSortedResults().map(p => p.title)).toEqual(['Recent sleep study']);
+    });
+
+    it('should cache each year range separately', async () => {
+        const mockCallback = createMockCallback();
+
+        await searchWithClient('ranged', 10, false, 0, mockCallback, ['openalex'], { from: 2020, to: null });
+        await searchWithClient('ranged', 10, false, 0, mockCallback, ['openalex'], null);
+        expect(document.getElementById('searchStatusLive').textContent).not.toContain('cached');
+
+        await searchWithClient('ranged', 10, false, 0, mockCallback, ['openalex'], { from: 2020, to: null });
+        expect(document.getElementById('searchStatusLive').textContent).toContain('cached');
+    });
+});
+
+describe('Facet refinement', () => {
+    beforeEach(() => {
+        resetSearchState();
+        setupSearchDOM();
+        document.body.insertAdjacentHTML('beforeend', '<aside id="facetPanel"></aside>');
+    });
+
+    const crossrefItems = [
+        { DOI: '10.5555/article', title: ['Sleep article'], type: 'journal-article', language: 'en', published: { 'date-parts': [[2021]] } },
+        { DOI: '10.5555/chapter', title: ['Sleep chapter'], type: 'book-chapter', language: 'fr', published: { 'date-parts': [[2020]] } },
+        { DOI: '10.5555/data', title: ['Sleep data'], type: 'dataset', published: { 'date-parts': [[2021]] } }
+    ];
+
+    it('should count facets as sources complete and filter on ticked values', async () => {
+        server.use(
+            http.get('https://api.crossref.org/works', () => HttpResponse.json({ message: { items: crossrefItems } }))
+        );
+
+        await searchWithClient('sleep', 10, false, 0, createMockCallback(), ['crossref']);
+
+        const counts = Object.fromEntries(getFacetCounts().map(facet => [facet.id, facet.options.map(o => [o.value, o.count])]));
+        expect(counts.year).toEqual([['2021', 2], ['2020', 1]]);
+        expect(counts.doc_type).toEqual([['article', 1], ['chapter', 1], ['dataset', 1]]);
+        expect(counts.language).toEqual([['en', 1], ['fr', 1]]);
+
+        setFacetSelections({ year: ['2021'], doc_type: ['dataset', 'chapter'] });
+        expect(getFilteredAndSortedResults().map(p => p.title)).toEqual(['Sleep data']);
+    });
+
+    it('should render checkboxes and keep selections through re-sorting', async () => {
+        server.use(
+            http.get('https://api.crossref.org/works', () => HttpResponse.json({ message: { items: crossrefItems } }))
+        );
+        await searchWithClient('sleep facets', 10, false, 0, createMockCallback(), ['crossref']);
+
+        setFacetSelections({ year: ['2021'] });
+        renderStreamingResults('', 'title-asc');
+
+        const checked = document.querySelectorAll('#facetPanel input:checked');
+        expect(checked).toHaveLength(1);
+        expect(checked[0].dataset.facet).toBe('year');
+        expect(document.querySelector('#facetPanel [data-facet-clear]')).not.toBeNull();
+        expect(Array.from(document.querySelectorAll('.paper-card h3'), h => h.textContent.trim()))
+            .toEqual(['Sleep article', 'Sleep data']);
+    });
+
+    it('should badge non-article types on cards', () => {
+        document.getElementById('results').innerHTML = buildPaperCard({ title: 'Sleep data', doc_type: 'dataset' }, 0, false)
+            + buildPaperCard({ title: 'Sleep article', doc_type: 'article' }, 1, false);
+
+        const badges = document.querySelectorAll('.badge-doc-type');
+        expect(badges).toHaveLength(1);
+        expect(badges[0].textContent).toBe('Dataset');
+    });
+});
+
+describe('Version linking', () => {
+    beforeEach(() => {
+        resetSearchState();
+        setupSearchDOM();
+    });
+
+    const arxivFeed = `<?xml version="1.0" encoding="UTF-8"?>
+        <feed xmlns="http://www.w3.org/2005/Atom" xmlns:arxiv="http://arxiv.org/schemas/atom">
+            <entry>
+                <id>http://arxiv.org/abs/2101.00001v2</id>
+                <title>Sleep spindles predict memory consolidation in adults</title>
+                <published>2021-01-01T00:00:00Z</published>
+                <author><name>Jane Doe</name></author>
+                <arxiv:doi>10.5555/sleep.2022</arxiv:doi>
+                <arxiv:journal_ref>Sleep Journal 45 (2022)</arxiv:journal_ref>
+            </entry>
+        </feed>`;
+    const journalVersion = {
+        DOI: '10.5555/sleep.2022',
+        title: ['Sleep spindles and memory consolidation'],
+        author: [{ given: 'Jane', family: 'Doe' }],
+        type: 'journal-article',
+        'container-title': ['Sleep Journal'],
+        published: { 'date-parts': [[2022]] }
+    };
+
+    it('should group a preprint and its journal version under the published DOI', async () => {
+        server.use(
+            http.get('https://export.arxiv.org/api/query', () => HttpResponse.text(arxivFeed, {
+                headers: { 'Content-Type': 'application/atom+xml' }
+            })),
+            http.get('https://api.crossref.org/works', () => HttpResponse.json({ message: { items: [journalVersion] } }))
+        );
+
+        await searchWithClient('sleep spindles', 10, false, 0, createMockCallback(), ['arxiv', 'crossref']);
+        await vi.waitFor(() => expect(sourcesCompleted).toBe(2));
+
+        expect([...papersByKey.keys()]).toEqual(['doi:10.5555/sleep.2022']);
+        const [paper] = papersByKey.values();
+        expect(paper.title).toBe('Sleep spindles and memory consolidation');
+        expect(paper._versions.map(v => v.doi).sort()).toEqual(['10.48550/arXiv.2101.00001', '10.5555/sleep.2022']);
+
+        renderStreamingResults('', 'relevance-desc');
+        const links = Array.from(document.querySelectorAll('.paper-card .paper-version-link'), link => link.textContent);
+        expect(links).toEqual(expect.arrayContaining(['Published in Sleep Journal (2022)', 'Preprint on arXiv (2021)']));
+        expect(document.querySelector('.paper-version-select').value).toBe('doi:10.5555/sleep.2022');
+    });
+
+    it('should link a lone preprint to the version its source names', () => {
+        document.getElementById('results').innerHTML = buildPaperCard({
+            title: 'Sleep spindles predict memory consolidation in adults',
+            doi: '10.48550/arXiv.2101.00001',
+            doc_type: 'preprint',
+            related_ids: ['doi:10.5555/sleep.2022'],
+            journal_ref: 'Sleep Journal 45 (2022)'
+        }, 0, false);
+
+        const link = document.querySelector('.paper-version-link');
+        expect(link.textContent).toBe('Published in Sleep Journal 45 (2022)');
+        expect(link.getAttribute('href')).toBe('https://doi.org/10.5555/sleep.2022');
+    });
+});
+
+describe('Open-access enrichment', () => {
+    beforeEach(() => {
+        resetSearchState();
+        setupSearchDOM();
+    });
+
+    const closedPaper = { DOI: '10.5555/closed.1', title: ['Paywalled paper'], URL: 'https://doi.org/10.5555/closed.1' };
+    const unpaywallRecord = {
+        is_oa: true,
+        oa_status: 'hybrid',
+        best_oa_location: {
+            url_for_pdf: 'https://publisher.example.org/closed.1.pdf',
+            url_for_landing_page: 'https://publisher.example.org/closed.1',
+            license: 'cc-by-nc'
+        }
+    };
+
+    it('should add an Unpaywall PDF link so the Direct Download filter keeps the paper', async () => {
+        const lookedUp = [];
+        server.use(
+            http.get('https://api.crossref.org/works', () => HttpResponse.json({ message: { items: [closedPaper] } })),
+            http.get('https://api.unpaywall.org/v2/:doi', ({ params }) => {
+                lookedUp.push(params.doi);
+                return HttpResponse.json({ doi: params.doi, ...unpaywallRecord });
+            })
+        );
+
+        await searchWithClient('paywalled', 10, true, 0, createMockCallback(), ['crossref']);
+        await vi.waitFor(() => expect(getFilteredAndSortedResults()).toHaveLength(1));
+
+        const [paper] = getFilteredAndSortedResults();
+        expect(lookedUp).toEqual(['10.5555/closed.1']);
+        expect(paper.pdf_url).toBe('https://publisher.example.org/closed.1.pdf');
+        expect(paper._source_links.map(link => link.source)).toEqual(['CrossRef', 'Unpaywall']);
+        expect(paper._source_links.at(-1)).toMatchObject({
+            source: 'Unpaywall',
+            has_pdf: true,
+            oa_status: 'hybrid',
+            license: 'cc-by-nc'
+        });
+
+        setFacetSelections({ license: ['cc-by-nc'] });
+        expect(getFilteredAndSortedResults()).toHaveLength(1);
+        setFacetSelections({ license: ['cc-by'] });
+        expect(getFilteredAndSortedResults()).toHaveLength(0);
+    });
+
+    it('should not look a paper up again when its search is served from the cache', async () => {
+        let lookups = 0;
+        server.use(
+            http.get('https://api.crossref.org/works', () => HttpResponse.json({ message: { items: [closedPaper] } })),
+            http.get('https://api.unpaywall.org/v2/:doi', () => {
+                lookups++;
+                return HttpResponse.json({ is_oa: false, best_oa_location: null });
+            })
+        );
+
+        const mockCallback = createMockCallback();
+        await searchWithClient('checked once', 10, false, 0, mockCallback, ['crossref']);
+        await vi.waitFor(() => expect(lookups).toBe(1));
+        await new Promise(resolve => setTimeout(resolve, 50)); // Let the pass finish with the answer
+
+        await searchWithClient('checked once', 10, false, 0, mockCallback, ['crossref']);
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        expect(document.getElementById('searchStatusLive').textContent).toContain('cached');
+        expect(lookups).toBe(1);
+    });
+
+    it('should keep a single source\'s OA status and licence on its source link', async () => {
+        server.use(
+            http.get('https://doaj.org/api/v4/search/articles/_search', () => HttpResponse.json({
+                results: [{ id: 'd1', bibjson: { title: 'Open sleep study', license: [{ type: 'CC BY' }] } }]
+            }))
+        );
+
+        await searchWithClient('open sleep study', 10, false, 0, createMockCallback(), ['doaj']);
+        await vi.waitFor(() => expect(getFilteredAndSortedResults()).toHaveLength(1));
+
+        expect(getFilteredAndSortedResults()[0]._source_links).toMatchObject([{ source: 'DOAJ', oa_status: 'gold', license: 'cc-by' }]);
+    });
+
+    it('should replace the access links of a rendered card in place', () => {
+        const paper = { title: 'Paywalled paper', doi: '10.5555/closed.1', source: 'CrossRef', _source_links: [] };
+        document.getElementById('results').innerHTML = buildPaperCard(paper, 0, false);
+        const key = document.querySelector('.paper-card').dataset.paperKey;
+
+        paper._source_links.push({ source: 'Unpaywall', pdf_url: 'https://publisher.example.org/closed.1.pdf', has_pdf: true });
+        updateAccessLinks(key, paper);
+
+        expect(document.querySelectorAll('.source-access-container')).toHaveLength(1);
+        expect(document.querySelector('.btn-pdf-download').textContent).toContain('Download PDF (Unpaywall)');
+    });
+
+    it('should badge the OA type and licence, refreshing them when a source adds one', () => {
+        const paper = {
+            title: 'Open paper',
+            doi: '10.5555/open.1',
+            is_open_access: true,
+            _source_links: [{ source: 'DOAJ', oa_status: 'gold', license: 'cc-by' }]
+        };
+        document.getElementById('results').innerHTML = buildPaperCard(paper, 0, false);
+        const key = document.querySelector('.paper-card').dataset.paperKey;
+        expect(document.querySelector('.badge-open-access').textContent).toContain('Open Access · Gold');
+        expect(document.querySelector('.badge-license').textContent).toBe('CC BY');
+
+        paper._source_links.push({ source: 'Unpaywall', oa_status: 'green', license: 'cc-by-nc' });
+        updateAccessLinks(key, paper);
+
+        expect(document.querySelectorAll('.badge-open-access')).toHaveLength(1);
+        expect(document.querySelector('.badge-open-access').title).toContain('Gold (DOAJ); Green (Unpaywall)');
+        expect(document.querySelector('.badge-license').textContent).toBe('CC BY / CC BY-NC');
+    });
+});
+
+describe('Citation count enrichment', () => {
+    beforeEach(() => {
+        resetSearchState();
+        setupSearchDOM();
+    });
+
+    it('should fill in missing counts from OpenAlex and record where they came from', async () => {
+        let filter = null;
+        server.use(
+            http.get('https://api.crossref.org/works', () => HttpResponse.json({
+                message: { items: [{ DOI: '10.5555/Uncounted.1', title: ['Uncounted paper'] }] }
+            })),
+            http.get('https://api.openalex.org/works', ({ request }) => {
+                filter = new URL(request.url).searchParams.get('filter');
+                return HttpResponse.json({ results: [{ doi: 'https://doi.org/10.5555/uncounted.1', cited_by_count: 42 }] });
+            })
+        );
+
+        await searchWithClient('uncounted', 10, false, 0, createMockCallback(), ['crossref']);
+        await vi.waitFor(() => expect(papersByKey.values().next().value.citation_count).toBe(42));
+
+        expect(filter).toBe('doi:10.5555/uncounted.1');
+        expect(papersByKey.values().next().value.citation_source).toBe('OpenAlex');
+    });
+
+    it('should show the provenance on a live-updated badge', () => {
+        const paper = { title: 'Uncounted paper', source: 'PubMed' };
+        document.getElementById('results').innerHTML = buildPaperCard(paper, 0, false);
+        const key = document.querySelector('.paper-card').dataset.paperKey;
+
+        updateCitationBadge(key, 1200, 'OpenAlex');
+
+        const badge = document.querySelector('.badge-citations');
+        expect(badge.textContent.trim()).toBe('1.2k');
+        expect(badge.title).toBe('1,200 citations (via OpenAlex)');
+    });
+});
+
+describe('Abstract enrichment', () => {
+    beforeEach(() => {
+        resetSearchState();
+        setupSearchDOM();
+    });
+
+    it('should fill in a missing abstract and re-score the paper', async () => {
+        server.use(
+            http.get('https://api.crossref.org/works', ({ request }) => {
+                if (new URL(request.url).searchParams.has('filter')) {
+                    return HttpResponse.json({ message: { items: [] } });
+                }
+                return HttpResponse.json({
+                    message: { items: [
+                        { DOI: '10.5555/bare.1', title: ['Structure prediction'] },
+                        { DOI: '10.5555/full.1', title: ['Protein folding'], abstract: '<jats:p>Protein structure.</jats:p>' }
+                    ] }
+                });
+            }),
+            http.get('https://api.openalex.org/works', () => HttpResponse.json({
+                results: [{ doi: 'https://doi.org/10.5555/bare.1', abstract_inverted_index: { Protein: [0], folding: [1], models: [2] } }]
+            }))
+        );
+
+        await searchWithClient('protein folding', 10, false, 0, createMockCallback(), ['crossref']);
+        const bare = Array.from(papersByKey.values()).find(paper => paper.doi === '10.5555/bare.1');
+        const scoreBefore = bare.relevance_score;
+
+        await vi.waitFor(() => expect(bare.abstract).toBe('Protein folding models'));
+
+        expect(bare.abstract_source).toBe('OpenAlex');
+        expect(bare.relevance_score).toBeGreaterThan(scoreBefore);
+        expect(Array.from(papersByKey.values()).find(paper => paper.doi === '10.5555/full.1').abstract).toBe('Protein structure.');
+    });
+});
+
+describe('Score explanation', () => {
+    beforeEach(() => {
+        resetSearchState();
+        setupSearchDOM();
+    });
+
+    it('should explain a rendered result\'s score and the relevance filter', async () => {
+        server.use(
+            http.get('https://api.crossref.org/works', () => HttpResponse.json({
+                message: { items: [
+                    { DOI: '10.5555/Tidal.1', title: ['Tidal energy converters'], abstract: 'Marine turbines.' },
+                    { DOI: '10.5555/wind.1', title: ['Offshore wind'], abstract: 'Tidal and wind farms.' }
+                ] }
+            }))
+        );
+
+        await searchWithClient('tidal energy', 10, false, 35, createMockCallback(), ['crossref']);
+        const paper = Array.from(papersByKey.values()).find(result => result.doi === '10.5555/Tidal.1');
+        document.getElementById('results').innerHTML = buildPaperCard(paper, 0, false, { showScoreExplanation: true });
+        const details = document.querySelector('.score-explanation');
+
+        const explanation = await explainScore(details.dataset.paperKey);
+        expect(explanation.score).toBe(paper.relevance_score);
+        expect(explanation.terms.map(term => term.fields)).toEqual([['title'], ['title']]);
+        expect(explanation.threshold).toEqual({ value: 35, applies: true, pinned: false, passes: true });
+
+        details.querySelector('.score-explanation-body').innerHTML = buildScoreExplanation(explanation);
+        expect(details.querySelectorAll('.score-explanation-terms tbody tr')).toHaveLength(2);
+        expect(details.textContent).toContain('Whole query in the title: +');
+        expect(details.textContent).toContain('Passes the 35% relevance filter.');
+        expect(details.textContent).toContain('Citation counts and source quality don\'t count towards this percentage');
+
+        expect(await explainScore('doi:10.5555/unknown')).toBeNull();
+    });
+
+    it('should leave the section off cards outside search results', () => {
+        document.getElementById('results').innerHTML = buildPaperCard({ title: 'Bookmarked paper' }, 0, false);
+        expect(document.querySelector('.score-explanation')).toBeNull();
+    });
+});
+
+describe('Identifier queries', () => {
+    beforeEach(() => {
+        resetSearchState();
+        setupSearchDOM();
+    });
+
+    it('should pin the resolved record above the keyword results', async () => {
+        server.use(
+            http.get('https://api.crossref.org/works/:doi', () => HttpResponse.json({
+                message: { DOI: '10.5555/pinned.1', title: ['Resolved by DOI'], abstract: 'Unrelated wording' }
+            })),
+            http.get('https://api.datacite.org/dois/*', () => new HttpResponse(null, { status: 404 }))
+        );
+
+        await searchWithClient('https://doi.org/10.5555/pinned.1', 10, false, 0, createMockCallback());
+
+        const results = getFilteredAndSortedResults();
+        expect(results.length).toBeGreaterThan(1);
+        expect(results[0]).toMatchObject({
+            title: 'Resolved by DOI',
+            _exact_match: { type: 'doi', value: '10.5555/pinned.1' }
+        });
+    });
+
+    it('should report identifiers that no source knows', async () => {
+        server.use(
+            http.get('https://api.crossref.org/works/:doi', () => new HttpResponse(null, { status: 404 })),
+            http.get('https://api.datacite.org/dois/*', () => new HttpResponse(null, { status: 404 }))
+        );
+
+        await searchWithClient('10.5555/missing', 10, false, 0, createMockCallback());
+
+        expect(Array.from(papersByKey.values()).some(paper => paper._exact_match)).toBe(false);
+        expect(document.getElementById('searchStatusLive').textContent).toContain('No record found for DOI 10.5555/missing');
+    });
+});
+
+describe('Bulk identifier import', () => {
+    beforeEach(() => {
+        resetSearchState();
+        setupSearchDOM();
+    });
+
+    it('should merge resolved records and report the identifiers that were not found', async () => {
+        server.use(
+            http.get('https://api.crossref.org/works/:doi', ({ params }) => {
+                if (params.doi.endsWith('missing')) return new HttpResponse(null, { status: 404 });
+                return HttpResponse.json({ message: { DOI: params.doi, title: [`Record ${params.doi}`] } });
+            }),
+            http.get('https://api.datacite.org/dois/:doi', ({ params }) => {
+                if (!params.doi.endsWith('both')) return new HttpResponse(null, { status: 404 });
+                return HttpResponse.json({
+                    data: { id: '10.5555/both', attributes: { doi: '10.5555/both', titles: [{ title: 'Record 10.5555/both' }], publicationYear: 2020 } }
+                });
+            })
+        );
+        const mockCallback = createMockCallback();
+
+        const report = await resolveIdentifierList('DOI\n10.5555/one\n10.5555/both\n10.5555/missing\nnonsense', mockCallback);
+
+        expect(report).toMatchObject({ total: 3, resolved: 2, notFound: [{ type: 'doi', value: '10.5555/missing' }], unrecognized: ['nonsense'] });
+        expect(papersByKey.size).toBe(2);
+        expect(sourcesCompleted).toBe(3);
+        expect(bm25ScoringComplete).toBe(true);
+        expect(mockCallback).toHaveBeenCalled();
+
+        // Both records are pinned, so neither the relevance nor the PDF filter hides them
+        expect(getFilteredAndSortedResults()).toHaveLength(2);
+    });
+});
+
+describe('Reference parsing import', () => {
+    beforeEach(() => {
+        resetSearchState();
+        setupSearchDOM();
+    });
+
+    it('should keep the best-scoring candidate per citation and report unmatched ones', async () => {
+        server.use(
+            http.get('https://api.crossref.org/works', ({ request }) => {
+                const citation = new URL(request.url).searchParams.get('query.bibliographic');
+                const items = citation.includes('Deep learning')
+                    ? [
+                        { DOI: '10.5555/other', title: ['Deep learning for robots'], published: { 'date-parts': [[2021]] } },
+                        { DOI: '10.1038/nature14539', title: ['Deep learning'], author: [{ given: 'Yann', family: 'LeCun' }], published: { 'date-parts': [[2015]] } }
+                    ]
+                    : [{ DOI: '10.5555/unrelated', title: ['Protein folding atlas'] }];
+                return HttpResponse.json({ message: { items } });
+            })
+        );
+
+        const report = await resolveReferenceList(
+            '1. LeCun Y, Bengio Y. Deep learning. Nature. 2015;521:436-44.\n2. Doe A. Quantum gardening. Garden J. 1999;1:1-2.',
+            createMockCallback()
+        );
+
+        expect(report).toMatchObject({ kind: 'references', total: 2, resolved: 1 });
+        expect(report.notFound).toEqual(['Doe A. Quantum gardening. Garden J. 1999;1:1-2.']);
+
+        const [match] = getFilteredAndSortedResults();
+        expect(match.doi).toBe('10.1038/nature14539');
+        expect(match._reference_match).toEqual({
+            citation: 'LeCun Y, Bengio Y. Deep learning. Nature. 2015;521:436-44.',
+            confidence: 1
+        });
+
+        const card = buildPaperCard(match, 0, false);
+        expect(card).toContain('Match 100%');
+        expect(card).toContain('reference-accept-btn');
+    });
 });
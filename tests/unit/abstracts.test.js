@@ -0,0 +1,47 @@
+// ============================================================================
+// ABSTRACT TESTS - JATS, inverted index and markup normalization
+// ============================================================================
+
+import { describe, it, expect } from 'vitest';
+import { jatsToText, rebuildInvertedIndex, normalizeAbstract } from '../../js/abstracts.js';
+
+describe('jatsToText', () => {
+    it('should keep section headings as labels and drop a lone "Abstract" heading', () => {
+        const jats = '<jats:title>Abstract</jats:title>'
+            + '<jats:sec><jats:title>Background</jats:title><jats:p>Deep learning <jats:italic>works</jats:italic>.</jats:p></jats:sec>'
+            + '<jats:sec><jats:title>Methods</jats:title><jats:p>We used H<jats:sub>2</jats:sub>O &amp; salt.</jats:p></jats:sec>';
+
+        expect(jatsToText(jats)).toBe('Background: Deep learning works.\n\nMethods: We used H2O & salt.');
+    });
+
+    it('should read unprefixed HTML paragraphs and headings', () => {
+        expect(jatsToText('<h4>Results</h4><p>It&#39;s   better.</p><p>Second&nbsp;point.</p>'))
+            .toBe("Results: It's better.\n\nSecond point.");
+    });
+});
+
+describe('rebuildInvertedIndex', () => {
+    it('should put every word back in position without truncating', () => {
+        const words = Array.from({ length: 200 }, (_, i) => `word${i}`);
+        const index = Object.fromEntries(words.map((word, i) => [word, [i]]));
+        index.the = [200, 202];
+        index.end = [201];
+
+        const text = rebuildInvertedIndex(index);
+        expect(text.endsWith('word199 the end the')).toBe(true);
+        expect(text.length).toBeGreaterThan(500);
+        expect(rebuildInvertedIndex(null)).toBeNull();
+    });
+});
+
+describe('normalizeAbstract', () => {
+    it('should clean markup noise from plain abstracts', () => {
+        expect(normalizeAbstract('Abstract: Graphene <b>conducts</b>\n heat &lt;well&gt;.')).toBe('Graphene conducts heat <well>.');
+        expect(normalizeAbstract('<jats:p>Only a paragraph.</jats:p>')).toBe('Only a paragraph.');
+    });
+
+    it('should return null when nothing is left', () => {
+        expect(normalizeAbstract('<jats:p> </jats:p>')).toBeNull();
+        expect(normalizeAbstract(undefined)).toBeNull();
+    });
+});
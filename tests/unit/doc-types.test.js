@@ -0,0 +1,101 @@
+// ============================================================================
+// DOC-TYPE TESTS - Per-source type normalization, merging and export entry types
+// ============================================================================
+
+import { describe, it, expect } from 'vitest';
+import { normalizeDocType, mergeDocTypes } from '../../js/doc-types.js';
+import { exportToBibTeX, exportToRIS } from '../../js/export.js';
+import CrossRefClient from '../../js/api-clients/crossref.js';
+import DataCiteClient from '../../js/api-clients/datacite.js';
+import ZenodoClient from '../../js/api-clients/zenodo.js';
+import PaperProcessor from '../../js/processing-poc.js';
+
+describe('normalizeDocType', () => {
+    it('should map every source vocabulary onto the same types', () => {
+        expect(normalizeDocType('journal-article')).toBe('article');
+        expect(normalizeDocType('JournalArticle')).toBe('article');
+        expect(normalizeDocType('posted-content')).toBe('preprint');
+        expect(normalizeDocType('book-chapter')).toBe('chapter');
+        expect(normalizeDocType('BookSection')).toBe('chapter');
+        expect(normalizeDocType('proceedings-article')).toBe('conference-paper');
+        expect(normalizeDocType('dissertation')).toBe('thesis');
+        expect(normalizeDocType('Software')).toBe('software');
+    });
+
+    it('should fall back to "other" for unknown or missing types', () => {
+        expect(normalizeDocType('peer-review')).toBe('other');
+        expect(normalizeDocType('poster')).toBe('other');
+        expect(normalizeDocType(null)).toBe('other');
+        expect(normalizeDocType([])).toBe('other');
+    });
+
+    it('should pick the most specific of several types', () => {
+        expect(normalizeDocType(['Journal Article', 'Review', 'Research Support, N.I.H.'])).toBe('review');
+        expect(normalizeDocType(['publication', 'thesis'])).toBe('thesis');
+        expect(normalizeDocType(['Journal Article', 'Preprint'])).toBe('preprint');
+    });
+});
+
+describe('mergeDocTypes', () => {
+    it('should prefer a published type over a preprint, and anything over "other"', () => {
+        expect(mergeDocTypes('preprint', 'article')).toBe('article');
+        expect(mergeDocTypes('other', 'dataset')).toBe('dataset');
+        expect(mergeDocTypes('review', 'article')).toBe('review');
+        expect(mergeDocTypes(undefined, 'chapter')).toBe('chapter');
+    });
+
+    it('should keep the more specific type when duplicates are merged', () => {
+        const processor = new PaperProcessor();
+        const merged = processor.mergePapers(
+            { title: 'Deep learning', source: 'arXiv', doc_type: 'preprint' },
+            { title: 'Deep learning', source: 'CrossRef', doc_type: 'article' }
+        );
+        expect(merged.doc_type).toBe('article');
+    });
+});
+
+describe('Client type parsing', () => {
+    it('should read CrossRef, DataCite and Zenodo types', () => {
+        const [chapter] = new CrossRefClient().parseCrossRefResponse({
+            message: { items: [{ DOI: '10.5555/ch', title: ['A chapter'], type: 'book-chapter' }] }
+        });
+        const [dataset] = new DataCiteClient().parseDataCiteResponse({
+            data: [{ attributes: { doi: '10.5555/ds', titles: [{ title: 'Data' }], types: { resourceTypeGeneral: 'Dataset' } } }]
+        });
+        const [thesis, poster] = new ZenodoClient().parseZenodoResponse({
+            hits: { hits: [
+                { id: 1, metadata: { title: 'Thesis', resource_type: { type: 'publication', subtype: 'thesis' } } },
+                { id: 2, metadata: { title: 'Poster', resource_type: { type: 'poster' } } }
+            ] }
+        });
+
+        expect(chapter.doc_type).toBe('chapter');
+        expect(dataset.doc_type).toBe('dataset');
+        expect(thesis.doc_type).toBe('thesis');
+        expect(poster.doc_type).toBe('other');
+    });
+});
+
+describe('Export entry types', () => {
+    const papers = [
+        { title: 'Chapter', authors: ['Jane Doe'], year: 2020, journal: 'Handbook of X', doc_type: 'chapter' },
+        { title: 'Data', authors: ['Jane Doe'], year: 2021, journal: 'Zenodo', doc_type: 'dataset' },
+        { title: 'Legacy', authors: ['Jane Doe'], year: 2019, journal: 'arXiv (preprint)', source: 'arXiv' }
+    ];
+
+    it('should pick BibTeX entry types from doc_type', () => {
+        const bibtex = exportToBibTeX(papers);
+        expect(bibtex).toContain('@incollection{');
+        expect(bibtex).toContain('booktitle = {Handbook of X}');
+        expect(bibtex).toContain('@misc{Doe2021Data');
+        expect(bibtex).toContain('@misc{Doe2019Legacy');
+    });
+
+    it('should pick RIS types from doc_type, guessing from the source for old bookmarks', () => {
+        const ris = exportToRIS(papers);
+        expect(ris).toContain('TY  - CHAP\nTI  - Chapter');
+        expect(ris).toContain('T2  - Handbook of X');
+        expect(ris).toContain('TY  - DATA');
+        expect(ris).toContain('TY  - INPR');
+    });
+});
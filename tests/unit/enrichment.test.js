@@ -0,0 +1,141 @@
+// ============================================================================
+// ENRICHMENT TESTS - Post-search lookups that fill in what sources left out
+// ============================================================================
+
+import { describe, it, expect } from 'vitest';
+import { http, HttpResponse } from 'msw';
+import { server } from '../mocks/server.js';
+import ClientSearchOrchestrator from '../../js/api-clients/orchestrator.js';
+
+describe('Open-access lookup', () => {
+    it('should return the best OA location with its OA type and licence', async () => {
+        let requestedDoi = null;
+        server.use(
+            http.get('https://api.unpaywall.org/v2/:doi', ({ params }) => {
+                requestedDoi = params.doi;
+                return HttpResponse.json({
+                    doi: params.doi,
+                    is_oa: true,
+                    oa_status: 'green',
+                    best_oa_location: {
+                        url: 'https://repository.example.org/paper.pdf',
+                        url_for_pdf: 'https://repository.example.org/paper.pdf',
+                        url_for_landing_page: 'https://repository.example.org/paper',
+                        license: 'cc-by',
+                        host_type: 'repository',
+                        version: 'acceptedVersion'
+                    }
+                });
+            })
+        );
+
+        const orchestrator = new ClientSearchOrchestrator();
+        const { location, failed_sources } = await orchestrator.lookupOpenAccess('10.1038/nature14539');
+
+        expect(requestedDoi).toBe('10.1038/nature14539');
+        expect(failed_sources).toEqual([]);
+        expect(location).toEqual({
+            pdf_url: 'https://repository.example.org/paper.pdf',
+            url: 'https://repository.example.org/paper',
+            oa_status: 'green',
+            license: 'cc-by',
+            host_type: 'repository',
+            version: 'acceptedVersion'
+        });
+    });
+
+    it('should return no location for closed or unknown DOIs', async () => {
+        server.use(
+            http.get('https://api.unpaywall.org/v2/:doi', ({ params }) => params.doi === '10.5555/unknown'
+                ? new HttpResponse(null, { status: 404 })
+                : HttpResponse.json({ doi: params.doi, is_oa: false, oa_status: 'closed', best_oa_location: null }))
+        );
+
+        const orchestrator = new ClientSearchOrchestrator();
+
+        expect((await orchestrator.lookupOpenAccess('10.5555/closed')).location).toBeNull();
+        expect(await orchestrator.lookupOpenAccess('10.5555/unknown')).toEqual({ location: null, failed_sources: [] });
+    });
+
+    it('should report a failed lookup instead of throwing', async () => {
+        server.use(
+            http.get('https://api.unpaywall.org/v2/:doi', () => new HttpResponse(null, { status: 422 }))
+        );
+
+        const orchestrator = new ClientSearchOrchestrator();
+        const { location, failed_sources } = await orchestrator.lookupOpenAccess('not-a-doi');
+
+        expect(location).toBeNull();
+        expect(failed_sources).toHaveLength(1);
+        expect(failed_sources[0].source).toBe('unpaywall');
+    });
+});
+
+describe('Citation count lookup', () => {
+    it('should batch DOIs into filter=doi:a|b|c requests', async () => {
+        const filters = [];
+        server.use(
+            http.get('https://api.openalex.org/works', ({ request }) => {
+                const filter = new URL(request.url).searchParams.get('filter');
+                filters.push(filter);
+                const dois = filter.replace('doi:', '').split('|');
+                return HttpResponse.json({
+                    results: dois.map((doi, i) => ({ doi: `https://doi.org/${doi}`, cited_by_count: i }))
+                });
+            })
+        );
+
+        const dois = Array.from({ length: 60 }, (_, i) => `10.5555/paper.${i}`);
+        const orchestrator = new ClientSearchOrchestrator();
+        const { counts, failed_sources } = await orchestrator.lookupCitationCounts(dois);
+
+        expect(filters).toHaveLength(2);
+        expect(filters[0]).toMatch(/^doi:10\.5555\/paper\.0\|10\.5555\/paper\.1\|/);
+        expect(failed_sources).toEqual([]);
+        expect(counts.size).toBe(60);
+        expect(counts.get('10.5555/paper.51')).toBe(1);
+    });
+
+    it('should report a failed batch and keep the counts from the others', async () => {
+        let requests = 0;
+        server.use(
+            http.get('https://api.openalex.org/works', () => ++requests === 1
+                ? new HttpResponse(null, { status: 400 })
+                : HttpResponse.json({ results: [{ doi: 'https://doi.org/10.5555/PAPER.55', cited_by_count: 7 }] }))
+        );
+
+        const dois = Array.from({ length: 60 }, (_, i) => `10.5555/paper.${i}`);
+        const orchestrator = new ClientSearchOrchestrator();
+        const { counts, failed_sources } = await orchestrator.lookupCitationCounts(dois);
+
+        expect(failed_sources).toHaveLength(1);
+        expect(failed_sources[0].source).toBe('openalex');
+        expect(counts.get('10.5555/paper.55')).toBe(7);
+    });
+});
+
+describe('Abstract lookup', () => {
+    it('should ask OpenAlex for the DOIs CrossRef has no abstract for', async () => {
+        let openAlexFilter = null;
+        server.use(
+            http.get('https://api.crossref.org/works', () => HttpResponse.json({
+                message: { items: [{ DOI: '10.5555/A', abstract: '<jats:p>JATS abstract.</jats:p>' }] }
+            })),
+            http.get('https://api.openalex.org/works', ({ request }) => {
+                openAlexFilter = new URL(request.url).searchParams.get('filter');
+                return HttpResponse.json({
+                    results: [{ doi: 'https://doi.org/10.5555/b', abstract_inverted_index: { Indexed: [0], abstract: [1] } }]
+                });
+            })
+        );
+
+        const orchestrator = new ClientSearchOrchestrator();
+        const { abstracts, failed_sources } = await orchestrator.lookupAbstracts(['10.5555/a', '10.5555/b', '10.5555/c']);
+
+        expect(openAlexFilter).toBe('doi:10.5555/b|10.5555/c');
+        expect(failed_sources).toEqual([]);
+        expect(abstracts.get('10.5555/a')).toEqual({ abstract: 'JATS abstract.', source: 'CrossRef' });
+        expect(abstracts.get('10.5555/b')).toEqual({ abstract: 'Indexed abstract', source: 'OpenAlex' });
+        expect(abstracts.has('10.5555/c')).toBe(false);
+    });
+});
@@ -0,0 +1,72 @@
+// ============================================================================
+// FACET TESTS - Facet counting, selection and matching
+// ============================================================================
+
+import { describe, it, expect } from 'vitest';
+import { computeFacetCounts, matchesFacets, toggleFacetValue, hasFacetSelections } from '../../js/facets.js';
+
+const papers = [
+    { title: 'A', year: 2021, source: 'CrossRef', doc_type: 'article', is_open_access: true, language: 'en', authors: ['Jane Doe'] },
+    { title: 'B', year: 2021, source: 'arXiv', doc_type: 'preprint', is_open_access: true, authors: ['Jane Doe', 'Sam Roe'] },
+    { title: 'C', year: 2019, _sources: ['CrossRef', 'OpenAlex', 'CrossRef'], doc_type: 'article', journal: 'Nature', language: 'de' }
+];
+
+/**
+ * Get [value, count] pairs for one facet
+ */
+function countsFor(facets, id) {
+    return facets.find(facet => facet.id === id)?.options.map(option => [option.value, option.count]);
+}
+
+describe('toggleFacetValue', () => {
+    it('should add and remove values without mutating the selections', () => {
+        const empty = {};
+        const one = toggleFacetValue(empty, 'year', '2021');
+        const two = toggleFacetValue(one, 'year', '2019');
+
+        expect(empty).toEqual({});
+        expect(two).toEqual({ year: ['2021', '2019'] });
+        expect(toggleFacetValue(toggleFacetValue(one, 'year', '2021'), 'source', 'arXiv')).toEqual({ source: ['arXiv'] });
+        expect(hasFacetSelections(one)).toBe(true);
+        expect(hasFacetSelections({})).toBe(false);
+    });
+});
+
+describe('matchesFacets', () => {
+    it('should OR values within a facet and AND across facets', () => {
+        const selections = { year: ['2021', '2019'], doc_type: ['article'] };
+        expect(papers.filter(paper => matchesFacets(paper, selections)).map(p => p.title)).toEqual(['A', 'C']);
+        expect(matchesFacets(papers[1], selections, 'doc_type')).toBe(true);
+    });
+
+    it('should match any merged source', () => {
+        expect(matchesFacets(papers[2], { source: ['OpenAlex'] })).toBe(true);
+    });
+});
+
+describe('computeFacetCounts', () => {
+    it('should count every facet over the papers', () => {
+        const facets = computeFacetCounts(papers);
+
+        expect(countsFor(facets, 'year')).toEqual([['2021', 2], ['2019', 1]]);
+        expect(countsFor(facets, 'source')).toEqual([['CrossRef', 2], ['arXiv', 1], ['OpenAlex', 1]]);
+        expect(countsFor(facets, 'access')).toEqual([['open', 2], ['closed', 1]]);
+        expect(countsFor(facets, 'author')).toEqual([['Jane Doe', 2], ['Sam Roe', 1]]);
+        expect(facets.find(facet => facet.id === 'language').options.map(o => o.label)).toEqual(['English', 'German']);
+    });
+
+    it('should count each facet with only the other facets applied', () => {
+        const facets = computeFacetCounts(papers, { year: ['2019'] });
+
+        // Other years stay selectable, other facets narrow to 2019
+        expect(countsFor(facets, 'year')).toEqual([['2021', 2], ['2019', 1]]);
+        expect(countsFor(facets, 'doc_type')).toEqual([['article', 1]]);
+    });
+
+    it('should keep selected values visible when nothing matches them', () => {
+        const facets = computeFacetCounts(papers, { venue: ['Science'], year: ['2021'] });
+        const science = facets.find(facet => facet.id === 'venue').options.find(o => o.value === 'Science');
+
+        expect(science).toMatchObject({ count: 0, selected: true });
+    });
+});
@@ -0,0 +1,154 @@
+// ============================================================================
+// IDENTIFIER TESTS - Detection and direct lookup of pasted identifiers
+// ============================================================================
+
+import { describe, it, expect } from 'vitest';
+import { http, HttpResponse } from 'msw';
+import { server } from '../mocks/server.js';
+import { detectIdentifier, formatIdentifier, isValidIsbn, parseIdentifierList } from '../../js/identifiers.js';
+import ClientSearchOrchestrator from '../../js/api-clients/orchestrator.js';
+import { getIdentifierSourceIds } from '../../js/api-clients/registry.js';
+
+describe('detectIdentifier', () => {
+    it('should detect DOIs, with or without a prefix or resolver URL', () => {
+        expect(detectIdentifier('10.1038/nature14539')).toEqual({ type: 'doi', value: '10.1038/nature14539' });
+        expect(detectIdentifier('doi:10.1038/nature14539')).toEqual({ type: 'doi', value: '10.1038/nature14539' });
+        expect(detectIdentifier('https://doi.org/10.1038/nature14539.')).toEqual({ type: 'doi', value: '10.1038/nature14539' });
+    });
+
+    it('should detect new- and old-style arXiv IDs and arXiv URLs', () => {
+        expect(detectIdentifier('2106.09685')).toEqual({ type: 'arxiv', value: '2106.09685' });
+        expect(detectIdentifier('arXiv:2106.09685v2')).toEqual({ type: 'arxiv', value: '2106.09685v2' });
+        expect(detectIdentifier('hep-th/9901001')).toEqual({ type: 'arxiv', value: 'hep-th/9901001' });
+        expect(detectIdentifier('https://arxiv.org/pdf/2106.09685.pdf')).toEqual({ type: 'arxiv', value: '2106.09685' });
+    });
+
+    it('should detect prefixed PMIDs and PMCIDs', () => {
+        expect(detectIdentifier('PMID: 31452104')).toEqual({ type: 'pmid', value: '31452104' });
+        expect(detectIdentifier('https://pubmed.ncbi.nlm.nih.gov/31452104/')).toEqual({ type: 'pmid', value: '31452104' });
+        expect(detectIdentifier('pmc6718443')).toEqual({ type: 'pmcid', value: 'PMC6718443' });
+    });
+
+    it('should only detect ISBNs with a valid checksum', () => {
+        expect(detectIdentifier('ISBN 978-0-262-03384-8')).toEqual({ type: 'isbn', value: '9780262033848' });
+        expect(detectIdentifier('0262033844')).toEqual({ type: 'isbn', value: '0262033844' });
+        expect(detectIdentifier('978-0-262-03384-9')).toBeNull();
+        expect(isValidIsbn('080442957X')).toBe(true);
+    });
+
+    it('should leave ordinary queries alone', () => {
+        expect(detectIdentifier('machine learning')).toBeNull();
+        expect(detectIdentifier('31452104')).toBeNull(); // Bare numbers are not assumed to be PMIDs
+        expect(detectIdentifier('')).toBeNull();
+    });
+
+    it('should format identifiers for display', () => {
+        expect(formatIdentifier({ type: 'pmcid', value: 'PMC6718443' })).toBe('PMCID PMC6718443');
+    });
+});
+
+describe('parseIdentifierList', () => {
+    it('should read one identifier per line and drop duplicates', () => {
+        const { identifiers, unrecognized } = parseIdentifierList(
+            '10.1038/nature14539\nPMID: 31452104\n\nhttps://doi.org/10.1038/NATURE14539\nnot an id\n'
+        );
+
+        expect(identifiers).toEqual([
+            { type: 'doi', value: '10.1038/nature14539' },
+            { type: 'pmid', value: '31452104' }
+        ]);
+        expect(unrecognized).toEqual(['not an id']);
+    });
+
+    it('should pick identifiers out of CSV rows and skip header rows', () => {
+        const csv = [
+            'Title,DOI,PMCID',
+            '"Deep learning, revisited","10.1038/nature14539",PMC6718443',
+            'Another paper\t2106.09685'
+        ].join('\r\n');
+
+        const { identifiers, unrecognized } = parseIdentifierList(csv);
+
+        expect(identifiers.map(id => id.type)).toEqual(['doi', 'pmcid', 'arxiv']);
+        expect(unrecognized).toEqual([]);
+    });
+});
+
+describe('Identifier lookup', () => {
+    it('should route each identifier type to the sources that resolve it', () => {
+        expect(getIdentifierSourceIds('doi')).toEqual(['crossref', 'datacite']);
+        expect(getIdentifierSourceIds('arxiv')).toEqual(['arxiv']);
+        expect(getIdentifierSourceIds('pmcid')).toEqual(['pubmed']);
+    });
+
+    it('should resolve a DOI through works/{doi} and treat a 404 as not found', async () => {
+        server.use(
+            http.get('https://api.crossref.org/works/:doi', ({ params }) => HttpResponse.json({
+                message: { DOI: params.doi, title: ['Deep learning'], author: [{ given: 'Yann', family: 'LeCun' }] }
+            })),
+            http.get('https://api.datacite.org/dois/*', () => new HttpResponse(null, { status: 404 }))
+        );
+
+        const orchestrator = new ClientSearchOrchestrator();
+        const result = await orchestrator.lookupIdentifier({ type: 'doi', value: '10.1038/nature14539' });
+
+        expect(result.failed_sources).toEqual([]);
+        expect(result.papers).toHaveLength(1);
+        expect(result.papers[0]).toMatchObject({ doi: '10.1038/nature14539', title: 'Deep learning', source: 'CrossRef' });
+    });
+
+    it('should resolve an arXiv ID through id_list', async () => {
+        let idList = null;
+        server.use(
+            http.get('https://export.arxiv.org/api/query*', ({ request }) => {
+                idList = new URL(request.url).searchParams.get('id_list');
+                return HttpResponse.text(`<?xml version="1.0"?>
+                    <feed xmlns="http://www.w3.org/2005/Atom">
+                        <entry>
+                            <id>http://arxiv.org/abs/2106.09685v2</id>
+                            <title>LoRA</title>
+                            <published>2021-06-17T00:00:00Z</published>
+                            <author><name>Edward Hu</name></author>
+                        </entry>
+                    </feed>`);
+            })
+        );
+
+        const orchestrator = new ClientSearchOrchestrator();
+        const { papers } = await orchestrator.lookupIdentifier({ type: 'arxiv', value: '2106.09685v2' });
+
+        expect(idList).toBe('2106.09685v2');
+        expect(papers).toHaveLength(1);
+        expect(papers[0]).toMatchObject({ title: 'LoRA', source: 'arXiv' });
+    });
+
+    it('should resolve a PMCID to its PMID before fetching the record', async () => {
+        let term = null;
+        let fetchedId = null;
+        server.use(
+            http.get('https://eutils.ncbi.nlm.nih.gov/entrez/eutils/esearch.fcgi*', ({ request }) => {
+                term = new URL(request.url).searchParams.get('term');
+                return HttpResponse.json({ esearchresult: { idlist: ['31452104'], count: '1' } });
+            }),
+            http.get('https://eutils.ncbi.nlm.nih.gov/entrez/eutils/efetch.fcgi*', ({ request }) => {
+                fetchedId = new URL(request.url).searchParams.get('id');
+                return HttpResponse.text(`<?xml version="1.0"?>
+                    <PubmedArticleSet>
+                        <PubmedArticle>
+                            <MedlineCitation>
+                                <PMID>31452104</PMID>
+                                <Article><ArticleTitle>Resolved by PMCID</ArticleTitle></Article>
+                            </MedlineCitation>
+                        </PubmedArticle>
+                    </PubmedArticleSet>`);
+            })
+        );
+
+        const orchestrator = new ClientSearchOrchestrator();
+        const { papers } = await orchestrator.lookupIdentifier({ type: 'pmcid', value: 'PMC6718443' });
+
+        expect(term).toBe('PMC6718443[pmcid]');
+        expect(fetchedId).toBe('31452104');
+        expect(papers[0]).toMatchObject({ title: 'Resolved by PMCID', source: 'PubMed' });
+    });
+});
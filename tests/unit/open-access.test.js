@@ -0,0 +1,124 @@
+// ============================================================================
+// OPEN-ACCESS TESTS - OA status and licence normalization across sources
+// ============================================================================
+
+import { describe, it, expect } from 'vitest';
+import { normalizeOaStatus, normalizeLicense, getOpenAccessInfo } from '../../js/open-access.js';
+import { computeFacetCounts } from '../../js/facets.js';
+import OpenAlexClient from '../../js/api-clients/openalex.js';
+import DOAJClient from '../../js/api-clients/doaj.js';
+import EuropePMCClient from '../../js/api-clients/europepmc.js';
+import ZenodoClient from '../../js/api-clients/zenodo.js';
+import PaperProcessor from '../../js/processing-poc.js';
+
+describe('normalizeLicense', () => {
+    it('should map names, ids and URLs onto the same licence', () => {
+        expect(normalizeLicense('cc-by')).toBe('cc-by');
+        expect(normalizeLicense('CC BY-NC')).toBe('cc-by-nc');
+        expect(normalizeLicense('cc-by-nc-4.0')).toBe('cc-by-nc');
+        expect(normalizeLicense('cc by-nc-nd')).toBe('cc-by-nc-nd');
+        expect(normalizeLicense('https://creativecommons.org/licenses/by-sa/4.0/')).toBe('cc-by-sa');
+        expect(normalizeLicense('CC BY-SA-NC')).toBe('cc-by-nc-sa');
+    });
+
+    it('should recognize public domain dedications and publisher licences', () => {
+        expect(normalizeLicense('cc0-1.0')).toBe('cc0');
+        expect(normalizeLicense('https://creativecommons.org/publicdomain/zero/1.0/')).toBe('cc0');
+        expect(normalizeLicense('Public Domain')).toBe('public-domain');
+        expect(normalizeLicense('publisher-specific-oa')).toBe('publisher-specific');
+        expect(normalizeLicense('elsevier-specific: oa user license')).toBe('publisher-specific');
+        expect(normalizeLicense('mit')).toBe('other');
+    });
+
+    it('should treat missing and implied licences as unknown', () => {
+        expect(normalizeLicense(null)).toBeNull();
+        expect(normalizeLicense('  ')).toBeNull();
+        expect(normalizeLicense('implied-oa')).toBeNull();
+    });
+});
+
+describe('normalizeOaStatus', () => {
+    it('should accept known status types only', () => {
+        expect(normalizeOaStatus('Gold')).toBe('gold');
+        expect(normalizeOaStatus('diamond')).toBe('diamond');
+        expect(normalizeOaStatus('unknown')).toBeNull();
+        expect(normalizeOaStatus(undefined)).toBeNull();
+    });
+});
+
+describe('getOpenAccessInfo', () => {
+    it('should collect every source link in canonical order', () => {
+        const info = getOpenAccessInfo({
+            oa_status: 'green',
+            _source_links: [
+                { source: 'Zenodo', oa_status: 'green', license: 'cc-by-nc' },
+                { source: 'OpenAlex', oa_status: 'hybrid', license: 'cc-by' },
+                { source: 'CrossRef' }
+            ]
+        });
+        expect(info).toEqual({ statuses: ['hybrid', 'green'], licenses: ['cc-by', 'cc-by-nc'] });
+    });
+
+    it('should fall back to the paper itself without source links', () => {
+        expect(getOpenAccessInfo({ oa_status: 'gold', license: 'cc0' })).toEqual({ statuses: ['gold'], licenses: ['cc0'] });
+        expect(getOpenAccessInfo({ title: 'Untyped' })).toEqual({ statuses: [], licenses: [] });
+    });
+
+    it('should keep both sources\' values when duplicates are merged', () => {
+        const processor = new PaperProcessor();
+        const merged = processor.mergePapers(
+            { title: 'Sleep', source: 'DOAJ', oa_status: 'gold', license: 'cc-by' },
+            { title: 'Sleep', source: 'Zenodo', oa_status: 'green', license: 'cc-by-sa' }
+        );
+        expect(merged._source_links.map(link => [link.source, link.oa_status, link.license])).toEqual([
+            ['DOAJ', 'gold', 'cc-by'],
+            ['Zenodo', 'green', 'cc-by-sa']
+        ]);
+        expect(getOpenAccessInfo(merged).licenses).toEqual(['cc-by', 'cc-by-sa']);
+    });
+});
+
+describe('Client OA parsing', () => {
+    it('should read OpenAlex status and best location licence', () => {
+        const [paper] = new OpenAlexClient().parseOpenAlexResponse({
+            results: [{
+                id: 'https://openalex.org/W1',
+                title: 'Sleep',
+                open_access: { is_oa: true, oa_status: 'hybrid' },
+                best_oa_location: { license: 'cc-by-nc-nd' }
+            }]
+        });
+        expect(paper.oa_status).toBe('hybrid');
+        expect(paper.license).toBe('cc-by-nc-nd');
+    });
+
+    it('should read DOAJ, Europe PMC and Zenodo licences', () => {
+        const [doaj] = new DOAJClient().parseDOAJResponse({
+            results: [{ id: 'd1', bibjson: { title: 'Sleep', license: [{ type: 'CC BY-SA' }] } }]
+        });
+        const [europepmc] = new EuropePMCClient().parseEuropePMCResponse({
+            resultList: { result: [{ id: '1', source: 'MED', title: 'Sleep', license: 'cc by' }] }
+        });
+        const [zenodo] = new ZenodoClient().parseZenodoResponse({
+            hits: { hits: [{ id: 1, metadata: { title: 'Sleep', access_right: 'open', license: { id: 'cc-by-4.0' } } }] }
+        });
+
+        expect(doaj).toMatchObject({ oa_status: 'gold', license: 'cc-by-sa' });
+        expect(europepmc.license).toBe('cc-by');
+        expect(zenodo).toMatchObject({ oa_status: 'green', license: 'cc-by' });
+    });
+});
+
+describe('Open access facets', () => {
+    it('should count status types and licences, falling back to open/closed', () => {
+        const facets = computeFacetCounts([
+            { title: 'A', oa_status: 'gold', license: 'cc-by', is_open_access: true },
+            { title: 'B', is_open_access: true },
+            { title: 'C' }
+        ]);
+        const counts = Object.fromEntries(facets.map(facet => [facet.id, facet.options.map(o => [o.label, o.count])]));
+
+        expect(counts.access).toEqual([['Gold', 1], ['Open, type unknown', 1], ['Closed', 1]]);
+        expect(counts.license).toEqual([['CC BY', 1]]);
+    });
+});
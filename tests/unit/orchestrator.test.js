@@ -0,0 +1,110 @@
+// ============================================================================
+// ORCHESTRATOR TESTS - Paging and cancellation across sources
+// ============================================================================
+
+import { describe, it, expect, vi } from 'vitest';
+import { http, HttpResponse, delay } from 'msw';
+import { server } from '../mocks/server.js';
+import ClientSearchOrchestrator from '../../js/api-clients/orchestrator.js';
+import OpenAlexClient from '../../js/api-clients/openalex.js';
+
+/**
+ * Build a fake client whose searchPage is driven by a function
+ * @param {Function} searchPage - (query, limit, cursor, options) -> Promise<{ papers, nextCursor }>
+ * @returns {Object} Client stub
+ */
+function createStubClient(searchPage) {
+    return {
+        booleanSyntax: null,
+        searchPage,
+        filterUnsupportedFields: papers => papers
+    };
+}
+
+describe('Orchestrator pagination', () => {
+    it('should return next cursors and only page sources that have more', async () => {
+        const orchestrator = new ClientSearchOrchestrator();
+        const calls = [];
+        orchestrator.clients = {
+            alpha: createStubClient(async (query, limit, cursor) => {
+                calls.push(['alpha', cursor]);
+                return { papers: [{ title: `alpha ${cursor}` }], nextCursor: cursor === null ? 2 : null };
+            }),
+            beta: createStubClient(async (query, limit, cursor) => {
+                calls.push(['beta', cursor]);
+                return { papers: [{ title: 'beta' }], nextCursor: null };
+            })
+        };
+
+        const first = await orchestrator.searchWithCallbacks('graphs', { sources: ['alpha', 'beta'] });
+        expect(first.next_cursors).toEqual({ alpha: 2 });
+
+        const received = [];
+        const second = await orchestrator.searchNextPage('graphs', first.next_cursors, {
+            onResults: data => received.push(...data.papers)
+        });
+
+        expect(calls).toEqual([['alpha', null], ['beta', null], ['alpha', 2]]);
+        expect(received).toEqual([{ title: 'alpha 2' }]);
+        expect(second.next_cursors).toEqual({});
+    });
+});
+
+describe('Orchestrator cancellation', () => {
+    it('should pass the signal to every client', async () => {
+        const orchestrator = new ClientSearchOrchestrator();
+        const controller = new AbortController();
+        const seenSignals = [];
+        orchestrator.clients = {
+            alpha: createStubClient(async (query, limit, cursor, options) => {
+                seenSignals.push(options.signal);
+                return { papers: [], nextCursor: null };
+            })
+        };
+
+        await orchestrator.searchWithCallbacks('graphs', { sources: ['alpha'], signal: controller.signal });
+        expect(seenSignals).toEqual([controller.signal]);
+    });
+
+    it('should stop calling back once the search is aborted', async () => {
+        const orchestrator = new ClientSearchOrchestrator();
+        const controller = new AbortController();
+        orchestrator.clients = {
+            alpha: createStubClient(async () => {
+                controller.abort(); // Superseded while the request was in flight
+                return { papers: [{ title: 'late' }], nextCursor: 2 };
+            })
+        };
+        const onResults = vi.fn();
+        const onSourceComplete = vi.fn();
+        const onComplete = vi.fn();
+
+        const result = await orchestrator.searchWithCallbacks('graphs', {
+            sources: ['alpha'],
+            signal: controller.signal,
+            onResults,
+            onSourceComplete,
+            onComplete
+        });
+
+        expect(result.aborted).toBe(true);
+        expect(onResults).not.toHaveBeenCalled();
+        expect(onSourceComplete).not.toHaveBeenCalled();
+        expect(onComplete).not.toHaveBeenCalled();
+    });
+
+    it('should reject client requests with an AbortError instead of an empty result', async () => {
+        server.use(
+            http.get('https://api.openalex.org/works*', async () => {
+                await delay(200);
+                return HttpResponse.json({ results: [] });
+            })
+        );
+
+        const controller = new AbortController();
+        const pending = new OpenAlexClient().searchPage('graphs', 5, null, { signal: controller.signal });
+        controller.abort();
+
+        await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+    });
+});
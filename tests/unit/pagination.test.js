@@ -0,0 +1,101 @@
+// ============================================================================
+// PAGINATION TESTS - Cursor paging in API clients
+// ============================================================================
+
+import { describe, it, expect } from 'vitest';
+import { http, HttpResponse } from 'msw';
+import { server } from '../mocks/server.js';
+import OpenAlexClient from '../../js/api-clients/openalex.js';
+import CrossRefClient from '../../js/api-clients/crossref.js';
+import DOAJClient from '../../js/api-clients/doaj.js';
+import UnpaywallClient from '../../js/api-clients/unpaywall.js';
+
+const openAlexWork = (id) => ({
+    id: `https://openalex.org/W${id}`,
+    title: `Paper ${id}`,
+    publication_year: 2020,
+    authorships: []
+});
+
+describe('Client pagination', () => {
+    it('should follow OpenAlex cursors until next_cursor is null', async () => {
+        const seenCursors = [];
+        server.use(
+            http.get('https://api.openalex.org/works*', ({ request }) => {
+                const cursor = new URL(request.url).searchParams.get('cursor');
+                seenCursors.push(cursor);
+                return HttpResponse.json(cursor === '*'
+                    ? { meta: { next_cursor: 'abc' }, results: [openAlexWork(1), openAlexWork(2)] }
+                    : { meta: { next_cursor: null }, results: [openAlexWork(3)] });
+            })
+        );
+
+        const client = new OpenAlexClient();
+        const first = await client.searchPage('graphs', 2);
+        expect(first.papers).toHaveLength(2);
+        expect(first.nextCursor).toBe('abc');
+
+        const second = await client.searchPage('graphs', 2, first.nextCursor);
+        expect(second.papers).toHaveLength(1);
+        expect(second.nextCursor).toBeNull();
+        expect(seenCursors).toEqual(['*', 'abc']);
+    });
+
+    it('should stop CrossRef paging on a short page', async () => {
+        server.use(
+            http.get('https://api.crossref.org/works*', () => HttpResponse.json({
+                message: {
+                    'next-cursor': 'still-there',
+                    items: [{ DOI: '10.1/a', title: ['Only result'] }]
+                }
+            }))
+        );
+
+        const { nextCursor } = await new CrossRefClient().searchPage('graphs', 10);
+        expect(nextCursor).toBeNull();
+    });
+
+    it('should use reported totals for page-numbered APIs', async () => {
+        const pages = [];
+        server.use(
+            http.get('https://doaj.org/api/*', ({ request }) => {
+                pages.push(new URL(request.url).searchParams.get('page'));
+                return HttpResponse.json({
+                    total: 3,
+                    results: [{ bibjson: { title: 'A' } }, { bibjson: { title: 'B' } }]
+                });
+            })
+        );
+
+        const client = new DOAJClient();
+        const first = await client.searchPage('graphs', 2);
+        expect(first.nextCursor).toBe(2);
+
+        const second = await client.searchPage('graphs', 2, first.nextCursor);
+        expect(second.nextCursor).toBeNull();
+        expect(pages).toEqual(['1', '2']);
+    });
+
+    it('should page through Unpaywall results within a fixed 50-result page', async () => {
+        const results = Array.from({ length: 50 }, (_, i) => ({
+            response: { doi: `10.1/${i}`, title: `Paper ${i}` }
+        }));
+        server.use(
+            http.get('https://api.unpaywall.org/*', () => HttpResponse.json({ results }))
+        );
+
+        const client = new UnpaywallClient();
+        const first = await client.searchPage('graphs', 20);
+        expect(first.papers[0].doi).toBe('10.1/0');
+        expect(first.nextCursor).toEqual({ page: 1, offset: 20 });
+
+        const third = await client.searchPage('graphs', 20, { page: 1, offset: 40 });
+        expect(third.papers[0].doi).toBe('10.1/40');
+        expect(third.nextCursor).toEqual({ page: 2, offset: 0 });
+    });
+
+    it('should keep search() returning the first page as an array', async () => {
+        const papers = await new OpenAlexClient().search('graphs', 5);
+        expect(Array.isArray(papers)).toBe(true);
+    });
+});
@@ -0,0 +1,243 @@
+// ============================================================================
+// PROCESSING-PIPELINE TESTS - The worker's message protocol and its in-thread fallback
+// ============================================================================
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ProcessingPipeline, filterAndSortPapers } from '../../js/processing-pipeline.js';
+import { ProcessingClient } from '../../js/processing-client.js';
+import { createPaper } from '../helpers/fixtures.js';
+
+const VIEW_OPTIONS = {
+    pdfOnly: false,
+    relevanceThreshold: 0,
+    scoringComplete: true,
+    yearRange: null,
+    filterQuery: '',
+    sortOrder: 'relevance-desc',
+    selections: {}
+};
+
+const preprint = createPaper({
+    title: 'Attention is all you need: transformers for translation',
+    authors: ['Ashish Vaswani'],
+    year: 2017,
+    doi: '10.48550/arXiv.1706.03762',
+    source: 'arXiv',
+    doc_type: 'preprint'
+});
+
+const published = createPaper({
+    title: 'Attention is all you need',
+    authors: ['Vaswani, Ashish'],
+    year: 2017,
+    doi: '10.5555/nips.2017.7181',
+    source: 'CrossRef',
+    doc_type: 'conference-paper'
+});
+
+describe('ProcessingPipeline', () => {
+    let pipeline;
+
+    beforeEach(() => {
+        pipeline = new ProcessingPipeline();
+        pipeline.handle('reset', { scoringQuery: 'machine learning' });
+    });
+
+    describe('addBatch', () => {
+        it('should return added and merged papers as changes, scored', () => {
+            const paper = createPaper({ doi: '10.1234/a', citation_count: 5 });
+            const first = pipeline.handle('addBatch', { papers: [paper] });
+            const second = pipeline.handle('addBatch', { papers: [{ ...paper, source: 'CrossRef', citation_count: 12 }] });
+
+            expect(first.changes).toHaveLength(1);
+            expect(second.changes).toHaveLength(1);
+            expect(second.changes[0].key).toBe(first.changes[0].key);
+            expect(second.changes[0].paper._merged_count).toBe(2);
+            expect(second.changes[0].paper.citation_count).toBe(12);
+            expect(second.changes[0].paper.relevance_score).toEqual(expect.any(Number));
+            expect(pipeline.papersByKey.size).toBe(1);
+        });
+
+        it('should report the old key of a paper regrouped with its published version', () => {
+            const [{ key: preprintKey }] = pipeline.handle('addBatch', { papers: [preprint] }).changes;
+            const [change] = pipeline.handle('addBatch', { papers: [published] }).changes;
+
+            expect(change.regroupedFrom).toBe(preprintKey);
+            expect(change.key).not.toBe(preprintKey);
+            expect(change.paper.doi).toBe(published.doi);
+            expect(Array.from(pipeline.papersByKey.keys())).toEqual([change.key]);
+        });
+
+        it('should set tag fields on stored records', () => {
+            const tag = { _exact_match: { type: 'doi', value: '10.1234/a' } };
+            const [change] = pipeline.handle('addBatch', { papers: [createPaper({ doi: '10.1234/a' })], tag }).changes;
+
+            expect(change.paper._exact_match).toEqual(tag._exact_match);
+        });
+
+        it('should drop papers that violate a Boolean query', () => {
+            pipeline.handle('reset', { scoringQuery: 'learning NOT deep', isBoolean: true });
+            const { changes } = pipeline.handle('addBatch', {
+                papers: [
+                    createPaper({ doi: '10.1234/a', title: 'Machine learning', abstract: '' }),
+                    createPaper({ doi: '10.1234/b', title: 'Deep learning', abstract: '' })
+                ]
+            });
+
+            expect(changes.map(change => change.paper.doi)).toEqual(['10.1234/a']);
+        });
+    });
+
+    describe('rescore', () => {
+        it('should apply the fields and score the paper with its new text', () => {
+            const [{ key, paper }] = pipeline.handle('addBatch', {
+                papers: [createPaper({ doi: '10.1234/a', title: 'Results', abstract: '' })]
+            }).changes;
+            const { changes } = pipeline.handle('rescore', {
+                papers: [
+                    { key, fields: { abstract: 'Machine learning for machine learning', abstract_source: 'OpenAlex' } },
+                    { key: 'doi:10.1234/unknown', fields: { abstract: 'Gone' } }
+                ]
+            });
+
+            expect(changes).toHaveLength(1);
+            expect(changes[0].paper.abstract_source).toBe('OpenAlex');
+            expect(changes[0].paper.relevance_score).toBeGreaterThan(paper.relevance_score);
+        });
+    });
+
+    describe('filter and sort', () => {
+        it('should return the keys to show, in order, with facet counts', () => {
+            pipeline.handle('addBatch', {
+                papers: [
+                    createPaper({ doi: '10.1234/a', title: 'Gardening', abstract: '', citation_count: 50, year: 2020 }),
+                    createPaper({ doi: '10.1234/b', title: 'Machine learning', abstract: 'Machine learning', citation_count: 1, year: 2021 })
+                ]
+            });
+
+            const view = pipeline.handle('filter', VIEW_OPTIONS);
+            expect(view.keys).toEqual(['doi:10.1234/b', 'doi:10.1234/a']);
+            expect(view.facets.find(facet => facet.id === 'year').options.length).toBe(2);
+            expect(view.options).toEqual(VIEW_OPTIONS);
+
+            const sorted = pipeline.handle('sort', { sortOrder: 'citations-desc' });
+            expect(sorted.keys).toEqual(['doi:10.1234/a', 'doi:10.1234/b']);
+            expect(sorted.options.sortOrder).toBe('citations-desc');
+        });
+
+        it('should match filtering the papers directly', () => {
+            const papers = pipeline.handle('addBatch', {
+                papers: [
+                    createPaper({ doi: '10.1234/a', pdf_url: null, is_open_access: false }),
+                    createPaper({ doi: '10.1234/b', title: 'Another paper', pdf_url: 'https://example.org/b.pdf' })
+                ]
+            }).changes.map(change => change.paper);
+            const options = { ...VIEW_OPTIONS, pdfOnly: true };
+
+            expect(pipeline.handle('filter', options).keys)
+                .toEqual(filterAndSortPapers(papers, options).map(paper => `doi:${paper.doi}`));
+        });
+    });
+
+    describe('rescoreAll', () => {
+        it('should re-score papers scored with IDF from a smaller corpus', () => {
+            const [{ key, paper }] = pipeline.handle('addBatch', {
+                papers: [createPaper({ doi: '10.1234/a', title: 'Machine vision for proteins', abstract: '' })]
+            }).changes;
+            const earlyScore = paper.relevance_score;
+            const topics = ['Gardening', 'Volcanoes', 'Medieval trade', 'Coral reefs', 'Jazz harmony', 'Glaciers'];
+            pipeline.handle('addBatch', {
+                papers: topics.map((topic, i) => createPaper({ doi: `10.1234/other.${i}`, title: topic, abstract: '' }))
+            });
+
+            const { scores } = pipeline.handle('rescoreAll');
+            const rescored = scores.find(score => score.key === key);
+            expect(rescored.relevance_score).toBeGreaterThan(earlyScore);
+            expect(pipeline.papersByKey.get(key).relevance_score).toBe(rescored.relevance_score);
+
+            // Nothing changed since - nothing to send
+            expect(pipeline.handle('rescoreAll').scores).toEqual([]);
+        });
+    });
+
+    describe('explain', () => {
+        it('should explain a stored paper\'s score with the current corpus stats', () => {
+            const [{ key, paper }] = pipeline.handle('addBatch', {
+                papers: [createPaper({ doi: '10.1234/a', title: 'Machine learning', abstract: '' })]
+            }).changes;
+
+            const { explanation } = pipeline.handle('explain', { key });
+            expect(explanation.query).toBe('machine learning');
+            expect(explanation.score).toBe(paper.relevance_score);
+            expect(explanation.terms.map(term => term.fields)).toEqual([['title'], ['title']]);
+
+            expect(pipeline.handle('explain', { key: 'doi:10.1234/unknown' })).toEqual({ explanation: null });
+        });
+    });
+
+    describe('snapshot and reset', () => {
+        it('should restore a cached result set so later pages still dedupe against it', () => {
+            const { changes } = pipeline.handle('addBatch', { papers: [createPaper({ doi: '10.1234/a' })] });
+            const { corpus } = pipeline.handle('snapshot');
+
+            const restored = new ProcessingPipeline();
+            expect(restored.handle('reset', {
+                scoringQuery: 'machine learning',
+                papers: changes.map(change => change.paper)
+            })).toEqual({ size: 1 });
+            expect(restored.handle('snapshot').corpus).toEqual(corpus);
+
+            const [merged] = restored.handle('addBatch', { papers: [createPaper({ doi: '10.1234/A', source: 'CrossRef' })] }).changes;
+            expect(merged.key).toBe(changes[0].key);
+            expect(merged.paper._merged_count).toBe(2);
+        });
+
+        it('should time each message type and count token cache use', () => {
+            pipeline.handle('addBatch', { papers: [createPaper({ doi: '10.1234/a' })] });
+            pipeline.handle('addBatch', { papers: [createPaper({ doi: '10.1234/b', title: 'Another paper' })] });
+            pipeline.handle('rescoreAll');
+
+            const { metrics } = pipeline.handle('snapshot');
+            expect(metrics.timings.addBatch.count).toBe(2);
+            expect(metrics.timings.addBatch.maxMs).toBeGreaterThanOrEqual(metrics.timings.addBatch.lastMs);
+            expect(metrics.timings.rescoreAll.count).toBe(1);
+            expect(metrics.tokenized).toBe(2);
+            expect(metrics.cacheHits).toBeGreaterThan(0);
+
+            pipeline.handle('reset', { scoringQuery: 'machine learning' });
+            expect(Object.keys(pipeline.getMetrics().timings)).toEqual(['reset']);
+        });
+    });
+
+    it('should reject unknown messages', () => {
+        expect(() => pipeline.handle('compact')).toThrow('Unknown processing message: compact');
+    });
+});
+
+describe('ProcessingClient', () => {
+    it('should process in-thread where workers are unavailable', async () => {
+        const client = new ProcessingClient();
+        expect(client.usesWorker).toBe(false);
+
+        await client.request('reset', { scoringQuery: 'machine learning' });
+        const { changes } = await client.request('addBatch', { papers: [createPaper({ doi: '10.1234/a' })] });
+        expect(changes).toHaveLength(1);
+    });
+
+    it('should copy payloads and results, as postMessage does', async () => {
+        const client = new ProcessingClient({ useWorker: false });
+        await client.request('reset', { scoringQuery: 'machine learning' });
+
+        const paper = createPaper({ doi: '10.1234/a', abstract: '<p>Machine learning</p>' });
+        const { changes } = await client.request('addBatch', { papers: [paper] });
+        changes[0].paper.title = 'Changed';
+
+        expect(paper.abstract).toBe('<p>Machine learning</p>');
+        expect(client.pipeline.papersByKey.get(changes[0].key).title).not.toBe('Changed');
+    });
+
+    it('should reject with the pipeline error', async () => {
+        const client = new ProcessingClient({ useWorker: false });
+        await expect(client.request('compact')).rejects.toThrow('Unknown processing message');
+    });
+});
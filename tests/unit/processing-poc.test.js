@@ -3,8 +3,8 @@
 // ============================================================================
 
 import { describe, it, expect, beforeEach } from 'vitest';
-import { FuzzyMatcher, BM25Scorer, PaperProcessor } from '../../js/processing-poc.js';
-import { MOCK_PAPERS, DUPLICATE_PAPER, createPaper } from '../helpers/fixtures.js';
+import { FuzzyMatcher, BM25Scorer, PaperProcessor, DedupeIndex } from '../../js/processing-poc.js';
+import { MOCK_PAPERS, DUPLICATE_PAPER, createPaper, createCorpus } from '../helpers/fixtures.js';
 import { expectValidRelevanceScore, expectValidBM25Scorer } from '../helpers/assertions.js';
 
 describe('FuzzyMatcher', () => {
@@ -87,7 +87,7 @@ describe('BM25Scorer', () => {
         it('should initialize empty corpus statistics', () => {
             expect(bm25.documentFrequency.size).toBe(0);
             expect(bm25.totalDocs).toBe(0);
-            expect(bm25.processedDocIds.size).toBe(0);
+            expect(bm25.documents.size).toBe(0);
         });
     });
 
@@ -100,7 +100,7 @@ describe('BM25Scorer', () => {
 
             expect(bm25.documentFrequency.size).toBe(0);
             expect(bm25.totalDocs).toBe(0);
-            expect(bm25.processedDocIds.size).toBe(0);
+            expect(bm25.documents.size).toBe(0);
         });
     });
 
@@ -127,6 +127,73 @@ describe('BM25Scorer', () => {
         });
     });
 
+    describe('updateDocument', () => {
+        it('should move document frequency from dropped terms to gained ones', () => {
+            const paper = { doi: '10.5555/a', title: 'Protein folding', abstract: null };
+            bm25.updateCorpusStats([paper, { doi: '10.5555/b', title: 'Protein design' }]);
+
+            paper.title = 'Protein structure';
+            paper.abstract = 'Graphene predicts structure';
+            bm25.updateDocument(paper);
+
+            expect(bm25.totalDocs).toBe(2);
+            expect(bm25.documentFrequency.get('protein')).toBe(2);
+            expect(bm25.documentFrequency.get('graphene')).toBe(1);
+            expect(bm25.documentFrequency.has('folde')).toBe(false);
+        });
+
+        it('should add papers it has not seen yet', () => {
+            bm25.updateDocument({ doi: '10.5555/new', title: 'Protein folding' });
+            expect(bm25.totalDocs).toBe(1);
+        });
+
+        it('should pick up text a merge filled in when the corpus is updated', () => {
+            const paper = { doi: '10.5555/a', title: 'Protein folding', abstract: null };
+            bm25.updateCorpusStats([paper]);
+            bm25.updateCorpusStats([{ ...paper, abstract: 'Graphene predicts structure' }]);
+
+            expect(bm25.totalDocs).toBe(1);
+            expect(bm25.documentFrequency.get('graphene')).toBe(1);
+        });
+    });
+
+    describe('token cache', () => {
+        const papers = [
+            { doi: '10.5555/a', title: 'Protein folding models', abstract: 'Structure prediction of proteins' },
+            { doi: '10.5555/b', title: 'Protein design', abstract: null },
+            { title: 'Folding without a DOI', abstract: 'Graphene' }
+        ];
+
+        it('should keep the average document length as a running total', () => {
+            bm25.updateCorpusStats(papers);
+            const lengths = papers.map(paper => bm25.documents.get(bm25.getDocId(paper)).length);
+            expect(bm25.getAverageDocLength()).toBeCloseTo(lengths.reduce((a, b) => a + b) / 3);
+
+            bm25.removeDocument(papers[0]);
+            expect(bm25.totalDocs).toBe(2);
+            expect(bm25.getAverageDocLength()).toBeCloseTo((lengths[1] + lengths[2]) / 2);
+            expect(bm25.documentFrequency.has('predict')).toBe(false);
+        });
+
+        it('should score corpus papers without tokenizing them again', () => {
+            bm25.updateCorpusStats(papers);
+            const before = bm25.score(papers[0], 'protein folding');
+            const { tokenized } = bm25.metrics;
+
+            papers.forEach(paper => bm25.score(paper, 'protein folding'));
+            expect(bm25.metrics.tokenized).toBe(tokenized);
+            expect(bm25.metrics.cacheHits).toBeGreaterThanOrEqual(papers.length);
+            expect(bm25.score(papers[0], 'protein folding')).toBe(before);
+        });
+
+        it('should score a changed paper by its new text', () => {
+            bm25.updateCorpusStats(papers);
+            const changed = { ...papers[1], abstract: 'Protein folding protein folding' };
+
+            expect(bm25.score(changed, 'protein folding', 10)).toBeGreaterThan(bm25.score(papers[1], 'protein folding', 10));
+        });
+    });
+
     describe('calculateIDF', () => {
         it('should return 0 for empty corpus', () => {
             expect(bm25.calculateIDF('test')).toBe(0);
@@ -218,6 +285,95 @@ describe('BM25Scorer', () => {
                 expectValidRelevanceScore(score);
             });
         });
+
+        describe('Boolean queries', () => {
+            const sleepPaper = createPaper({
+                title: 'Sleep deprivation and cognition in adults',
+                abstract: 'We study attention after a night without sleep.'
+            });
+            const mousePaper = createPaper({
+                title: 'Sleep deprivation impairs cognition in mice',
+                abstract: 'Rodent model of memory.'
+            });
+            const scatteredPaper = createPaper({
+                title: 'Deprivation of resources and cognition',
+                abstract: 'Sleep quality is also measured.'
+            });
+
+            beforeEach(() => {
+                bm25.updateCorpusStats([sleepPaper, mousePaper, scatteredPaper]);
+            });
+
+            const query = '("sleep deprivation" OR insomnia) AND cognition NOT mice';
+
+            it('should score papers matching the expression', () => {
+                expect(bm25.score(sleepPaper, query, 100)).toBeGreaterThan(0);
+            });
+
+            it('should score 0 when an excluded term is present', () => {
+                expect(bm25.score(mousePaper, query, 100)).toBe(0);
+                expect(bm25.score(mousePaper, 'sleep -mice', 100)).toBe(0);
+            });
+
+            it('should require phrase words to be adjacent', () => {
+                expect(bm25.score(scatteredPaper, query, 100)).toBe(0);
+                expect(bm25.score(scatteredPaper, 'sleep deprivation cognition', 100)).toBeGreaterThan(0);
+            });
+
+            it('should report expression matches via matchesQuery', () => {
+                expect(bm25.matchesQuery(sleepPaper, query)).toBe(true);
+                expect(bm25.matchesQuery(mousePaper, query)).toBe(false);
+                expect(bm25.matchesQuery(mousePaper, 'unrelated words')).toBe(true);
+            });
+        });
+    });
+
+    describe('explain', () => {
+        const paper = createPaper({
+            title: 'Sleep and memory consolidation',
+            abstract: 'Memory traces replay during sleep.',
+            journal: 'Journal of Sleep Research'
+        });
+
+        beforeEach(() => {
+            bm25.updateCorpusStats([paper, ...MOCK_PAPERS]);
+        });
+
+        it('should break the score into term contributions and boosts', () => {
+            const explanation = bm25.explain(paper, 'memory replay', 100);
+
+            expect(explanation.score).toBe(bm25.score(paper, 'memory replay', 100));
+            expect(explanation.booleanMatch).toBeNull();
+            expect(explanation.bm25).toBeCloseTo(explanation.terms.reduce((sum, term) => sum + term.contribution, 0));
+            expect(explanation.baseScore).toBeCloseTo(explanation.bm25 / explanation.maxBm25 * 100);
+            expect(explanation.boosts).toEqual([{ type: 'title-coverage', points: 30, applied: 30, coverage: 0.5 }]);
+            expect(explanation.score).toBeCloseTo(explanation.baseScore + 30);
+        });
+
+        it('should name the fields each term was found in', () => {
+            const { terms } = bm25.explain(paper, 'sleep replay hippocampus', 100);
+
+            expect(terms.map(term => [term.term, term.fields])).toEqual([
+                ['sleep', ['title', 'abstract', 'journal']],
+                ['replay', ['abstract']],
+                ['hippocampu', []]
+            ]);
+            expect(terms[2]).toMatchObject({ frequency: 0, contribution: 0 });
+        });
+
+        it('should record what a capped boost added', () => {
+            const { boosts, score } = bm25.explain(paper, 'sleep and memory consolidation', 100);
+
+            expect(boosts[0]).toMatchObject({ type: 'title-phrase', points: 100 });
+            expect(boosts[0].applied).toBeLessThan(100);
+            expect(score).toBe(100);
+        });
+
+        it('should report a failed Boolean match', () => {
+            const explanation = bm25.explain(paper, 'sleep NOT memory', 100);
+
+            expect(explanation).toMatchObject({ booleanMatch: false, terms: [], score: 0 });
+        });
     });
 
     describe('getPaperText', () => {
@@ -366,6 +522,26 @@ describe('PaperProcessor', () => {
             expect(deduplicated.length).toBe(1);
             expect(deduplicated[0]._merged_count).toBeGreaterThan(1);
         });
+
+        it('should merge exactly what a scan of every paper would', () => {
+            // Reference: compare each paper with every unique paper so far
+            const linearScan = papers => {
+                const unique = [];
+                papers.forEach(paper => {
+                    const index = unique.findIndex(existing => processor.areDuplicates(existing, paper));
+                    if (index >= 0) unique[index] = processor.mergePapers(unique[index], paper);
+                    else unique.push({ ...paper, _sources: [paper.source], _merged_count: 1 });
+                });
+                return unique;
+            };
+            const summarize = papers => papers.map(paper => `${paper.doi}|${paper._merged_count}|${paper._sources.join(',')}`);
+            const corpus = createCorpus(400);
+
+            const deduplicated = processor.deduplicatePapers(corpus);
+
+            expect(deduplicated.length).toBeLessThan(corpus.length);
+            expect(summarize(deduplicated)).toEqual(summarize(linearScan(corpus)));
+        });
     });
 
     describe('calculateRelevance', () => {
@@ -446,3 +622,48 @@ describe('PaperProcessor', () => {
         });
     });
 });
+
+describe('DedupeIndex', () => {
+    const paper = createPaper({
+        title: 'Sleep spindles consolidate declarative memory',
+        authors: ['Jane Doe'],
+        year: 2020,
+        doi: '10.1234/spindles'
+    });
+    let index;
+
+    beforeEach(() => {
+        index = new DedupeIndex();
+        index.add('a', paper);
+        index.add('b', createPaper({ title: 'Coral reef bleaching under ocean warming', authors: ['Ann Lee'], year: 2020, doi: null }));
+    });
+
+    it('should propose near-identical titles but not unrelated papers', () => {
+        const copy = { title: 'SLEEP SPINDLES CONSOLIDATE DECLARATIVE MEMORY.', authors: [], year: null };
+        const unrelated = { title: 'Volcanic ash dispersion models', authors: [], year: null };
+
+        expect(index.getCandidates(copy).map(c => c.key)).toEqual(['a']);
+        expect(index.getCandidates(unrelated)).toEqual([]);
+    });
+
+    it('should block on first author and nearby years', () => {
+        const reworded = { title: 'How spindles help us remember', authors: ['Doe, J.'], year: 2022 };
+
+        expect(index.getCandidates(reworded).map(c => c.key)).toEqual(['a']);
+        expect(index.getCandidates({ ...reworded, year: 2024 })).toEqual([]);
+    });
+
+    it('should find papers by identifier and by the identifiers they link to', () => {
+        expect(index.getCandidates({ title: 'Other', doi: '10.1234/SPINDLES' }).map(c => c.key)).toEqual(['a']);
+        expect(index.getCandidates({ title: 'Other', related_ids: ['doi:10.1234/spindles'] }).map(c => c.key)).toEqual(['a']);
+    });
+
+    it('should forget removed papers and re-file replaced ones', () => {
+        index.remove('a');
+        expect(index.getCandidates(paper)).toEqual([]);
+
+        index.add('b', { ...paper, title: 'Sleep spindles and memory' });
+        expect(index.size).toBe(1);
+        expect(index.getCandidates({ title: 'Coral reef bleaching under ocean warming' })).toEqual([]);
+    });
+});
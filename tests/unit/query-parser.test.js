@@ -0,0 +1,277 @@
+// ============================================================================
+// QUERY-PARSER TESTS - Unit tests for fielded query syntax
+// ============================================================================
+
+import { describe, it, expect } from 'vitest';
+import {
+    parseQuery,
+    parseYearRange,
+    toParsedQuery,
+    getActiveFields,
+    getKeywordText,
+    getScoringText,
+    buildLuceneQuery,
+    matchesFieldFilters,
+    parseBooleanQuery,
+    evaluateExpression,
+    compileQuery,
+    withYearRange
+} from '../../js/query-parser.js';
+import ArxivClient from '../../js/api-clients/arxiv.js';
+import CrossRefClient from '../../js/api-clients/crossref.js';
+import PubMedClient from '../../js/api-clients/pubmed.js';
+import OpenAlexClient from '../../js/api-clients/openalex.js';
+import UnpaywallClient from '../../js/api-clients/unpaywall.js';
+import { createPaper } from '../helpers/fixtures.js';
+
+describe('parseYearRange', () => {
+    it('should parse single years and closed ranges', () => {
+        expect(parseYearRange('2019')).toEqual({ from: 2019, to: 2019 });
+        expect(parseYearRange('2017..2020')).toEqual({ from: 2017, to: 2020 });
+        expect(parseYearRange('2017-2020')).toEqual({ from: 2017, to: 2020 });
+    });
+
+    it('should parse open-ended ranges', () => {
+        expect(parseYearRange('2017..')).toEqual({ from: 2017, to: null });
+        expect(parseYearRange('..2020')).toEqual({ from: null, to: 2020 });
+        expect(parseYearRange('>=2018')).toEqual({ from: 2018, to: null });
+        expect(parseYearRange('<2018')).toEqual({ from: null, to: 2017 });
+    });
+
+    it('should swap reversed ranges and reject garbage', () => {
+        expect(parseYearRange('2020..2017')).toEqual({ from: 2017, to: 2020 });
+        expect(parseYearRange('recent')).toBeNull();
+    });
+});
+
+describe('parseQuery', () => {
+    it('should extract fields and leave free text', () => {
+        const parsed = parseQuery('author:"Hinton" title:capsule year:2017..2020 venue:NeurIPS routing');
+
+        expect(parsed.text).toBe('routing');
+        expect(parsed.fields.author).toEqual(['Hinton']);
+        expect(parsed.fields.title).toEqual(['capsule']);
+        expect(parsed.fields.venue).toEqual(['NeurIPS']);
+        expect(parsed.fields.year).toEqual({ from: 2017, to: 2020 });
+        expect(parsed.hasFields).toBe(true);
+    });
+
+    it('should support quoted multi-word values and aliases', () => {
+        const parsed = parseQuery('au:"Geoffrey Hinton" journal:"Nature Medicine"');
+        expect(parsed.fields.author).toEqual(['Geoffrey Hinton']);
+        expect(parsed.fields.venue).toEqual(['Nature Medicine']);
+        expect(parsed.text).toBe('');
+    });
+
+    it('should strip doi.org prefixes from DOI values', () => {
+        expect(parseQuery('doi:https://doi.org/10.1038/nature14539').fields.doi).toBe('10.1038/nature14539');
+        expect(parseQuery('doi:10.1038/nature14539').fields.doi).toBe('10.1038/nature14539');
+    });
+
+    it('should keep unknown prefixes and URLs as free text', () => {
+        const parsed = parseQuery('covid: review https://example.org/paper');
+        expect(parsed.text).toBe('covid: review https://example.org/paper');
+        expect(parsed.hasFields).toBe(false);
+    });
+
+    it('should keep invalid year values as free text', () => {
+        const parsed = parseQuery('year:recent climate');
+        expect(parsed.fields.year).toBeNull();
+        expect(parsed.text).toBe('year:recent climate');
+    });
+});
+
+describe('query helpers', () => {
+    const parsed = parseQuery('author:Hinton title:capsule doi:10.1/x routing');
+
+    it('should pass parsed queries through toParsedQuery unchanged', () => {
+        expect(toParsedQuery(parsed)).toBe(parsed);
+        expect(toParsedQuery('plain').text).toBe('plain');
+    });
+
+    it('should list active fields', () => {
+        expect(getActiveFields(parsed)).toEqual(['author', 'title', 'doi']);
+    });
+
+    it('should fold unsupported fields into keyword text', () => {
+        expect(getKeywordText(parsed, ['author', 'title', 'doi'])).toBe('routing');
+        expect(getKeywordText(parsed, [])).toBe('routing capsule Hinton 10.1/x');
+    });
+
+    it('should score on free text and title terms only', () => {
+        expect(getScoringText(parsed)).toBe('routing capsule');
+    });
+
+    it('should build Lucene-style fielded queries', () => {
+        const query = buildLuceneQuery(parseQuery('author:"Jane Doe" year:2020.. sleep'), {
+            author: 'creators.name',
+            year: 'publicationYear'
+        });
+        expect(query).toBe('sleep AND creators.name:"Jane Doe" AND publicationYear:[2020 TO *]');
+    });
+
+    it('should intersect a year range control with year: in the query', () => {
+        const plain = parseQuery('sleep');
+        expect(withYearRange(plain, null)).toBe(plain);
+        expect(withYearRange(plain, { from: 2020, to: null })).toMatchObject({
+            fields: { year: { from: 2020, to: null } },
+            hasFields: true
+        });
+        expect(withYearRange(parseQuery('sleep year:2015..2022'), { from: 2018, to: 2025 }).fields.year)
+            .toEqual({ from: 2018, to: 2022 });
+        expect(plain.fields.year).toBeNull();
+    });
+});
+
+describe('matchesFieldFilters', () => {
+    const paper = createPaper({
+        title: 'Dynamic Routing Between Capsules',
+        authors: ['Sara Sabour', 'Geoffrey Hinton'],
+        journal: 'NeurIPS',
+        year: 2017,
+        doi: '10.5555/3294996'
+    });
+
+    it('should match papers satisfying every field', () => {
+        const parsed = parseQuery('author:hinton title:capsules venue:neurips year:2017..2020 doi:10.5555/3294996');
+        expect(matchesFieldFilters(paper, parsed)).toBe(true);
+    });
+
+    it('should reject papers outside the year range or by other authors', () => {
+        expect(matchesFieldFilters(paper, parseQuery('year:2018..'))).toBe(false);
+        expect(matchesFieldFilters(paper, parseQuery('author:LeCun'))).toBe(false);
+    });
+
+    it('should only check the requested fields', () => {
+        expect(matchesFieldFilters(paper, parseQuery('author:LeCun year:2017'), ['year'])).toBe(true);
+    });
+});
+
+describe('Per-source query translation', () => {
+    const parsed = parseQuery('author:"Hinton" title:capsule year:2017..2020 venue:NeurIPS');
+
+    it('should use arXiv field prefixes', () => {
+        const query = new ArxivClient().buildSearchQuery(parsed);
+        expect(query).toContain('au:Hinton');
+        expect(query).toContain('ti:capsule');
+        expect(query).toContain('jr:NeurIPS');
+        expect(query).toContain('submittedDate:[201701010000 TO 202012312359]');
+        expect(query).not.toContain('all:');
+    });
+
+    it('should use CrossRef field queries and date filters', () => {
+        const params = new CrossRefClient().buildQueryParams(parsed);
+        expect(params['query.author']).toBe('Hinton');
+        expect(params['query.container-title']).toBe('NeurIPS');
+        expect(params.filter).toBe('from-pub-date:2017,until-pub-date:2020');
+    });
+
+    it('should use PubMed field tags', () => {
+        const term = new PubMedClient().buildSearchTerm(parsed);
+        expect(term).toContain('"Hinton"[au]');
+        expect(term).toContain('"capsule"[ti]');
+        expect(term).toContain('2017:2020[dp]');
+    });
+
+    it('should use OpenAlex filters and fold venue into search text', () => {
+        const params = new OpenAlexClient().buildQueryParams(parsed);
+        expect(params.search).toBe('NeurIPS');
+        expect(params.filter).toContain('raw_author_name.search:Hinton');
+        expect(params.filter).toContain('publication_year:2017-2020');
+    });
+
+    it('should post-filter fields a source cannot express', () => {
+        const client = new UnpaywallClient();
+        const papers = [
+            createPaper({ authors: ['Geoffrey Hinton'], title: 'Capsule networks', journal: 'NeurIPS', year: 2018 }),
+            createPaper({ authors: ['Yann LeCun'], title: 'Capsule networks', journal: 'NeurIPS', year: 2018 })
+        ];
+
+        const filtered = client.filterUnsupportedFields(papers, parsed);
+        expect(filtered).toHaveLength(1);
+        expect(filtered[0].authors).toContain('Geoffrey Hinton');
+    });
+});
+
+describe('Boolean queries', () => {
+    const librarianQuery = '("sleep deprivation" OR insomnia) AND cognition NOT mice';
+
+    it('should parse operators, phrases and grouping', () => {
+        const { expression, isBoolean } = parseBooleanQuery(librarianQuery);
+
+        expect(isBoolean).toBe(true);
+        expect(expression).toEqual({
+            type: 'and',
+            children: [
+                {
+                    type: 'or',
+                    children: [
+                        { type: 'phrase', value: 'sleep deprivation' },
+                        { type: 'term', value: 'insomnia' }
+                    ]
+                },
+                { type: 'term', value: 'cognition' },
+                { type: 'not', child: { type: 'term', value: 'mice' } }
+            ]
+        });
+    });
+
+    it('should treat plain keywords as non-Boolean', () => {
+        const { expression, isBoolean } = parseBooleanQuery('machine learning or and');
+        expect(isBoolean).toBe(false);
+        expect(expression.children).toHaveLength(4);
+    });
+
+    it('should support -term negation and tolerate malformed input', () => {
+        expect(parseBooleanQuery('cats -dogs').expression.children[1]).toEqual({
+            type: 'not',
+            child: { type: 'term', value: 'dogs' }
+        });
+        expect(() => parseBooleanQuery('(a OR ) b) AND NOT')).not.toThrow();
+        expect(parseBooleanQuery('"unterminated phrase').expression).toEqual({
+            type: 'phrase',
+            value: 'unterminated phrase'
+        });
+    });
+
+    it('should evaluate expressions with a leaf matcher', () => {
+        const { expression } = parseBooleanQuery(librarianQuery);
+        const present = words => leaf => words.includes(leaf.value);
+
+        expect(evaluateExpression(expression, present(['insomnia', 'cognition']))).toBe(true);
+        expect(evaluateExpression(expression, present(['insomnia', 'cognition', 'mice']))).toBe(false);
+        expect(evaluateExpression(expression, present(['cognition']))).toBe(false);
+    });
+
+    it('should compile to each source syntax', () => {
+        const parsed = parseQuery(librarianQuery);
+
+        expect(compileQuery(parsed, 'boolean').text)
+            .toBe('("sleep deprivation" OR insomnia) AND cognition NOT mice');
+        expect(compileQuery(parsed, 'lucene').text)
+            .toBe('("sleep deprivation" OR insomnia) AND cognition AND NOT mice');
+        expect(compileQuery(parsed, 'arxiv').text)
+            .toBe('(all:"sleep deprivation" OR all:insomnia) AND all:cognition ANDNOT all:mice');
+    });
+
+    it('should reduce to positive terms for keyword-only sources', () => {
+        expect(compileQuery(parseQuery(librarianQuery), null).text)
+            .toBe('sleep deprivation insomnia cognition');
+    });
+
+    it('should leave plain queries untouched', () => {
+        const parsed = parseQuery('machine learning');
+        expect(compileQuery(parsed, 'boolean')).toBe(parsed);
+    });
+
+    it('should keep top-level OR grouped when combined with field clauses', () => {
+        const parsed = compileQuery(parseQuery('sleep OR insomnia author:Walker'), 'boolean');
+        expect(new PubMedClient().buildSearchTerm(parsed)).toBe('(sleep OR insomnia) AND "Walker"[au]');
+    });
+
+    it('should not double-prefix compiled arXiv queries', () => {
+        const client = new ArxivClient();
+        const query = client.buildSearchQuery(client.parseQuery('"dark matter" NOT axion'));
+        expect(query).toBe('all:"dark matter" ANDNOT all:axion');
+    });
+});
@@ -0,0 +1,138 @@
+// ============================================================================
+// RATE LIMITER TESTS - Token buckets per API host
+// ============================================================================
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { http, HttpResponse } from 'msw';
+import { server } from '../mocks/server.js';
+import { RateLimiter, TokenBucket, sharedRateLimiter } from '../../js/api-clients/rate-limiter.js';
+import PubMedClient, { NCBI_API_KEY_STORAGE_KEY } from '../../js/api-clients/pubmed.js';
+import { getNcbiApiKey, setNcbiApiKey } from '../../js/api.js';
+
+/**
+ * Track when each acquire() resolves
+ * @param {Array<Promise>} promises - Pending acquisitions
+ * @returns {Array<boolean>} Live array of settled flags
+ */
+function trackSettled(promises) {
+    const settled = promises.map(() => false);
+    promises.forEach((promise, i) => promise.then(() => { settled[i] = true; }, () => {}));
+    return settled;
+}
+
+describe('TokenBucket', () => {
+    beforeEach(() => {
+        vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('should allow a burst, then space requests at the sustained rate', async () => {
+        const bucket = new TokenBucket({ requestsPerSecond: 3 });
+        const settled = trackSettled([1, 2, 3, 4, 5].map(() => bucket.acquire()));
+
+        await vi.advanceTimersByTimeAsync(0);
+        expect(settled).toEqual([true, true, true, false, false]);
+
+        await vi.advanceTimersByTimeAsync(334);
+        expect(settled).toEqual([true, true, true, true, false]);
+
+        await vi.advanceTimersByTimeAsync(334);
+        expect(settled.every(Boolean)).toBe(true);
+    });
+
+    it('should drop cancelled requests from the queue without using a token', async () => {
+        const bucket = new TokenBucket({ requestsPerSecond: 1, burst: 1 });
+        await bucket.acquire();
+
+        const controller = new AbortController();
+        const cancelled = bucket.acquire(controller.signal);
+        const next = bucket.acquire();
+        const settled = trackSettled([next]);
+
+        controller.abort();
+        await expect(cancelled).rejects.toMatchObject({ name: 'AbortError' });
+        expect(bucket.pending).toBe(1);
+
+        await vi.advanceTimersByTimeAsync(1000);
+        expect(settled).toEqual([true]);
+    });
+
+    it('should reject immediately when already aborted', async () => {
+        const bucket = new TokenBucket({ requestsPerSecond: 1 });
+        await expect(bucket.acquire(AbortSignal.abort())).rejects.toMatchObject({ name: 'AbortError' });
+    });
+});
+
+describe('RateLimiter', () => {
+    it('should keep a separate bucket per host', async () => {
+        const limiter = new RateLimiter();
+        const limits = { requestsPerSecond: 1, burst: 1 };
+
+        await limiter.acquire('a.example.org', limits);
+        await limiter.acquire('b.example.org', limits);
+
+        const queued = limiter.acquire('a.example.org', limits);
+        expect(limiter.getPending('a.example.org')).toBe(1);
+        expect(limiter.getPending('b.example.org')).toBe(0);
+
+        limiter.reset();
+        await expect(queued).rejects.toMatchObject({ name: 'AbortError' });
+    });
+
+    it('should not limit hosts without configured limits', async () => {
+        const limiter = new RateLimiter();
+        await Promise.all([1, 2, 3, 4, 5].map(() => limiter.acquire('free.example.org', null)));
+        expect(limiter.buckets.size).toBe(0);
+    });
+});
+
+describe('PubMed rate limiting', () => {
+    afterEach(() => {
+        localStorage.removeItem(NCBI_API_KEY_STORAGE_KEY);
+        sharedRateLimiter.reset();
+    });
+
+    it('should share one NCBI bucket across client instances', async () => {
+        const first = new PubMedClient();
+        const second = new PubMedClient();
+
+        // Two searches = 4 E-utilities requests against a burst of 3: the last one waits for a refill
+        await first.searchPage('graphs');
+        const start = Date.now();
+        await second.searchPage('graphs');
+
+        expect(Date.now() - start).toBeGreaterThanOrEqual(250);
+    });
+
+    it('should raise the limit and send the key when an API key is set', async () => {
+        localStorage.setItem(NCBI_API_KEY_STORAGE_KEY, 'secret-key');
+        const keys = [];
+        server.use(
+            http.get('https://eutils.ncbi.nlm.nih.gov/entrez/eutils/esearch.fcgi', ({ request }) => {
+                keys.push(new URL(request.url).searchParams.get('api_key'));
+                return HttpResponse.json({ esearchresult: { idlist: [], count: '0' } });
+            })
+        );
+
+        const client = new PubMedClient();
+        expect(client.rateLimit.requestsPerSecond).toBe(10);
+
+        await client.searchPage('graphs');
+        expect(keys).toEqual(['secret-key']);
+
+        client.setApiKey(null);
+        expect(client.rateLimit.requestsPerSecond).toBe(3);
+    });
+
+    it('should save a key from the settings and apply it to the live client', async () => {
+        expect(await setNcbiApiKey(' settings-key ')).toBe('settings-key');
+        expect(localStorage.getItem(NCBI_API_KEY_STORAGE_KEY)).toBe('settings-key');
+        expect(await getNcbiApiKey()).toBe('settings-key');
+
+        expect(await setNcbiApiKey('')).toBeNull();
+        expect(localStorage.getItem(NCBI_API_KEY_STORAGE_KEY)).toBeNull();
+    });
+});
@@ -0,0 +1,128 @@
+// ============================================================================
+// REFERENCE TESTS - Citation parsing, bibliography splitting and match confidence
+// ============================================================================
+
+import { describe, it, expect } from 'vitest';
+import { http, HttpResponse } from 'msw';
+import { server } from '../mocks/server.js';
+import { parseReference, splitReferences, scoreReferenceMatch, getSurname } from '../../js/references.js';
+import ClientSearchOrchestrator from '../../js/api-clients/orchestrator.js';
+
+describe('parseReference', () => {
+    it('should parse Vancouver citations', () => {
+        const reference = parseReference('LeCun Y, Bengio Y, Hinton G. Deep learning. Nature. 2015 May 28;521(7553):436-44.');
+
+        expect(reference).toMatchObject({
+            authors: ['LeCun Y', 'Bengio Y', 'Hinton G'],
+            year: 2015,
+            title: 'Deep learning',
+            venue: 'Nature',
+            volume: '521',
+            issue: '7553',
+            pages: '436-44'
+        });
+    });
+
+    it('should parse "et al." and surname particles', () => {
+        expect(parseReference('Smith J, et al. Deep learning for X. Nature. 2019;12:34-56.')).toMatchObject({
+            authors: ['Smith J'], title: 'Deep learning for X', venue: 'Nature', year: 2019
+        });
+        expect(parseReference('van der Berg JA, Doe A. A review. Lancet. 2020;1:1-2.').authors).toEqual(['van der Berg JA', 'Doe A']);
+    });
+
+    it('should parse APA citations with a DOI', () => {
+        const reference = parseReference('Smith, J., & Doe, A. B. (2019). Deep learning for X. Nature, 12(3), 34–56. https://doi.org/10.1038/abc.123');
+
+        expect(reference).toMatchObject({
+            authors: ['Smith, J.', 'Doe, A. B.'],
+            year: 2019,
+            title: 'Deep learning for X',
+            venue: 'Nature',
+            pages: '34-56',
+            doi: '10.1038/abc.123'
+        });
+    });
+
+    it('should parse IEEE citations with quoted titles and drop list numbering', () => {
+        const reference = parseReference('[3] J. Smith and A. Doe, "Deep learning for X," in Proc. CVPR, vol. 12, no. 3, pp. 34–56, 2019.');
+
+        expect(reference).toMatchObject({
+            raw: 'J. Smith and A. Doe, "Deep learning for X," in Proc. CVPR, vol. 12, no. 3, pp. 34–56, 2019.',
+            authors: ['J. Smith', 'A. Doe'],
+            title: 'Deep learning for X',
+            venue: 'Proc. CVPR',
+            volume: '12',
+            issue: '3',
+            year: 2019
+        });
+    });
+
+    it('should keep a title ending in a question mark', () => {
+        expect(parseReference('Vaswani, A., Shazeer, N., et al. (2017). Attention is all you need? NeurIPS, 30.').title)
+            .toBe('Attention is all you need?');
+    });
+});
+
+describe('splitReferences', () => {
+    it('should join wrapped lines of numbered entries', () => {
+        const text = '1. Smith J. First paper.\n   Nature. 2019.\n2. Doe A. Second paper. Science. 2020.';
+        expect(splitReferences(text)).toEqual([
+            'Smith J. First paper. Nature. 2019.',
+            'Doe A. Second paper. Science. 2020.'
+        ]);
+    });
+
+    it('should split on blank lines, or else one entry per line', () => {
+        expect(splitReferences('Smith J. First\npaper.\n\nDoe A. Second paper.')).toEqual([
+            'Smith J. First paper.',
+            'Doe A. Second paper.'
+        ]);
+        expect(splitReferences('Smith J. First paper.\nDoe A. Second paper.\n')).toHaveLength(2);
+    });
+});
+
+describe('scoreReferenceMatch', () => {
+    const reference = parseReference('LeCun Y, Bengio Y, Hinton G. Deep learning. Nature. 2015;521:436-44.');
+
+    it('should be confident when title, year and first author agree', () => {
+        const paper = { title: 'Deep learning', year: 2015, authors: ['Yann LeCun', 'Yoshua Bengio'] };
+        expect(scoreReferenceMatch(reference, paper)).toBe(1);
+    });
+
+    it('should give partial credit for an off-by-one year and penalize other titles', () => {
+        const nearMiss = { title: 'Deep learning', year: 2016, authors: ['Someone Else'] };
+        const unrelated = { title: 'Protein folding with transformers', year: 2015, authors: ['Yann LeCun'] };
+
+        expect(scoreReferenceMatch(reference, nearMiss)).toBe(0.7);
+        expect(scoreReferenceMatch(reference, unrelated)).toBeLessThan(0.5);
+    });
+
+    it('should trust a matching DOI outright', () => {
+        expect(scoreReferenceMatch({ ...reference, doi: '10.1038/NATURE14539' }, { doi: '10.1038/nature14539' })).toBe(1);
+    });
+
+    it('should find surnames in either name order', () => {
+        expect(getSurname('LeCun Y')).toBe('LeCun');
+        expect(getSurname('J. A. Smith')).toBe('Smith');
+        expect(getSurname('Doe, A. B.')).toBe('Doe');
+    });
+});
+
+describe('Reference matching', () => {
+    it('should send the raw citation to CrossRef query.bibliographic', async () => {
+        let bibliographic = null;
+        server.use(
+            http.get('https://api.crossref.org/works', ({ request }) => {
+                bibliographic = new URL(request.url).searchParams.get('query.bibliographic');
+                return HttpResponse.json({ message: { items: [{ DOI: '10.1038/nature14539', title: ['Deep learning'] }] } });
+            })
+        );
+
+        const orchestrator = new ClientSearchOrchestrator();
+        const { papers, failed_sources } = await orchestrator.matchReference('LeCun Y. Deep learning. Nature. 2015.');
+
+        expect(bibliographic).toBe('LeCun Y. Deep learning. Nature. 2015.');
+        expect(failed_sources).toEqual([]);
+        expect(papers[0]).toMatchObject({ doi: '10.1038/nature14539', title: 'Deep learning' });
+    });
+});
@@ -0,0 +1,144 @@
+// ============================================================================
+// RETRY TESTS - Backoff, Retry-After and deadlines in API clients
+// ============================================================================
+
+import { describe, it, expect, vi } from 'vitest';
+import { http, HttpResponse } from 'msw';
+import { server } from '../mocks/server.js';
+import ClientSearchOrchestrator from '../../js/api-clients/orchestrator.js';
+import OpenAlexClient from '../../js/api-clients/openalex.js';
+import { HttpError, RateLimitError } from '../../js/api-clients/errors.js';
+
+const OPENALEX_URL = 'https://api.openalex.org/works*';
+
+/**
+ * OpenAlex client with near-instant backoff
+ * @returns {OpenAlexClient}
+ */
+function createFastRetryClient() {
+    const client = new OpenAlexClient();
+    client.retryPolicy = { ...client.retryPolicy, baseDelayMs: 1, maxDelayMs: 5 };
+    return client;
+}
+
+/**
+ * Respond with the given statuses in order, then succeed
+ * @param {Array<Response>} failures - Responses to return before succeeding
+ * @returns {Object} { calls } - Request counter
+ */
+function failThenSucceed(failures) {
+    const counter = { calls: 0 };
+    server.use(
+        http.get(OPENALEX_URL, () => {
+            const failure = failures[counter.calls++];
+            return failure ?? HttpResponse.json({ meta: { next_cursor: null }, results: [] });
+        })
+    );
+    return counter;
+}
+
+describe('Client retries', () => {
+    it('should retry 503s and report each retry', async () => {
+        const counter = failThenSucceed([
+            new HttpResponse(null, { status: 503 }),
+            new HttpResponse(null, { status: 503 })
+        ]);
+        const onRetry = vi.fn();
+
+        const { papers } = await createFastRetryClient().searchPage('graphs', 10, null, { onRetry });
+
+        expect(papers).toEqual([]);
+        expect(counter.calls).toBe(3);
+        expect(onRetry.mock.calls.map(([retry]) => [retry.attempt, retry.maxAttempts, retry.reason]))
+            .toEqual([[2, 3, 'HTTP 503'], [3, 3, 'HTTP 503']]);
+    });
+
+    it('should give up after maxAttempts with a typed error', async () => {
+        const counter = failThenSucceed(Array.from({ length: 5 }, () => new HttpResponse(null, { status: 500 })));
+
+        await expect(createFastRetryClient().searchPage('graphs')).rejects.toBeInstanceOf(HttpError);
+        expect(counter.calls).toBe(3);
+    });
+
+    it('should not retry client errors', async () => {
+        const counter = failThenSucceed([new HttpResponse(null, { status: 400 })]);
+
+        await expect(createFastRetryClient().searchPage('graphs')).rejects.toBeInstanceOf(HttpError);
+        expect(counter.calls).toBe(1);
+    });
+
+    it('should wait for Retry-After instead of the computed backoff', async () => {
+        failThenSucceed([new HttpResponse(null, { status: 429, headers: { 'Retry-After': '0' } })]);
+        const onRetry = vi.fn();
+
+        await createFastRetryClient().searchPage('graphs', 10, null, { onRetry });
+        expect(onRetry.mock.calls[0][0].delayMs).toBe(0);
+    });
+
+    it('should not schedule a retry past the deadline', async () => {
+        const counter = failThenSucceed([new HttpResponse(null, { status: 429, headers: { 'Retry-After': '60' } })]);
+
+        const error = await createFastRetryClient()
+            .searchPage('graphs', 10, null, { deadline: Date.now() + 1000 })
+            .catch(e => e);
+
+        expect(error).toBeInstanceOf(RateLimitError);
+        expect(error.retryAfter).toBe(60000);
+        expect(counter.calls).toBe(1);
+    });
+
+    it('should only retry idempotent methods', async () => {
+        let calls = 0;
+        server.use(
+            http.post('https://example.org/submit', () => {
+                calls++;
+                return new HttpResponse(null, { status: 503 });
+            })
+        );
+
+        const response = await createFastRetryClient().fetchWithRetry('https://example.org/submit', { method: 'POST' });
+        expect(response.status).toBe(503);
+        expect(calls).toBe(1);
+    });
+
+    it('should keep backoff jittered and capped', () => {
+        const client = new OpenAlexClient();
+        client.retryPolicy = { ...client.retryPolicy, baseDelayMs: 1000, maxDelayMs: 3000 };
+
+        for (let i = 0; i < 20; i++) {
+            const first = client.getBackoffDelay(1);
+            expect(first).toBeGreaterThanOrEqual(500);
+            expect(first).toBeLessThanOrEqual(1000);
+            expect(client.getBackoffDelay(5)).toBeLessThanOrEqual(3000);
+        }
+    });
+
+    it('should cancel a pending backoff when the search is aborted', async () => {
+        failThenSucceed([new HttpResponse(null, { status: 503, headers: { 'Retry-After': '30' } })]);
+        const controller = new AbortController();
+
+        const pending = createFastRetryClient().searchPage('graphs', 10, null, {
+            signal: controller.signal,
+            onRetry: () => controller.abort()
+        });
+
+        await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+    });
+});
+
+describe('Orchestrator retry reporting', () => {
+    it('should report retries per source through onSourceRetry', async () => {
+        failThenSucceed([new HttpResponse(null, { status: 503 })]);
+        const orchestrator = new ClientSearchOrchestrator();
+        orchestrator.clients = { openalex: createFastRetryClient() };
+        const retries = [];
+
+        await orchestrator.searchWithCallbacks('graphs', {
+            sources: ['openalex'],
+            onSourceRetry: data => retries.push(data)
+        });
+
+        expect(retries).toHaveLength(1);
+        expect(retries[0]).toMatchObject({ source: 'openalex', name: 'OpenAlex', attempt: 2, maxAttempts: 3 });
+    });
+});
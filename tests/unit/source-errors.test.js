@@ -0,0 +1,182 @@
+// ============================================================================
+// SOURCE ERROR TESTS - Typed client failures and per-source reporting
+// ============================================================================
+
+import { describe, it, expect } from 'vitest';
+import { http, HttpResponse } from 'msw';
+import { server } from '../mocks/server.js';
+import ClientSearchOrchestrator from '../../js/api-clients/orchestrator.js';
+import OpenAlexClient from '../../js/api-clients/openalex.js';
+import ArxivClient from '../../js/api-clients/arxiv.js';
+import {
+    TimeoutError,
+    RateLimitError,
+    HttpError,
+    ParseError,
+    NetworkError,
+    parseRetryAfter
+} from '../../js/api-clients/errors.js';
+import { updateResultsSummary } from '../../js/rendering.js';
+import { setSourceFailures, setSourcesCompleted, setTotalSources } from '../../js/state.js';
+
+describe('parseRetryAfter', () => {
+    it('should parse delta-seconds and HTTP dates', () => {
+        expect(parseRetryAfter('30')).toBe(30000);
+        const now = Date.parse('2024-01-01T00:00:00Z');
+        expect(parseRetryAfter('Mon, 01 Jan 2024 00:00:10 GMT', now)).toBe(10000);
+    });
+
+    it('should return null for missing or invalid values', () => {
+        expect(parseRetryAfter(null)).toBeNull();
+        expect(parseRetryAfter('soon')).toBeNull();
+    });
+});
+
+/**
+ * OpenAlex client with retries disabled, so a single failure surfaces immediately
+ * @returns {OpenAlexClient}
+ */
+function createSingleAttemptClient() {
+    const client = new OpenAlexClient();
+    client.retryPolicy = { ...client.retryPolicy, maxAttempts: 1 };
+    return client;
+}
+
+describe('Client errors', () => {
+    it('should throw RateLimitError with the Retry-After delay on 429', async () => {
+        server.use(
+            http.get('https://api.openalex.org/works*', () =>
+                new HttpResponse(null, { status: 429, headers: { 'Retry-After': '12' } }))
+        );
+
+        const error = await createSingleAttemptClient().searchPage('graphs').catch(e => e);
+        expect(error).toBeInstanceOf(RateLimitError);
+        expect(error.type).toBe('rate_limit');
+        expect(error.retryAfter).toBe(12000);
+        expect(error.source).toBe('OpenAlex');
+    });
+
+    it('should throw HttpError for other non-2xx statuses', async () => {
+        server.use(
+            http.get('https://api.openalex.org/works*', () => new HttpResponse(null, { status: 503 }))
+        );
+
+        const error = await createSingleAttemptClient().searchPage('graphs').catch(e => e);
+        expect(error).toBeInstanceOf(HttpError);
+        expect(error.status).toBe(503);
+    });
+
+    it('should throw ParseError for invalid JSON and malformed XML', async () => {
+        server.use(
+            http.get('https://api.openalex.org/works*', () => new HttpResponse('<html>oops', {
+                headers: { 'Content-Type': 'application/json' }
+            })),
+            http.get('https://export.arxiv.org/api/query*', () => new HttpResponse('<feed><entry>', {
+                headers: { 'Content-Type': 'application/atom+xml' }
+            }))
+        );
+
+        await expect(new OpenAlexClient().searchPage('graphs')).rejects.toBeInstanceOf(ParseError);
+        await expect(new ArxivClient().searchPage('graphs')).rejects.toBeInstanceOf(ParseError);
+    });
+
+    it('should throw NetworkError when the request fails outright', async () => {
+        server.use(
+            http.get('https://api.openalex.org/works*', () => HttpResponse.error())
+        );
+
+        const error = await createSingleAttemptClient().searchPage('graphs').catch(e => e);
+        expect(error).toBeInstanceOf(NetworkError);
+        expect(error.type).toBe('network');
+    });
+
+    it('should throw TimeoutError when the client timeout fires', async () => {
+        server.use(
+            http.get('https://api.openalex.org/works*', () => new Promise(() => {}))
+        );
+
+        const client = new OpenAlexClient();
+        client.timeout = 20;
+        const error = await client.searchPage('graphs').catch(e => e);
+        expect(error).toBeInstanceOf(TimeoutError);
+        expect(error.message).toBe('OpenAlex request timeout after 20ms');
+    });
+});
+
+describe('Orchestrator source failures', () => {
+    function createOrchestrator() {
+        const orchestrator = new ClientSearchOrchestrator();
+        orchestrator.clients = {
+            good: {
+                name: 'Good',
+                booleanSyntax: null,
+                searchPage: async () => ({ papers: [{ title: 'ok' }], nextCursor: null }),
+                filterUnsupportedFields: papers => papers
+            },
+            limited: {
+                name: 'Limited',
+                booleanSyntax: null,
+                searchPage: async () => { throw new RateLimitError('Limited', 30000); },
+                filterUnsupportedFields: papers => papers
+            }
+        };
+        return orchestrator;
+    }
+
+    it('should report a structured failure per source', async () => {
+        const completions = [];
+        const result = await createOrchestrator().searchWithCallbacks('graphs', {
+            sources: ['good', 'limited'],
+            onSourceComplete: data => completions.push(data)
+        });
+
+        const expected = {
+            source: 'limited',
+            name: 'Limited',
+            type: 'rate_limit',
+            message: 'Limited rate limited (retry after 30s)',
+            status: 429,
+            retryAfter: 30000
+        };
+        expect(result.failed_sources).toEqual([expected]);
+        expect(completions.find(c => c.source === 'limited').failure).toEqual(expected);
+        expect(completions.find(c => c.source === 'good').failure).toBeUndefined();
+    });
+
+    it('should include failed_sources in search() results', async () => {
+        const result = await createOrchestrator().search('graphs', { sources: ['good', 'limited'] });
+        expect(result.papers).toHaveLength(1);
+        expect(result.failed_sources.map(f => f.type)).toEqual(['rate_limit']);
+    });
+
+    it('should classify unexpected errors as unknown', async () => {
+        const orchestrator = createOrchestrator();
+        orchestrator.clients.limited.searchPage = async () => { throw new Error('boom'); };
+
+        const result = await orchestrator.search('graphs', { sources: ['limited'] });
+        expect(result.failed_sources[0]).toMatchObject({ type: 'unknown', message: 'boom' });
+    });
+});
+
+describe('Results summary failures', () => {
+    it('should list failed sources and why', () => {
+        document.body.innerHTML = '<div id="results"></div>';
+        setTotalSources(3);
+        setSourcesCompleted(3);
+        setSourceFailures([
+            { source: 'pubmed', name: 'PubMed', type: 'rate_limit', status: 429, retryAfter: 5000 },
+            { source: 'arxiv', name: 'arXiv', type: 'timeout', status: null, retryAfter: null }
+        ]);
+
+        updateResultsSummary(4, true);
+
+        const failures = document.querySelector('.results-summary-failures');
+        expect(failures.textContent).toContain('2 sources failed');
+        expect(failures.textContent).toContain('PubMed — rate limited (retry in 5s)');
+        expect(failures.textContent).toContain('arXiv — timed out');
+
+        setSourceFailures([]);
+        updateResultsSummary(4, true);
+        expect(document.querySelector('.results-summary-failures')).toBeNull();
+    });
+});
@@ -0,0 +1,155 @@
+// ============================================================================
+// SOURCE HEALTH TESTS - Rolling stats and circuit breaker per source
+// ============================================================================
+
+import { describe, it, expect, vi } from 'vitest';
+import ClientSearchOrchestrator from '../../js/api-clients/orchestrator.js';
+import {
+    SourceHealthTracker,
+    CIRCUIT_CLOSED,
+    CIRCUIT_OPEN,
+    CIRCUIT_HALF_OPEN,
+    percentile
+} from '../../js/api-clients/source-health.js';
+import { renderSourceStatusPanel } from '../../js/ui.js';
+
+/**
+ * In-memory stand-in for the IndexedDB store
+ * @param {Array} saved - Records returned by loadAll
+ * @returns {Object} Store with a save spy
+ */
+function createMemoryStore(saved = []) {
+    return {
+        loadAll: async () => saved,
+        save: vi.fn(async () => {})
+    };
+}
+
+/**
+ * Tracker with a short threshold and cool-down
+ * @param {Object} options - Tracker option overrides
+ * @returns {SourceHealthTracker}
+ */
+function createTracker(options = {}) {
+    return new SourceHealthTracker({ failureThreshold: 2, cooldownMs: 1000, store: createMemoryStore(), ...options });
+}
+
+const FAILURE = { type: 'timeout', message: 'Flaky request timeout after 10000ms' };
+
+describe('percentile', () => {
+    it('should use nearest rank', () => {
+        expect(percentile([40, 10, 30, 20], 50)).toBe(20);
+        expect(percentile([40, 10, 30, 20], 95)).toBe(40);
+        expect(percentile([], 50)).toBeNull();
+    });
+});
+
+describe('SourceHealthTracker', () => {
+    it('should open the circuit after consecutive failures and skip until the cool-down ends', () => {
+        const tracker = createTracker();
+
+        tracker.recordFailure('flaky', 100, FAILURE, 'Flaky', 0);
+        expect(tracker.getHealth('flaky').state).toBe(CIRCUIT_CLOSED);
+
+        tracker.recordFailure('flaky', 100, FAILURE, 'Flaky', 0);
+        expect(tracker.getHealth('flaky').state).toBe(CIRCUIT_OPEN);
+        expect(tracker.canRequest('flaky', 500)).toBe(false);
+        expect(tracker.getRetryIn('flaky', 500)).toBe(500);
+    });
+
+    it('should let a single probe through when half-open', () => {
+        const tracker = createTracker();
+        tracker.recordFailure('flaky', 100, FAILURE, 'Flaky', 0);
+        tracker.recordFailure('flaky', 100, FAILURE, 'Flaky', 0);
+
+        expect(tracker.canRequest('flaky', 1000)).toBe(true);
+        expect(tracker.getHealth('flaky').state).toBe(CIRCUIT_HALF_OPEN);
+        expect(tracker.canRequest('flaky', 1000)).toBe(false);
+
+        // A cancelled probe frees the slot for the next search
+        tracker.recordCancelled('flaky');
+        expect(tracker.canRequest('flaky', 1000)).toBe(true);
+    });
+
+    it('should close on a successful probe and re-open on a failed one', () => {
+        const tracker = createTracker();
+        tracker.recordFailure('flaky', 100, FAILURE, 'Flaky', 0);
+        tracker.recordFailure('flaky', 100, FAILURE, 'Flaky', 0);
+
+        tracker.canRequest('flaky', 1000);
+        tracker.recordFailure('flaky', 100, FAILURE, 'Flaky', 1000);
+        expect(tracker.getHealth('flaky').state).toBe(CIRCUIT_OPEN);
+
+        tracker.canRequest('flaky', 2000);
+        tracker.recordSuccess('flaky', 50, 'Flaky');
+        expect(tracker.getHealth('flaky')).toMatchObject({ state: CIRCUIT_CLOSED, consecutiveFailures: 0, lastError: null });
+    });
+
+    it('should summarize a rolling window of requests', () => {
+        const tracker = createTracker({ windowSize: 4, failureThreshold: 10 });
+        [100, 200, 300].forEach(latency => tracker.recordSuccess('openalex', latency, 'OpenAlex'));
+        tracker.recordFailure('openalex', 400, FAILURE, 'OpenAlex');
+        tracker.recordSuccess('openalex', 500, 'OpenAlex');
+
+        expect(tracker.getHealth('openalex')).toMatchObject({
+            name: 'OpenAlex',
+            requests: 4,
+            successRate: 0.75,
+            p50: 300,
+            p95: 500,
+            consecutiveFailures: 0
+        });
+    });
+
+    it('should persist records and restore open circuits', async () => {
+        const store = createMemoryStore();
+        const tracker = createTracker({ store });
+        tracker.recordFailure('flaky', 100, FAILURE, 'Flaky');
+        tracker.recordFailure('flaky', 100, FAILURE, 'Flaky');
+
+        const saved = store.save.mock.calls.at(-1)[0];
+        expect(saved).not.toHaveProperty('probeInFlight');
+
+        const restored = createTracker({ store: createMemoryStore([saved]) });
+        await restored.ready;
+        expect(restored.getHealth('flaky').state).toBe(CIRCUIT_OPEN);
+        expect(restored.canRequest('flaky')).toBe(false);
+    });
+});
+
+describe('Orchestrator circuit breaker', () => {
+    it('should skip a source whose circuit is open and report why', async () => {
+        const searchPage = vi.fn(async () => { throw new Error('boom'); });
+        const orchestrator = new ClientSearchOrchestrator({ health: createTracker() });
+        orchestrator.clients = {
+            flaky: { name: 'Flaky', booleanSyntax: null, searchPage, filterUnsupportedFields: papers => papers }
+        };
+
+        await orchestrator.search('graphs', { sources: ['flaky'] });
+        await orchestrator.search('graphs', { sources: ['flaky'] });
+        const result = await orchestrator.search('graphs', { sources: ['flaky'] });
+
+        expect(searchPage).toHaveBeenCalledTimes(2);
+        expect(result.failed_sources[0]).toMatchObject({ source: 'flaky', name: 'Flaky', type: 'circuit_open' });
+        expect(result.failed_sources[0].message).toMatch(/^Flaky skipped after repeated failures/);
+    });
+});
+
+describe('Source status panel', () => {
+    it('should list each source with its state and stats', () => {
+        document.body.innerHTML = '<ul id="sourceStatusList"></ul>';
+        const tracker = createTracker();
+        tracker.recordSuccess('openalex', 120, 'OpenAlex');
+        tracker.recordFailure('flaky', 100, FAILURE, 'Flaky', Date.now());
+        tracker.recordFailure('flaky', 100, FAILURE, 'Flaky', Date.now());
+
+        renderSourceStatusPanel(tracker.getAllHealth());
+
+        const items = [...document.querySelectorAll('.source-status-item')].map(li => li.textContent.replace(/\s+/g, ' ').trim());
+        expect(items[0]).toMatch(/^Flaky Paused 0% ok · p50 100ms · p95 100ms · 2 failed in a row · retry in 1s$/);
+        expect(items[1]).toBe('OpenAlex OK 100% ok · p50 120ms · p95 120ms');
+
+        renderSourceStatusPanel([]);
+        expect(document.getElementById('sourceStatusList').textContent).toContain('No requests yet');
+    });
+});
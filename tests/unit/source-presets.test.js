@@ -0,0 +1,99 @@
+// ============================================================================
+// SOURCE PRESET TESTS - Source selection, saved presets and the source picker
+// ============================================================================
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+    DEFAULT_PRESETS,
+    getSourcePresets,
+    saveSourcePreset,
+    deleteSourcePreset,
+    resolveSources,
+    normalizeSelection,
+    findMatchingPreset,
+    getSelectedSources,
+    setSelectedSources
+} from '../../js/source-presets.js';
+import { getDefaultSourceIds } from '../../js/api-clients/registry.js';
+import { addToHistory, getSearchHistory } from '../../js/history.js';
+import { renderSourcePicker, getPickedSources } from '../../js/ui.js';
+
+describe('Source presets', () => {
+    it('should start with the built-in presets', () => {
+        expect(getSourcePresets().map(preset => preset.name)).toEqual(['Everything', 'Biomedical', 'Preprints', 'Datasets']);
+        expect(getSourcePresets()).toEqual(DEFAULT_PRESETS);
+    });
+
+    it('should save, replace and delete presets in localStorage', () => {
+        saveSourcePreset(' Physics ', ['arxiv', 'crossref']);
+        saveSourcePreset('Physics', ['arxiv']);
+
+        const physics = getSourcePresets().filter(preset => preset.name === 'Physics');
+        expect(physics).toEqual([{ name: 'Physics', sources: ['arxiv'] }]);
+        expect(JSON.parse(localStorage.getItem('sourcecrate_source_presets'))).toHaveLength(5);
+
+        expect(deleteSourcePreset('Physics')).toBe(true);
+        expect(deleteSourcePreset('Physics')).toBe(false);
+        expect(saveSourcePreset('   ', ['arxiv'])).toBeNull();
+    });
+
+    it('should treat the full default set as "every source"', () => {
+        expect(normalizeSelection(getDefaultSourceIds().reverse())).toBeNull();
+        expect(normalizeSelection(['arxiv'])).toEqual(['arxiv']);
+        expect(resolveSources(null)).toEqual(getDefaultSourceIds());
+    });
+
+    it('should match selections to presets in any order', () => {
+        expect(findMatchingPreset(['openalex', 'pubmed', 'europepmc']).name).toBe('Biomedical');
+        expect(findMatchingPreset(getDefaultSourceIds()).name).toBe('Everything');
+        expect(findMatchingPreset(['arxiv'])).toBeNull();
+    });
+
+    it('should remember the last selection', () => {
+        setSelectedSources(['arxiv']);
+        expect(getSelectedSources()).toEqual(['arxiv']);
+
+        setSelectedSources(null);
+        expect(getSelectedSources()).toBeNull();
+    });
+
+    it('should record the sources used in search history', () => {
+        addToHistory('graphs', 0, { sources: ['arxiv', 'crossref'] });
+        addToHistory('trees');
+
+        const [trees, graphs] = getSearchHistory();
+        expect(graphs.filters.sources).toEqual(['arxiv', 'crossref']);
+        expect(trees.filters.sources).toBeNull();
+    });
+});
+
+describe('Source picker', () => {
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <span id="sourcePickerSummary"></span>
+            <select id="sourcePreset"></select>
+            <div id="sourceOptions"></div>
+        `;
+    });
+
+    it('should offer browser-capable sources checked per the selection', () => {
+        renderSourcePicker(['pubmed', 'europepmc', 'openalex']);
+
+        const offered = [...document.querySelectorAll('#sourceOptions input')].map(input => input.value);
+        expect(offered).toEqual(getDefaultSourceIds());
+        expect(offered).not.toContain('semanticscholar');
+        expect(getPickedSources()).toEqual(['pubmed', 'openalex', 'europepmc']);
+        expect(document.getElementById('sourcePreset').value).toBe('Biomedical');
+        expect(document.getElementById('sourcePickerSummary').textContent).toBe('Biomedical');
+    });
+
+    it('should show a custom selection and return null when everything is checked', () => {
+        renderSourcePicker(['arxiv', 'crossref']);
+        expect(document.getElementById('sourcePreset').value).toBe('');
+        expect(document.getElementById('sourcePickerSummary').textContent).toBe('Custom (2 sources)');
+
+        renderSourcePicker(null);
+        expect(getPickedSources()).toBeNull();
+        expect(document.getElementById('sourcePreset').value).toBe('Everything');
+    });
+});
@@ -0,0 +1,125 @@
+// ============================================================================
+// SOURCE REGISTRY TESTS - Source definitions, defaults and host matching
+// ============================================================================
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import ClientSearchOrchestrator from '../../js/api-clients/orchestrator.js';
+import {
+    registerSource,
+    unregisterSource,
+    getSource,
+    getSources,
+    getDefaultSourceIds,
+    matchesSourceHost,
+    loadSourceClient
+} from '../../js/api-clients/registry.js';
+
+describe('Source registry', () => {
+    afterEach(() => {
+        unregisterSource('example');
+    });
+
+    it('should register the built-in sources with capabilities and hosts', () => {
+        expect(getSources().map(source => source.id)).toEqual([
+            'arxiv', 'crossref', 'pubmed', 'openalex', 'doaj',
+            'europepmc', 'semanticscholar', 'unpaywall', 'datacite', 'zenodo'
+        ]);
+        expect(getSource('openalex')).toMatchObject({
+            name: 'OpenAlex',
+            capabilities: { booleanSyntax: 'lucene', paging: 'cursor', cors: true },
+            hosts: ['api.openalex.org']
+        });
+    });
+
+    it('should leave sources without browser CORS support out of the defaults', () => {
+        const defaults = getDefaultSourceIds();
+        expect(defaults).toContain('arxiv');
+        expect(defaults).not.toContain('semanticscholar');
+    });
+
+    it('should declare the same capabilities as each built-in client', async () => {
+        for (const source of getSources()) {
+            const ClientClass = await loadSourceClient(source.id);
+            const client = new ClientClass();
+            expect([source.id, client.name, client.supportedFields, client.booleanSyntax])
+                .toEqual([source.id, source.name, source.capabilities.fields, source.capabilities.booleanSyntax]);
+        }
+    });
+
+    it('should reject incomplete and duplicate definitions', () => {
+        expect(() => registerSource({ id: 'example', name: 'Example' })).toThrow(/load\(\)/);
+
+        registerSource({ id: 'example', name: 'Example', load: async () => class {} });
+        expect(() => registerSource({ id: 'example', name: 'Example', load: async () => class {} }))
+            .toThrow('Source already registered: example');
+        expect(registerSource({ id: 'example', name: 'Example 2', load: async () => class {} }, { replace: true }).name)
+            .toBe('Example 2');
+    });
+
+    it('should match exact and wildcard host patterns', () => {
+        expect(matchesSourceHost('api.crossref.org')).toBe(true);
+        expect(matchesSourceHost('www.ebi.ac.uk')).toBe(true);
+        expect(matchesSourceHost('api.crossref.org.evil.com')).toBe(false);
+        expect(matchesSourceHost('eu.example.org', ['*.example.org'])).toBe(true);
+        expect(matchesSourceHost('example.org', ['*.example.org'])).toBe(true);
+    });
+
+    it('should match hosts the same way as the service worker\'s copy', () => {
+        // sw.js is a classic worker and can't import the registry - keep its matcher in step
+        const source = readFileSync(resolve(__dirname, '../../sw.js'), 'utf8')
+            .match(/^function matchesSourceHost\([\s\S]*?^}/m)[0];
+        const swMatchesSourceHost = new Function(`${source}\nreturn matchesSourceHost;`)();
+
+        const patterns = ['api.crossref.org', '*.example.org', '*.ebi.ac.uk'];
+        const hosts = [
+            'api.crossref.org', 'crossref.org', 'api.crossref.org.evil.com',
+            'example.org', 'eu.example.org', 'a.b.example.org', 'badexample.org',
+            'www.ebi.ac.uk', 'ebi.ac.uk.evil.com', ''
+        ];
+        hosts.forEach(host => {
+            expect(swMatchesSourceHost(host, patterns), host).toBe(matchesSourceHost(host, patterns));
+        });
+    });
+});
+
+describe('Orchestrator with registered sources', () => {
+    afterEach(() => {
+        unregisterSource('example');
+    });
+
+    it('should load a third-party source and translate queries with its declared syntax', async () => {
+        const queries = [];
+        class ExampleClient {
+            searchPage(query) {
+                queries.push(query.text);
+                return { papers: [{ title: 'Example paper' }], nextCursor: null };
+            }
+
+            filterUnsupportedFields(papers) {
+                return papers;
+            }
+        }
+        registerSource({
+            id: 'example',
+            name: 'Example',
+            load: async () => ({ default: ExampleClient }),
+            capabilities: { fields: ['title'], booleanSyntax: 'lucene' },
+            hosts: ['api.example.org']
+        });
+
+        const orchestrator = new ClientSearchOrchestrator();
+        const result = await orchestrator.search('graphs AND trees', { sources: ['example'] });
+
+        expect(result.papers).toEqual([{ title: 'Example paper' }]);
+        expect(queries).toEqual(['graphs AND trees']);
+        expect(orchestrator.clients.example).toMatchObject({ name: 'Example', supportedFields: ['title'] });
+        expect(getDefaultSourceIds()).toContain('example');
+    });
+
+    it('should fail unknown sources', async () => {
+        const result = await new ClientSearchOrchestrator().search('graphs', { sources: ['missing'] });
+        expect(result.failed_sources[0]).toMatchObject({ source: 'missing', message: 'Unknown source: missing' });
+    });
+});
@@ -21,7 +21,9 @@ import {
     sortByRelevance,
     filterBookmarksByQuery,
     sortBookmarks,
-    sortSearchResults
+    sortSearchResults,
+    formatYearRange,
+    normalizeLanguage
 } from '../../js/utils.js';
 
 describe('URL validation', () => {
@@ -287,6 +289,23 @@ describe('Filtering and sorting', () => {
             const filtered = applyFilters(mockPapers, false, 50, false);
             expect(filtered.length).toBe(3);
         });
+
+        it('should filter by year range and keep undated papers', () => {
+            const papers = [...mockPapers, { title: 'Paper D', relevance_score: 0.5 }];
+            const filtered = applyFilters(papers, false, 0, true, { from: 2023, to: null });
+            expect(filtered.map(p => p.title)).toEqual(['Paper A', 'Paper B', 'Paper D']);
+            expect(applyFilters(papers, false, 0, true, { from: null, to: 2022 }).map(p => p.title))
+                .toEqual(['Paper C', 'Paper D']);
+        });
+    });
+
+    describe('formatYearRange', () => {
+        it('should describe closed and open-ended ranges', () => {
+            expect(formatYearRange({ from: 2020, to: 2025 })).toBe('2020–2025');
+            expect(formatYearRange({ from: 2020, to: null })).toBe('2020 onwards');
+            expect(formatYearRange({ from: null, to: 2025 })).toBe('up to 2025');
+            expect(formatYearRange(null)).toBe('');
+        });
     });
 
     describe('sortByRelevance', () => {
@@ -398,3 +417,14 @@ describe('getPaperKey', () => {
         expect(getPaperKey(paper)).toContain('url:');
     });
 });
+
+describe('normalizeLanguage', () => {
+    it('should map ISO 639-2 codes, names and locales to two-letter codes', () => {
+        expect(normalizeLanguage('eng')).toBe('en');
+        expect(normalizeLanguage('English')).toBe('en');
+        expect(normalizeLanguage('fr-CA')).toBe('fr');
+        expect(normalizeLanguage('ger')).toBe('de');
+        expect(normalizeLanguage('und')).toBeNull();
+        expect(normalizeLanguage(null)).toBeNull();
+    });
+});
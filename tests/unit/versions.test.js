@@ -0,0 +1,173 @@
+// ============================================================================
+// VERSION TESTS - Linking preprints to their published versions
+// ============================================================================
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { toVersionId, getArxivDoi, areLinkedVersions, getCitedVersion, withCitedVersion } from '../../js/versions.js';
+import { exportToBibTeX } from '../../js/export.js';
+import { addBookmark, getBookmarks, setCitedVersion } from '../../js/bookmarks.js';
+import ArxivClient from '../../js/api-clients/arxiv.js';
+import CrossRefClient from '../../js/api-clients/crossref.js';
+import OpenAlexClient from '../../js/api-clients/openalex.js';
+import PaperProcessor from '../../js/processing-poc.js';
+
+const preprint = {
+    title: 'Attention is all you need: transformers for translation',
+    authors: ['Ashish Vaswani', 'Noam Shazeer'],
+    year: 2017,
+    doi: '10.48550/arXiv.1706.03762',
+    url: 'http://arxiv.org/abs/1706.03762v5',
+    journal: 'arXiv (preprint)',
+    source: 'arXiv',
+    doc_type: 'preprint'
+};
+
+const published = {
+    title: 'Attention is all you need',
+    authors: ['Vaswani, Ashish', 'Shazeer, Noam'],
+    year: 2017,
+    doi: '10.5555/nips.2017.7181',
+    url: 'https://doi.org/10.5555/nips.2017.7181',
+    journal: 'Advances in Neural Information Processing Systems',
+    source: 'CrossRef',
+    doc_type: 'conference-paper'
+};
+
+describe('Version identifiers', () => {
+    it('should reduce DOIs and arXiv URLs to one identifier per version', () => {
+        expect(toVersionId('https://doi.org/10.5555/ABC')).toBe('doi:10.5555/abc');
+        expect(toVersionId('10.48550/arXiv.1706.03762')).toBe('arxiv:1706.03762');
+        expect(toVersionId('http://arxiv.org/abs/1706.03762v5')).toBe('arxiv:1706.03762');
+        expect(toVersionId('https://example.org/paper')).toBeNull();
+        expect(getArxivDoi('1706.03762v5')).toBe('10.48550/arXiv.1706.03762');
+    });
+});
+
+describe('Client version links', () => {
+    it('should give arXiv papers their DataCite DOI and link the journal DOI', () => {
+        const [paper] = new ArxivClient().parseArxivXML(`<?xml version="1.0" encoding="UTF-8"?>
+            <feed xmlns="http://www.w3.org/2005/Atom" xmlns:arxiv="http://arxiv.org/schemas/atom">
+                <entry>
+                    <id>http://arxiv.org/abs/1706.03762v5</id>
+                    <title>Attention is all you need</title>
+                    <published>2017-06-12T00:00:00Z</published>
+                    <author><name>Ashish Vaswani</name></author>
+                    <arxiv:doi>10.5555/nips.2017.7181</arxiv:doi>
+                    <arxiv:journal_ref>NeurIPS 2017</arxiv:journal_ref>
+                </entry>
+            </feed>`);
+
+        expect(paper.doi).toBe('10.48550/arXiv.1706.03762');
+        expect(paper.related_ids).toEqual(['doi:10.5555/nips.2017.7181']);
+        expect(paper.journal_ref).toBe('NeurIPS 2017');
+    });
+
+    it('should read CrossRef relations and OpenAlex locations', () => {
+        const [posted] = new CrossRefClient().parseCrossRefResponse({
+            message: { items: [{
+                DOI: '10.1101/2020.01.01.123',
+                title: ['A preprint'],
+                type: 'posted-content',
+                relation: { 'is-preprint-of': [{ 'id-type': 'doi', id: '10.5555/journal.1' }] }
+            }] }
+        });
+        const [work] = new OpenAlexClient().parseOpenAlexResponse({
+            results: [{
+                id: 'https://openalex.org/W1',
+                title: 'Attention is all you need',
+                doi: 'https://doi.org/10.5555/nips.2017.7181',
+                locations: [
+                    { landing_page_url: 'https://doi.org/10.5555/nips.2017.7181' },
+                    { landing_page_url: 'https://arxiv.org/abs/1706.03762' }
+                ]
+            }]
+        });
+
+        expect(posted.related_ids).toEqual(['doi:10.5555/journal.1']);
+        expect(work.related_ids).toEqual(['arxiv:1706.03762']);
+        expect(areLinkedVersions(work, preprint)).toBe(true);
+    });
+});
+
+describe('PaperProcessor.areVersions', () => {
+    const processor = new PaperProcessor();
+
+    it('should match a reworded preprint by title, first author and year', () => {
+        expect(processor.areDuplicates(preprint, published)).toBe(false);
+        expect(processor.areVersions(preprint, published)).toBe(true);
+    });
+
+    it('should not match without a link when the author, years or kinds differ', () => {
+        expect(processor.areVersions(preprint, { ...published, authors: ['Jane Doe'] })).toBe(false);
+        expect(processor.areVersions(preprint, { ...published, year: 2021 })).toBe(false);
+        expect(processor.areVersions(preprint, { ...published, year: 2016 })).toBe(false);
+        expect(processor.areVersions({ ...preprint, doc_type: 'article' }, published)).toBe(false);
+    });
+
+    it('should trust an explicit link whatever the titles', () => {
+        const renamed = { ...published, title: 'Transformers', related_ids: ['arxiv:1706.03762'] };
+        expect(processor.areVersions(preprint, renamed)).toBe(true);
+    });
+});
+
+describe('PaperProcessor.mergeVersions', () => {
+    const processor = new PaperProcessor();
+
+    it('should lead with the published version whichever arrives first', () => {
+        const grouped = processor.mergeVersions(preprint, published);
+        const reversed = processor.mergeVersions(published, preprint);
+
+        [grouped, reversed].forEach(paper => {
+            expect(paper.doi).toBe(published.doi);
+            expect(paper.title).toBe(published.title);
+            expect(paper.journal).toBe(published.journal);
+            expect(paper._versions.map(v => v.kind).sort()).toEqual(['preprint', 'published']);
+            expect(paper._sources.sort()).toEqual(['CrossRef', 'arXiv']);
+        });
+    });
+
+    it('should not list a version twice when another source returns it again', () => {
+        const grouped = processor.mergeVersions(processor.mergeVersions(preprint, published), { ...preprint, source: 'OpenAlex' });
+        expect(grouped._versions).toHaveLength(2);
+        expect(grouped._merged_count).toBe(3);
+    });
+
+    it('should group versions when deduplicating a batch', () => {
+        expect(processor.deduplicatePapers([preprint, published])).toHaveLength(1);
+    });
+});
+
+describe('Cited version', () => {
+    const grouped = new PaperProcessor().mergeVersions(preprint, published);
+
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    it('should cite the published version unless the reader picks another', () => {
+        expect(getCitedVersion(grouped).kind).toBe('published');
+        expect(getCitedVersion(preprint)).toBeNull();
+
+        const cited = withCitedVersion({ ...grouped, cited_version: 'doi:10.48550/arxiv.1706.03762' });
+        expect(cited.doi).toBe(preprint.doi);
+        expect(cited.journal).toBe('arXiv (preprint)');
+        expect(cited.doc_type).toBe('preprint');
+    });
+
+    it('should export the chosen version', () => {
+        expect(exportToBibTeX([grouped])).toContain('doi = {10.5555/nips.2017.7181}');
+
+        const bibtex = exportToBibTeX([{ ...grouped, cited_version: grouped._versions.find(v => v.kind === 'preprint').id }]);
+        expect(bibtex).toContain('doi = {10.48550/arxiv.1706.03762}');
+        expect(bibtex).not.toContain('nips');
+    });
+
+    it('should remember the choice on a bookmark', () => {
+        addBookmark(grouped);
+        const key = 'doi:10.5555/nips.2017.7181';
+
+        expect(setCitedVersion(key, 'doi:10.48550/arxiv.1706.03762')).toBe(true);
+        expect(getBookmarks()[key].cited_version).toBe('doi:10.48550/arxiv.1706.03762');
+        expect(setCitedVersion('doi:10.5555/unknown', 'x')).toBe(false);
+    });
+});